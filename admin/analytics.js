@@ -0,0 +1,215 @@
+/**
+ * admin/analytics.js — the charts in admin/analytics.php
+ *
+ * Fetches /api/admin/analytics (see api/handlers/admin_analytics.php) for the
+ * page's date range and draws each series as an SVG bar chart, with its
+ * figures in a table underneath. Series over time and ordered categories get
+ * upright columns; interests and their combinations get labelled bars.
+ */
+
+const AnalyticsAdmin = {
+    config: null,
+
+    // Series drawn as horizontal bars, largest first ("Other" stays last); the
+    // rest keep the server's order
+    rankedSeries: ['interests', 'combinations'],
+
+    // Chart sizes in SVG units; the SVG scales to the panel's width
+    width: 640,
+    height: 220,
+    margin: { top: 12, right: 8, bottom: 44, left: 36 },
+
+    init() {
+        this.config = JSON.parse(document.getElementById('analytics-config').textContent);
+        this.load();
+    },
+
+    async load() {
+        let data;
+        try {
+            const response = await fetch(`${this.config.apiBase}/admin/analytics?${this.config.query}`, { credentials: 'same-origin' });
+            if (response.status === 401) {
+                window.location.href = 'index.php';
+                return;
+            }
+            data = await response.json();
+        } catch (error) {
+            data = { success: false, error: 'Could not reach the server. Check your connection.' };
+        }
+
+        if (!data.success) {
+            this.renderSummary(null);
+            document.querySelectorAll('[data-chart]').forEach(chart =>
+                chart.replaceChildren(this.el('p', { className: 'field-error' }, data.error || 'The figures could not be loaded.')));
+            return;
+        }
+
+        this.renderSummary(data.summary);
+        for (const [key, series] of Object.entries(data.series)) {
+            const chart = document.querySelector(`[data-series="${key}"] [data-chart]`);
+            if (chart) chart.replaceChildren(...this.renderSeries(key, series, data.summary.requests, data.filters));
+        }
+    },
+
+    // ── Summary ──────────────────────────────────────────────────────────────
+
+    renderSummary(summary) {
+        const value = (number, unit) => number === null ? '—' : `${Number(number).toLocaleString('en-IN')}${unit}`;
+        const cards = summary ? [
+            [value(summary.requests, ''), 'Trip requests'],
+            [value(summary.averageNights, ''), 'Average nights'],
+            [value(summary.averageLeadDays, ' d'), 'Average days booked ahead'],
+            [value(summary.medianLeadDays, ' d'), 'Median days booked ahead'],
+        ] : [['—', 'Figures unavailable']];
+
+        document.getElementById('analytics-summary').replaceChildren(...cards.map(([num, label]) =>
+            this.el('div', { className: 'stat-card' },
+                this.el('div', { className: 'num' }, num),
+                this.el('div', { className: 'lbl' }, label))));
+    },
+
+    // ── Charts ───────────────────────────────────────────────────────────────
+
+    renderSeries(key, series, total, filters) {
+        if (!total) {
+            return [this.el('p', { className: 'place-sub' }, 'No trip requests in this range.')];
+        }
+
+        const [labelColumn, valueColumn] = series.columns;
+        let rows = series.rows.map(row => ({
+            label: this.label(key, row[labelColumn], filters.interval),
+            value: row[valueColumn],
+            share: row.share_percent
+        }));
+
+        let chart;
+        if (this.rankedSeries.includes(key)) {
+            rows = rows.filter(row => row.value > 0)
+                .sort((a, b) => (a.label === 'Other') - (b.label === 'Other') || b.value - a.value);
+            chart = this.barChart(series.label, rows);
+        } else {
+            chart = this.columnChart(series.label, rows);
+        }
+
+        return [chart, this.table(series)];
+    },
+
+    // Upright columns; with many of them only every nth is labelled
+    columnChart(title, rows) {
+        const { top, right, bottom, left } = this.margin;
+        const plotWidth  = this.width - left - right;
+        const plotHeight = this.height - top - bottom;
+        const max        = this.niceMax(Math.max(...rows.map(row => row.value)));
+        const step       = plotWidth / rows.length;
+        const labelEvery = rows.length > 16 ? Math.ceil(rows.length / 10) : 1;
+        const y          = value => top + plotHeight - (value / max) * plotHeight;
+
+        const svg = this.svg('svg', { viewBox: `0 0 ${this.width} ${this.height}`, class: 'chart-svg', role: 'img', 'aria-label': title },
+            ...this.gridLines(max, y, left, this.width - right));
+
+        rows.forEach((row, index) => {
+            const x = left + index * step;
+            svg.append(this.svg('rect', {
+                class: 'chart-bar',
+                x: x + step * 0.15, width: Math.max(step * 0.7, 1),
+                y: y(row.value), height: Math.max(top + plotHeight - y(row.value), 0)
+            }, this.svg('title', {}, `${row.label}: ${this.requests(row.value)}`)));
+
+            if (index % labelEvery === 0) {
+                svg.append(this.svg('text', {
+                    class: 'chart-label', x: x + step / 2, y: this.height - bottom + 16, 'text-anchor': 'middle'
+                }, row.label));
+            }
+        });
+        return svg;
+    },
+
+    // One labelled bar per row, the label above its bar
+    barChart(title, rows) {
+        const rowHeight = 34;
+        const left      = 4;
+        const barRight  = this.width - 110;
+        const max       = Math.max(...rows.map(row => row.value), 1);
+        const height    = rows.length * rowHeight + 4;
+
+        const svg = this.svg('svg', { viewBox: `0 0 ${this.width} ${height}`, class: 'chart-svg', role: 'img', 'aria-label': title });
+        rows.forEach((row, index) => {
+            const top   = index * rowHeight;
+            const width = Math.max((row.value / max) * (barRight - left), 2);
+            svg.append(
+                this.svg('text', { class: 'chart-label chart-label-start', x: left, y: top + 12 }, this.titleCase(row.label)),
+                this.svg('rect', { class: 'chart-bar', x: left, y: top + 16, width, height: 12, rx: 2 },
+                    this.svg('title', {}, `${row.label}: ${this.requests(row.value)}`)),
+                this.svg('text', { class: 'chart-value', x: left + width + 6, y: top + 26 },
+                    row.share === undefined ? String(row.value) : `${row.value} · ${row.share}%`)
+            );
+        });
+        return svg;
+    },
+
+    // Horizontal lines at each quarter of the axis, with their values on the left
+    gridLines(max, y, x1, x2) {
+        return [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+            const value = Math.round(max * fraction);
+            return this.svg('g', {},
+                this.svg('line', { class: 'chart-gridline', x1, x2, y1: y(value), y2: y(value) }),
+                this.svg('text', { class: 'chart-axis', x: x1 - 6, y: y(value) + 4, 'text-anchor': 'end' }, String(value)));
+        });
+    },
+
+    // The figures as a table, folded away under the chart
+    table(series) {
+        const head = this.el('tr', {}, ...series.columns.map(column => this.el('th', {}, column.replace(/_/g, ' '))));
+        const body = series.rows.map(row => this.el('tr', {}, ...series.columns.map(column => this.el('td', {}, String(row[column])))));
+        return this.el('details', { className: 'chart-table' },
+            this.el('summary', {}, 'Figures'),
+            this.el('table', {}, this.el('thead', {}, head), this.el('tbody', {}, ...body)));
+    },
+
+    // A round axis top at or above max: 4 → 4, 7 → 8, 23 → 25, 130 → 150
+    niceMax(max) {
+        if (max <= 4) return 4;
+        const magnitude = 10 ** Math.floor(Math.log10(max));
+        const nice = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10].find(factor => factor * magnitude >= max);
+        return nice * magnitude;
+    },
+
+    // A bar's label: "2026-10-05" → "5 Oct" (or "w/c 5 Oct" for weeks), "January" → "Jan"
+    label(key, value, interval) {
+        if (key === 'requests') {
+            const date = new Date(`${value}T00:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+            return interval === 'week' ? `w/c ${date}` : date;
+        }
+        return key === 'seasonality' ? String(value).slice(0, 3) : String(value);
+    },
+
+    requests(count) {
+        return `${count} request${count === 1 ? '' : 's'}`;
+    },
+
+    titleCase(text) {
+        return text.replace(/(^|\+ )([a-z])/g, (match, before, letter) => before + letter.toUpperCase());
+    },
+
+    // ── DOM ──────────────────────────────────────────────────────────────────
+
+    // el('td', { className: 'x' }, 'text', childNode, …), as in places.js
+    el(tag, props = {}, ...children) {
+        const node = document.createElement(tag);
+        Object.assign(node, props);
+        node.append(...children);
+        return node;
+    },
+
+    // SVG elements take attributes, not properties
+    svg(tag, attributes = {}, ...children) {
+        const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        for (const [name, value] of Object.entries(attributes)) {
+            node.setAttribute(name, value);
+        }
+        node.append(...children);
+        return node;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => AnalyticsAdmin.init());
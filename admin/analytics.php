@@ -0,0 +1,84 @@
+<?php
+/**
+ * admin/analytics.php?from=…&to=…&interval=day|week
+ * Charts of the trip requests submitted in a date range: requests over time,
+ * how far ahead people book, trip length, party size, interests and their
+ * combinations, and check-in month. analytics.js draws them from
+ * GET /api/admin/analytics; each has a CSV download of its figures.
+ */
+
+require_once __DIR__ . '/../includes/analytics.php';
+require_once __DIR__ . '/layout.php';
+
+admin_require_login();
+
+[$filters, $errors] = analytics_filters($_GET);
+if ($errors) {
+    [$filters] = analytics_filters([]);
+}
+
+$query = http_build_query($filters);
+$today = date('Y-m-d');
+
+// Quick ranges ending today, as [label, first day]
+$presets = [
+    ['Last 30 days',   date('Y-m-d', strtotime('-29 days'))],
+    ['Last 90 days',   date('Y-m-d', strtotime('-' . (ANALYTICS_DEFAULT_DAYS - 1) . ' days'))],
+    ['Last 12 months', date('Y-m-d', strtotime('-1 year +1 day'))],
+];
+
+// For analytics.js: where the API is and the range to ask for
+$config = ['apiBase' => '../api', 'query' => $query];
+
+admin_page_start('Analytics', 'analytics');
+?>
+<div class="container">
+    <?php if ($errors): ?>
+        <div class="notice is-error" role="alert"><?= htmlspecialchars(implode(' ', $errors)) ?> Showing the last <?= ANALYTICS_DEFAULT_DAYS ?> days instead.</div>
+    <?php endif; ?>
+
+    <div class="section-header">
+        <h2>Analytics <span class="place-sub">requests submitted <?= $filters['from'] ?> to <?= $filters['to'] ?></span></h2>
+        <div class="filter-tabs">
+            <?php foreach ($presets as [$label, $from]): ?>
+                <a href="?<?= htmlspecialchars(http_build_query(['from' => $from, 'to' => $today, 'interval' => $filters['interval']])) ?>"
+                   class="filter-tab<?= $filters['from'] === $from && $filters['to'] === $today ? ' active' : '' ?>"><?= $label ?></a>
+            <?php endforeach; ?>
+        </div>
+    </div>
+
+    <form class="lead-filters" method="GET" action="analytics.php">
+        <label>Submitted from
+            <input type="date" name="from" value="<?= $filters['from'] ?>">
+        </label>
+        <label>to
+            <input type="date" name="to" value="<?= $filters['to'] ?>">
+        </label>
+        <label>Requests per
+            <select name="interval">
+                <option value="day"<?= $filters['interval'] === 'day' ? ' selected' : '' ?>>Day</option>
+                <option value="week"<?= $filters['interval'] === 'week' ? ' selected' : '' ?>>Week</option>
+            </select>
+        </label>
+        <button type="submit" class="btn btn-sm btn-new">Show</button>
+    </form>
+
+    <div class="stats-grid" id="analytics-summary" aria-live="polite">
+        <div class="stat-card"><div class="num">…</div><div class="lbl">Loading</div></div>
+    </div>
+
+    <div class="chart-grid">
+        <?php foreach (ANALYTICS_SERIES as $key => $series): ?>
+            <section class="panel chart-panel<?= $key === 'requests' ? ' chart-wide' : '' ?>" data-series="<?= $key ?>">
+                <div class="chart-head">
+                    <h3><?= $series['label'] ?></h3>
+                    <a class="btn btn-sm btn-plain" href="../api/admin/analytics/<?= $key ?>.csv?<?= htmlspecialchars($query) ?>">CSV</a>
+                </div>
+                <div class="chart" data-chart><p class="place-sub">Loading…</p></div>
+            </section>
+        <?php endforeach; ?>
+    </div>
+</div>
+<script type="application/json" id="analytics-config"><?= json_encode($config, JSON_HEX_TAG | JSON_HEX_AMP) ?></script>
+<script src="analytics.js" defer></script>
+<?php admin_page_end(); ?>
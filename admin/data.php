@@ -0,0 +1,185 @@
+<?php
+/**
+ * admin/data.php
+ * Import & export: trip requests as CSV or JSON for the CRM, and the
+ * attractions and beaches catalogue as JSON. An uploaded catalogue is
+ * checked and its changes listed first; nothing is saved until "Import"
+ * is pressed. data.php does the same from the command line.
+ */
+
+require_once __DIR__ . '/../includes/data_transfer.php';
+require_once __DIR__ . '/layout.php';
+
+admin_require_login();
+
+$db     = get_db();
+$error  = '';
+$plan   = null;
+$action = $_POST['action'] ?? '';
+
+// ── Handle import POSTs ───────────────────────────────────────────────────────
+if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+    if (!admin_post_is_valid()) {
+        $error = 'Your session has expired. Please try again.';
+
+    } elseif ($action === 'preview') {
+        $file = $_FILES['catalogue'] ?? null;
+        $data = is_array($file) && ($file['error'] ?? null) === UPLOAD_ERR_OK
+            ? json_decode(file_get_contents($file['tmp_name']), true)
+            : null;
+
+        if (!is_array($data)) {
+            $error = 'Choose a catalogue file exported from this panel or with data.php.';
+        } else {
+            $plan = catalogue_import_plan($db, $data);
+            // Kept until "Import" so the file needn't be uploaded twice
+            $_SESSION['catalogue_import'] = $plan['errors'] ? null : $data;
+        }
+
+    } elseif ($action === 'import') {
+        $data = $_SESSION['catalogue_import'] ?? null;
+        unset($_SESSION['catalogue_import']);
+
+        if (!is_array($data)) {
+            $error = 'Upload the catalogue file again to import it.';
+        } else {
+            // Checked again in case the catalogue changed since the preview
+            $plan = catalogue_import_plan($db, $data);
+            if (!$plan['errors']) {
+                $saved = catalogue_import_apply($db, $plan);
+                header("Location: data.php?imported=$saved");
+                exit;
+            }
+        }
+    }
+}
+
+$tripCount = (int)$db->query('SELECT COUNT(*) FROM trip_requests')->fetchColumn();
+
+admin_page_start('Import & export', 'data');
+?>
+<div class="container">
+    <?php if ($error): ?>
+        <div class="notice is-error" role="alert"><?= htmlspecialchars($error) ?></div>
+    <?php elseif (isset($_GET['imported'])): ?>
+        <div class="notice" role="status">Imported: <?= (int)$_GET['imported'] ?> place(s) saved.</div>
+    <?php endif; ?>
+
+    <div class="lead-layout">
+        <div class="lead-main">
+            <!-- Trip export -->
+            <section class="panel">
+                <h3>Export trip requests</h3>
+                <p class="place-sub">All <?= $tripCount ?> requests, or only those submitted between two dates and in one status. Interests and must-see places are joined with “;”.</p>
+                <form class="lead-filters" method="GET" action="../api/admin/trips/export">
+                    <label>Status
+                        <select name="status">
+                            <option value="">Any</option>
+                            <?php foreach (LEAD_STATUSES as $status => $label): ?>
+                                <option value="<?= $status ?>"><?= $label ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                    <label>Submitted from
+                        <input type="date" name="from">
+                    </label>
+                    <label>to
+                        <input type="date" name="to">
+                    </label>
+                    <label>Format
+                        <select name="format">
+                            <option value="csv">CSV</option>
+                            <option value="json">JSON</option>
+                        </select>
+                    </label>
+                    <button type="submit" class="btn btn-sm btn-new">Download</button>
+                </form>
+            </section>
+
+            <!-- Catalogue import -->
+            <section class="panel">
+                <h3>Import the catalogue</h3>
+                <p class="place-sub">
+                    A file from “Export the catalogue”. Places are matched by name: new names are added,
+                    known ones overwritten, and places not in the file are left as they are.
+                    Images must already be in <code>pictures/</code>.
+                </p>
+                <form method="POST" action="data.php" enctype="multipart/form-data" class="lead-filters">
+                    <?= admin_csrf_field() ?>
+                    <input type="hidden" name="action" value="preview">
+                    <label>Catalogue file
+                        <input type="file" name="catalogue" accept="application/json,.json" required>
+                    </label>
+                    <button type="submit" class="btn btn-sm btn-new">Check changes</button>
+                </form>
+
+                <?php if ($plan): ?>
+                    <?php if ($plan['errors']): ?>
+                        <div class="notice is-error" role="alert">
+                            Nothing can be imported until these are fixed:
+                            <ul class="import-errors">
+                                <?php foreach ($plan['errors'] as $item): ?>
+                                    <?php foreach ($item['fieldErrors'] as $message): ?>
+                                        <li><strong><?= htmlspecialchars(catalogue_error_label($item)) ?>:</strong> <?= htmlspecialchars($message) ?></li>
+                                    <?php endforeach; ?>
+                                <?php endforeach; ?>
+                            </ul>
+                        </div>
+                    <?php endif; ?>
+
+                    <?php foreach ($plan['changes'] as $table => $changes): ?>
+                        <h4><?= ucfirst($table) ?>
+                            <span class="place-sub"><?= count($changes['created']) ?> new · <?= count($changes['updated']) ?> changed · <?= $changes['unchanged'] ?> unchanged</span>
+                        </h4>
+                        <ul class="import-diff">
+                            <?php foreach ($changes['created'] as $name): ?>
+                                <li class="diff-created">+ <?= htmlspecialchars($name) ?></li>
+                            <?php endforeach; ?>
+                            <?php foreach ($changes['updated'] as $update): ?>
+                                <li class="diff-updated">~ <?= htmlspecialchars($update['name']) ?>
+                                    <dl>
+                                        <?php foreach ($update['fields'] as $column => $change): ?>
+                                            <dt><?= htmlspecialchars($column) ?></dt>
+                                            <dd>
+                                                <del><?= htmlspecialchars(json_encode($change['from'], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES)) ?></del>
+                                                <ins><?= htmlspecialchars(json_encode($change['to'], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES)) ?></ins>
+                                            </dd>
+                                        <?php endforeach; ?>
+                                    </dl>
+                                </li>
+                            <?php endforeach; ?>
+                        </ul>
+                    <?php endforeach; ?>
+
+                    <?php if (!$plan['errors']): ?>
+                        <?php if ($plan['writes']): ?>
+                            <form method="POST" action="data.php">
+                                <?= admin_csrf_field() ?>
+                                <input type="hidden" name="action" value="import">
+                                <button type="submit" class="btn btn-sm btn-green">Import <?= count($plan['writes']) ?> place(s)</button>
+                            </form>
+                        <?php else: ?>
+                            <p class="place-sub">The catalogue already matches this file.</p>
+                        <?php endif; ?>
+                    <?php endif; ?>
+                <?php endif; ?>
+            </section>
+        </div>
+
+        <aside class="lead-side">
+            <section class="panel">
+                <h3>Export the catalogue</h3>
+                <p class="place-sub">Every attraction and beach, drafts included, as one JSON file to import on another site.</p>
+                <p><a class="btn btn-sm btn-new" href="../api/admin/catalogue">Download JSON</a></p>
+            </section>
+
+            <section class="panel">
+                <h3>From the command line</h3>
+                <pre class="cli-help">php data.php export-trips --format=csv --status=booked
+php data.php export-catalogue --out=catalogue.json
+php data.php import-catalogue catalogue.json --dry-run</pre>
+            </section>
+        </aside>
+    </div>
+</div>
+<?php admin_page_end(); ?>
@@ -1,19 +1,18 @@
 <?php
 /**
  * admin/index.php
- * Simple admin panel — login + dashboard to review trip requests.
+ * Simple admin panel — login + the trip request list, searchable, sortable
+ * and paged. One request is worked on in trip.php; attractions and beaches
+ * are edited in places.php.
  */
 
 require_once __DIR__ . '/../config.php';
 require_once __DIR__ . '/../includes/db.php';
+require_once __DIR__ . '/../includes/places.php';
+require_once __DIR__ . '/../includes/leads.php';
+require_once __DIR__ . '/layout.php';
 
-session_set_cookie_params([
-    'lifetime' => SESSION_LIFETIME,
-    'path'     => '/',
-    'httponly' => true,
-    'samesite' => 'Strict',
-]);
-session_start();
+admin_session_start();
 
 $error  = '';
 $action = $_GET['action'] ?? '';
@@ -44,138 +43,46 @@ if ($action === 'logout') {
 }
 
 // ── Auth gate ─────────────────────────────────────────────────────────────────
-$isLoggedIn = !empty($_SESSION['admin']);
+$isLoggedIn = is_admin();
 
 // ── Load data (only when logged in) ──────────────────────────────────────────
-$trips      = [];
-$stats      = [];
-$filterStatus = $_GET['status'] ?? 'all';
+$trips   = [];
+$stats   = [];
+$filters = lead_filters($_GET);
 
 if ($isLoggedIn) {
     $db = get_db();
 
-    // Mark request as reviewed
-    if ($_SERVER['REQUEST_METHOD'] === 'POST' && $action === 'mark_reviewed') {
-        $id = (int)($_POST['id'] ?? 0);
-        if ($id > 0) {
-            $db->prepare("UPDATE trip_requests SET status = 'reviewed' WHERE id = ?")->execute([$id]);
-        }
-        header('Location: index.php');
-        exit;
-    }
-
     // Stats
     $stats = [
-        'total'    => (int)$db->query("SELECT COUNT(*)    FROM trip_requests")->fetchColumn(),
-        'pending'  => (int)$db->query("SELECT COUNT(*)    FROM trip_requests WHERE status = 'pending'")->fetchColumn(),
-        'reviewed' => (int)$db->query("SELECT COUNT(*)    FROM trip_requests WHERE status = 'reviewed'")->fetchColumn(),
-        'today'    => (int)$db->query("SELECT COUNT(*)    FROM trip_requests WHERE date(created_at) = date('now')")->fetchColumn(),
+        'total' => (int)$db->query("SELECT COUNT(*) FROM trip_requests")->fetchColumn(),
+        'today' => (int)$db->query("SELECT COUNT(*) FROM trip_requests WHERE date(created_at) = date('now')")->fetchColumn(),
+        ...lead_status_counts($db),
     ];
 
-    // Fetch trip requests
-    $sql = "SELECT * FROM trip_requests";
-    if ($filterStatus !== 'all') {
-        $sql  .= " WHERE status = :status";
-        $stmt  = $db->prepare($sql . " ORDER BY created_at DESC");
-        $stmt->execute([':status' => $filterStatus]);
-    } else {
-        $stmt = $db->query($sql . " ORDER BY created_at DESC");
+    $result = lead_search($db, $filters);
+    $trips  = $result['rows'];
+    $page   = min($filters['page'], $result['pages']);
+
+    // Names of every must-see place on this page, looked up once
+    $mustSeeKeys = [];
+    foreach ($trips as $t) {
+        $mustSeeKeys = [...$mustSeeKeys, ...(json_decode($t['must_see'] ?? '[]', true) ?? [])];
     }
-    $trips = $stmt->fetchAll();
+    $mustSeePlaces = find_places($db, array_values(array_unique($mustSeeKeys)), includeDrafts: true);
 }
-?>
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Admin — Goa Tourism</title>
-    <style>
-        *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
-
-        :root {
-            --orange: #e8560a;
-            --dark:   #1a1a2e;
-            --card:   #ffffff;
-            --bg:     #f4f6fb;
-            --border: #e0e4ed;
-            --text:   #2d3748;
-            --muted:  #718096;
-            --green:  #38a169;
-            --yellow: #d69e2e;
-            --red:    #e53e3e;
-        }
-
-        body { font-family: 'Segoe UI', system-ui, sans-serif; background: var(--bg); color: var(--text); min-height: 100vh; }
-
-        /* ── Login screen ── */
-        .login-wrap { display: flex; align-items: center; justify-content: center; min-height: 100vh; padding: 1rem; }
-        .login-card { background: var(--card); border-radius: 12px; padding: 2.5rem; width: 100%; max-width: 400px; box-shadow: 0 4px 24px rgba(0,0,0,.1); }
-        .login-logo { font-size: 2rem; text-align: center; margin-bottom: .5rem; }
-        .login-card h1 { text-align: center; font-size: 1.4rem; margin-bottom: .25rem; }
-        .login-card p  { text-align: center; color: var(--muted); font-size: .9rem; margin-bottom: 1.5rem; }
-
-        .form-group { margin-bottom: 1rem; }
-        label { display: block; font-size: .85rem; font-weight: 600; margin-bottom: .35rem; }
-        input[type="text"], input[type="password"] {
-            width: 100%; padding: .65rem .9rem; border: 1px solid var(--border);
-            border-radius: 8px; font-size: .95rem; outline: none; transition: border-color .2s;
-        }
-        input:focus { border-color: var(--orange); }
-        .btn { display: inline-block; padding: .65rem 1.4rem; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; font-size: .95rem; transition: opacity .2s; }
-        .btn-primary { background: var(--orange); color: #fff; width: 100%; }
-        .btn-primary:hover { opacity: .88; }
-        .btn-sm { padding: .35rem .8rem; font-size: .8rem; }
-        .btn-green  { background: var(--green);  color: #fff; }
-        .btn-danger { background: var(--red);    color: #fff; }
-        .error-msg { background: #fff5f5; border: 1px solid #fed7d7; color: var(--red); border-radius: 8px; padding: .7rem 1rem; margin-bottom: 1rem; font-size: .9rem; }
-
-        /* ── Dashboard ── */
-        .topbar { background: var(--dark); color: #fff; padding: .9rem 1.5rem; display: flex; align-items: center; justify-content: space-between; }
-        .topbar-brand { font-size: 1.1rem; font-weight: 700; display: flex; align-items: center; gap: .5rem; }
-        .topbar a { color: #fff; text-decoration: none; font-size: .85rem; opacity: .8; }
-        .topbar a:hover { opacity: 1; }
-
-        .container { max-width: 1200px; margin: 0 auto; padding: 1.5rem; }
-
-        .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px,1fr)); gap: 1rem; margin-bottom: 2rem; }
-        .stat-card  { background: var(--card); border-radius: 10px; padding: 1.2rem; text-align: center; border: 1px solid var(--border); }
-        .stat-card .num { font-size: 2rem; font-weight: 700; color: var(--orange); }
-        .stat-card .lbl { font-size: .8rem; color: var(--muted); margin-top: .2rem; }
-
-        .section-header { display: flex; align-items: center; justify-content: space-between; margin-bottom: 1rem; flex-wrap: wrap; gap: .5rem; }
-        .section-header h2 { font-size: 1.2rem; }
-
-        .filter-tabs { display: flex; gap: .4rem; }
-        .filter-tab { padding: .3rem .8rem; border-radius: 20px; border: 1px solid var(--border); background: transparent; cursor: pointer; font-size: .82rem; transition: all .15s; }
-        .filter-tab.active, .filter-tab:hover { background: var(--orange); color: #fff; border-color: var(--orange); }
 
-        table { width: 100%; border-collapse: collapse; background: var(--card); border-radius: 10px; overflow: hidden; border: 1px solid var(--border); font-size: .88rem; }
-        th { background: #f7f9fc; font-weight: 600; padding: .75rem 1rem; text-align: left; color: var(--muted); font-size: .8rem; text-transform: uppercase; letter-spacing: .04em; border-bottom: 1px solid var(--border); }
-        td { padding: .7rem 1rem; border-bottom: 1px solid var(--border); vertical-align: top; }
-        tr:last-child td { border-bottom: none; }
-        tr:hover td { background: #fafbff; }
-
-        .badge { display: inline-block; padding: .2rem .6rem; border-radius: 20px; font-size: .75rem; font-weight: 600; }
-        .badge-pending  { background: #fef3c7; color: #92400e; }
-        .badge-reviewed { background: #d1fae5; color: #065f46; }
-
-        .interests-list { display: flex; flex-wrap: wrap; gap: .3rem; }
-        .interest-chip  { background: #e8f0fe; color: #1a56db; border-radius: 4px; padding: .15rem .45rem; font-size: .75rem; }
-
-        .empty-state { text-align: center; padding: 3rem; color: var(--muted); }
-        .empty-state svg { opacity: .3; margin-bottom: 1rem; }
+// Header link that sorts by $column, flipping the direction when it already does
+function sort_link(array $filters, string $column, string $label): string {
+    $current = $filters['sort'] === $column;
+    $dir     = $current && $filters['dir'] === 'desc' ? 'asc' : 'desc';
+    $arrow   = $current ? ($filters['dir'] === 'asc' ? ' ▲' : ' ▼') : '';
+    return '<a class="sort-link" href="' . htmlspecialchars(lead_query_string($filters, ['sort' => $column, 'dir' => $dir, 'page' => 1])) . '">'
+         . $label . $arrow . '</a>';
+}
 
-        @media (max-width: 768px) {
-            table, thead, tbody, th, td, tr { display: block; }
-            thead { display: none; }
-            td { border: none; padding: .4rem 1rem; }
-            td::before { content: attr(data-label) ': '; font-weight: 600; color: var(--muted); }
-            tr { border-bottom: 1px solid var(--border); padding: .5rem 0; }
-        }
-    </style>
-</head>
-<body>
+admin_page_start($isLoggedIn ? 'Trip Requests' : 'Sign in', 'trips');
+?>
 
 <?php if (!$isLoggedIn): ?>
 <!-- ════════════════════ LOGIN ════════════════════ -->
@@ -209,35 +116,60 @@ if ($isLoggedIn) {
 
 <?php else: ?>
 <!-- ════════════════════ DASHBOARD ════════════════════ -->
-<div class="topbar">
-    <div class="topbar-brand">🏖️ Goa Tourism Admin</div>
-    <div style="display:flex;gap:1.2rem;align-items:center;">
-        <span style="font-size:.85rem;opacity:.7">Logged in as <strong><?= htmlspecialchars($_SESSION['admin_user']) ?></strong></span>
-        <a href="index.php?action=logout">Sign out</a>
-    </div>
-</div>
-
 <div class="container">
     <!-- Stats -->
     <div class="stats-grid">
         <div class="stat-card"><div class="num"><?= $stats['total'] ?></div><div class="lbl">Total Requests</div></div>
-        <div class="stat-card"><div class="num"><?= $stats['pending'] ?></div><div class="lbl">Pending</div></div>
-        <div class="stat-card"><div class="num"><?= $stats['reviewed'] ?></div><div class="lbl">Reviewed</div></div>
+        <?php foreach (LEAD_STATUSES as $status => $label): ?>
+            <a class="stat-card" href="<?= htmlspecialchars(lead_query_string(lead_filters([]), ['status' => $status])) ?>"><div class="num"><?= $stats[$status] ?></div><div class="lbl"><?= $label ?></div></a>
+        <?php endforeach; ?>
         <div class="stat-card"><div class="num"><?= $stats['today'] ?></div><div class="lbl">Today</div></div>
     </div>
 
     <!-- Trip Requests Table -->
     <div class="section-header">
-        <h2>Trip Requests</h2>
+        <h2>Trip Requests <span class="place-sub"><?= $result['total'] ?> found</span></h2>
         <div class="filter-tabs">
-            <?php foreach (['all','pending','reviewed'] as $s): ?>
-                <a href="?status=<?= $s ?>" style="text-decoration:none">
-                    <button class="filter-tab <?= $filterStatus === $s ? 'active' : '' ?>"><?= ucfirst($s) ?></button>
-                </a>
+            <?php foreach (['' => 'All', ...LEAD_STATUSES] as $status => $label): ?>
+                <a href="<?= htmlspecialchars(lead_query_string($filters, ['status' => $status, 'page' => 1])) ?>" class="filter-tab<?= $filters['status'] === $status ? ' active' : '' ?>"><?= $label ?></a>
             <?php endforeach; ?>
         </div>
     </div>
 
+    <form class="lead-filters" method="GET" action="index.php" role="search">
+        <input type="hidden" name="status" value="<?= $filters['status'] ?>">
+        <input type="hidden" name="sort" value="<?= $filters['sort'] ?>">
+        <input type="hidden" name="dir" value="<?= $filters['dir'] ?>">
+        <label>Email
+            <input type="search" name="q" value="<?= htmlspecialchars($filters['q']) ?>" placeholder="name@example.com">
+        </label>
+        <label>Staying from
+            <input type="date" name="from" value="<?= $filters['from'] ?>">
+        </label>
+        <label>to
+            <input type="date" name="to" value="<?= $filters['to'] ?>">
+        </label>
+        <label>Interest
+            <select name="interest">
+                <option value="">Any</option>
+                <?php foreach (TRIP_SCHEMA['interests']['options'] as $interest): ?>
+                    <option value="<?= $interest ?>"<?= $filters['interest'] === $interest ? ' selected' : '' ?>><?= ucfirst($interest) ?></option>
+                <?php endforeach; ?>
+            </select>
+        </label>
+        <label>Agent
+            <select name="agent">
+                <option value="">Anyone</option>
+                <option value="none"<?= $filters['agent'] === 'none' ? ' selected' : '' ?>>Unassigned</option>
+                <?php foreach (LEAD_AGENTS as $key => $agent): ?>
+                    <option value="<?= $key ?>"<?= $filters['agent'] === $key ? ' selected' : '' ?>><?= htmlspecialchars($agent['name']) ?></option>
+                <?php endforeach; ?>
+            </select>
+        </label>
+        <button type="submit" class="btn btn-sm btn-new">Search</button>
+        <a href="index.php" class="btn btn-sm btn-plain">Clear</a>
+    </form>
+
     <?php if (empty($trips)): ?>
         <div class="empty-state">
             <svg width="48" height="48" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path d="M20 13c0 5-3.5 7.5-7.66 8.95a1 1 0 01-.67-.01C7.5 20.5 4 18 4 13V6a1 1 0 011-.96l7-2.95a1 1 0 01.67 0l7 2.95A1 1 0 0120 6z"/></svg>
@@ -248,23 +180,32 @@ if ($isLoggedIn) {
             <thead>
                 <tr>
                     <th>#</th>
-                    <th>Email</th>
-                    <th>Dates</th>
+                    <th><?= sort_link($filters, 'email', 'Email') ?></th>
+                    <th><?= sort_link($filters, 'checkin', 'Dates') ?></th>
                     <th>Travelers</th>
                     <th>Interests</th>
-                    <th>Special Requests</th>
-                    <th>Status</th>
-                    <th>Submitted</th>
+                    <th><?= sort_link($filters, 'status', 'Status') ?></th>
+                    <th>Agent</th>
+                    <th><?= sort_link($filters, 'submitted', 'Submitted') ?></th>
                     <th>Action</th>
                 </tr>
             </thead>
             <tbody>
             <?php foreach ($trips as $t):
                 $interests = json_decode($t['interests'], true) ?? [];
+                $mustSee   = json_decode($t['must_see'] ?? '[]', true) ?? [];
             ?>
                 <tr>
                     <td data-label="ID"><?= $t['id'] ?></td>
-                    <td data-label="Email"><?= htmlspecialchars($t['email']) ?></td>
+                    <td data-label="Email">
+                        <a href="trip.php?id=<?= $t['id'] ?>"><?= htmlspecialchars($t['email']) ?></a>
+                        <?php if ($t['changed_by_traveller']): ?>
+                            <span class="badge badge-changed" title="The traveller changed this trip after the team last worked on it">Changed by traveller</span>
+                        <?php endif; ?>
+                        <?php if ($t['mail_failed']): ?>
+                            <span class="badge badge-mail-failed" title="An email about this request could not be sent; retry it on the request's page">Email failed</span>
+                        <?php endif; ?>
+                    </td>
                     <td data-label="Dates">
                         <?= htmlspecialchars($t['checkin_date']) ?> →<br>
                         <?= htmlspecialchars($t['checkout_date']) ?>
@@ -275,30 +216,39 @@ if ($isLoggedIn) {
                             <?php foreach ($interests as $i): ?>
                                 <span class="interest-chip"><?= htmlspecialchars($i) ?></span>
                             <?php endforeach; ?>
+                            <?php foreach ($mustSee as $key): ?>
+                                <span class="must-see-chip" title="Must-see">★ <?= htmlspecialchars($mustSeePlaces[$key]['name'] ?? $key) ?></span>
+                            <?php endforeach; ?>
                         </div>
                     </td>
-                    <td data-label="Special Requests"><?= htmlspecialchars($t['special_requests'] ?: '—') ?></td>
                     <td data-label="Status">
-                        <span class="badge badge-<?= $t['status'] ?>"><?= ucfirst($t['status']) ?></span>
+                        <span class="badge badge-<?= htmlspecialchars($t['status']) ?>"><?= htmlspecialchars(LEAD_STATUSES[$t['status']] ?? ucfirst($t['status'])) ?></span>
                     </td>
+                    <td data-label="Agent"><?= htmlspecialchars(lead_agent_name($t['assigned_to'])) ?></td>
                     <td data-label="Submitted"><?= htmlspecialchars(substr($t['created_at'], 0, 16)) ?></td>
                     <td data-label="Action">
-                        <?php if ($t['status'] === 'pending'): ?>
-                            <form method="POST" action="index.php?action=mark_reviewed" style="display:inline">
-                                <input type="hidden" name="id" value="<?= $t['id'] ?>">
-                                <button type="submit" class="btn btn-sm btn-green">✓ Mark Reviewed</button>
-                            </form>
-                        <?php else: ?>
-                            <span style="color:var(--muted);font-size:.8rem">Done</span>
+                        <a href="trip.php?id=<?= $t['id'] ?>" class="btn btn-sm btn-new">Open</a>
+                        <?php if (!empty($t['access_token'])): ?>
+                            <a href="../plan.html?trip=<?= urlencode($t['access_token']) ?>" class="btn btn-sm btn-outline" target="_blank" rel="noopener" title="Open the traveller's private plan link to view or change it">Open plan ↗</a>
+                            <a href="../api/trip/<?= urlencode($t['access_token']) ?>/print" class="btn btn-sm btn-outline" target="_blank" rel="noopener">Print ↗</a>
+                            <a href="../api/trip/<?= urlencode($t['access_token']) ?>/calendar.ics" class="btn btn-sm btn-outline">.ics</a>
                         <?php endif; ?>
                     </td>
                 </tr>
             <?php endforeach; ?>
             </tbody>
         </table>
+
+        <nav class="pagination" aria-label="Pages">
+            <span>Showing <?= ($page - 1) * LEAD_PAGE_SIZE + 1 ?>–<?= ($page - 1) * LEAD_PAGE_SIZE + count($trips) ?> of <?= $result['total'] ?></span>
+            <?php if ($page > 1): ?>
+                <a class="btn btn-sm btn-plain" href="<?= htmlspecialchars(lead_query_string($filters, ['page' => $page - 1])) ?>" rel="prev">← Previous</a>
+            <?php endif; ?>
+            <?php if ($page < $result['pages']): ?>
+                <a class="btn btn-sm btn-plain" href="<?= htmlspecialchars(lead_query_string($filters, ['page' => $page + 1])) ?>" rel="next">Next →</a>
+            <?php endif; ?>
+        </nav>
     <?php endif; ?>
 </div>
 <?php endif; ?>
-
-</body>
-</html>
+<?php admin_page_end(); ?>
@@ -0,0 +1,68 @@
+<?php
+/**
+ * admin/layout.php
+ * Page shell shared by the admin pages: <head>, top bar and navigation.
+ */
+
+require_once __DIR__ . '/../includes/admin_auth.php';
+
+// Top bar links; the key is matched against the page's $active argument
+const ADMIN_NAV = [
+    'trips'       => ['href' => 'index.php',                  'label' => 'Trip Requests'],
+    'attractions' => ['href' => 'places.php?type=attraction', 'label' => 'Attractions'],
+    'beaches'     => ['href' => 'places.php?type=beach',      'label' => 'Beaches'],
+    'reviews'     => ['href' => 'reviews.php',                'label' => 'Reviews'],
+    'analytics'   => ['href' => 'analytics.php',              'label' => 'Analytics'],
+    'data'        => ['href' => 'data.php',                   'label' => 'Import & export'],
+];
+
+// Sends signed-out visitors to the login screen
+function admin_require_login(): void {
+    admin_session_start();
+    if (!is_admin()) {
+        header('Location: index.php');
+        exit;
+    }
+}
+
+// Hidden field for the admin pages' own POST forms; check it with admin_post_is_valid()
+function admin_csrf_field(): string {
+    return '<input type="hidden" name="csrf_token" value="' . htmlspecialchars(csrf_generate()) . '">';
+}
+
+function admin_post_is_valid(): bool {
+    return csrf_validate($_POST['csrf_token'] ?? '');
+}
+
+/** Opens the page; the top bar is shown once an admin is signed in. */
+function admin_page_start(string $title, ?string $active = null): void {
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title><?= htmlspecialchars($title) ?> — Goa Tourism Admin</title>
+    <link rel="stylesheet" href="admin.css">
+</head>
+<body>
+<?php if (is_admin()): ?>
+<div class="topbar">
+    <div class="topbar-brand">🏖️ Goa Tourism Admin</div>
+    <nav class="topbar-nav" aria-label="Admin sections">
+        <?php foreach (ADMIN_NAV as $key => $link): ?>
+            <a href="<?= htmlspecialchars($link['href']) ?>"<?= $key === $active ? ' class="active" aria-current="page"' : '' ?>><?= htmlspecialchars($link['label']) ?></a>
+        <?php endforeach; ?>
+    </nav>
+    <div style="display:flex;gap:1.2rem;align-items:center;">
+        <span style="font-size:.85rem;opacity:.7">Logged in as <strong><?= htmlspecialchars($_SESSION['admin_user']) ?></strong></span>
+        <a href="index.php?action=logout">Sign out</a>
+    </div>
+</div>
+<?php endif; ?>
+<?php
+}
+
+function admin_page_end(): void {
+    echo "\n</body>\n</html>\n";
+}
@@ -0,0 +1,417 @@
+/**
+ * admin/places.js — the attractions / beaches editor in admin/places.php
+ *
+ * Talks to /api/admin/{attractions|beaches} (see api/handlers/admin_places.php)
+ * with the admin session cookie; writes carry a CSRF token from /api/csrf-token.
+ * The server validates everything again, so the checks here are only for
+ * quicker feedback.
+ */
+
+const PlaceAdmin = {
+    config: null,
+    places: [],
+    filter: 'all',
+    search: '',
+    editing: null,          // the place open in the form, null for a new one
+    chips: {},              // column → values, for the tags / activities inputs
+    csrf: { token: null, expiresAt: 0 },
+
+    init() {
+        this.config = JSON.parse(document.getElementById('place-config').textContent);
+        this.dialog = document.getElementById('place-dialog');
+        this.form   = document.getElementById('place-form');
+
+        document.getElementById('place-new').addEventListener('click', () => this.openForm(null));
+        document.getElementById('place-search').addEventListener('input', (event) => {
+            this.search = event.target.value.trim().toLowerCase();
+            this.renderRows();
+        });
+        document.querySelectorAll('[data-filter]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.filter = button.dataset.filter;
+                document.querySelectorAll('[data-filter]').forEach(b => b.classList.toggle('active', b === button));
+                this.renderRows();
+            });
+        });
+
+        document.getElementById('place-rows').addEventListener('click', (event) => this.handleRowAction(event));
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+        this.dialog.querySelectorAll('[data-close]').forEach(button => {
+            button.addEventListener('click', () => this.dialog.close());
+        });
+
+        this.initChipInputs();
+        this.initImageField();
+        this.load();
+    },
+
+    // ── API ──────────────────────────────────────────────────────────────────
+
+    /**
+     * Resolves to the JSON body plus `status`; never throws. A lapsed session
+     * sends the admin back to the login screen.
+     */
+    async request(path, { method = 'GET', body = null, formData = null } = {}) {
+        const headers = {};
+        if (method !== 'GET') {
+            const token = await this.getCsrfToken();
+            if (!token) return { success: false, status: 0, error: 'Could not reach the server. Check your connection.' };
+            headers['X-CSRF-Token'] = token;
+        }
+        if (body !== null) headers['Content-Type'] = 'application/json';
+
+        let response;
+        try {
+            response = await fetch(`${this.config.apiBase}/${path}`, {
+                method,
+                headers,
+                credentials: 'same-origin',
+                body: formData || (body !== null ? JSON.stringify(body) : undefined)
+            });
+        } catch (error) {
+            return { success: false, status: 0, error: 'Could not reach the server. Check your connection.' };
+        }
+
+        if (response.status === 401) {
+            window.location.href = 'index.php';
+        }
+        if (response.status === 403) this.csrf.token = null;
+
+        const data = await response.json().catch(() => ({}));
+        return { success: response.ok, ...data, status: response.status, error: data.error || (response.ok ? null : `Request failed (HTTP ${response.status}).`) };
+    },
+
+    // Tokens last an hour on the server; fetch a new one well before that
+    async getCsrfToken() {
+        if (this.csrf.token && Date.now() < this.csrf.expiresAt) return this.csrf.token;
+        try {
+            const data = await fetch(`${this.config.apiBase}/csrf-token`).then(response => response.json());
+            this.csrf = { token: data.token, expiresAt: Date.now() + 50 * 60 * 1000 };
+            return data.token;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    async load() {
+        const result = await this.request(`admin/${this.config.collection}`);
+        if (!result.success) {
+            this.notify(result.error, true);
+            return;
+        }
+        this.places = result.places;
+        this.renderRows();
+        this.updateSuggestions();
+    },
+
+    // ── List ─────────────────────────────────────────────────────────────────
+
+    renderRows() {
+        const tbody = document.getElementById('place-rows');
+        const shown = this.places.filter(place =>
+            (this.filter === 'all' || (this.filter === 'published') === place.published)
+            && (!this.search || place.name.toLowerCase().includes(this.search)));
+
+        const drafts = this.places.filter(place => !place.published).length;
+        document.getElementById('place-count').textContent =
+            `${this.places.length} in all${drafts ? `, ${drafts} unpublished` : ''}`;
+
+        tbody.replaceChildren(...shown.map(place => this.renderRow(place)));
+        if (!shown.length) {
+            tbody.append(this.el('tr', {}, this.el('td', { colspan: 6, className: 'empty-state' },
+                this.places.length ? 'Nothing matches this filter.' : `No ${this.config.collection} yet.`)));
+        }
+    },
+
+    renderRow(place) {
+        const summary = this.config.type === 'beach'
+            ? this.el('div', { className: 'interests-list' }, ...place.tags.map(tag => this.el('span', { className: 'interest-chip' }, tag)))
+            : this.el('span', {}, place.category);
+
+        const sub = this.config.type === 'beach' ? place.region.replace('-', ' ') : place.location;
+
+        return this.el('tr', { dataset: { id: place.id } },
+            this.el('td', { dataset: { label: 'Image' } },
+                place.image ? this.el('img', { className: 'place-thumb', src: `../${place.image}`, alt: '', loading: 'lazy' }) : '—'),
+            this.el('td', { dataset: { label: 'Name' } },
+                this.el('div', { className: 'place-name' }, place.name),
+                this.el('div', { className: 'place-sub' }, sub)),
+            this.el('td', { dataset: { label: this.config.type === 'beach' ? 'Tags' : 'Category' } }, summary),
+            this.el('td', { dataset: { label: 'Status' } },
+                this.el('span', { className: `badge badge-${place.published ? 'published' : 'draft'}` }, place.published ? 'Published' : 'Draft')),
+            this.el('td', { dataset: { label: 'Updated' } }, (place.updated_at || place.created_at || '').slice(0, 16)),
+            this.el('td', { dataset: { label: 'Action' } },
+                this.el('div', { className: 'place-actions' },
+                    this.el('button', { type: 'button', className: 'btn btn-sm btn-outline', dataset: { action: 'edit' } }, 'Edit'),
+                    this.el('button', { type: 'button', className: 'btn btn-sm btn-outline', dataset: { action: 'publish' } }, place.published ? 'Unpublish' : 'Publish'),
+                    this.el('button', { type: 'button', className: 'btn btn-sm btn-danger', dataset: { action: 'delete' } }, 'Delete')))
+        );
+    },
+
+    async handleRowAction(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        const place = this.places.find(p => p.id === Number(button.closest('tr').dataset.id));
+        if (!place) return;
+
+        if (button.dataset.action === 'edit') {
+            this.openForm(place);
+            return;
+        }
+
+        button.disabled = true;
+        if (button.dataset.action === 'publish') {
+            const result = await this.request(`admin/${this.config.collection}/${place.id}`, {
+                method: 'PUT',
+                body: { ...this.editableFields(place), published: !place.published }
+            });
+            if (result.success) {
+                this.replacePlace(result.place);
+                this.notify(`“${place.name}” is ${result.place.published ? 'now live on the site' : 'hidden from the site'}.`);
+            } else {
+                // An old row may fail today's rules; fixing it needs the form
+                this.notify(`${result.error} ${Object.values(result.fieldErrors || {}).join(' ')}`, true);
+            }
+        }
+
+        if (button.dataset.action === 'delete') {
+            if (window.confirm(`Delete “${place.name}”? This can't be undone.`)) {
+                const result = await this.request(`admin/${this.config.collection}/${place.id}`, { method: 'DELETE' });
+                if (result.success) {
+                    this.places = this.places.filter(p => p.id !== place.id);
+                    this.renderRows();
+                    this.notify(`“${place.name}” was deleted.`);
+                } else {
+                    this.notify(result.error, true);
+                }
+            }
+        }
+        button.disabled = false;
+    },
+
+    replacePlace(place) {
+        const index = this.places.findIndex(p => p.id === place.id);
+        if (index === -1) this.places.push(place);
+        else this.places[index] = place;
+        this.places.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+        this.renderRows();
+        this.updateSuggestions();
+    },
+
+    // Just the columns the API accepts
+    editableFields(place) {
+        return Object.fromEntries(Object.keys(this.config.schema).map(column => [column, place[column] ?? null]));
+    },
+
+    notify(message, isError = false) {
+        const notice = document.getElementById('place-notice');
+        notice.replaceChildren(this.el('div', { className: `notice${isError ? ' is-error' : ''}` }, message));
+    },
+
+    // ── Form ─────────────────────────────────────────────────────────────────
+
+    openForm(place) {
+        this.editing = place;
+        this.form.reset();
+        this.clearErrors();
+        document.getElementById('place-dialog-title').textContent = place ? `Edit “${place.name}”` : `New ${this.config.type}`;
+
+        const values = place ? this.editableFields(place) : { published: false };
+        for (const [column, rule] of Object.entries(this.config.schema)) {
+            const value = values[column];
+            if (rule.type === 'labels') {
+                this.chips[column] = [...(value || [])];
+                this.renderChips(column);
+            } else if (rule.type === 'days') {
+                this.form.querySelectorAll(`[name="${column}"]`).forEach(box => { box.checked = (value || []).includes(box.value); });
+            } else if (rule.type === 'bool') {
+                this.form.elements[column].checked = Boolean(value);
+            } else {
+                this.form.elements[column].value = value ?? '';
+            }
+        }
+        this.updateImagePreview();
+        this.dialog.showModal();
+        document.getElementById('field-name').focus();
+    },
+
+    collectForm() {
+        const body = {};
+        for (const [column, rule] of Object.entries(this.config.schema)) {
+            if (rule.type === 'labels') {
+                // Text typed but not yet turned into a chip still counts
+                this.addChip(column, document.getElementById(`field-${column}`).value);
+                body[column] = this.chips[column];
+            } else if (rule.type === 'days') {
+                body[column] = [...this.form.querySelectorAll(`[name="${column}"]:checked`)].map(box => box.value);
+            } else if (rule.type === 'bool') {
+                body[column] = this.form.elements[column].checked;
+            } else {
+                body[column] = this.form.elements[column].value.trim();
+            }
+        }
+        return body;
+    },
+
+    async save() {
+        this.clearErrors();
+        const body = this.collectForm();
+        const saveButton = document.getElementById('place-save');
+        saveButton.disabled = true;
+
+        const result = this.editing
+            ? await this.request(`admin/${this.config.collection}/${this.editing.id}`, { method: 'PUT', body })
+            : await this.request(`admin/${this.config.collection}`, { method: 'POST', body });
+        saveButton.disabled = false;
+
+        if (!result.success) {
+            this.showErrors(result.error, result.fieldErrors || {});
+            return;
+        }
+
+        this.replacePlace(result.place);
+        this.dialog.close();
+        this.notify(`“${result.place.name}” was saved${result.place.published ? ' and is live on the site' : ' as a draft'}.`);
+    },
+
+    showErrors(message, fieldErrors) {
+        const summary = document.getElementById('place-form-error');
+        summary.textContent = message;
+        summary.hidden = false;
+
+        for (const [column, error] of Object.entries(fieldErrors)) {
+            document.getElementById(`error-${column}`).textContent = error;
+            document.getElementById(`field-${column}`)?.classList.add('is-invalid');
+        }
+        const first = Object.keys(fieldErrors)[0];
+        (document.getElementById(`field-${first}`) || summary).focus?.();
+    },
+
+    clearErrors() {
+        document.getElementById('place-form-error').hidden = true;
+        this.form.querySelectorAll('.field-error').forEach(error => { error.textContent = ''; });
+        this.form.querySelectorAll('.is-invalid').forEach(field => field.classList.remove('is-invalid'));
+    },
+
+    // ── Tags / activities ────────────────────────────────────────────────────
+
+    initChipInputs() {
+        this.form.querySelectorAll('[data-chips]').forEach(box => {
+            const column = box.dataset.chips;
+            const input  = box.querySelector('input');
+            this.chips[column] = [];
+
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ',') {
+                    event.preventDefault();
+                    this.addChip(column, input.value);
+                } else if (event.key === 'Backspace' && input.value === '' && this.chips[column].length) {
+                    this.chips[column].pop();
+                    this.renderChips(column);
+                }
+            });
+            // Picking a suggestion from the datalist
+            input.addEventListener('change', () => this.addChip(column, input.value));
+
+            box.addEventListener('click', (event) => {
+                const remove = event.target.closest('[data-remove]');
+                if (!remove) return;
+                this.chips[column] = this.chips[column].filter(value => value !== remove.dataset.remove);
+                this.renderChips(column);
+                input.focus();
+            });
+        });
+    },
+
+    addChip(column, raw) {
+        const input = document.getElementById(`field-${column}`);
+        raw.split(',').map(value => value.trim()).filter(Boolean).forEach(value => {
+            const exists = this.chips[column].some(chip => chip.toLowerCase() === value.toLowerCase());
+            if (!exists) this.chips[column].push(value);
+        });
+        input.value = '';
+        this.renderChips(column);
+    },
+
+    renderChips(column) {
+        const box = this.form.querySelector(`[data-chips="${column}"]`);
+        box.querySelectorAll('.chip').forEach(chip => chip.remove());
+        const input = box.querySelector('input');
+        this.chips[column].forEach(value => {
+            box.insertBefore(this.el('span', { className: 'chip' }, value,
+                this.el('button', { type: 'button', dataset: { remove: value }, ariaLabel: `Remove ${value}` }, '×')), input);
+        });
+    },
+
+    // Every value already used on any place, so spellings stay consistent
+    updateSuggestions() {
+        for (const [column, rule] of Object.entries(this.config.schema)) {
+            if (rule.type !== 'labels') continue;
+            const values = [...new Set(this.places.flatMap(place => place[column] || []))].sort();
+            document.getElementById(`field-${column}-options`)
+                .replaceChildren(...values.map(value => this.el('option', { value })));
+        }
+    },
+
+    // ── Image ────────────────────────────────────────────────────────────────
+
+    initImageField() {
+        const path   = this.form.elements.image;
+        const upload = document.getElementById('image-upload');
+
+        path.addEventListener('input', () => this.updateImagePreview());
+        upload.addEventListener('change', async () => {
+            const file = upload.files[0];
+            if (!file) return;
+            const error = document.getElementById('error-image');
+            error.textContent = '';
+
+            if (!['image/png', 'image/jpeg', 'image/webp'].includes(file.type)) {
+                error.textContent = 'Only PNG, JPEG and WebP images can be uploaded.';
+            } else if (file.size > this.config.uploadMaxBytes) {
+                error.textContent = `Images must be ${(this.config.uploadMaxBytes / 1048576).toFixed(1)} MB or smaller.`;
+            } else {
+                const formData = new FormData();
+                formData.append('image', file);
+                upload.disabled = true;
+                const result = await this.request('admin/uploads', { method: 'POST', formData });
+                upload.disabled = false;
+
+                if (result.success) {
+                    path.value = result.image;
+                    this.updateImagePreview();
+                } else {
+                    error.textContent = result.error;
+                }
+            }
+            upload.value = '';
+        });
+    },
+
+    updateImagePreview() {
+        const preview = document.getElementById('image-preview');
+        const value   = this.form.elements.image.value.trim();
+        preview.hidden = !value;
+        if (value) preview.src = `../${value}`;
+    },
+
+    // ── DOM ──────────────────────────────────────────────────────────────────
+
+    // el('td', { className: 'x', dataset: { id: 1 } }, 'text', childNode, …)
+    el(tag, props = {}, ...children) {
+        const node = document.createElement(tag);
+        for (const [key, value] of Object.entries(props)) {
+            if (key === 'dataset') Object.assign(node.dataset, value);
+            else if (key === 'ariaLabel') node.setAttribute('aria-label', value);
+            else if (key === 'colspan') node.setAttribute('colspan', value);
+            else node[key] = value;
+        }
+        node.append(...children);
+        return node;
+    }
+};
+
+document.addEventListener('DOMContentLoaded', () => PlaceAdmin.init());
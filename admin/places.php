@@ -0,0 +1,160 @@
+<?php
+/**
+ * admin/places.php?type=attraction|beach
+ * Lists every attraction or beach, drafts included, with a form to create,
+ * edit, publish and delete them. The form is built from PLACE_SCHEMAS;
+ * places.js does the rest through the /api/admin/* endpoints.
+ */
+
+require_once __DIR__ . '/../includes/place_admin.php';
+require_once __DIR__ . '/layout.php';
+
+admin_require_login();
+
+$type   = ($_GET['type'] ?? '') === 'beach' ? 'beach' : 'attraction';
+$schema = PLACE_SCHEMAS[$type];
+$plural = $type === 'beach' ? 'Beaches' : 'Attractions';
+
+// Long text gets a textarea, the rest one-line inputs
+$wideColumns = ['description', 'long_description', 'tags', 'activities', 'image', 'closed_days'];
+
+// For places.js: where the API is, what it checks, and the upload limit
+$config = [
+    'type'           => $type,
+    'collection'     => PLACE_TABLES[$type],
+    'apiBase'        => '../api',
+    'schema'         => $schema,
+    'uploadMaxBytes' => UPLOAD_MAX_BYTES,
+];
+
+admin_page_start($plural, PLACE_TABLES[$type]);
+?>
+<div class="container">
+    <div class="section-header">
+        <h2><?= $plural ?> <span class="place-sub" id="place-count"></span></h2>
+        <div class="toolbar">
+            <input type="search" id="place-search" placeholder="Filter by name…" aria-label="Filter <?= strtolower($plural) ?> by name">
+            <div class="filter-tabs" role="group" aria-label="Show">
+                <button type="button" class="filter-tab active" data-filter="all">All</button>
+                <button type="button" class="filter-tab" data-filter="published">Published</button>
+                <button type="button" class="filter-tab" data-filter="draft">Drafts</button>
+            </div>
+            <button type="button" class="btn btn-sm btn-new" id="place-new">+ New <?= $type ?></button>
+        </div>
+    </div>
+
+    <div id="place-notice" role="status"></div>
+
+    <table>
+        <thead>
+            <tr>
+                <th>Image</th>
+                <th>Name</th>
+                <th><?= $type === 'beach' ? 'Tags' : 'Category' ?></th>
+                <th>Status</th>
+                <th>Updated</th>
+                <th>Action</th>
+            </tr>
+        </thead>
+        <tbody id="place-rows">
+            <tr><td colspan="6" class="empty-state">Loading…</td></tr>
+        </tbody>
+    </table>
+</div>
+
+<dialog class="place-dialog" id="place-dialog" aria-labelledby="place-dialog-title">
+    <form id="place-form" novalidate>
+        <div class="dialog-header">
+            <h2 id="place-dialog-title">New <?= $type ?></h2>
+            <button type="button" class="dialog-close" data-close aria-label="Close">×</button>
+        </div>
+
+        <div class="dialog-body">
+            <div class="error-msg" id="place-form-error" hidden></div>
+            <div class="form-grid">
+            <?php foreach ($schema as $column => $rule):
+                $id    = "field-$column";
+                $attrs = (!empty($rule['required']) ? ' required' : '')
+                       . (isset($rule['maxLength']) && $rule['type'] === 'text' ? " maxlength=\"{$rule['maxLength']}\"" : '')
+                       . " aria-describedby=\"error-$column\"";
+            ?>
+                <div class="form-group<?= in_array($column, $wideColumns, true) ? ' span-2' : '' ?>">
+                <?php switch ($rule['type']):
+                    case 'bool': ?>
+                    <label class="check-label"><input type="checkbox" id="<?= $id ?>" name="<?= $column ?>"> <?= $rule['label'] ?></label>
+                    <?php break;
+
+                    case 'days': ?>
+                    <label><?= $rule['label'] ?></label>
+                    <div class="day-checks" id="<?= $id ?>">
+                        <?php foreach (PLACE_WEEKDAYS as $day): ?>
+                            <label class="check-label"><input type="checkbox" name="<?= $column ?>" value="<?= $day ?>"> <?= $day ?></label>
+                        <?php endforeach; ?>
+                    </div>
+                    <?php break;
+
+                    case 'labels': ?>
+                    <label for="<?= $id ?>"><?= $rule['label'] ?></label>
+                    <div class="chip-input" data-chips="<?= $column ?>">
+                        <input type="text" id="<?= $id ?>" list="<?= $id ?>-options" autocomplete="off" aria-describedby="error-<?= $column ?> help-<?= $column ?>">
+                        <datalist id="<?= $id ?>-options"></datalist>
+                    </div>
+                    <small class="field-help" id="help-<?= $column ?>">Press Enter or comma to add. Up to <?= $rule['maxItems'] ?>.</small>
+                    <?php break;
+
+                    case 'image': ?>
+                    <label for="<?= $id ?>"><?= $rule['label'] ?></label>
+                    <div class="image-field">
+                        <img class="image-preview" id="image-preview" alt="" hidden>
+                        <div class="image-field-inputs">
+                            <input type="text" id="<?= $id ?>" name="<?= $column ?>" placeholder="pictures/…" aria-describedby="error-<?= $column ?> help-<?= $column ?>">
+                            <input type="file" id="image-upload" accept="image/png,image/jpeg,image/webp" aria-label="Upload an image">
+                            <small class="field-help" id="help-<?= $column ?>">PNG, JPEG or WebP, up to <?= round(UPLOAD_MAX_BYTES / 1048576, 1) ?> MB. Uploads are saved in pictures/.</small>
+                        </div>
+                    </div>
+                    <?php break;
+
+                    case 'choice': ?>
+                    <label for="<?= $id ?>"><?= $rule['label'] ?></label>
+                    <select id="<?= $id ?>" name="<?= $column ?>"<?= $attrs ?>>
+                        <option value="">Choose…</option>
+                        <?php foreach ($rule['options'] as $option): ?>
+                            <option value="<?= $option ?>"><?= ucwords(str_replace('-', ' ', $option)) ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <?php break;
+
+                    case 'number': ?>
+                    <label for="<?= $id ?>"><?= $rule['label'] ?></label>
+                    <input type="number" id="<?= $id ?>" name="<?= $column ?>" step="any" min="<?= $rule['min'] ?>" max="<?= $rule['max'] ?>"<?= $attrs ?>>
+                    <?php break;
+
+                    case 'time': ?>
+                    <label for="<?= $id ?>"><?= $rule['label'] ?></label>
+                    <input type="time" id="<?= $id ?>" name="<?= $column ?>"<?= $attrs ?>>
+                    <?php break;
+
+                    default: ?>
+                    <label for="<?= $id ?>"><?= $rule['label'] ?></label>
+                    <?php if ($rule['maxLength'] > 120): ?>
+                        <textarea id="<?= $id ?>" name="<?= $column ?>" rows="<?= $rule['maxLength'] > 500 ? 6 : 3 ?>"<?= $attrs ?>></textarea>
+                    <?php else: ?>
+                        <input type="text" id="<?= $id ?>" name="<?= $column ?>"<?= $attrs ?>>
+                    <?php endif; ?>
+                <?php endswitch; ?>
+                    <small class="field-error" id="error-<?= $column ?>"></small>
+                </div>
+            <?php endforeach; ?>
+            </div>
+        </div>
+
+        <div class="dialog-footer">
+            <button type="button" class="btn btn-plain" data-close>Cancel</button>
+            <button type="submit" class="btn btn-primary" id="place-save">Save</button>
+        </div>
+    </form>
+</dialog>
+
+<script type="application/json" id="place-config"><?= json_encode($config, JSON_HEX_TAG | JSON_HEX_AMP) ?></script>
+<script src="places.js" defer></script>
+<?php admin_page_end(); ?>
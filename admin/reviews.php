@@ -0,0 +1,149 @@
+<?php
+/**
+ * admin/reviews.php?status=pending|approved|rejected
+ * The moderation queue for visitor reviews. Pending reviews are listed oldest
+ * first; approving one puts it on the place's page and into its rating,
+ * rejecting or deleting one takes it out again. Each form posts back here and
+ * redirects.
+ */
+
+require_once __DIR__ . '/../includes/reviews.php';
+require_once __DIR__ . '/layout.php';
+
+admin_require_login();
+
+$db      = get_db();
+$filters = review_filters($_GET);
+$error   = '';
+
+// Links back to this tab and page; status is kept even when '' (All)
+$queryString = fn(array $changes = []) => '?' . http_build_query([...$filters, ...$changes]);
+
+// ── Handle moderation POSTs ───────────────────────────────────────────────────
+if ($_SERVER['REQUEST_METHOD'] === 'POST') {
+    $id = (int)($_POST['id'] ?? 0);
+
+    if (!admin_post_is_valid()) {
+        $error = 'Your session has expired. Please try again.';
+    } else {
+        $error = match ($_POST['action'] ?? '') {
+            'approve' => review_moderate($db, $id, 'approved', $_SESSION['admin_user']),
+            'reject'  => review_moderate($db, $id, 'rejected', $_SESSION['admin_user']),
+            'delete'  => review_delete($db, $id),
+            default   => 'Unknown action.',
+        } ?? '';
+    }
+
+    if ($error === '') {
+        header('Location: reviews.php' . $queryString(['saved' => $_POST['action']]));
+        exit;
+    }
+}
+
+$counts  = review_status_counts($db);
+$result  = review_search($db, $filters);
+$reviews = $result['rows'];
+$page    = min($filters['page'], $result['pages']);
+
+$savedMessages = ['approve' => 'Review approved.', 'reject' => 'Review rejected.', 'delete' => 'Review deleted.'];
+
+admin_page_start('Reviews', 'reviews');
+?>
+<div class="container">
+    <?php if ($error): ?>
+        <div class="notice is-error" role="alert"><?= htmlspecialchars($error) ?></div>
+    <?php elseif (isset($savedMessages[$_GET['saved'] ?? ''])): ?>
+        <div class="notice" role="status"><?= $savedMessages[$_GET['saved']] ?></div>
+    <?php endif; ?>
+
+    <div class="section-header">
+        <h2>Reviews <span class="place-sub"><?= $result['total'] ?> found</span></h2>
+        <div class="filter-tabs">
+            <?php foreach ([...REVIEW_STATUSES, '' => 'All'] as $status => $label): ?>
+                <a href="<?= htmlspecialchars('?' . http_build_query(['status' => $status])) ?>" class="filter-tab<?= $filters['status'] === $status ? ' active' : '' ?>">
+                    <?= $label ?><?= $status !== '' ? ' (' . $counts[$status] . ')' : '' ?>
+                </a>
+            <?php endforeach; ?>
+        </div>
+    </div>
+
+    <?php if (!$reviews): ?>
+        <div class="empty-state">
+            <p><?= $filters['status'] === 'pending' ? 'No reviews are waiting to be checked.' : 'No reviews found.' ?></p>
+        </div>
+    <?php else: ?>
+        <table class="review-table">
+            <thead>
+                <tr>
+                    <th>Place</th>
+                    <th>Rating</th>
+                    <th>Review</th>
+                    <th>From</th>
+                    <th>Status</th>
+                    <th>Action</th>
+                </tr>
+            </thead>
+            <tbody>
+            <?php foreach ($reviews as $review):
+                $page_url = ($review['place_type'] === 'beach' ? 'beaches.html' : 'attractions.html') . '?id=' . (int)$review['place_id'];
+            ?>
+                <tr>
+                    <td data-label="Place">
+                        <?php if ($review['place_name'] !== null): ?>
+                            <a href="../<?= $page_url ?>" target="_blank" rel="noopener"><?= htmlspecialchars($review['place_name']) ?> ↗</a>
+                        <?php else: ?>
+                            <span class="place-sub">Deleted place</span>
+                        <?php endif; ?>
+                        <div class="place-sub"><?= $review['place_type'] === 'beach' ? 'Beach' : 'Attraction' ?></div>
+                    </td>
+                    <td data-label="Rating">
+                        <span class="review-stars" aria-label="<?= (int)$review['rating'] ?> out of 5"><?= str_repeat('★', (int)$review['rating']) . str_repeat('☆', 5 - (int)$review['rating']) ?></span>
+                    </td>
+                    <td data-label="Review" class="review-text">
+                        <?php if ($review['title'] !== null): ?>
+                            <strong><?= htmlspecialchars($review['title']) ?></strong>
+                        <?php endif; ?>
+                        <p><?= nl2br(htmlspecialchars($review['body'])) ?></p>
+                    </td>
+                    <td data-label="From">
+                        <?= htmlspecialchars($review['name']) ?><br>
+                        <span class="place-sub"><?= htmlspecialchars($review['email']) ?></span><br>
+                        <span class="place-sub"><?= htmlspecialchars(substr($review['created_at'], 0, 16)) ?> · <?= htmlspecialchars((string)$review['ip_address']) ?> · <?= htmlspecialchars((string)$review['locale']) ?></span>
+                    </td>
+                    <td data-label="Status">
+                        <span class="badge badge-review-<?= htmlspecialchars($review['status']) ?>"><?= htmlspecialchars(REVIEW_STATUSES[$review['status']] ?? ucfirst($review['status'])) ?></span>
+                        <?php if ($review['moderated_by']): ?>
+                            <div class="place-sub">by <?= htmlspecialchars($review['moderated_by']) ?>, <?= htmlspecialchars(substr($review['moderated_at'], 0, 16)) ?></div>
+                        <?php endif; ?>
+                    </td>
+                    <td data-label="Action">
+                        <form method="POST" action="reviews.php<?= htmlspecialchars($queryString()) ?>" class="review-actions">
+                            <?= admin_csrf_field() ?>
+                            <input type="hidden" name="id" value="<?= (int)$review['id'] ?>">
+                            <?php if ($review['status'] !== 'approved'): ?>
+                                <button type="submit" name="action" value="approve" class="btn btn-sm btn-green">Approve</button>
+                            <?php endif; ?>
+                            <?php if ($review['status'] !== 'rejected'): ?>
+                                <button type="submit" name="action" value="reject" class="btn btn-sm btn-plain">Reject</button>
+                            <?php endif; ?>
+                            <button type="submit" name="action" value="delete" class="btn btn-sm btn-danger"
+                                    onclick="return confirm('Delete this review for good?')">Delete</button>
+                        </form>
+                    </td>
+                </tr>
+            <?php endforeach; ?>
+            </tbody>
+        </table>
+
+        <nav class="pagination" aria-label="Pages">
+            <span>Showing <?= ($page - 1) * REVIEW_ADMIN_PAGE_SIZE + 1 ?>–<?= ($page - 1) * REVIEW_ADMIN_PAGE_SIZE + count($reviews) ?> of <?= $result['total'] ?></span>
+            <?php if ($page > 1): ?>
+                <a class="btn btn-sm btn-plain" href="<?= htmlspecialchars($queryString(['page' => $page - 1])) ?>" rel="prev">← Previous</a>
+            <?php endif; ?>
+            <?php if ($page < $result['pages']): ?>
+                <a class="btn btn-sm btn-plain" href="<?= htmlspecialchars($queryString(['page' => $page + 1])) ?>" rel="next">Next →</a>
+            <?php endif; ?>
+        </nav>
+    <?php endif; ?>
+</div>
+<?php admin_page_end(); ?>
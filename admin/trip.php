@@ -0,0 +1,309 @@
+<?php
+/**
+ * admin/trip.php?id=N
+ * One trip request: the traveller's details, the generated itinerary and
+ * estimate, the emails sent about it, and the sales workflow — status,
+ * assigned agent, internal notes — with the request's full history. Each
+ * form posts back here and redirects.
+ */
+
+require_once __DIR__ . '/../includes/leads.php';
+require_once __DIR__ . '/../includes/places.php';
+require_once __DIR__ . '/../includes/itinerary.php';
+require_once __DIR__ . '/../includes/mailer.php';
+require_once __DIR__ . '/layout.php';
+
+admin_require_login();
+
+$db    = get_db();
+$id    = (int)($_GET['id'] ?? 0);
+$lead  = $id > 0 ? find_lead($db, $id) : null;
+$error = '';
+
+// ── Handle workflow POSTs ─────────────────────────────────────────────────────
+if ($lead && $_SERVER['REQUEST_METHOD'] === 'POST') {
+    $actor = $_SESSION['admin_user'];
+
+    if (!admin_post_is_valid()) {
+        $error = 'Your session has expired. Please try again.';
+    } else {
+        $error = match ($_POST['action'] ?? '') {
+            'status' => lead_set_status($db, $lead, (string)($_POST['status'] ?? ''), $actor, trim((string)($_POST['note'] ?? ''))),
+            'assign' => lead_assign($db, $lead, (string)($_POST['agent'] ?? ''), $actor),
+            'note'   => lead_add_note($db, $lead, (string)($_POST['note'] ?? ''), $actor),
+            'mail'   => mail_retry($db, (int)($_POST['mail_id'] ?? 0), $id),
+            default  => 'Unknown action.',
+        } ?? '';
+    }
+
+    if ($error === '') {
+        header("Location: trip.php?id=$id&saved=1");
+        exit;
+    }
+}
+
+if (!$lead) {
+    http_response_code(404);
+} else {
+    $interests = json_decode($lead['interests'], true) ?? [];
+    $mustSee   = json_decode($lead['must_see'] ?? '[]', true) ?? [];
+    $itinerary = json_decode($lead['itinerary'] ?? 'null', true);
+    $estimate  = json_decode($lead['estimate'] ?? 'null', true);
+    $history   = lead_history($db, $id);
+    $emails    = mail_for_trip($db, $id);
+    $places    = find_places($db, $mustSee, includeDrafts: true);
+    $checkin   = new DateTime($lead['checkin_date']);
+}
+
+// One history entry as a sentence
+function lead_event_text(array $event): string {
+    $status = fn($value) => LEAD_STATUSES[$value] ?? (string)$value;
+
+    return match ($event['type']) {
+        'created'  => 'Submitted the trip request',
+        'updated'  => 'Changed the trip and its itinerary',
+        'status'   => 'Moved from ' . $status($event['old_value']) . ' to ' . $status($event['new_value']),
+        'assigned' => $event['new_value'] === null
+                        ? 'Unassigned ' . lead_agent_name($event['old_value'])
+                        : 'Assigned to ' . lead_agent_name($event['new_value']),
+        'note'     => 'Added a note',
+        default    => ucfirst($event['type']),
+    };
+}
+
+admin_page_start($lead ? "Trip request #$id" : 'Trip request not found', 'trips');
+?>
+<div class="container">
+    <p class="back-link"><a href="index.php">← All trip requests</a></p>
+
+<?php if (!$lead): ?>
+    <div class="empty-state">
+        <p>There is no trip request #<?= $id ?>. It may have been deleted.</p>
+    </div>
+<?php else: ?>
+    <div class="section-header">
+        <h2>
+            Trip request #<?= $id ?>
+            <span class="badge badge-<?= htmlspecialchars($lead['status']) ?>"><?= htmlspecialchars(LEAD_STATUSES[$lead['status']] ?? ucfirst($lead['status'])) ?></span>
+        </h2>
+        <?php if (!empty($lead['access_token'])): ?>
+            <div class="toolbar">
+                <a href="../plan.html?trip=<?= urlencode($lead['access_token']) ?>" class="btn btn-sm btn-outline" target="_blank" rel="noopener">Open plan ↗</a>
+                <a href="../api/trip/<?= urlencode($lead['access_token']) ?>/print" class="btn btn-sm btn-outline" target="_blank" rel="noopener">Print ↗</a>
+                <a href="../api/trip/<?= urlencode($lead['access_token']) ?>/calendar.ics" class="btn btn-sm btn-outline">.ics</a>
+            </div>
+        <?php endif; ?>
+    </div>
+
+    <?php if ($error): ?>
+        <div class="notice is-error" role="alert"><?= htmlspecialchars($error) ?></div>
+    <?php elseif (isset($_GET['saved'])): ?>
+        <div class="notice" role="status">Saved.</div>
+    <?php endif; ?>
+
+    <div class="lead-layout">
+        <div class="lead-main">
+            <!-- Traveller -->
+            <section class="panel">
+                <h3>Traveller</h3>
+                <dl class="lead-facts">
+                    <dt>Email</dt>     <dd><a href="mailto:<?= htmlspecialchars($lead['email']) ?>"><?= htmlspecialchars($lead['email']) ?></a></dd>
+                    <dt>Dates</dt>     <dd><?= htmlspecialchars($lead['checkin_date']) ?> → <?= htmlspecialchars($lead['checkout_date']) ?></dd>
+                    <dt>Travelers</dt> <dd><?= htmlspecialchars($lead['travelers']) ?></dd>
+                    <dt>Interests</dt>
+                    <dd>
+                        <div class="interests-list">
+                            <?php foreach ($interests as $i): ?>
+                                <span class="interest-chip"><?= htmlspecialchars($i) ?></span>
+                            <?php endforeach; ?>
+                        </div>
+                    </dd>
+                    <?php if ($mustSee): ?>
+                        <dt>Must-see</dt>
+                        <dd>
+                            <div class="interests-list">
+                                <?php foreach ($mustSee as $key): ?>
+                                    <span class="must-see-chip">★ <?= htmlspecialchars($places[$key]['name'] ?? $key) ?></span>
+                                <?php endforeach; ?>
+                            </div>
+                        </dd>
+                    <?php endif; ?>
+                    <?php if (!empty($lead['transport'])): ?>
+                        <dt>Transport</dt> <dd><?= htmlspecialchars(ucfirst($lead['transport'])) ?></dd>
+                    <?php endif; ?>
+                    <dt>Special requests</dt> <dd><?= nl2br(htmlspecialchars($lead['special_requests'] ?: '—')) ?></dd>
+                    <dt>Submitted</dt> <dd><?= htmlspecialchars(substr($lead['created_at'], 0, 16)) ?></dd>
+                    <?php if (!empty($lead['updated_at'])): ?>
+                        <dt>Last changed</dt> <dd><?= htmlspecialchars(substr($lead['updated_at'], 0, 16)) ?></dd>
+                    <?php endif; ?>
+                </dl>
+            </section>
+
+            <!-- Itinerary -->
+            <section class="panel">
+                <h3>Itinerary</h3>
+                <?php if (!$itinerary): ?>
+                    <p class="place-sub">No itinerary was generated for this request.</p>
+                <?php else: ?>
+                    <?php foreach ($itinerary['days'] as $day):
+                        $date = (clone $checkin)->modify('+' . ($day['day'] - 1) . ' days');
+                    ?>
+                        <div class="lead-day">
+                            <h4><?= htmlspecialchars($day['title']) ?> <span class="place-sub"><?= $date->format('D j M') ?></span></h4>
+                            <?php if (!empty($day['events'])): ?>
+                                <ul>
+                                    <?php foreach ($day['events'] as $event): ?>
+                                        <li><span class="lead-slot">Event</span> <?= htmlspecialchars($event['name']) ?> <span class="place-sub">· <?= htmlspecialchars($event['location']) ?></span></li>
+                                    <?php endforeach; ?>
+                                </ul>
+                            <?php endif; ?>
+                            <?php if (empty($day['activities'])): ?>
+                                <?php if (empty($day['events'])): ?>
+                                    <p class="place-sub">Free day</p>
+                                <?php endif; ?>
+                            <?php else: ?>
+                                <ul>
+                                    <?php foreach ($day['activities'] as $activity):
+                                        [$start, $end] = ITINERARY_SLOTS[$activity['slot']] ?? [$activity['start'], $activity['end']];
+                                    ?>
+                                        <li><span class="lead-slot"><?= htmlspecialchars("{$start}–{$end}") ?></span> <?= htmlspecialchars($activity['name']) ?></li>
+                                    <?php endforeach; ?>
+                                </ul>
+                            <?php endif; ?>
+                        </div>
+                    <?php endforeach; ?>
+                <?php endif; ?>
+
+                <?php if ($estimate): ?>
+                    <h4>Estimate</h4>
+                    <table class="lead-estimate">
+                        <thead><tr><th>Item</th><th>Per person</th><th>Group</th></tr></thead>
+                        <tbody>
+                            <?php foreach ($estimate['items'] as $item): ?>
+                                <tr><td><?= htmlspecialchars(ucfirst($item['key'])) ?></td><td><?= number_format($item['perPerson']) ?></td><td><?= number_format($item['group']) ?></td></tr>
+                            <?php endforeach; ?>
+                            <tr class="lead-estimate-total"><td>Total (<?= htmlspecialchars($estimate['currency']) ?>)</td><td><?= number_format($estimate['perPerson']) ?></td><td><?= number_format($estimate['group']) ?></td></tr>
+                            <?php if (!empty($estimate['package'])): ?>
+                                <tr><td>Package: <?= htmlspecialchars($estimate['package']['slug']) ?> (<?= (int)$estimate['package']['days'] ?> days)</td><td><?= number_format($estimate['package']['perPerson']) ?></td><td><?= number_format($estimate['package']['group']) ?></td></tr>
+                            <?php endif; ?>
+                        </tbody>
+                    </table>
+                <?php endif; ?>
+            </section>
+
+            <!-- Emails -->
+            <section class="panel">
+                <h3>Emails</h3>
+                <?php if (!$emails): ?>
+                    <p class="place-sub">No emails for this request.</p>
+                <?php else: ?>
+                    <table class="mail-log">
+                        <thead><tr><th>Email</th><th>Status</th><th>Sent</th><th></th></tr></thead>
+                        <tbody>
+                        <?php foreach ($emails as $mail): ?>
+                            <tr>
+                                <td data-label="Email">
+                                    <?= htmlspecialchars(MAIL_TEMPLATES[$mail['template']] ?? $mail['template']) ?><br>
+                                    <span class="place-sub">to <?= htmlspecialchars($mail['recipient']) ?></span>
+                                    <details>
+                                        <summary><?= htmlspecialchars($mail['subject']) ?></summary>
+                                        <pre class="mail-body"><?= htmlspecialchars($mail['body_text']) ?></pre>
+                                    </details>
+                                </td>
+                                <td data-label="Status">
+                                    <span class="badge badge-mail-<?= htmlspecialchars($mail['status']) ?>"><?= htmlspecialchars(ucfirst($mail['status'])) ?></span>
+                                    <?php if ($mail['last_error']): ?>
+                                        <div class="field-error">Attempt <?= (int)$mail['attempts'] ?>: <?= htmlspecialchars($mail['last_error']) ?></div>
+                                    <?php endif; ?>
+                                    <?php if ($mail['status'] === 'queued' && $mail['attempts'] > 0): ?>
+                                        <div class="place-sub">Next try <?= htmlspecialchars(substr($mail['next_attempt_at'], 0, 16)) ?></div>
+                                    <?php endif; ?>
+                                </td>
+                                <td data-label="Sent"><?= $mail['sent_at'] ? htmlspecialchars(substr($mail['sent_at'], 0, 16)) . ' via ' . htmlspecialchars($mail['transport']) : '—' ?></td>
+                                <td>
+                                    <?php if (in_array($mail['status'], ['sent', 'failed'], true)): ?>
+                                        <form method="POST" action="trip.php?id=<?= $id ?>">
+                                            <?= admin_csrf_field() ?>
+                                            <input type="hidden" name="action" value="mail">
+                                            <input type="hidden" name="mail_id" value="<?= (int)$mail['id'] ?>">
+                                            <button type="submit" class="btn btn-sm btn-plain"><?= $mail['status'] === 'failed' ? 'Retry' : 'Send again' ?></button>
+                                        </form>
+                                    <?php endif; ?>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                <?php endif; ?>
+            </section>
+        </div>
+
+        <aside class="lead-side">
+            <!-- Workflow -->
+            <section class="panel">
+                <h3>Status</h3>
+                <?php $next = LEAD_TRANSITIONS[$lead['status']] ?? array_keys(LEAD_STATUSES); ?>
+                <form method="POST" action="trip.php?id=<?= $id ?>" class="lead-form">
+                    <?= admin_csrf_field() ?>
+                    <input type="hidden" name="action" value="status">
+                    <label for="lead-status">Move to</label>
+                    <select id="lead-status" name="status" required>
+                        <?php foreach ($next as $status): ?>
+                            <option value="<?= $status ?>"><?= LEAD_STATUSES[$status] ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <label for="lead-status-note">Note (optional)</label>
+                    <textarea id="lead-status-note" name="note" rows="2" maxlength="2000" placeholder="e.g. Sent the quote by email"></textarea>
+                    <button type="submit" class="btn btn-sm btn-new">Update status</button>
+                </form>
+            </section>
+
+            <section class="panel">
+                <h3>Agent</h3>
+                <form method="POST" action="trip.php?id=<?= $id ?>" class="lead-form">
+                    <?= admin_csrf_field() ?>
+                    <input type="hidden" name="action" value="assign">
+                    <label for="lead-agent">Assigned to</label>
+                    <select id="lead-agent" name="agent">
+                        <option value="">Unassigned</option>
+                        <?php foreach (LEAD_AGENTS as $key => $agent): ?>
+                            <option value="<?= $key ?>"<?= $lead['assigned_to'] === $key ? ' selected' : '' ?>><?= htmlspecialchars($agent['name']) ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <button type="submit" class="btn btn-sm btn-new">Save</button>
+                </form>
+            </section>
+
+            <section class="panel">
+                <h3>Internal note</h3>
+                <form method="POST" action="trip.php?id=<?= $id ?>" class="lead-form">
+                    <?= admin_csrf_field() ?>
+                    <input type="hidden" name="action" value="note">
+                    <textarea id="lead-note" name="note" rows="3" maxlength="2000" required placeholder="Only the team sees this" aria-label="Note"></textarea>
+                    <button type="submit" class="btn btn-sm btn-new">Add note</button>
+                </form>
+            </section>
+
+            <!-- History -->
+            <section class="panel">
+                <h3>History</h3>
+                <ol class="timeline">
+                    <?php foreach (array_reverse($history) as $event): ?>
+                        <li class="timeline-item timeline-<?= htmlspecialchars($event['type']) ?>">
+                            <div class="timeline-meta">
+                                <strong><?= htmlspecialchars($event['actor'] === LEAD_TRAVELLER ? 'Traveller' : $event['actor']) ?></strong>
+                                · <time datetime="<?= htmlspecialchars($event['created_at']) ?>"><?= htmlspecialchars(substr($event['created_at'], 0, 16)) ?></time>
+                            </div>
+                            <div><?= htmlspecialchars(lead_event_text($event)) ?></div>
+                            <?php if ($event['note'] !== null): ?>
+                                <blockquote><?= nl2br(htmlspecialchars($event['note'])) ?></blockquote>
+                            <?php endif; ?>
+                        </li>
+                    <?php endforeach; ?>
+                </ol>
+            </section>
+        </aside>
+    </div>
+<?php endif; ?>
+</div>
+<?php admin_page_end(); ?>
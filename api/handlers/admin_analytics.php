@@ -0,0 +1,42 @@
+<?php
+/**
+ * api/handlers/admin_analytics.php  —  admin panel only (signed-in session)
+ * GET /api/admin/analytics?from=2026-09-01&to=2026-11-30&interval=day|week
+ * GET /api/admin/analytics/{series}.csv?from=…&to=…&interval=…
+ *
+ * The trip request figures for the requests submitted between from and to
+ * (inclusive; by default the last 90 days): { "filters": {…}, "summary": {…},
+ * "series": { key: { label, columns, rows } } }. The .csv form downloads one
+ * series (a key of ANALYTICS_SERIES) with its columns as the header.
+ */
+
+require_once __DIR__ . '/../../includes/admin_auth.php';
+require_once __DIR__ . '/../../includes/analytics.php';
+require_once __DIR__ . '/../../includes/data_transfer.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+require_admin();
+
+$key = $routeParams['series'] ?? null;
+if ($key !== null && !isset(ANALYTICS_SERIES[$key])) {
+    json_error('Series must be one of ' . implode(', ', array_keys(ANALYTICS_SERIES)) . '.', 404);
+}
+
+[$filters, $errors] = analytics_filters($_GET);
+if ($errors) {
+    json_error('Validation failed.', 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
+}
+
+$report = analytics_report(get_db(), $filters);
+
+if ($key === null) {
+    json_success(['filters' => $filters, ...$report]);
+}
+
+$series   = $report['series'][$key];
+$filename = "trip-$key-{$filters['from']}-to-{$filters['to']}.csv";
+
+header('Content-Type: text/csv; charset=utf-8');
+header('Content-Disposition: attachment; filename="' . $filename . '"');
+echo rows_to_csv($series['rows'], $series['columns']);
+exit;
@@ -0,0 +1,60 @@
+<?php
+/**
+ * api/handlers/admin_catalogue.php  —  admin panel only (signed-in session)
+ * GET  /api/admin/catalogue              — every attraction and beach as one JSON file
+ * POST /api/admin/catalogue?dryRun=1     — import such a file
+ *
+ * The file is { "version": 1, "attractions": […], "beaches": […] }, each place
+ * with every field of PUT /api/admin/{attractions|beaches}/{id} and no id.
+ * Places are matched by name: a new name is created, a known one is
+ * overwritten, and places missing from the file are left alone.
+ *
+ * POST responds with what changed, or with dryRun=1 what would change:
+ * {
+ *   "dryRun": true,
+ *   "changes": { "beaches": { "created": ["Morjim Beach"],
+ *                             "updated": [{ "name": "Baga Beach", "fields": { "featured": { "from": false, "to": true } } }],
+ *                             "unchanged": 7 } },
+ *   "saved": 0
+ * }
+ * If any place is invalid nothing is saved; 422 lists each one as
+ * { "table", "index", "name", "fieldErrors" } in "itemErrors".
+ * POST also needs header:  X-CSRF-Token: <token from /api/csrf-token>
+ */
+
+require_once __DIR__ . '/../../includes/admin_auth.php';
+require_once __DIR__ . '/../../includes/data_transfer.php';
+require_once __DIR__ . '/../../includes/validator.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+require_admin();
+
+$db = get_db();
+
+if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+    header('Content-Disposition: attachment; filename="goa-catalogue-' . date('Y-m-d') . '.json"');
+    echo json_encode(catalogue_export($db), JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+    exit;
+}
+
+$body = get_json_body();
+if ($body === null) {
+    json_error('Request body must be valid JSON.');
+}
+
+$dryRun = in_array($_GET['dryRun'] ?? '', ['1', 'true'], true);
+$plan   = catalogue_import_plan($db, $body);
+
+if ($plan['errors']) {
+    $messages = array_map(
+        fn($error) => catalogue_error_label($error) . ': ' . implode(' ', $error['fieldErrors']),
+        $plan['errors']
+    );
+    json_error('Validation failed; nothing was imported.', 422, ['errors' => $messages, 'itemErrors' => $plan['errors'], 'changes' => $plan['changes']]);
+}
+
+json_success([
+    'dryRun'  => $dryRun,
+    'changes' => $plan['changes'],
+    'saved'   => $dryRun ? 0 : catalogue_import_apply($db, $plan),
+]);
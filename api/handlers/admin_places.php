@@ -0,0 +1,75 @@
+<?php
+/**
+ * api/handlers/admin_places.php  —  admin panel only (signed-in session)
+ * GET    /api/admin/attractions        — every attraction, drafts included
+ * POST   /api/admin/attractions        — create one
+ * GET    /api/admin/attractions/{id}
+ * PUT    /api/admin/attractions/{id}   — replace it (send every field)
+ * DELETE /api/admin/attractions/{id}
+ * …and the same under /api/admin/beaches.
+ *
+ * Bodies use the column names, e.g. for a beach:
+ * {
+ *   "name": "Morjim Beach", "region": "north-goa", "description": "…",
+ *   "long_description": "…", "tags": ["Peaceful"], "activities": ["Turtle Watching"],
+ *   "image": "pictures/morjim-3f9a1c.jpg", "featured": false,
+ *   "latitude": 15.6167, "longitude": 73.7344,
+ *   "opens_at": null, "closes_at": null, "closed_days": [],
+ *   "published": false
+ * }
+ * Writes also need header:  X-CSRF-Token: <token from /api/csrf-token>
+ * Images are uploaded first with POST /api/admin/uploads (admin_upload.php).
+ */
+
+require_once __DIR__ . '/../../includes/admin_auth.php';
+require_once __DIR__ . '/../../includes/place_admin.php';
+require_once __DIR__ . '/../../includes/validator.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+require_admin();
+
+$db     = get_db();
+$method = $_SERVER['REQUEST_METHOD'];
+$type   = $routeParams['type'];
+$table  = PLACE_TABLES[$type];
+$id     = $routeParams['id'] ?? null;
+
+// ── Collection ───────────────────────────────────────────────────────────────
+
+if ($id === null && $method === 'GET') {
+    $rows = $db->query("SELECT * FROM $table ORDER BY name COLLATE NOCASE")->fetchAll();
+    json_success([
+        'places' => array_map(fn($row) => place_admin_response($type, $row), $rows),
+        'count'  => count($rows),
+    ]);
+}
+
+// ── One place ────────────────────────────────────────────────────────────────
+
+if ($id !== null && !find_place_row($db, $type, $id)) {
+    json_error(ucfirst($type) . ' not found.', 404);
+}
+
+if ($method === 'DELETE') {
+    delete_place($db, $type, $id);
+    json_success(['deleted' => "$type:$id"]);
+}
+
+if ($method === 'POST' || $method === 'PUT') {
+    $body = get_json_body();
+    if ($body === null) {
+        json_error('Request body must be valid JSON.');
+    }
+
+    [$place, $errors] = validate_place($db, $type, $body, $id);
+    if ($errors) {
+        json_error('Validation failed.', 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
+    }
+
+    $id = save_place($db, $type, $place, $id);
+}
+
+json_success(
+    ['place' => place_admin_response($type, find_place_row($db, $type, $id))],
+    $method === 'POST' ? 201 : 200
+);
@@ -0,0 +1,36 @@
+<?php
+/**
+ * api/handlers/admin_trip_export.php  —  admin panel only (signed-in session)
+ * GET /api/admin/trips/export?format=csv|json&status=new&from=2026-11-01&to=2026-11-30
+ *
+ * Downloads the trip requests submitted between from and to (inclusive, both
+ * optional) in one status (optional), oldest first. Both formats have the
+ * columns in TRIP_EXPORT_COLUMNS; interests and must-see places are joined
+ * with "; ". JSON wraps the rows as { "filters": {…}, "count": n, "trips": […] }.
+ */
+
+require_once __DIR__ . '/../../includes/admin_auth.php';
+require_once __DIR__ . '/../../includes/data_transfer.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+require_admin();
+
+[$filters, $errors] = trip_export_filters($_GET);
+if ($errors) {
+    json_error('Validation failed.', 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
+}
+
+$rows     = trip_export_rows(get_db(), $filters);
+$format   = $filters['format'];
+$filename = 'trip-requests-' . date('Y-m-d') . ".$format";
+
+header('Content-Disposition: attachment; filename="' . $filename . '"');
+
+if ($format === 'json') {
+    echo json_encode(['filters' => $filters, 'count' => count($rows), 'trips' => $rows], JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+    exit;
+}
+
+header('Content-Type: text/csv; charset=utf-8');
+echo rows_to_csv($rows, TRIP_EXPORT_COLUMNS);
+exit;
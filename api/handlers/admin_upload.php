@@ -0,0 +1,65 @@
+<?php
+/**
+ * api/handlers/admin_upload.php  —  admin panel only (signed-in session)
+ * POST /api/admin/uploads
+ *
+ * Expects multipart/form-data with one file field, "image" (PNG, JPEG or
+ * WebP, at most UPLOAD_MAX_BYTES), and header:
+ *   X-CSRF-Token: <token from /api/csrf-token>
+ *
+ * Saves it in pictures/ under a new name and responds 201 with
+ *   { "success": true, "image": "pictures/morjim-beach-3f9a1c.jpg" }
+ * ready for a place's "image" field.
+ */
+
+require_once __DIR__ . '/../../includes/admin_auth.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+// Detected type → extension the file is saved with
+const UPLOAD_IMAGE_TYPES = [
+    'image/png'  => 'png',
+    'image/jpeg' => 'jpg',
+    'image/webp' => 'webp',
+];
+
+require_admin();
+
+$file = $_FILES['image'] ?? null;
+if (!is_array($file) || is_array($file['error'])) {
+    json_error('Choose one image to upload.');
+}
+
+$maxMb = round(UPLOAD_MAX_BYTES / 1048576, 1);
+if (in_array($file['error'], [UPLOAD_ERR_INI_SIZE, UPLOAD_ERR_FORM_SIZE], true) || $file['size'] > UPLOAD_MAX_BYTES) {
+    json_error("Images must be {$maxMb} MB or smaller.", 413);
+}
+if ($file['error'] !== UPLOAD_ERR_OK || !is_uploaded_file($file['tmp_name'])) {
+    json_error('The upload did not complete. Please try again.');
+}
+
+// Trust the file's contents, not the name or the type the browser reported
+$mime = (new finfo(FILEINFO_MIME_TYPE))->file($file['tmp_name']);
+if (!isset(UPLOAD_IMAGE_TYPES[$mime]) || getimagesize($file['tmp_name']) === false) {
+    json_error('Only PNG, JPEG and WebP images can be uploaded.', 415);
+}
+
+$name = upload_file_name($file['name'], UPLOAD_IMAGE_TYPES[$mime]);
+if (!move_uploaded_file($file['tmp_name'], UPLOAD_DIR . '/' . $name)) {
+    json_error('The image could not be saved. Check that pictures/ is writable.', 500);
+}
+
+json_success(['image' => "pictures/$name"], 201);
+
+
+// ── File names ───────────────────────────────────────────────────────────────
+
+/**
+ * A new file name from the uploaded one: lower-case words joined by dashes,
+ * a random suffix so nothing is overwritten, and the extension of the
+ * detected type, e.g. "Morjim Beach.JPG" → "morjim-beach-3f9a1c.jpg".
+ */
+function upload_file_name(string $original, string $extension): string {
+    $stem = strtolower(pathinfo($original, PATHINFO_FILENAME));
+    $stem = trim(preg_replace('/[^a-z0-9]+/', '-', $stem), '-') ?: 'image';
+    return substr($stem, 0, 60) . '-' . bin2hex(random_bytes(3)) . ".$extension";
+}
@@ -0,0 +1,51 @@
+<?php
+/**
+ * api/handlers/attraction_detail.php
+ * GET /api/attractions/{id}
+ * Returns one attraction with its full description, its latest approved
+ * reviews (GET /api/attractions/{id}/reviews pages through the rest) and a
+ * few related attractions from the same category.
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/response.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/i18n.php';
+require_once __DIR__ . '/../../includes/reviews.php';
+
+check_rate_limit('attractions', BROWSE_RATE_LIMIT);
+
+$db = get_db();
+
+$id = (int)($routeParams['id'] ?? 0);
+
+$stmt = $db->prepare('SELECT * FROM attractions WHERE id = :id AND published = 1');
+$stmt->execute([':id' => $id]);
+$attraction = $stmt->fetch();
+
+if (!$attraction) {
+    json_error('Attraction not found.', 404);
+}
+
+[$attraction] = localise_places($db, 'attraction', [$attraction]);
+$attraction   = place_public_rating('attraction', $attraction);
+
+// Related: same category first, then anything else in the same location
+$stmt = $db->prepare("
+    SELECT id, name, location, category, review_rating AS rating, image
+    FROM attractions
+    WHERE id != :id AND published = 1 AND (category = :category OR location = :location)
+    ORDER BY (category = :category) DESC, review_rating IS NULL, review_rating DESC, attractions.rating DESC
+    LIMIT 3
+");
+$stmt->execute([
+    ':id'       => $attraction['id'],
+    ':category' => $attraction['category'],
+    ':location' => $attraction['location'],
+]);
+
+json_success([
+    'attraction' => $attraction,
+    'reviews'    => place_reviews($db, 'attraction', $id)['reviews'],
+    'related'    => $stmt->fetchAll(),
+]);
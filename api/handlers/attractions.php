@@ -1,24 +1,44 @@
 <?php
 /**
  * api/handlers/attractions.php
- * GET /api/attractions[?category=fort&search=goa]
+ * GET /api/attractions[?category=fort&search=goa&sort=name&limit=6&offset=0]
  */
 
 require_once __DIR__ . '/../../includes/db.php';
 require_once __DIR__ . '/../../includes/response.php';
 require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/i18n.php';
+require_once __DIR__ . '/../../includes/reviews.php';
 
-check_rate_limit('attractions');
+check_rate_limit('attractions', BROWSE_RATE_LIMIT);
 
 $db = get_db();
 
-// Optional query filters
-$category = isset($_GET['category']) ? strtolower(trim($_GET['category'])) : null;
-$search   = isset($_GET['search'])   ? trim($_GET['search'])                : null;
+// Optional query filters (?sort[]=x arrives as an array, which is ignored)
+$category = is_string($_GET['category'] ?? null) ? strtolower(trim($_GET['category'])) : null;
+$search   = is_string($_GET['search'] ?? null)   ? trim($_GET['search'])                : null;
+$sort     = is_string($_GET['sort'] ?? null)     ? strtolower(trim($_GET['sort']))     : 'rating';
 
 $validCategories = ['church', 'fort', 'temple', 'museum', 'nature'];
 
-$where  = [];
+// Whitelisted ORDER BY clauses — the raw parameter never reaches the SQL.
+// Rating is the visitors' average (see place_public_rating()): reviewed places
+// come first, then the rest in the order of the editor's rating
+$sortOptions = [
+    'rating'   => 'review_rating IS NULL, review_rating DESC, rating DESC, name ASC',
+    'name'     => 'name COLLATE NOCASE ASC',
+    'location' => 'location COLLATE NOCASE ASC, name ASC',
+];
+$orderBy = $sortOptions[$sort] ?? $sortOptions['rating'];
+
+// Pagination — limit is capped so one request can't pull the whole table
+$limit  = isset($_GET['limit'])  ? (int)$_GET['limit']  : 12;
+$offset = isset($_GET['offset']) ? (int)$_GET['offset'] : 0;
+$limit  = max(1, min($limit, 50));
+$offset = max(0, $offset);
+
+// Drafts saved in the admin panel stay hidden until they are published
+$where  = ['published = 1'];
 $params = [];
 
 if ($category && in_array($category, $validCategories, strict: true)) {
@@ -27,18 +47,33 @@ if ($category && in_array($category, $validCategories, strict: true)) {
 }
 
 if ($search) {
-    $where[]  = '(name LIKE :search OR description LIKE :search OR location LIKE :search)';
-    $params[':search'] = '%' . $search . '%';
+    // % and _ in the search are literal characters, not wildcards
+    $where[]  = "(name LIKE :search ESCAPE '\\' OR description LIKE :search ESCAPE '\\' OR location LIKE :search ESCAPE '\\')";
+    $params[':search'] = '%' . addcslashes($search, '%_\\') . '%';
 }
 
-$sql = 'SELECT * FROM attractions';
-if ($where) {
-    $sql .= ' WHERE ' . implode(' AND ', $where);
-}
-$sql .= ' ORDER BY rating DESC';
+$whereSql = ' WHERE ' . implode(' AND ', $where);
+
+// The list leaves out long_description; GET /api/attractions/{id} returns it
+$columns = 'id, name, location, description, category, rating, review_rating, review_count, image, latitude, longitude, created_at';
+
+$countStmt = $db->prepare('SELECT COUNT(*) FROM attractions' . $whereSql);
+$countStmt->execute($params);
+$total = (int)$countStmt->fetchColumn();
+
+// $limit and $offset are already cast to int, so they are safe to inline
+$sql = "SELECT $columns FROM attractions" . $whereSql . " ORDER BY $orderBy LIMIT $limit OFFSET $offset";
 
 $stmt = $db->prepare($sql);
 $stmt->execute($params);
-$rows = $stmt->fetchAll();
+$rows = localise_places($db, 'attraction', $stmt->fetchAll());
+$rows = array_map(fn($row) => place_public_rating('attraction', $row), $rows);
 
-json_success(['attractions' => $rows, 'count' => count($rows)]);
+json_success([
+    'attractions' => $rows,
+    'count'       => count($rows),
+    'total'       => $total,
+    'limit'       => $limit,
+    'offset'      => $offset,
+    'hasMore'     => $offset + count($rows) < $total,
+]);
@@ -0,0 +1,55 @@
+<?php
+/**
+ * api/handlers/beach_detail.php
+ * GET /api/beaches/{id}
+ * Returns one beach with its full description, its latest approved reviews
+ * (GET /api/beaches/{id}/reviews pages through the rest) and a few related
+ * beaches from the same region.
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/response.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/i18n.php';
+require_once __DIR__ . '/../../includes/reviews.php';
+
+check_rate_limit('beaches', BROWSE_RATE_LIMIT);
+
+$db = get_db();
+
+$id = (int)($routeParams['id'] ?? 0);
+
+$stmt = $db->prepare('SELECT * FROM beaches WHERE id = :id AND published = 1');
+$stmt->execute([':id' => $id]);
+$beach = $stmt->fetch();
+
+if (!$beach) {
+    json_error('Beach not found.', 404);
+}
+
+[$beach] = localise_places($db, 'beach', [$beach]);
+$beach   = place_public_rating('beach', $beach);
+
+$stmt = $db->prepare("
+    SELECT id, name, region, tags, image, featured
+    FROM beaches
+    WHERE id != :id AND published = 1 AND region = :region
+    ORDER BY featured DESC, name ASC
+    LIMIT 3
+");
+$stmt->execute([':id' => $beach['id'], ':region' => $beach['region']]);
+$related = $stmt->fetchAll();
+
+// Decode JSON fields so the client receives proper arrays
+$beach['tags']       = json_decode($beach['tags'],       associative: true) ?? [];
+$beach['activities'] = json_decode($beach['activities'], associative: true) ?? [];
+foreach ($related as &$row) {
+    $row['tags'] = json_decode($row['tags'], associative: true) ?? [];
+}
+unset($row);
+
+json_success([
+    'beach'   => $beach,
+    'reviews' => place_reviews($db, 'beach', $id)['reviews'],
+    'related' => $related,
+]);
@@ -1,15 +1,18 @@
 <?php
 /**
  * api/handlers/beaches.php
- * GET /api/beaches[?region=north-goa&featured=1]
+ * GET /api/beaches[?region=north-goa&featured=1&tags=Peaceful,Scenic&activities=Swimming]
  * GET /api/beaches/region/{region}   (legacy URL form)
  */
 
 require_once __DIR__ . '/../../includes/db.php';
 require_once __DIR__ . '/../../includes/response.php';
 require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/i18n.php';
+require_once __DIR__ . '/../../includes/reviews.php';
+require_once __DIR__ . '/../../includes/validator.php';
 
-check_rate_limit('beaches');
+check_rate_limit('beaches', BROWSE_RATE_LIMIT);
 
 $db = get_db();
 
@@ -22,13 +25,14 @@ $path = trim(preg_replace('#^.*?/api/?#', '', $uri), '/');
 $region = null;
 if (preg_match('#beaches/region/([\w-]+)#', $path, $m)) {
     $region = strtolower($m[1]);
-} elseif (isset($_GET['region'])) {
+} elseif (is_string($_GET['region'] ?? null)) {
     $region = strtolower(trim($_GET['region']));
 }
 
 $featured = isset($_GET['featured']) && $_GET['featured'] === '1';
 
-$where  = [];
+// Drafts saved in the admin panel stay hidden until they are published
+$where  = ['published = 1'];
 $params = [];
 
 if ($region && in_array($region, $validRegions, strict: true)) {
@@ -40,21 +44,63 @@ if ($featured) {
     $where[] = 'featured = 1';
 }
 
-$sql = 'SELECT * FROM beaches';
-if ($where) {
-    $sql .= ' WHERE ' . implode(' AND ', $where);
+// Multi-select facets over the JSON columns. Every selected value must be
+// present on the beach, so each extra selection narrows the list.
+$facetFilters = [
+    'tags'       => parse_list_param(is_string($_GET['tags'] ?? null)       ? $_GET['tags']       : ''),
+    'activities' => parse_list_param(is_string($_GET['activities'] ?? null) ? $_GET['activities'] : ''),
+];
+
+foreach ($facetFilters as $column => $values) {
+    foreach ($values as $i => $value) {
+        $key      = ":{$column}_{$i}";
+        $where[]  = "EXISTS (SELECT 1 FROM json_each(beaches.$column) WHERE json_each.value = $key)";
+        $params[$key] = $value;
+    }
 }
-$sql .= ' ORDER BY featured DESC, name ASC';
+
+// The list leaves out long_description; GET /api/beaches/{id} returns it
+$sql = 'SELECT id, name, region, description, tags, activities, image, featured, review_rating, review_count, latitude, longitude, created_at FROM beaches'
+     . ' WHERE ' . implode(' AND ', $where)
+     . ' ORDER BY featured DESC, name ASC';
 
 $stmt = $db->prepare($sql);
 $stmt->execute($params);
-$rows = $stmt->fetchAll();
+$rows = localise_places($db, 'beach', $stmt->fetchAll());
 
 // Decode JSON fields so the client receives proper arrays
 foreach ($rows as &$row) {
+    $row               = place_public_rating('beach', $row);
     $row['tags']       = json_decode($row['tags'],       associative: true) ?? [];
     $row['activities'] = json_decode($row['activities'], associative: true) ?? [];
 }
 unset($row);
 
-json_success(['beaches' => $rows, 'count' => count($rows)]);
+json_success([
+    'beaches' => $rows,
+    'count'   => count($rows),
+    'facets'  => [
+        'tags'       => beach_facet_counts($db, 'tags'),
+        'activities' => beach_facet_counts($db, 'activities'),
+    ],
+]);
+
+
+// ── Facets ────────────────────────────────────────────────────────────────────
+
+/**
+ * Every distinct value in a JSON array column with the number of published
+ * beaches carrying it, e.g. [['value' => 'Scenic', 'count' => 2], ...].
+ * $column is one of the whitelisted names above, never user input.
+ */
+function beach_facet_counts(PDO $db, string $column): array {
+    $rows = $db->query("
+        SELECT json_each.value AS value, COUNT(*) AS count
+        FROM beaches, json_each(beaches.$column)
+        WHERE beaches.published = 1
+        GROUP BY json_each.value
+        ORDER BY json_each.value
+    ")->fetchAll();
+
+    return array_map(fn($row) => ['value' => $row['value'], 'count' => (int)$row['count']], $rows);
+}
@@ -2,10 +2,11 @@
 /**
  * api/handlers/csrf_token.php
  * GET /api/csrf-token
- * Returns a fresh CSRF token for the frontend to include in POST requests.
+ * Returns a fresh CSRF token for the frontend to include in POST/PUT requests,
+ * and how many seconds it stays valid so the client can cache it.
  */
 
 require_once __DIR__ . '/../../includes/csrf.php';
 require_once __DIR__ . '/../../includes/response.php';
 
-json_success(['token' => csrf_generate()]);
+json_success(['token' => csrf_generate(), 'expiresIn' => CSRF_TOKEN_LIFETIME]);
@@ -0,0 +1,33 @@
+<?php
+/**
+ * api/handlers/events.php
+ * GET /api/events[?from=2026-12-01&to=2026-12-31&type=religious]
+ * The festivals and feasts held between from and to (inclusive; by default
+ * the next year), one entry per occurrence with its start_date and end_date,
+ * earliest first. Recurring events are worked out for each year in the range
+ * (see includes/events.php). Used by the calendar on culture.html and by
+ * plan.html to offer the events during a stay.
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/events.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+check_rate_limit('events');
+
+[$filters, $errors] = events_filters($_GET);
+if ($errors) {
+    json_error(t('api.validationFailed', 'Validation failed.'), 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
+}
+
+$events = event_occurrences(get_db(), $filters['from'], $filters['to'], $filters['type']);
+
+json_success([
+    'from'   => $filters['from'],
+    'to'     => $filters['to'],
+    'type'   => $filters['type'] !== '' ? $filters['type'] : null,
+    'types'  => array_keys(EVENT_TYPES),
+    'events' => $events,
+    'count'  => count($events),
+]);
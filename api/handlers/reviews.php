@@ -0,0 +1,96 @@
+<?php
+/**
+ * api/handlers/reviews.php
+ * GET  /api/attractions/{id}/reviews[?limit=5&offset=0]  — approved reviews, newest first
+ * GET  /api/beaches/{id}/reviews[?limit=5&offset=0]
+ * POST /api/attractions/{id}/reviews                     — send a review for moderation
+ * POST /api/beaches/{id}/reviews
+ *
+ * POST expects JSON body:
+ * {
+ *   "name":    "Priya",
+ *   "email":   "priya@example.com",   (never shown)
+ *   "rating":  5,
+ *   "title":   "Worth the climb",       (optional)
+ *   "body":    "Went at sunset…",
+ *   "website": ""                       (honeypot: left empty by people)
+ * }
+ * and header:  X-CSRF-Token: <token from /api/csrf-token>
+ *
+ * A new review is not shown until it is approved in the admin panel.
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/csrf.php';
+require_once __DIR__ . '/../../includes/reviews.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/validator.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+// Reading reviews is browsing; only sending one gets the strict limit
+if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+    check_rate_limit('reviews_view', BROWSE_RATE_LIMIT);
+} else {
+    check_rate_limit('reviews');
+}
+
+$db      = get_db();
+$type    = $routeParams['type'];
+$placeId = $routeParams['id'];
+
+// Only published places can be reviewed or have reviews listed
+$table = PLACE_TABLES[$type];
+$stmt  = $db->prepare("SELECT id FROM $table WHERE id = :id AND published = 1");
+$stmt->execute([':id' => $placeId]);
+if (!$stmt->fetchColumn()) {
+    json_error($type === 'beach' ? 'Beach not found.' : 'Attraction not found.', 404);
+}
+
+if ($_SERVER['REQUEST_METHOD'] === 'GET') {
+    $limit  = max(1, min(isset($_GET['limit']) ? (int)$_GET['limit'] : REVIEW_PAGE_SIZE, 50));
+    $offset = max(0, isset($_GET['offset']) ? (int)$_GET['offset'] : 0);
+    $page   = place_reviews($db, $type, $placeId, $limit, $offset);
+
+    json_success([
+        'reviews' => $page['reviews'],
+        'count'   => count($page['reviews']),
+        'total'   => $page['total'],
+        'limit'   => $limit,
+        'offset'  => $offset,
+        'hasMore' => $offset + count($page['reviews']) < $page['total'],
+    ]);
+}
+
+// ── POST: send a review ──────────────────────────────────────────────────────
+
+$csrfToken = $_SERVER['HTTP_X_CSRF_TOKEN'] ?? '';
+if (!csrf_validate($csrfToken)) {
+    json_error('Invalid or expired security token. Please refresh the page and try again.', 403);
+}
+
+$body = get_json_body();
+if ($body === null) {
+    json_error('Request body must be valid JSON.');
+}
+
+$message = t('api.reviewReceived', 'Thank you! Your review will appear once it has been checked.');
+
+// A filled-in honeypot is a bot: answer as if it worked, so it doesn't adapt
+if (($body[REVIEW_HONEYPOT] ?? '') !== '') {
+    json_success(['message' => $message, 'status' => 'pending'], 201);
+}
+
+[$review, $errors] = validate_review($body);
+if ($errors) {
+    json_error(t('api.validationFailed', 'Validation failed.'), 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
+}
+
+$ip        = get_client_ip();
+$duplicate = review_duplicate_reason($db, $type, $placeId, $review, $ip);
+if ($duplicate !== null) {
+    json_error($duplicate, 409);
+}
+
+$id = review_create($db, $type, $placeId, $review, $ip);
+
+json_success(['message' => $message, 'reviewId' => $id, 'status' => 'pending'], 201);
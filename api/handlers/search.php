@@ -0,0 +1,32 @@
+<?php
+/**
+ * api/handlers/search.php
+ * GET /api/search?q=palolem
+ * Attractions, beaches, festivals and travel guide sections matching q, in the
+ * request's language, grouped by type with the best group first. Searches as
+ * the visitor types: the last word may be unfinished. When nothing matches, a
+ * misspelt word is corrected and 'suggestion' holds the query the results are
+ * for. See includes/search.php.
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/search.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+check_rate_limit('search', SEARCH_RATE_LIMIT);
+
+[$terms, $errors] = search_filters($_GET);
+if ($errors) {
+    json_error(t('api.validationFailed', 'Validation failed.'), 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
+}
+
+$result = site_search(get_db(), $terms, request_locale());
+
+json_success([
+    'query'      => implode(' ', $terms),
+    'suggestion' => $result['suggestion'],
+    'types'      => SEARCH_TYPES,
+    'groups'     => $result['groups'],
+    'count'      => $result['count'],
+]);
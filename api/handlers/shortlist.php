@@ -0,0 +1,126 @@
+<?php
+/**
+ * api/handlers/shortlist.php
+ * GET /api/shortlist?email=user@example.com  — the shortlist saved under an email
+ * PUT /api/shortlist                         — save (replace) it
+ *
+ * GET expects header:  X-Shortlist-Token: <owner token>
+ *
+ * PUT expects JSON body:
+ * {
+ *   "email":  "user@example.com",
+ *   "token":  "…",                  (the owner token; not needed for the first save)
+ *   "places": ["attraction:1", "beach:2"]
+ * }
+ * and header:  X-CSRF-Token: <token from /api/csrf-token>
+ *
+ * The first save under an email hands out an owner token, like the access token
+ * of a trip; reading or replacing the list after that needs it. Lists saved
+ * before there were tokens have none and go to whoever saves under the email next.
+ * Places that no longer exist are dropped when it is saved and when it is read.
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/csrf.php';
+require_once __DIR__ . '/../../includes/places.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/validator.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+const SHORTLIST_MAX_PLACES = 50;
+
+check_rate_limit('shortlist');
+
+$db     = get_db();
+$method = $_SERVER['REQUEST_METHOD'];
+
+if ($method === 'GET') {
+    $email = trim(is_string($_GET['email'] ?? null) ? $_GET['email'] : '');
+    // A header rather than the query string, which ends up in logs and browser history
+    $token = $_SERVER['HTTP_X_SHORTLIST_TOKEN'] ?? '';
+    if (!validate_email($email)) {
+        json_error(t('trip.email.invalid', 'Please provide a valid email address.'), 422);
+    }
+
+    $row = find_shortlist($db, $email);
+
+    // A wrong token gets the same answer as no list, so the email alone gives nothing away
+    if (!$row || !shortlist_owned_by($row, $token)) {
+        json_error(t('api.shortlistNotFound', 'No shortlist was found for this email and code.'), 404);
+    }
+
+    json_success(shortlist_response($db, $row));
+}
+
+// ── PUT: save ────────────────────────────────────────────────────────────────
+
+$csrfToken = $_SERVER['HTTP_X_CSRF_TOKEN'] ?? '';
+if (!csrf_validate($csrfToken)) {
+    json_error('Invalid or expired security token. Please refresh the page and try again.', 403);
+}
+
+$body = get_json_body();
+if ($body === null) {
+    json_error('Request body must be valid JSON.');
+}
+
+$email  = trim(is_string($body['email'] ?? null) ? $body['email'] : '');
+$token  = is_string($body['token'] ?? null) ? $body['token'] : '';
+$places = $body['places'] ?? null;
+
+$errors = [];
+if (!validate_email($email) || mb_strlen($email) > 254) {
+    $errors['email'] = t('trip.email.invalid', 'Please provide a valid email address.');
+}
+if (!is_array($places) || array_filter($places, fn($key) => parse_place_key($key) === null)) {
+    $errors['places'] = t('api.shortlistInvalid', 'Places must be attractions or beaches from this site.');
+} elseif (count($places) > SHORTLIST_MAX_PLACES) {
+    $errors['places'] = t('api.shortlistTooLong', 'A shortlist can hold up to {max} places.', ['max' => SHORTLIST_MAX_PLACES]);
+}
+
+if ($errors) {
+    json_error(t('api.validationFailed', 'Validation failed.'), 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
+}
+
+$existing = find_shortlist($db, $email);
+if ($existing && $existing['owner_token'] !== null && !shortlist_owned_by($existing, $token)) {
+    json_error(t('api.shortlistToken', 'A shortlist is already saved under this email. Enter the code you were given when it was first saved.'), 403);
+}
+
+$keys = array_keys(find_places($db, array_values(array_unique($places))));
+
+// Updating a list keeps its token; a new one (or one from before tokens) gets a fresh one
+$ownerToken = $existing['owner_token'] ?? bin2hex(random_bytes(24));
+
+$stmt = $db->prepare("
+    INSERT INTO shortlists (email, places, owner_token, updated_at) VALUES (:email, :places, :token, CURRENT_TIMESTAMP)
+    ON CONFLICT(email) DO UPDATE SET places = excluded.places, owner_token = excluded.owner_token, updated_at = CURRENT_TIMESTAMP
+");
+$stmt->execute([':email' => $email, ':places' => json_encode($keys), ':token' => $ownerToken]);
+
+json_success([
+    'message' => t('api.shortlistSaved', 'Your shortlist is saved under {email}.', ['email' => $email]),
+    ...shortlist_response($db, find_shortlist($db, $email)),
+    'token'   => $ownerToken,
+]);
+
+
+// ── Lookup and response shape ─────────────────────────────────────────────────
+
+function find_shortlist(PDO $db, string $email): ?array {
+    $stmt = $db->prepare('SELECT * FROM shortlists WHERE email = :email');
+    $stmt->execute([':email' => $email]);
+    return $stmt->fetch() ?: null;
+}
+
+function shortlist_owned_by(array $row, string $token): bool {
+    return $row['owner_token'] !== null && $token !== '' && hash_equals($row['owner_token'], $token);
+}
+
+function shortlist_response(PDO $db, array $row): array {
+    return [
+        'email'     => $row['email'],
+        'places'    => array_values(find_places($db, json_decode($row['places'], true) ?? [])),
+        'updatedAt' => $row['updated_at'],
+    ];
+}
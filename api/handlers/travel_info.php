@@ -0,0 +1,19 @@
+<?php
+/**
+ * api/handlers/travel_info.php
+ * GET /api/travel-info
+ * Seasons with their price bands, ways of getting around and packages, for
+ * plan.html's "When to Visit", "Getting Around" and "Popular Packages"
+ * sections and its trip cost estimator. `rates` holds the remaining figures
+ * the estimate uses, so the page can price a trip exactly as the server does
+ * (see includes/costs.php).
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/costs.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+check_rate_limit('travel_info');
+
+json_success(travel_info(get_db()));
@@ -9,14 +9,30 @@
  *   "checkinDate":     "2025-12-01",
  *   "checkoutDate":    "2025-12-07",
  *   "travelers":       "3",
+ *   "transport":       "taxi",
  *   "interests":       ["beaches", "food"],
+ *   "mustSee":         ["attraction:1", "beach:2"],
  *   "specialRequests": "Vegetarian meals only"
  * }
  *
  * Also expects header:  X-CSRF-Token: <token from /api/csrf-token>
+ *
+ * `mustSee` is optional: place keys from the shortlist, each of which the
+ * itinerary is guaranteed to include. `transport` is optional too (taxi, bike,
+ * bus or self-drive) and only changes the cost `estimate` sent back with the
+ * itinerary (see includes/costs.php).
+ *
+ * The response carries a private `token`; the trip can be reopened later at
+ * plan.html?trip=<token> (see trip_detail.php). A confirmation with the
+ * itinerary and an alert to the team are queued for mail_worker.php.
  */
 
 require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/itinerary.php';
+require_once __DIR__ . '/../../includes/events.php';
+require_once __DIR__ . '/../../includes/costs.php';
+require_once __DIR__ . '/../../includes/leads.php';
+require_once __DIR__ . '/../../includes/mailer.php';
 require_once __DIR__ . '/../../includes/csrf.php';
 require_once __DIR__ . '/../../includes/rate_limit.php';
 require_once __DIR__ . '/../../includes/validator.php';
@@ -38,117 +54,60 @@ if ($body === null) {
 }
 
 // 4. Validate all fields
-$errors = [];
-
-$email = sanitise_string($body['email'] ?? '', 254);
-if (!validate_email($email)) {
-    $errors[] = 'Please provide a valid email address.';
-}
-
-$checkinDate  = sanitise_string($body['checkinDate']  ?? '', 10);
-$checkoutDate = sanitise_string($body['checkoutDate'] ?? '', 10);
-
-if (!validate_date($checkinDate)) {
-    $errors[] = 'Check-in date is invalid.';
-}
-if (!validate_date($checkoutDate)) {
-    $errors[] = 'Check-out date is invalid.';
-}
-if (validate_date($checkinDate) && validate_date($checkoutDate)) {
-    if ($checkoutDate <= $checkinDate) {
-        $errors[] = 'Check-out date must be after check-in date.';
-    }
-    if ($checkinDate < date('Y-m-d')) {
-        $errors[] = 'Check-in date cannot be in the past.';
-    }
-}
-
-$travelers = sanitise_string((string)($body['travelers'] ?? ''), 2);
-if (!validate_travelers($travelers)) {
-    $errors[] = 'Please select a valid number of travelers.';
-}
+[$trip, $errors] = validate_trip_request($body);
 
-$interests = is_array($body['interests'] ?? null) ? $body['interests'] : [];
-if (!validate_interests($interests)) {
-    $errors[] = 'Please select at least one valid travel interest.';
+if (!empty($errors)) {
+    json_error(t('api.validationFailed', 'Validation failed.'), 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
 }
 
-$specialRequests = sanitise_string($body['specialRequests'] ?? '', 500);
+// 5. Build a personalised itinerary from the places in the database, and price it
+$db        = get_db();
+$nights    = (new DateTime($trip['checkinDate']))->diff(new DateTime($trip['checkoutDate']))->days;
+$itinerary = build_itinerary($db, $trip['interests'], $trip['checkinDate'], $nights, $trip['mustSee'],
+                             stay_events($db, $trip['checkinDate'], $trip['checkoutDate'], $trip['events']));
+$estimate  = estimate_trip_cost(travel_info($db), $trip['checkinDate'], $nights, (int)$trip['travelers'], $trip['interests'], $trip['transport'] ?: null);
 
-if (!empty($errors)) {
-    json_error('Validation failed.', 422, ['errors' => $errors]);
-}
+// 6. Persist it with a private access token for plan.html?trip=…, and queue the emails
+// 24 random bytes → 48 hex chars, the format /api/trip/{token} accepts
+$token = bin2hex(random_bytes(24));
 
-// 5. Persist to database
 try {
-    $db = get_db();
+    $db->beginTransaction();
     $stmt = $db->prepare("
         INSERT INTO trip_requests
-               (email, checkin_date, checkout_date, travelers, interests, special_requests, ip_address)
-        VALUES (:email, :checkin, :checkout, :travelers, :interests, :special, :ip)
+               (email, checkin_date, checkout_date, travelers, interests, special_requests, must_see, events, transport, ip_address, access_token, itinerary, estimate, status)
+        VALUES (:email, :checkin, :checkout, :travelers, :interests, :special, :must_see, :events, :transport, :ip, :token, :itinerary, :estimate, 'new')
     ");
     $stmt->execute([
-        ':email'     => $email,
-        ':checkin'   => $checkinDate,
-        ':checkout'  => $checkoutDate,
-        ':travelers' => $travelers,
-        ':interests' => json_encode($interests),
-        ':special'   => $specialRequests,
+        ':email'     => $trip['email'],
+        ':checkin'   => $trip['checkinDate'],
+        ':checkout'  => $trip['checkoutDate'],
+        ':travelers' => $trip['travelers'],
+        ':interests' => json_encode($trip['interests']),
+        ':special'   => $trip['specialRequests'],
+        ':must_see'  => json_encode($trip['mustSee']),
+        ':events'    => json_encode($trip['events']),
+        ':transport' => $trip['transport'] ?: null,
         ':ip'        => get_client_ip(),
+        ':token'     => $token,
+        ':itinerary' => json_encode($itinerary),
+        ':estimate'  => json_encode($estimate),
     ]);
 
     $id = $db->lastInsertId();
+    lead_log($db, (int)$id, LEAD_TRAVELLER, 'created');
+    mail_queue_trip_submitted($db, find_lead($db, (int)$id));
+    $db->commit();
 
 } catch (PDOException $e) {
+    if ($db->inTransaction()) $db->rollBack();
     json_error('Failed to save your request. Please try again.', 500);
 }
 
-// 6. Build a personalised itinerary summary
-$nights   = (new DateTime($checkinDate))->diff(new DateTime($checkoutDate))->days;
-$itinerary = build_itinerary($interests, $nights);
-
 json_success([
-    'message'   => "Your custom itinerary has been saved! We'll send details to $email.",
+    'message'   => t('api.tripSaved', "Your custom itinerary has been saved! We'll send details to {email}.", ['email' => $trip['email']]),
     'requestId' => (int)$id,
+    'token'     => $token,
     'itinerary' => $itinerary,
+    'estimate'  => $estimate,
 ], 201);
-
-
-// ── Itinerary builder ─────────────────────────────────────────────────────────
-
-function build_itinerary(array $interests, int $nights): array {
-    $suggestions = [
-        'beaches'   => ['Visit Palolem Beach (South Goa)', 'Explore Baga Beach nightlife', 'Sunrise at Anjuna Beach'],
-        'culture'   => ['Tour the Basilica of Bom Jesus (UNESCO)', 'Visit Se Cathedral in Old Goa', 'Explore Ancestral Goa museum'],
-        'adventure' => ['Parasailing at Baga Beach', 'Trekking to Dudhsagar Waterfalls', 'Scuba diving at Grande Island'],
-        'food'      => ['Goan seafood thali at a beach shack', 'Fish curry rice at a local tascca', 'Bebinca dessert tasting'],
-        'nightlife' => ['Tito\'s Lane in Baga', 'Club Cubana in Arpora', 'Sunset drinks at a Candolim beach shack'],
-    ];
-
-    $days = [];
-    $pool = [];
-    foreach ($interests as $interest) {
-        if (isset($suggestions[$interest])) {
-            $pool = array_merge($pool, $suggestions[$interest]);
-        }
-    }
-    // Default activities if no interests matched
-    if (empty($pool)) {
-        $pool = ['Explore Old Goa', 'Relax on the beach', 'Visit a local market'];
-    }
-
-    $activitiesPerDay = 2;
-    for ($day = 1; $day <= min($nights, 7); $day++) {
-        $dayActivities = array_slice($pool, ($day - 1) * $activitiesPerDay, $activitiesPerDay);
-        if (empty($dayActivities)) {
-            $dayActivities = array_slice($pool, 0, $activitiesPerDay); // wrap around
-        }
-        $days[] = [
-            'day'        => $day,
-            'title'      => "Day $day",
-            'activities' => $dayActivities,
-        ];
-    }
-
-    return ['nights' => $nights, 'days' => $days];
-}
@@ -0,0 +1,122 @@
+<?php
+/**
+ * api/handlers/trip_detail.php
+ * GET /api/trip/{token}  — a saved trip and its itinerary
+ * PUT /api/trip/{token}  — change the trip and regenerate the itinerary
+ *
+ * {token} is the private access token returned when the trip was created.
+ * PUT takes the same JSON body as POST /api/trip/create-itinerary and
+ * expects header:  X-CSRF-Token: <token from /api/csrf-token>
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/itinerary.php';
+require_once __DIR__ . '/../../includes/events.php';
+require_once __DIR__ . '/../../includes/costs.php';
+require_once __DIR__ . '/../../includes/leads.php';
+require_once __DIR__ . '/../../includes/csrf.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/validator.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+$method = $_SERVER['REQUEST_METHOD'];
+check_rate_limit($method === 'PUT' ? 'trip' : 'trip_view');
+
+$db    = get_db();
+$token = $routeParams['token'];
+
+$stmt = $db->prepare('SELECT * FROM trip_requests WHERE access_token = :token');
+$stmt->execute([':token' => $token]);
+$row = $stmt->fetch();
+
+if (!$row) {
+    json_error(t('api.tripNotFound', 'Trip not found. Please check your link.'), 404);
+}
+
+if ($method === 'GET') {
+    json_success(trip_response($row));
+}
+
+// ── PUT: update and regenerate ───────────────────────────────────────────────
+
+$csrfToken = $_SERVER['HTTP_X_CSRF_TOKEN'] ?? '';
+if (!csrf_validate($csrfToken)) {
+    json_error('Invalid or expired security token. Please refresh the page and try again.', 403);
+}
+
+$body = get_json_body();
+if ($body === null) {
+    json_error('Request body must be valid JSON.');
+}
+
+[$trip, $errors] = validate_trip_request($body);
+
+if (!empty($errors)) {
+    json_error(t('api.validationFailed', 'Validation failed.'), 422, ['errors' => array_values($errors), 'fieldErrors' => $errors]);
+}
+
+$nights    = (new DateTime($trip['checkinDate']))->diff(new DateTime($trip['checkoutDate']))->days;
+$itinerary = build_itinerary($db, $trip['interests'], $trip['checkinDate'], $nights, $trip['mustSee'],
+                             stay_events($db, $trip['checkinDate'], $trip['checkoutDate'], $trip['events']));
+$estimate  = estimate_trip_cost(travel_info($db), $trip['checkinDate'], $nights, (int)$trip['travelers'], $trip['interests'], $trip['transport'] ?: null);
+
+try {
+    // The status stays; the admin list flags the request until an agent acts on it again
+    $stmt = $db->prepare("
+        UPDATE trip_requests
+           SET email = :email, checkin_date = :checkin, checkout_date = :checkout,
+               travelers = :travelers, interests = :interests, special_requests = :special,
+               must_see = :must_see, events = :events, transport = :transport, itinerary = :itinerary, estimate = :estimate,
+               updated_at = CURRENT_TIMESTAMP
+         WHERE id = :id
+    ");
+    $stmt->execute([
+        ':email'     => $trip['email'],
+        ':checkin'   => $trip['checkinDate'],
+        ':checkout'  => $trip['checkoutDate'],
+        ':travelers' => $trip['travelers'],
+        ':interests' => json_encode($trip['interests']),
+        ':special'   => $trip['specialRequests'],
+        ':must_see'  => json_encode($trip['mustSee']),
+        ':events'    => json_encode($trip['events']),
+        ':transport' => $trip['transport'] ?: null,
+        ':itinerary' => json_encode($itinerary),
+        ':estimate'  => json_encode($estimate),
+        ':id'        => $row['id'],
+    ]);
+    lead_log($db, (int)$row['id'], LEAD_TRAVELLER, 'updated');
+} catch (PDOException $e) {
+    json_error('Failed to save your changes. Please try again.', 500);
+}
+
+$stmt = $db->prepare('SELECT * FROM trip_requests WHERE id = :id');
+$stmt->execute([':id' => $row['id']]);
+
+json_success(['message' => t('api.tripUpdated', 'Your itinerary has been updated.'), ...trip_response($stmt->fetch())]);
+
+
+// ── Response shape ────────────────────────────────────────────────────────────
+
+// Same field names the trip form posts, so the frontend can refill it directly
+function trip_response(array $row): array {
+    return [
+        'trip' => [
+            'requestId'       => (int)$row['id'],
+            'token'           => $row['access_token'],
+            'email'           => $row['email'],
+            'checkinDate'     => $row['checkin_date'],
+            'checkoutDate'    => $row['checkout_date'],
+            'travelers'       => $row['travelers'],
+            'interests'       => json_decode($row['interests'], true) ?? [],
+            'mustSee'         => json_decode($row['must_see'] ?? '[]', true) ?? [],
+            'events'          => json_decode($row['events'] ?? '[]', true) ?? [],
+            'transport'       => $row['transport'] ?? '',
+            'specialRequests' => $row['special_requests'] ?? '',
+            'status'          => $row['status'],
+            'createdAt'       => $row['created_at'],
+            'updatedAt'       => $row['updated_at'],
+        ],
+        'itinerary' => json_decode($row['itinerary'] ?? 'null', true),
+        'estimate'  => json_decode($row['estimate'] ?? 'null', true),
+    ];
+}
@@ -0,0 +1,113 @@
+<?php
+/**
+ * api/handlers/trip_export.php
+ * GET /api/trip/{token}/calendar.ics  — the stored itinerary as an iCalendar file
+ * GET /api/trip/{token}/print         — printable HTML, one page per day
+ *
+ * Both are downloads/pages rather than JSON; errors are still JSON.
+ */
+
+require_once __DIR__ . '/../../includes/db.php';
+require_once __DIR__ . '/../../includes/calendar.php';
+require_once __DIR__ . '/../../includes/rate_limit.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+check_rate_limit('trip_view');
+
+$db   = get_db();
+$stmt = $db->prepare('SELECT * FROM trip_requests WHERE access_token = :token');
+$stmt->execute([':token' => $routeParams['token']]);
+$row = $stmt->fetch();
+
+$itinerary = $row ? json_decode($row['itinerary'] ?? 'null', true) : null;
+if (!$itinerary) {
+    json_error('Trip not found. Please check your link.', 404);
+}
+
+if ($routeParams['format'] === 'calendar.ics') {
+    header('Content-Type: text/calendar; charset=utf-8');
+    header('Content-Disposition: attachment; filename="goa-trip-' . $row['checkin_date'] . '.ics"');
+    echo itinerary_to_ics($itinerary, $row['checkin_date']);
+    exit;
+}
+
+// ── Printable itinerary ───────────────────────────────────────────────────────
+header('Content-Type: text/html; charset=utf-8');
+
+$checkin  = new DateTime($row['checkin_date']);
+$checkout = new DateTime($row['checkout_date']);
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Your Goa itinerary · <?= htmlspecialchars($checkin->format('j M')) ?> – <?= htmlspecialchars($checkout->format('j M Y')) ?></title>
+    <style>
+        body { font-family: Georgia, 'Times New Roman', serif; color: #1a1a1a; max-width: 720px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+        header { border-bottom: 2px solid #ff6b35; margin-bottom: 1.5rem; }
+        h1 { font-size: 1.6rem; margin: 0 0 .25rem; }
+        .trip-dates { color: #4a4a4a; margin: 0 0 1rem; }
+        .day { margin-bottom: 2rem; }
+        .day h2 { font-size: 1.3rem; margin: 0; }
+        .day-date { color: #4a4a4a; margin: 0 0 .75rem; }
+        .slot { display: grid; grid-template-columns: 7.5rem 1fr; gap: .5rem; padding: .6rem 0; border-top: 1px solid #e0e0e0; }
+        .slot-time { font-family: Helvetica, Arial, sans-serif; font-size: .85rem; color: #6b6b6b; }
+        .slot-time strong { display: block; color: #1a1a1a; }
+        .free-day { font-style: italic; color: #4a4a4a; }
+        .print-btn { font: inherit; padding: .5rem 1.2rem; border: 1px solid #ff6b35; border-radius: 999px; background: #fff; color: #e55a2b; cursor: pointer; }
+        @page { margin: 18mm; }
+        @media print {
+            body { margin: 0; max-width: none; }
+            .print-btn { display: none; }
+            .day { break-after: page; page-break-after: always; }
+            .day:last-of-type { break-after: auto; page-break-after: auto; }
+        }
+    </style>
+</head>
+<body>
+    <header>
+        <h1>Your <?= (int)$itinerary['nights'] ?>-night Goa itinerary</h1>
+        <p class="trip-dates">
+            <?= htmlspecialchars($checkin->format('l j F Y')) ?> to <?= htmlspecialchars($checkout->format('l j F Y')) ?>
+            · Trip #<?= (int)$row['id'] ?>
+        </p>
+        <p><button type="button" class="print-btn" onclick="window.print()">Print or save as PDF</button></p>
+    </header>
+
+    <?php foreach ($itinerary['days'] as $day):
+        $date = (clone $checkin)->modify('+' . ($day['day'] - 1) . ' days');
+    ?>
+        <section class="day">
+            <h2><?= htmlspecialchars($day['title']) ?></h2>
+            <p class="day-date"><?= htmlspecialchars($date->format('l j F Y')) ?></p>
+
+            <?php foreach ($day['events'] ?? [] as $event): ?>
+                <div class="slot">
+                    <div class="slot-time"><strong>Festival</strong> All day</div>
+                    <div><?= htmlspecialchars($event['name']) ?> · <?= htmlspecialchars($event['location']) ?></div>
+                </div>
+            <?php endforeach; ?>
+
+            <?php if (empty($day['activities']) && empty($day['events'])): ?>
+                <p class="free-day">Nothing planned: relax, shop, or go back to a favourite spot.</p>
+            <?php endif; ?>
+
+            <?php foreach ($day['activities'] as $activity):
+                [$start, $end] = ITINERARY_SLOTS[$activity['slot']] ?? [$activity['start'], $activity['end']];
+            ?>
+                <div class="slot">
+                    <div class="slot-time">
+                        <strong><?= htmlspecialchars(ucfirst($activity['slot'])) ?></strong>
+                        <?= htmlspecialchars("{$start}–{$end}") ?>
+                    </div>
+                    <div><?= htmlspecialchars($activity['name']) ?></div>
+                </div>
+            <?php endforeach; ?>
+        </section>
+    <?php endforeach; ?>
+</body>
+</html>
+<?php
+exit;
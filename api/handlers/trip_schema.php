@@ -0,0 +1,13 @@
+<?php
+/**
+ * api/handlers/trip_schema.php
+ * GET /api/trip/schema
+ * The trip form's validation rules and messages (TRIP_SCHEMA), so plan.html
+ * can check fields inline with exactly the rules the server enforces.
+ * Messages are in the Accept-Language language where a translation exists.
+ */
+
+require_once __DIR__ . '/../../includes/validator.php';
+require_once __DIR__ . '/../../includes/response.php';
+
+json_success(['fields' => trip_schema()]);
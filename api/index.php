@@ -4,10 +4,32 @@
  *
  * URL → file mapping:
  *   GET  /api/attractions              → handlers/attractions.php
+ *   GET  /api/attractions/{id}         → handlers/attraction_detail.php
  *   GET  /api/beaches                  → handlers/beaches.php
  *   GET  /api/beaches/region/{region}  → handlers/beaches.php
+ *   GET  /api/beaches/{id}             → handlers/beach_detail.php
+ *   GET|POST /api/{attractions|beaches}/{id}/reviews → handlers/reviews.php
  *   GET  /api/csrf-token               → handlers/csrf_token.php
+ *   GET  /api/trip/schema              → handlers/trip_schema.php
+ *   GET  /api/travel-info              → handlers/travel_info.php
+ *   GET  /api/events                   → handlers/events.php
+ *   GET  /api/search?q=…               → handlers/search.php
  *   POST /api/trip/create-itinerary    → handlers/trip.php
+ *   GET  /api/trip/{token}             → handlers/trip_detail.php
+ *   PUT  /api/trip/{token}             → handlers/trip_detail.php
+ *   GET  /api/trip/{token}/calendar.ics → handlers/trip_export.php
+ *   GET  /api/trip/{token}/print       → handlers/trip_export.php
+ *   GET  /api/shortlist?email=…        → handlers/shortlist.php
+ *   PUT  /api/shortlist                → handlers/shortlist.php
+ *
+ * Admin panel only (signed-in session, see includes/admin_auth.php):
+ *   GET|POST       /api/admin/{attractions|beaches}      → handlers/admin_places.php
+ *   GET|PUT|DELETE /api/admin/{attractions|beaches}/{id} → handlers/admin_places.php
+ *   POST           /api/admin/uploads                    → handlers/admin_upload.php
+ *   GET            /api/admin/trips/export               → handlers/admin_trip_export.php
+ *   GET|POST       /api/admin/catalogue                  → handlers/admin_catalogue.php
+ *   GET            /api/admin/analytics                  → handlers/admin_analytics.php
+ *   GET            /api/admin/analytics/{series}.csv     → handlers/admin_analytics.php
  */
 
 require_once __DIR__ . '/../includes/response.php';
@@ -19,19 +41,81 @@ $uri    = strtok($_SERVER['REQUEST_URI'], '?');
 $path   = trim(preg_replace('#^.*?/api/?#', '', $uri), '/');
 $method = $_SERVER['REQUEST_METHOD'];
 
+// Values captured from the path (e.g. {id}), read by the handlers
+$routeParams = [];
+
 // ── Route table ───────────────────────────────────────────────────────────────
 if ($method === 'GET'  && $path === 'attractions') {
     require __DIR__ . '/handlers/attractions.php';
 
+} elseif ($method === 'GET' && preg_match('#^attractions/(\d+)$#', $path, $m)) {
+    $routeParams['id'] = (int)$m[1];
+    require __DIR__ . '/handlers/attraction_detail.php';
+
 } elseif ($method === 'GET' && ($path === 'beaches' || preg_match('#^beaches/region/[\w-]+$#', $path))) {
     require __DIR__ . '/handlers/beaches.php';
 
+} elseif ($method === 'GET' && preg_match('#^beaches/(\d+)$#', $path, $m)) {
+    $routeParams['id'] = (int)$m[1];
+    require __DIR__ . '/handlers/beach_detail.php';
+
+} elseif (in_array($method, ['GET', 'POST'], true) && preg_match('#^(attractions|beaches)/(\d+)/reviews$#', $path, $m)) {
+    $routeParams['type'] = $m[1] === 'beaches' ? 'beach' : 'attraction';
+    $routeParams['id']   = (int)$m[2];
+    require __DIR__ . '/handlers/reviews.php';
+
 } elseif ($method === 'GET' && $path === 'csrf-token') {
     require __DIR__ . '/handlers/csrf_token.php';
 
+} elseif ($method === 'GET' && $path === 'trip/schema') {
+    require __DIR__ . '/handlers/trip_schema.php';
+
+} elseif ($method === 'GET' && $path === 'travel-info') {
+    require __DIR__ . '/handlers/travel_info.php';
+
+} elseif ($method === 'GET' && $path === 'events') {
+    require __DIR__ . '/handlers/events.php';
+
+} elseif ($method === 'GET' && $path === 'search') {
+    require __DIR__ . '/handlers/search.php';
+
 } elseif ($method === 'POST' && $path === 'trip/create-itinerary') {
     require __DIR__ . '/handlers/trip.php';
 
+} elseif (in_array($method, ['GET', 'PUT'], true) && preg_match('#^trip/([a-f0-9]{48})$#', $path, $m)) {
+    $routeParams['token'] = $m[1];
+    require __DIR__ . '/handlers/trip_detail.php';
+
+} elseif ($method === 'GET' && preg_match('#^trip/([a-f0-9]{48})/(calendar\.ics|print)$#', $path, $m)) {
+    $routeParams['token']  = $m[1];
+    $routeParams['format'] = $m[2];
+    require __DIR__ . '/handlers/trip_export.php';
+
+} elseif (in_array($method, ['GET', 'PUT'], true) && $path === 'shortlist') {
+    require __DIR__ . '/handlers/shortlist.php';
+
+} elseif (in_array($method, ['GET', 'POST'], true) && preg_match('#^admin/(attractions|beaches)$#', $path, $m)) {
+    $routeParams['type'] = $m[1] === 'beaches' ? 'beach' : 'attraction';
+    require __DIR__ . '/handlers/admin_places.php';
+
+} elseif (in_array($method, ['GET', 'PUT', 'DELETE'], true) && preg_match('#^admin/(attractions|beaches)/(\d+)$#', $path, $m)) {
+    $routeParams['type'] = $m[1] === 'beaches' ? 'beach' : 'attraction';
+    $routeParams['id']   = (int)$m[2];
+    require __DIR__ . '/handlers/admin_places.php';
+
+} elseif ($method === 'POST' && $path === 'admin/uploads') {
+    require __DIR__ . '/handlers/admin_upload.php';
+
+} elseif ($method === 'GET' && $path === 'admin/trips/export') {
+    require __DIR__ . '/handlers/admin_trip_export.php';
+
+} elseif (in_array($method, ['GET', 'POST'], true) && $path === 'admin/catalogue') {
+    require __DIR__ . '/handlers/admin_catalogue.php';
+
+} elseif ($method === 'GET' && preg_match('#^admin/analytics(?:/([a-z_]+)\.csv)?$#', $path, $m)) {
+    $routeParams['series'] = $m[1] ?? null;
+    require __DIR__ . '/handlers/admin_analytics.php';
+
 } else {
     json_error("Route not found: [$method] /$path", 404);
 }
@@ -22,6 +22,42 @@ define('SESSION_LIFETIME',    1800);          // admin session timeout (30 min)
 // ── Rate limiting ─────────────────────────────────────────────────────────────
 define('RATE_LIMIT_REQUESTS', 10);   // max requests …
 define('RATE_LIMIT_WINDOW',   60);   // … per this many seconds
+define('SEARCH_RATE_LIMIT',   60);   // requests per window to /api/search, which is called as people type
+define('BROWSE_RATE_LIMIT',   60);   // requests per window to the place listings, details and reviews, refetched as people filter
+
+// ── Sales team ────────────────────────────────────────────────────────────────
+// Agents trip requests can be assigned to in the admin panel. The key is what
+// gets stored, so rename people freely but don't reuse a key for someone else.
+define('LEAD_AGENTS', [
+    'priya'  => ['name' => 'Priya Naik',      'email' => 'priya@example.com'],
+    'rohan'  => ['name' => 'Rohan Kamat',     'email' => 'rohan@example.com'],
+    'marisa' => ['name' => 'Marisa Fernandes', 'email' => 'marisa@example.com'],
+]);
+
+// ── Site address ──────────────────────────────────────────────────────────────
+// Where the site is served from, for links in emails (no trailing slash)
+define('SITE_URL', 'http://localhost/goa-tourism');
+
+// ── Email ─────────────────────────────────────────────────────────────────────
+// 'outbox' writes each message as an .eml file in MAIL_OUTBOX_DIR instead of
+// sending it (development and tests); 'smtp' sends through the server below.
+// Messages are queued in the database and sent by mail_worker.php.
+define('MAIL_TRANSPORT',  'outbox');
+define('MAIL_OUTBOX_DIR', __DIR__ . '/outbox');
+define('MAIL_FROM',       'trips@example.com');
+define('MAIL_FROM_NAME',  'Goa Tourism');
+define('MAIL_TEAM_TO',    ['sales@example.com']);   // alerted about every new trip request
+
+define('SMTP_HOST',       'smtp.example.com');
+define('SMTP_PORT',       587);
+define('SMTP_ENCRYPTION', 'tls');   // 'tls' (STARTTLS), 'ssl' (port 465) or '' for none
+define('SMTP_USERNAME',   '');
+define('SMTP_PASSWORD',   '');
+define('SMTP_TIMEOUT',    15);      // seconds
+
+// ── Image uploads (admin panel) ───────────────────────────────────────────────
+define('UPLOAD_DIR',       __DIR__ . '/pictures');   // must be writable by the web server
+define('UPLOAD_MAX_BYTES', 2 * 1024 * 1024);         // 2 MB per image
 
 // ── CORS — set to your frontend origin in production ─────────────────────────
 define('ALLOWED_ORIGIN', '*');       // e.g. 'https://yoursite.github.io'
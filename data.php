@@ -0,0 +1,127 @@
+#!/usr/bin/env php
+<?php
+/**
+ * data.php  —  Command-line export and import, next to setup.php.
+ * Does what the admin panel's Import & export page does, for scripts and cron.
+ *
+ * Usage:
+ *   php data.php export-trips [--format=csv|json] [--status=new] [--from=2026-11-01] [--to=2026-11-30] [--out=file]
+ *   php data.php export-catalogue [--out=file]
+ *   php data.php import-catalogue <file.json> [--dry-run]
+ *
+ * Exports go to standard output unless --out is given. import-catalogue
+ * prints what it changes (or with --dry-run, what it would change) and
+ * saves nothing if any place in the file is invalid.
+ * Exit codes: 0 done, 1 invalid input, 2 bad usage.
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/includes/data_transfer.php';
+
+// Parse CLI args: --name=value options, --flag switches, the rest positional
+$command = $argv[1] ?? '';
+$options = [];
+$args    = [];
+foreach (array_slice($argv, 2) as $arg) {
+    if (preg_match('/^--([\w-]+)(?:=(.*))?$/s', $arg, $m)) {
+        $options[$m[1]] = $m[2] ?? true;
+    } else {
+        $args[] = $arg;
+    }
+}
+
+// Write an export to --out, or to standard output
+$output = function (string $content) use ($options): void {
+    if (!isset($options['out']) || $options['out'] === true) {
+        echo $content;
+        return;
+    }
+    if (file_put_contents($options['out'], $content) === false) {
+        fwrite(STDERR, "✗ Could not write {$options['out']}\n");
+        exit(1);
+    }
+    fwrite(STDERR, "✓ Wrote {$options['out']}\n");
+};
+
+$db = get_db();
+
+switch ($command) {
+    case 'export-trips':
+        [$filters, $errors] = trip_export_filters($options);
+        if ($errors) {
+            fwrite(STDERR, '✗ ' . implode("\n✗ ", $errors) . "\n");
+            exit(1);
+        }
+        $rows = trip_export_rows($db, $filters);
+        $output($filters['format'] === 'json'
+            ? json_encode(['filters' => $filters, 'count' => count($rows), 'trips' => $rows], JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES) . "\n"
+            : rows_to_csv($rows, TRIP_EXPORT_COLUMNS));
+        fwrite(STDERR, '  ' . count($rows) . " trip request(s)\n");
+        exit(0);
+
+    case 'export-catalogue':
+        $catalogue = catalogue_export($db);
+        $output(json_encode($catalogue, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES) . "\n");
+        fwrite(STDERR, '  ' . count($catalogue['attractions']) . ' attractions, ' . count($catalogue['beaches']) . " beaches\n");
+        exit(0);
+
+    case 'import-catalogue':
+        $file = $args[0] ?? null;
+        if ($file === null) break;
+
+        $data = is_readable($file) ? json_decode(file_get_contents($file), true) : null;
+        if (!is_array($data)) {
+            fwrite(STDERR, "✗ $file is missing or not valid JSON\n");
+            exit(1);
+        }
+
+        $dryRun = isset($options['dry-run']);
+        $plan   = catalogue_import_plan($db, $data);
+
+        foreach ($plan['changes'] as $table => $changes) {
+            echo "$table:\n";
+            foreach ($changes['created'] as $name) {
+                echo "  + $name\n";
+            }
+            foreach ($changes['updated'] as $update) {
+                echo "  ~ {$update['name']}\n";
+                foreach ($update['fields'] as $column => $change) {
+                    echo "      $column: " . json_encode($change['from'], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES)
+                       . ' → ' . json_encode($change['to'], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES) . "\n";
+                }
+            }
+            echo "  {$changes['unchanged']} unchanged\n";
+        }
+
+        if ($plan['errors']) {
+            foreach ($plan['errors'] as $error) {
+                $where = catalogue_error_label($error);
+                foreach ($error['fieldErrors'] as $message) {
+                    fwrite(STDERR, "✗ $where: $message\n");
+                }
+            }
+            fwrite(STDERR, "Nothing was imported.\n");
+            exit(1);
+        }
+
+        if ($dryRun) {
+            echo "\nDry run: nothing was saved. Run again without --dry-run to import.\n";
+        } else {
+            echo "\n✓ Saved " . catalogue_import_apply($db, $plan) . " place(s).\n";
+        }
+        exit(0);
+}
+
+fwrite(STDERR, <<<USAGE
+Usage:
+  php data.php export-trips [--format=csv|json] [--status=new] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--out=file]
+  php data.php export-catalogue [--out=file]
+  php data.php import-catalogue <file.json> [--dry-run]
+
+USAGE);
+exit(2);
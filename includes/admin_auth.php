@@ -0,0 +1,43 @@
+<?php
+/**
+ * includes/admin_auth.php
+ * The admin login session, shared by the admin/ pages and the /api/admin/*
+ * endpoints they call. The cookie is scoped to the whole site so both see it.
+ */
+
+require_once __DIR__ . '/../config.php';
+require_once __DIR__ . '/response.php';
+require_once __DIR__ . '/csrf.php';
+
+function admin_session_start(): void {
+    if (session_status() === PHP_SESSION_ACTIVE) return;
+
+    session_set_cookie_params([
+        'lifetime' => SESSION_LIFETIME,
+        'path'     => '/',
+        'httponly' => true,
+        'samesite' => 'Strict',
+    ]);
+    session_start();
+}
+
+function is_admin(): bool {
+    return !empty($_SESSION['admin']);
+}
+
+/**
+ * Gate for /api/admin/* handlers: 401 unless an admin is signed in, and 403
+ * for a write without a valid X-CSRF-Token (from GET /api/csrf-token).
+ */
+function require_admin(): void {
+    admin_session_start();
+    if (!is_admin()) {
+        json_error('Please sign in to the admin panel.', 401);
+    }
+    // Nothing below writes to the session, so release its lock for parallel requests
+    session_write_close();
+
+    if ($_SERVER['REQUEST_METHOD'] !== 'GET' && !csrf_validate($_SERVER['HTTP_X_CSRF_TOKEN'] ?? '')) {
+        json_error('Invalid or expired security token. Please refresh the page and try again.', 403);
+    }
+}
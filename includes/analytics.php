@@ -0,0 +1,210 @@
+<?php
+/**
+ * includes/analytics.php
+ * Figures about the trip requests for the admin panel's Analytics page:
+ * how many come in, how far ahead and for how long people plan, party sizes,
+ * which interests (and mixes of interests) they pick, and when in the year
+ * they travel. Used by GET /api/admin/analytics (admin_analytics.php).
+ */
+
+require_once __DIR__ . '/db.php';
+require_once __DIR__ . '/validator.php';
+
+// Range shown when no start date is given: this many days up to the end date
+const ANALYTICS_DEFAULT_DAYS = 90;
+
+// The longest range answered; the requests series has a bar for every day of it
+const ANALYTICS_MAX_RANGE_DAYS = 731;
+
+// Most interest combinations listed; the rest are summed into "Other"
+const ANALYTICS_TOP_COMBINATIONS = 10;
+
+// Days between submitting and checking in, as [label, up to n days] (null = no limit)
+const ANALYTICS_LEAD_TIME_BUCKETS = [
+    ['0–7 days',    7],
+    ['8–14 days',   14],
+    ['15–30 days',  30],
+    ['31–60 days',  60],
+    ['61–90 days',  90],
+    ['91–180 days', 180],
+    ['181+ days',   null],
+];
+
+// Trip lengths above this many nights share one bar
+const ANALYTICS_MAX_NIGHTS = 14;
+
+// The party sizes of the trip form (the travelers option values, see TRIP_SCHEMA)
+const ANALYTICS_PARTY_SIZES = ['1' => '1–2 people', '3' => '3–4 people', '5' => '5–6 people', '7' => '7+ people'];
+
+// Every series: its title and CSV columns. The first column labels the bar,
+// the second is its height.
+const ANALYTICS_SERIES = [
+    'requests'     => ['label' => 'Trip requests',          'columns' => ['period', 'requests']],
+    'lead_time'    => ['label' => 'Booked ahead',           'columns' => ['lead_time', 'requests']],
+    'trip_length'  => ['label' => 'Trip length',            'columns' => ['nights', 'requests']],
+    'travelers'    => ['label' => 'Party size',             'columns' => ['travelers', 'requests']],
+    'interests'    => ['label' => 'Interests',              'columns' => ['interest', 'requests', 'share_percent']],
+    'combinations' => ['label' => 'Interest combinations',  'columns' => ['interests', 'requests', 'share_percent']],
+    'seasonality'  => ['label' => 'Check-in month',         'columns' => ['month', 'requests']],
+];
+
+/**
+ * Check the analytics options: from/to on the date a request was submitted
+ * (inclusive; by default the last ANALYTICS_DEFAULT_DAYS days) and interval,
+ * 'day' or 'week', for the requests series. The week is the one starting
+ * on Monday. The range is at most ANALYTICS_MAX_RANGE_DAYS days.
+ * Returns [$filters, $errors], errors keyed by field.
+ */
+function analytics_filters(array $input): array {
+    $filters = ['interval' => $input['interval'] ?? 'day'];
+    $errors  = [];
+
+    if (!in_array($filters['interval'], ['day', 'week'], true)) {
+        $errors['interval'] = "Interval must be 'day' or 'week'.";
+    }
+
+    foreach (['from', 'to'] as $field) {
+        $date = is_string($input[$field] ?? null) ? trim($input[$field]) : '';
+        if ($date !== '' && !validate_date($date)) {
+            $errors[$field] = "'$field' must be a date like 2026-12-01.";
+        }
+        $filters[$field] = $date;
+    }
+    if ($errors) return [$filters, $errors];
+
+    if ($filters['to'] === '') $filters['to'] = date('Y-m-d');
+    if ($filters['from'] === '') {
+        $filters['from'] = (new DateTime($filters['to']))->modify('-' . (ANALYTICS_DEFAULT_DAYS - 1) . ' days')->format('Y-m-d');
+    }
+    $days = (new DateTime($filters['from']))->diff(new DateTime($filters['to']))->days + 1;
+    if ($filters['to'] < $filters['from']) {
+        $errors['to'] = "'to' must not be before 'from'.";
+    } elseif ($days > ANALYTICS_MAX_RANGE_DAYS) {
+        $errors['to'] = 'Choose a range of at most ' . ANALYTICS_MAX_RANGE_DAYS . ' days.';
+    }
+
+    return [$filters, $errors];
+}
+
+/**
+ * Every series for the requests submitted in the filters' range, plus a
+ * summary: ['summary' => [requests, averageNights, averageLeadDays,
+ * medianLeadDays], 'series' => [key => ['label', 'columns', 'rows']]].
+ * Each row is keyed by the series' columns; bars with no requests are kept
+ * so charts and CSVs have the same categories every time.
+ */
+function analytics_report(PDO $db, array $filters): array {
+    $stmt = $db->prepare('
+        SELECT date(created_at) AS submitted, checkin_date, checkout_date, travelers, interests
+          FROM trip_requests
+         WHERE date(created_at) BETWEEN :from AND :to
+    ');
+    $stmt->execute([':from' => $filters['from'], ':to' => $filters['to']]);
+    $trips = $stmt->fetchAll();
+
+    $periods   = analytics_periods($filters['from'], $filters['to'], $filters['interval']);
+    $leadTime  = array_fill_keys(array_column(ANALYTICS_LEAD_TIME_BUCKETS, 0), 0);
+    $nights    = array_fill_keys([...array_map('strval', range(1, ANALYTICS_MAX_NIGHTS)), (ANALYTICS_MAX_NIGHTS + 1) . '+'], 0);
+    $parties   = array_fill_keys(array_keys(ANALYTICS_PARTY_SIZES), 0);
+    $interests = array_fill_keys(TRIP_SCHEMA['interests']['options'], 0);
+    $combos    = [];
+    $months    = array_fill(1, 12, 0);
+    $leadDays  = [];
+    $allNights = [];
+
+    foreach ($trips as $trip) {
+        $submitted = new DateTime($trip['submitted']);
+        $checkin   = new DateTime($trip['checkin_date']);
+
+        $periods[analytics_period_key($submitted, $filters['interval'])]++;
+
+        $lead       = max(0, (int)$submitted->diff($checkin)->format('%r%a'));
+        $leadDays[] = $lead;
+        foreach (ANALYTICS_LEAD_TIME_BUCKETS as [$label, $max]) {
+            if ($max === null || $lead <= $max) {
+                $leadTime[$label]++;
+                break;
+            }
+        }
+
+        $stay        = $checkin->diff(new DateTime($trip['checkout_date']))->days;
+        $allNights[] = $stay;
+        $nights[$stay > ANALYTICS_MAX_NIGHTS ? (ANALYTICS_MAX_NIGHTS + 1) . '+' : (string)$stay]++;
+
+        if (isset($parties[$trip['travelers']])) $parties[$trip['travelers']]++;
+
+        // In the form's order, so "beaches + food" and "food + beaches" are one mix
+        $picked = array_values(array_intersect(TRIP_SCHEMA['interests']['options'], json_decode($trip['interests'], true) ?? []));
+        foreach ($picked as $interest) {
+            $interests[$interest]++;
+        }
+        if ($picked) {
+            $mix = implode(' + ', $picked);
+            $combos[$mix] = ($combos[$mix] ?? 0) + 1;
+        }
+
+        $months[(int)$checkin->format('n')]++;
+    }
+
+    $total = count($trips);
+    $share = fn(int $count) => $total ? round($count / $total * 100, 1) : 0.0;
+
+    arsort($combos);
+    $other  = array_sum(array_slice($combos, ANALYTICS_TOP_COMBINATIONS));
+    $combos = array_slice($combos, 0, ANALYTICS_TOP_COMBINATIONS, true);
+    if ($other) $combos['Other'] = $other;
+
+    sort($leadDays);
+    $middle = intdiv(count($leadDays), 2);
+
+    $rows = [
+        'requests'     => analytics_rows($periods),
+        'lead_time'    => analytics_rows($leadTime),
+        'trip_length'  => analytics_rows($nights),
+        'travelers'    => analytics_rows(array_combine(ANALYTICS_PARTY_SIZES, $parties)),
+        'interests'    => array_map(fn($key, $count) => [$key, $count, $share($count)], array_keys($interests), $interests),
+        'combinations' => array_map(fn($key, $count) => [$key, $count, $share($count)], array_keys($combos), $combos),
+        'seasonality'  => array_map(
+            fn($month, $count) => [DateTime::createFromFormat('!n', (string)$month)->format('F'), $count],
+            array_keys($months), $months
+        ),
+    ];
+
+    $series = [];
+    foreach (ANALYTICS_SERIES as $key => $meta) {
+        $series[$key] = $meta + ['rows' => array_map(fn($row) => array_combine($meta['columns'], $row), $rows[$key])];
+    }
+
+    return [
+        'summary' => [
+            'requests'        => $total,
+            'averageNights'   => $total ? round(array_sum($allNights) / $total, 1) : null,
+            'averageLeadDays' => $total ? round(array_sum($leadDays) / $total, 1) : null,
+            'medianLeadDays'  => $total ? ($total % 2 ? $leadDays[$middle] : ($leadDays[$middle - 1] + $leadDays[$middle]) / 2) : null,
+        ],
+        'series' => $series,
+    ];
+}
+
+// [label => count] as [[label, count]…]
+function analytics_rows(array $counts): array {
+    return array_map(fn($key, $count) => [(string)$key, $count], array_keys($counts), $counts);
+}
+
+// Every day or week (keyed by its Monday) from $from to $to, each at 0
+function analytics_periods(string $from, string $to, string $interval): array {
+    $periods = [];
+    $day     = new DateTime($from);
+    $end     = new DateTime($to);
+    while ($day <= $end) {
+        $periods[analytics_period_key($day, $interval)] = 0;
+        $day->modify('+1 day');
+    }
+    return $periods;
+}
+
+function analytics_period_key(DateTime $date, string $interval): string {
+    return $interval === 'week'
+        ? (clone $date)->modify('-' . ((int)$date->format('N') - 1) . ' days')->format('Y-m-d')
+        : $date->format('Y-m-d');
+}
@@ -0,0 +1,89 @@
+<?php
+/**
+ * includes/calendar.php
+ * Turns a stored itinerary into an iCalendar (RFC 5545) file.
+ * main.js builds the same file client-side (PlanTripPage.buildCalendar),
+ * so keep the two in step.
+ */
+
+require_once __DIR__ . '/itinerary.php';
+
+/**
+ * One VEVENT per activity, in Goa local time, and an all-day one for each
+ * festival on each day it is on. Day N is anchored to the check-in date
+ * (day 1 = check-in). Free days produce no events.
+ */
+function itinerary_to_ics(array $itinerary, string $checkinDate): string {
+    $stamp = gmdate('Ymd\THis\Z');
+    $lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Visit Goa//Trip Planner//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:My Goa trip',
+        // India has no daylight saving, so one STANDARD block covers every date
+        'BEGIN:VTIMEZONE',
+        'TZID:Asia/Kolkata',
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0530',
+        'TZOFFSETTO:+0530',
+        'TZNAME:IST',
+        'END:STANDARD',
+        'END:VTIMEZONE',
+    ];
+
+    foreach ($itinerary['days'] ?? [] as $day) {
+        $date = (new DateTime($checkinDate))->modify('+' . ($day['day'] - 1) . ' days')->format('Ymd');
+
+        foreach ($day['activities'] as $activity) {
+            [$start, $end] = ITINERARY_SLOTS[$activity['slot']] ?? [$activity['start'], $activity['end']];
+
+            $lines[] = 'BEGIN:VEVENT';
+            $lines[] = "UID:$date-{$activity['slot']}-{$activity['type']}-{$activity['id']}@visit-goa";
+            $lines[] = "DTSTAMP:$stamp";
+            $lines[] = "DTSTART;TZID=Asia/Kolkata:{$date}T" . str_replace(':', '', $start) . '00';
+            $lines[] = "DTEND;TZID=Asia/Kolkata:{$date}T" . str_replace(':', '', $end) . '00';
+            $lines[] = 'SUMMARY:' . ics_escape($activity['name']);
+            $lines[] = 'DESCRIPTION:' . ics_escape($day['title']);
+            $lines[] = 'END:VEVENT';
+        }
+
+        foreach ($day['events'] ?? [] as $event) {
+            $lines[] = 'BEGIN:VEVENT';
+            $lines[] = "UID:$date-event-{$event['id']}@visit-goa";
+            $lines[] = "DTSTAMP:$stamp";
+            $lines[] = "DTSTART;VALUE=DATE:$date";
+            $lines[] = 'DTEND;VALUE=DATE:' . (new DateTime($date))->modify('+1 day')->format('Ymd');
+            $lines[] = 'SUMMARY:' . ics_escape($event['name']);
+            $lines[] = 'LOCATION:' . ics_escape($event['location']);
+            $lines[] = 'TRANSP:TRANSPARENT';
+            $lines[] = 'END:VEVENT';
+        }
+    }
+
+    $lines[] = 'END:VCALENDAR';
+
+    return implode("\r\n", array_map('ics_fold', $lines)) . "\r\n";
+}
+
+// Escape TEXT values (RFC 5545 §3.3.11)
+function ics_escape(string $text): string {
+    return str_replace(['\\', ';', ',', "\r\n", "\n"], ['\\\\', '\;', '\\,', '\\n', '\\n'], $text);
+}
+
+// Fold content lines longer than 75 octets without splitting a UTF-8 character
+function ics_fold(string $line): string {
+    $folded = '';
+    $length = 0;
+    foreach (preg_split('//u', $line, -1, PREG_SPLIT_NO_EMPTY) as $char) {
+        if ($length + strlen($char) > 75) {
+            $folded .= "\r\n ";
+            $length = 1;
+        }
+        $folded .= $char;
+        $length += strlen($char);
+    }
+    return $folded;
+}
@@ -0,0 +1,181 @@
+<?php
+/**
+ * includes/costs.php
+ * Trip cost estimates from the seasons, transport_options and packages tables.
+ * GET /api/travel-info sends the same figures to plan.html, whose live
+ * estimator (PlanTripPage.estimateCost in main.js) mirrors estimate_trip_cost().
+ * All amounts are whole rupees.
+ */
+
+require_once __DIR__ . '/db.php';
+
+const COST_CURRENCY = 'INR';
+
+// Meals per person per day, whatever the season
+const COST_FOOD_PER_DAY = 1200;
+
+// Activities per person per day for each trip form interest (entry fees,
+// water sports, food walks, club entry); a day costs the average of the
+// chosen interests, scaled by the season's price_factor
+const COST_INTEREST_PER_DAY = [
+    'adventure' => 1800,
+    'culture'   => 400,
+    'beaches'   => 700,
+    'food'      => 900,
+    'nightlife' => 1500,
+];
+
+// Used when the trip doesn't say how the travellers will get around
+const COST_DEFAULT_TRANSPORT = 'taxi';
+
+/**
+ * Everything the estimate is worked out from, in the shape the API sends:
+ * ['currency' => …, 'seasons' => […], 'transport' => […], 'packages' => […], 'rates' => […]].
+ */
+function travel_info(PDO $db): array {
+    $seasons = array_map(fn($row) => [
+        'slug'         => $row['slug'],
+        'name'         => $row['name'],
+        'months'       => json_decode($row['months'], true) ?? [],
+        'description'  => $row['description'],
+        'pro'          => $row['pro'],
+        'con'          => $row['con'],
+        'stayPerNight' => (int)$row['stay_per_night'],
+        'priceFactor'  => (float)$row['price_factor'],
+    ], $db->query('SELECT * FROM seasons ORDER BY sort_order, id')->fetchAll());
+
+    $transport = array_map(fn($row) => [
+        'slug'        => $row['slug'],
+        'name'        => $row['name'],
+        'description' => $row['description'],
+        'dailyCost'   => (int)$row['daily_cost'],
+        'per'         => $row['per'],
+        'capacity'    => max(1, (int)$row['capacity']),
+    ], $db->query('SELECT * FROM transport_options ORDER BY sort_order, id')->fetchAll());
+
+    $packages = array_map(fn($row) => [
+        'slug'           => $row['slug'],
+        'name'           => $row['name'],
+        'description'    => $row['description'],
+        'days'           => (int)$row['days'],
+        'pricePerPerson' => (int)$row['price_per_person'],
+        'interests'      => json_decode($row['interests'], true) ?? [],
+        'image'          => $row['image'],
+    ], $db->query('SELECT * FROM packages ORDER BY sort_order, id')->fetchAll());
+
+    return [
+        'currency'  => COST_CURRENCY,
+        'seasons'   => $seasons,
+        'transport' => $transport,
+        'packages'  => $packages,
+        'rates'     => [
+            'foodPerDay'       => COST_FOOD_PER_DAY,
+            'interestPerDay'   => COST_INTEREST_PER_DAY,
+            'defaultTransport' => COST_DEFAULT_TRANSPORT,
+        ],
+    ];
+}
+
+/**
+ * Itemised cost of a trip for one person and for the whole group.
+ * $travelers is the party size (the trip form's option value, e.g. 3 for
+ * "3-4 People"); a day of the itinerary is one night of the stay, and each
+ * night is priced by the season its date falls in. Returns:
+ * [
+ *   'currency' => 'INR', 'nights' => 4, 'travelers' => 3, 'transport' => 'taxi',
+ *   'seasons'  => [['slug' => 'peak', 'nights' => 4]],
+ *   'items'    => [['key' => 'stay', 'perPerson' => …, 'group' => …], …food, activities, transport],
+ *   'perPerson' => …, 'group' => …,
+ *   'package'  => ['slug' => …, 'days' => …, 'perPerson' => …, 'group' => …] or null
+ * ]
+ * `package` is the package that best matches the interests and fits the stay.
+ */
+function estimate_trip_cost(array $info, string $checkinDate, int $nights, int $travelers, array $interests, ?string $transport = null): array {
+    $travelers = max(1, $travelers);
+    $option    = cost_transport_option($info, $transport);
+    $interestRates = array_values(array_intersect_key($info['rates']['interestPerDay'], array_flip($interests)));
+    $activityPerDay = $interestRates ? array_sum($interestRates) / count($interestRates) : 0;
+
+    $stay = 0;
+    $activities = 0;
+    $nightsBySeason = [];
+    $date = new DateTime($checkinDate);
+
+    for ($night = 0; $night < $nights; $night++) {
+        $season = cost_season_for($info, (int)$date->format('n'));
+        $stay       += $season['stayPerNight'];
+        $activities += $activityPerDay * $season['priceFactor'];
+        $nightsBySeason[$season['slug']] = ($nightsBySeason[$season['slug']] ?? 0) + 1;
+        $date->modify('+1 day');
+    }
+
+    $vehicles     = $option['per'] === 'person' ? $travelers : (int)ceil($travelers / $option['capacity']);
+    $transportSum = $vehicles * $option['dailyCost'] * $nights;
+
+    $items = [
+        cost_item('stay',       $stay,                                  $travelers),
+        cost_item('food',       $info['rates']['foodPerDay'] * $nights, $travelers),
+        cost_item('activities', (int)round($activities),                $travelers),
+        // Shared vehicles are split evenly between the travellers
+        ['key' => 'transport', 'perPerson' => (int)round($transportSum / $travelers), 'group' => $transportSum],
+    ];
+
+    return [
+        'currency'  => $info['currency'],
+        'nights'    => $nights,
+        'travelers' => $travelers,
+        'transport' => $option['slug'],
+        'seasons'   => array_map(fn($slug, $count) => ['slug' => $slug, 'nights' => $count], array_keys($nightsBySeason), $nightsBySeason),
+        'items'     => $items,
+        'perPerson' => array_sum(array_column($items, 'perPerson')),
+        'group'     => array_sum(array_column($items, 'group')),
+        'package'   => cost_package_for($info, $checkinDate, $nights, $travelers, $interests),
+    ];
+}
+
+// A per-person amount, and what it comes to for the group
+function cost_item(string $key, int $perPerson, int $travelers): array {
+    return ['key' => $key, 'perPerson' => $perPerson, 'group' => $perPerson * $travelers];
+}
+
+// The season a month (1–12) belongs to; the first season if none claims it
+function cost_season_for(array $info, int $month): array {
+    foreach ($info['seasons'] as $season) {
+        if (in_array($month, $season['months'], true)) return $season;
+    }
+    return $info['seasons'][0];
+}
+
+function cost_transport_option(array $info, ?string $slug): array {
+    $options = array_column($info['transport'], null, 'slug');
+    $default = $info['rates']['defaultTransport'];
+    return $options[$slug ?? $default] ?? $options[$default] ?? $info['transport'][0];
+}
+
+/**
+ * The package sharing the most interests with the trip that is no longer
+ * than the stay (a 3-day package covers two nights), longest first; priced
+ * by the check-in season. Null when nothing matches.
+ */
+function cost_package_for(array $info, string $checkinDate, int $nights, int $travelers, array $interests): ?array {
+    $best = null;
+    $bestRank = null;
+
+    foreach ($info['packages'] as $package) {
+        $shared = count(array_intersect($package['interests'], $interests));
+        if ($shared === 0 || $package['days'] > $nights + 1) continue;
+
+        $rank = [$shared, $package['days']];
+        if ($bestRank === null || $rank > $bestRank) {
+            $best = $package;
+            $bestRank = $rank;
+        }
+    }
+
+    if ($best === null) return null;
+
+    $season    = cost_season_for($info, (int)(new DateTime($checkinDate))->format('n'));
+    $perPerson = (int)round($best['pricePerPerson'] * $season['priceFactor']);
+
+    return ['slug' => $best['slug'], 'days' => $best['days'], 'perPerson' => $perPerson, 'group' => $perPerson * $travelers];
+}
@@ -0,0 +1,273 @@
+<?php
+/**
+ * includes/data_transfer.php
+ * Getting data in and out of the database without opening the SQLite file:
+ * trip requests as CSV or JSON (for the CRM), and the attractions and beaches
+ * catalogue as JSON (for moving content between staging and production).
+ * Used by the admin API (admin_trip_export.php, admin_catalogue.php), the
+ * admin panel's Import & export page and the data.php command.
+ */
+
+require_once __DIR__ . '/db.php';
+require_once __DIR__ . '/leads.php';
+require_once __DIR__ . '/place_admin.php';
+
+// Bumped if the catalogue file's layout ever changes
+const CATALOGUE_FORMAT_VERSION = 1;
+
+// Columns of a trip export, in order (see trip_export_rows())
+const TRIP_EXPORT_COLUMNS = [
+    'id', 'email', 'checkin_date', 'checkout_date', 'nights', 'travelers', 'interests', 'must_see',
+    'transport', 'special_requests', 'status', 'assigned_to',
+    'estimate_currency', 'estimate_per_person', 'estimate_group', 'submitted_at', 'updated_at',
+];
+
+/**
+ * Check the trip export's options: format (csv, the default, or json), status,
+ * and from/to on the date a request was submitted (inclusive).
+ * Returns [$filters, $errors], errors keyed by field.
+ */
+function trip_export_filters(array $input): array {
+    $filters = ['format' => $input['format'] ?? 'csv'];
+    $errors  = [];
+
+    if (!in_array($filters['format'], ['csv', 'json'], true)) {
+        $errors['format'] = "Format must be 'csv' or 'json'.";
+    }
+
+    $status = is_string($input['status'] ?? null) ? trim($input['status']) : '';
+    if ($status !== '' && !isset(LEAD_STATUSES[$status])) {
+        $errors['status'] = 'Status must be one of ' . implode(', ', array_keys(LEAD_STATUSES)) . '.';
+    }
+    $filters['status'] = $status;
+
+    foreach (['from', 'to'] as $field) {
+        $date = is_string($input[$field] ?? null) ? trim($input[$field]) : '';
+        if ($date !== '' && !validate_date($date)) {
+            $errors[$field] = "'$field' must be a date like 2026-12-01.";
+        }
+        $filters[$field] = $date;
+    }
+
+    if (!$errors && $filters['from'] !== '' && $filters['to'] !== '' && $filters['to'] < $filters['from']) {
+        $errors['to'] = "'to' must not be before 'from'.";
+    }
+
+    return [$filters, $errors];
+}
+
+/**
+ * Trip requests matching trip_export_filters() output, oldest first, one flat
+ * row each: interests and must-see places are joined with "; " and the
+ * estimate is reduced to its totals, so CSV and JSON have the same columns.
+ */
+function trip_export_rows(PDO $db, array $filters): array {
+    $where  = [];
+    $params = [];
+    if ($filters['status'] !== '') {
+        $where[] = 'status = :status';
+        $params[':status'] = $filters['status'];
+    }
+    if ($filters['from'] !== '') {
+        $where[] = 'date(created_at) >= :from';
+        $params[':from'] = $filters['from'];
+    }
+    if ($filters['to'] !== '') {
+        $where[] = 'date(created_at) <= :to';
+        $params[':to'] = $filters['to'];
+    }
+
+    $stmt = $db->prepare('SELECT * FROM trip_requests' . ($where ? ' WHERE ' . implode(' AND ', $where) : '') . ' ORDER BY created_at, id');
+    $stmt->execute($params);
+    $trips = $stmt->fetchAll();
+
+    $mustSeeKeys = [];
+    foreach ($trips as $trip) {
+        $mustSeeKeys = [...$mustSeeKeys, ...(json_decode($trip['must_see'] ?? '[]', true) ?? [])];
+    }
+    $places = find_places($db, array_values(array_unique($mustSeeKeys)), includeDrafts: true);
+
+    return array_map(function (array $trip) use ($places) {
+        $estimate = json_decode($trip['estimate'] ?? 'null', true);
+        $mustSee  = json_decode($trip['must_see'] ?? '[]', true) ?? [];
+
+        return [
+            'id'                  => (int)$trip['id'],
+            'email'               => $trip['email'],
+            'checkin_date'        => $trip['checkin_date'],
+            'checkout_date'       => $trip['checkout_date'],
+            'nights'              => (new DateTime($trip['checkin_date']))->diff(new DateTime($trip['checkout_date']))->days,
+            'travelers'           => $trip['travelers'],
+            'interests'           => implode('; ', json_decode($trip['interests'] ?? '[]', true) ?? []),
+            'must_see'            => implode('; ', array_map(fn($key) => $places[$key]['name'] ?? $key, $mustSee)),
+            'transport'           => $trip['transport'] ?? '',
+            'special_requests'    => $trip['special_requests'] ?? '',
+            'status'              => $trip['status'],
+            'assigned_to'         => $trip['assigned_to'] ? lead_agent_name($trip['assigned_to']) : '',
+            'estimate_currency'   => $estimate['currency'] ?? '',
+            'estimate_per_person' => $estimate['perPerson'] ?? null,
+            'estimate_group'      => $estimate['group'] ?? null,
+            'submitted_at'        => $trip['created_at'],
+            'updated_at'          => $trip['updated_at'] ?? '',
+        ];
+    }, $trips);
+}
+
+/**
+ * Rows as CSV with a header line. Text starting with = + - @ is prefixed
+ * with ' so a spreadsheet doesn't run it as a formula.
+ */
+function rows_to_csv(array $rows, array $columns): string {
+    $out = fopen('php://temp', 'r+');
+    fputcsv($out, $columns, escape: '');
+    foreach ($rows as $row) {
+        $cells = array_map(
+            fn($column) => is_string($row[$column] ?? null) && preg_match('/^[=+\-@\t\r]/', $row[$column]) ? "'" . $row[$column] : $row[$column] ?? '',
+            $columns
+        );
+        fputcsv($out, $cells, escape: '');
+    }
+    rewind($out);
+    $csv = stream_get_contents($out);
+    fclose($out);
+    return $csv;
+}
+
+/**
+ * The whole catalogue, drafts included: every PLACE_SCHEMAS column of every
+ * attraction and beach. Ids are left out — places are matched by name on
+ * import, since ids differ from one database to the next.
+ */
+function catalogue_export(PDO $db): array {
+    $catalogue = ['version' => CATALOGUE_FORMAT_VERSION, 'exportedAt' => gmdate('c')];
+
+    foreach (PLACE_TABLES as $type => $table) {
+        $rows = $db->query("SELECT * FROM $table ORDER BY name COLLATE NOCASE")->fetchAll();
+        $catalogue[$table] = array_map(
+            fn($row) => array_intersect_key(place_admin_response($type, $row), PLACE_SCHEMAS[$type]),
+            $rows
+        );
+    }
+    return $catalogue;
+}
+
+/**
+ * Work out what importing $data (catalogue_export() output) would change,
+ * without writing anything. Every place is validated as a full record, as
+ * PUT /api/admin/{attractions|beaches}/{id} does; places already in the
+ * database are matched by name, ignoring case, and left alone if absent
+ * from $data.
+ *
+ * Returns ['changes' => [table => ['created' => [name…], 'updated' => [[name,
+ * fields => [column => [from, to]]]…], 'unchanged' => n]], 'errors' => […],
+ * 'writes' => […]]. Each error is [table, index, name, fieldErrors]; 'writes'
+ * is what catalogue_import_apply() saves.
+ */
+function catalogue_import_plan(PDO $db, array $data): array {
+    $plan = ['changes' => [], 'errors' => [], 'writes' => []];
+
+    if (isset($data['version']) && $data['version'] !== CATALOGUE_FORMAT_VERSION) {
+        $plan['errors'][] = ['table' => null, 'index' => null, 'name' => null,
+            'fieldErrors' => ['version' => 'This file is catalogue format version ' . json_encode($data['version']) . '; expected ' . CATALOGUE_FORMAT_VERSION . '.']];
+        return $plan;
+    }
+    if (!array_intersect_key($data, array_flip(PLACE_TABLES))) {
+        $plan['errors'][] = ['table' => null, 'index' => null, 'name' => null,
+            'fieldErrors' => ['file' => 'Expected an "attractions" and/or "beaches" list.']];
+        return $plan;
+    }
+
+    foreach (PLACE_TABLES as $type => $table) {
+        if (!array_key_exists($table, $data)) continue;
+
+        $changes = ['created' => [], 'updated' => [], 'unchanged' => 0];
+        if (!is_array($data[$table]) || !array_is_list($data[$table])) {
+            $plan['errors'][] = ['table' => $table, 'index' => null, 'name' => null, 'fieldErrors' => [$table => "\"$table\" must be a list."]];
+            continue;
+        }
+
+        $existing = [];
+        foreach ($db->query("SELECT * FROM $table") as $row) {
+            $existing[mb_strtolower($row['name'])] = $row;
+        }
+
+        $seen = [];
+        foreach ($data[$table] as $index => $item) {
+            $name = is_array($item) && is_string($item['name'] ?? null) ? trim($item['name']) : null;
+            if (!is_array($item)) {
+                $plan['errors'][] = ['table' => $table, 'index' => $index, 'name' => null, 'fieldErrors' => ['item' => "Each $type must be an object."]];
+                continue;
+            }
+
+            $current = $name !== null ? ($existing[mb_strtolower($name)] ?? null) : null;
+            [$place, $errors] = validate_place($db, $type, $item, $current ? (int)$current['id'] : null);
+
+            if ($name !== null && isset($seen[mb_strtolower($name)])) {
+                $errors['name'] = "\"$name\" appears more than once in the file.";
+            }
+            $seen[mb_strtolower((string)$name)] = true;
+
+            if ($errors) {
+                $plan['errors'][] = ['table' => $table, 'index' => $index, 'name' => $name, 'fieldErrors' => $errors];
+                continue;
+            }
+
+            if ($current === null) {
+                $changes['created'][] = $place['name'];
+                $plan['writes'][] = ['type' => $type, 'id' => null, 'place' => $place];
+                continue;
+            }
+
+            $fields = catalogue_changed_fields($type, $current, $place);
+            if ($fields) {
+                $changes['updated'][] = ['name' => $place['name'], 'fields' => $fields];
+                $plan['writes'][] = ['type' => $type, 'id' => (int)$current['id'], 'place' => $place];
+            } else {
+                $changes['unchanged']++;
+            }
+        }
+
+        $plan['changes'][$table] = $changes;
+    }
+
+    return $plan;
+}
+
+/**
+ * The columns where a validated place differs from its stored row, as
+ * [column => ['from' => stored, 'to' => imported]].
+ */
+function catalogue_changed_fields(string $type, array $row, array $place): array {
+    $stored = place_admin_response($type, $row);
+    // save_place() stores an empty rating as 0
+    if (array_key_exists('rating', $place)) $place['rating'] ??= 0.0;
+
+    $fields = [];
+    foreach (PLACE_SCHEMAS[$type] as $column => $rule) {
+        $from = $stored[$column] ?? null;
+        $to   = $place[$column] ?? null;
+        $same = $rule['type'] === 'number' && $from !== null && $to !== null ? (float)$from === (float)$to : $from === $to;
+        if (!$same) $fields[$column] = ['from' => $from, 'to' => $to];
+    }
+    return $fields;
+}
+
+// Where an import error is: the place's name, else its position ("beaches[3]"), else the file
+function catalogue_error_label(array $error): string {
+    return $error['name'] ?? ($error['table'] !== null ? "{$error['table']}[{$error['index']}]" : 'File');
+}
+
+/** Save a plan's writes in one transaction. Returns the number of places saved. */
+function catalogue_import_apply(PDO $db, array $plan): int {
+    $db->beginTransaction();
+    try {
+        foreach ($plan['writes'] as $write) {
+            save_place($db, $write['type'], $write['place'], $write['id']);
+        }
+        $db->commit();
+    } catch (Throwable $e) {
+        $db->rollBack();
+        throw $e;
+    }
+    return count($plan['writes']);
+}
@@ -27,6 +27,18 @@ function get_db(): PDO {
     return $pdo;
 }
 
+/**
+ * Add a column to an existing table unless it is already there.
+ * Lets init_database() upgrade databases created by an older setup.php.
+ * Table/column names come from our own code, never from user input.
+ */
+function add_column_if_missing(PDO $db, string $table, string $column, string $definition): void {
+    $columns = array_column($db->query("PRAGMA table_info($table)")->fetchAll(), 'name');
+    if (!in_array($column, $columns, strict: true)) {
+        $db->exec("ALTER TABLE $table ADD COLUMN $column $definition");
+    }
+}
+
 /**
  * Create all tables and seed data on first run.
  * Called once from setup.php.
@@ -44,7 +56,15 @@ function init_database(): void {
             category    TEXT    NOT NULL,   -- church | fort | temple | museum | nature
             rating      REAL    DEFAULT 0,
             image       TEXT,
-            created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+            long_description TEXT,          -- full copy for the detail view
+            latitude    REAL,               -- WGS84 decimal degrees, for the map
+            longitude   REAL,
+            opens_at    TEXT,               -- 'HH:MM', NULL = always open
+            closes_at   TEXT,
+            closed_days TEXT DEFAULT '[]',  -- JSON array of weekdays e.g. '[\"Mon\"]'
+            published   INTEGER NOT NULL DEFAULT 1,  -- 0 = draft, only visible in the admin panel
+            created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at  DATETIME
         );
 
         CREATE TABLE IF NOT EXISTS beaches (
@@ -56,7 +76,15 @@ function init_database(): void {
             activities  TEXT    NOT NULL,   -- JSON array  e.g. '[\"Swimming\",\"Kayaking\"]'
             image       TEXT,
             featured    INTEGER DEFAULT 0,
-            created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+            long_description TEXT,          -- full copy for the detail view
+            latitude    REAL,               -- WGS84 decimal degrees, for the map
+            longitude   REAL,
+            opens_at    TEXT,               -- 'HH:MM', NULL = always open
+            closes_at   TEXT,
+            closed_days TEXT DEFAULT '[]',  -- JSON array of weekdays e.g. '[\"Mon\"]'
+            published   INTEGER NOT NULL DEFAULT 1,  -- 0 = draft, only visible in the admin panel
+            created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at  DATETIME
         );
 
         CREATE TABLE IF NOT EXISTS trip_requests (
@@ -68,8 +96,16 @@ function init_database(): void {
             interests        TEXT    NOT NULL,  -- JSON array
             special_requests TEXT,
             ip_address       TEXT,
-            status           TEXT    DEFAULT 'pending',  -- pending | reviewed
-            created_at       DATETIME DEFAULT CURRENT_TIMESTAMP
+            status           TEXT    DEFAULT 'new',      -- new | contacted | quoted | booked | cancelled (includes/leads.php)
+            assigned_to      TEXT,                       -- key of LEAD_AGENTS in config.php, NULL = unassigned
+            access_token     TEXT,                       -- private link: plan.html?trip=<token>
+            itinerary        TEXT,                       -- JSON, as returned to the traveller
+            must_see         TEXT    DEFAULT '[]',       -- JSON array of place keys e.g. '[\"beach:2\"]'
+            events           TEXT    DEFAULT '[]',       -- JSON array of events.id chosen for the itinerary
+            transport        TEXT,                       -- transport_options.slug, NULL = not chosen
+            estimate         TEXT,                       -- JSON cost estimate, see includes/costs.php
+            created_at       DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at       DATETIME
         );
 
         CREATE TABLE IF NOT EXISTS rate_limits (
@@ -85,10 +121,239 @@ function init_database(): void {
             created_at INTEGER NOT NULL
         );
 
+        -- History of each trip request: traveller edits, and the sales team's status
+        -- changes, assignments and internal notes (includes/leads.php)
+        CREATE TABLE IF NOT EXISTS trip_events (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            trip_id    INTEGER NOT NULL REFERENCES trip_requests(id) ON DELETE CASCADE,
+            actor      TEXT    NOT NULL,   -- admin username, or 'traveller'
+            type       TEXT    NOT NULL,   -- created | updated | status | assigned | note
+            old_value  TEXT,
+            new_value  TEXT,
+            note       TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Outgoing email, queued by includes/mailer.php and sent by mail_worker.php.
+        -- The rendered message is kept, so what was sent can be read back later.
+        CREATE TABLE IF NOT EXISTS mail_queue (
+            id              INTEGER PRIMARY KEY AUTOINCREMENT,
+            trip_id         INTEGER REFERENCES trip_requests(id) ON DELETE CASCADE,
+            template        TEXT    NOT NULL,   -- trip_confirmation | trip_alert
+            recipient       TEXT    NOT NULL,
+            subject         TEXT    NOT NULL,
+            body_html       TEXT    NOT NULL,
+            body_text       TEXT    NOT NULL,
+            status          TEXT    NOT NULL DEFAULT 'queued',   -- queued | sending | sent | failed
+            attempts        INTEGER NOT NULL DEFAULT 0,
+            last_error      TEXT,
+            transport       TEXT,               -- what sent it: smtp | outbox
+            next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            locked_at       DATETIME,           -- when a worker picked it up
+            sent_at         DATETIME,
+            created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Descriptions in other languages; English stays on the place itself
+        CREATE TABLE IF NOT EXISTS place_translations (
+            id               INTEGER PRIMARY KEY AUTOINCREMENT,
+            place_type       TEXT    NOT NULL CHECK (place_type IN ('attraction', 'beach')),
+            place_id         INTEGER NOT NULL,
+            locale           TEXT    NOT NULL,   -- hi | kok | pt (see includes/i18n.php)
+            description      TEXT,
+            long_description TEXT,
+            UNIQUE (place_type, place_id, locale)
+        );
+
+        -- Server copy of a traveller's saved places, so the shortlist follows them between devices
+        CREATE TABLE IF NOT EXISTS shortlists (
+            email       TEXT    PRIMARY KEY COLLATE NOCASE,
+            places      TEXT    NOT NULL DEFAULT '[]',   -- JSON array of place keys, see includes/places.php
+            owner_token TEXT,                            -- handed out on the first save; needed to read or replace the list
+            updated_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Visitor reviews, shown once approved in the admin panel (includes/reviews.php).
+        -- The approved ones' count and average are kept on the place as review_count/review_rating.
+        CREATE TABLE IF NOT EXISTS reviews (
+            id           INTEGER PRIMARY KEY AUTOINCREMENT,
+            place_type   TEXT    NOT NULL CHECK (place_type IN ('attraction', 'beach')),
+            place_id     INTEGER NOT NULL,
+            name         TEXT    NOT NULL,   -- shown with the review
+            email        TEXT    NOT NULL,   -- never shown; one review per place each
+            rating       INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+            title        TEXT,
+            body         TEXT    NOT NULL,
+            locale       TEXT,               -- the language the site was in
+            status       TEXT    NOT NULL DEFAULT 'pending',   -- pending | approved | rejected
+            ip_address   TEXT,
+            moderated_by TEXT,
+            moderated_at DATETIME,
+            created_at   DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        -- Price bands for the trip cost estimate (includes/costs.php); every month belongs to one
+        CREATE TABLE IF NOT EXISTS seasons (
+            id             INTEGER PRIMARY KEY AUTOINCREMENT,
+            slug           TEXT    NOT NULL UNIQUE,   -- peak | shoulder | off
+            name           TEXT    NOT NULL,
+            months         TEXT    NOT NULL,          -- JSON array of month numbers e.g. '[11,12,1,2]'
+            description    TEXT    NOT NULL,
+            pro            TEXT    NOT NULL,          -- one-line upside, e.g. 'Best Weather'
+            con            TEXT    NOT NULL,
+            stay_per_night INTEGER NOT NULL,          -- rupees per person, sharing a double room
+            price_factor   REAL    NOT NULL DEFAULT 1, -- applied to activity and package prices
+            sort_order     INTEGER DEFAULT 0
+        );
+
+        CREATE TABLE IF NOT EXISTS transport_options (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            slug        TEXT    NOT NULL UNIQUE,      -- taxi | bike | bus | self-drive
+            name        TEXT    NOT NULL,
+            description TEXT    NOT NULL,
+            daily_cost  INTEGER NOT NULL,             -- rupees per day, for one vehicle or one person
+            per         TEXT    NOT NULL CHECK (per IN ('vehicle', 'person')),
+            capacity    INTEGER NOT NULL DEFAULT 1,   -- travellers per vehicle
+            sort_order  INTEGER DEFAULT 0
+        );
+
+        CREATE TABLE IF NOT EXISTS packages (
+            id               INTEGER PRIMARY KEY AUTOINCREMENT,
+            slug             TEXT    NOT NULL UNIQUE,
+            name             TEXT    NOT NULL,
+            description      TEXT    NOT NULL,
+            days             INTEGER NOT NULL,
+            price_per_person INTEGER NOT NULL,        -- rupees, before the season's price_factor
+            interests        TEXT    NOT NULL,        -- JSON array of trip form interests
+            image            TEXT,
+            sort_order       INTEGER DEFAULT 0
+        );
+
+        -- Festivals and feasts for the culture page calendar and the trip planner (includes/events.php).
+        -- recurrence says how the dates are found each year:
+        --   yearly  — on month/day every year (Christmas)
+        --   weekday — on the day-th weekday (1 = Monday … 7 = Sunday) of month; day -1 is the last one (Bonderam)
+        --   easter  — easter_offset days from Easter Sunday (Carnival)
+        --   dates   — only on the ranges listed in event_dates, for festivals that follow the Hindu calendar
+        CREATE TABLE IF NOT EXISTS events (
+            id            INTEGER PRIMARY KEY AUTOINCREMENT,
+            slug          TEXT    NOT NULL UNIQUE,
+            name          TEXT    NOT NULL,
+            type          TEXT    NOT NULL,   -- festival | religious | heritage (EVENT_TYPES)
+            description   TEXT    NOT NULL,
+            location      TEXT    NOT NULL,
+            recurrence    TEXT    NOT NULL CHECK (recurrence IN ('yearly', 'weekday', 'easter', 'dates')),
+            month         INTEGER,
+            day           INTEGER,
+            weekday       INTEGER,
+            easter_offset INTEGER,
+            duration_days INTEGER NOT NULL DEFAULT 1,   -- length of each occurrence; 'dates' events use their ranges
+            published     INTEGER NOT NULL DEFAULT 1
+        );
+
+        CREATE TABLE IF NOT EXISTS event_dates (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id   INTEGER NOT NULL,
+            start_date TEXT    NOT NULL,   -- YYYY-MM-DD
+            end_date   TEXT    NOT NULL,   -- inclusive
+            UNIQUE (event_id, start_date)
+        );
+
+        -- Event names and descriptions in other languages, as place_translations
+        CREATE TABLE IF NOT EXISTS event_translations (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id    INTEGER NOT NULL,
+            locale      TEXT    NOT NULL,   -- hi | kok | pt
+            name        TEXT,
+            description TEXT,
+            UNIQUE (event_id, locale)
+        );
+
         CREATE INDEX IF NOT EXISTS idx_rate_limits_ip ON rate_limits(ip_address, endpoint);
         CREATE INDEX IF NOT EXISTS idx_trip_requests_created ON trip_requests(created_at DESC);
     ");
 
+    // ── Migrations (columns added after the first release) ────────────────────
+    add_column_if_missing($db, 'attractions', 'long_description', 'TEXT');
+    add_column_if_missing($db, 'beaches',     'long_description', 'TEXT');
+    add_column_if_missing($db, 'attractions', 'latitude',  'REAL');
+    add_column_if_missing($db, 'attractions', 'longitude', 'REAL');
+    add_column_if_missing($db, 'beaches',     'latitude',  'REAL');
+    add_column_if_missing($db, 'beaches',     'longitude', 'REAL');
+    foreach (['attractions', 'beaches'] as $table) {
+        add_column_if_missing($db, $table, 'opens_at',    'TEXT');
+        add_column_if_missing($db, $table, 'closes_at',   'TEXT');
+        add_column_if_missing($db, $table, 'closed_days', "TEXT DEFAULT '[]'");
+        add_column_if_missing($db, $table, 'published',   'INTEGER NOT NULL DEFAULT 1');
+        add_column_if_missing($db, $table, 'updated_at',  'DATETIME');
+        add_column_if_missing($db, $table, 'review_count',  'INTEGER NOT NULL DEFAULT 0');
+        add_column_if_missing($db, $table, 'review_rating', 'REAL');
+    }
+    add_column_if_missing($db, 'trip_requests', 'access_token', 'TEXT');
+    add_column_if_missing($db, 'trip_requests', 'itinerary',    'TEXT');
+    add_column_if_missing($db, 'trip_requests', 'updated_at',   'DATETIME');
+    add_column_if_missing($db, 'trip_requests', 'must_see',     "TEXT DEFAULT '[]'");
+    add_column_if_missing($db, 'trip_requests', 'transport',    'TEXT');
+    add_column_if_missing($db, 'trip_requests', 'estimate',     'TEXT');
+    add_column_if_missing($db, 'trip_requests', 'assigned_to',  'TEXT');
+    add_column_if_missing($db, 'trip_requests', 'events',       "TEXT DEFAULT '[]'");
+    add_column_if_missing($db, 'shortlists',    'owner_token',  'TEXT');
+    // The two statuses before the sales workflow; new rows are inserted as 'new'
+    $db->exec("UPDATE trip_requests SET status = 'new'       WHERE status = 'pending' OR status IS NULL");
+    $db->exec("UPDATE trip_requests SET status = 'contacted' WHERE status = 'reviewed'");
+    // Requests from before trip_events start their history at submission
+    $db->exec("
+        INSERT INTO trip_events (trip_id, actor, type, created_at)
+        SELECT id, 'traveller', 'created', created_at FROM trip_requests
+         WHERE id NOT IN (SELECT trip_id FROM trip_events WHERE type = 'created')
+    ");
+    $db->exec('CREATE INDEX IF NOT EXISTS idx_trip_requests_status ON trip_requests(status)');
+    $db->exec('CREATE INDEX IF NOT EXISTS idx_trip_events_trip ON trip_events(trip_id, created_at)');
+    $db->exec('CREATE INDEX IF NOT EXISTS idx_mail_queue_due ON mail_queue(status, next_attempt_at)');
+    $db->exec('CREATE INDEX IF NOT EXISTS idx_mail_queue_trip ON mail_queue(trip_id)');
+    $db->exec('CREATE INDEX IF NOT EXISTS idx_reviews_place ON reviews(place_type, place_id, status)');
+    $db->exec('CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status, created_at)');
+    $db->exec('CREATE INDEX IF NOT EXISTS idx_event_dates_range ON event_dates(start_date, end_date)');
+    $db->exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_trip_requests_token ON trip_requests(access_token)');
+
+    // ── Site search (includes/search.php) ─────────────────────────────────────
+    // One row per item and language, refilled by search_ensure_index(). The
+    // index is never edited directly: these triggers mark it stale when
+    // anything it is built from changes, and the next search rebuilds it.
+    $db->exec("
+        CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+            title, body,
+            type UNINDEXED,     -- attraction | beach | event | page
+            ref UNINDEXED,      -- the place or event id, or the page section's id
+            locale UNINDEXED,
+            url UNINDEXED,
+            meta UNINDEXED,     -- shown under the title: where it is, or the part of the page
+            -- Marks count as letters, or Devanagari words would break at every vowel sign
+            tokenize = \"unicode61 remove_diacritics 2 categories 'L* N* M* Co'\",
+            prefix = '2 3'
+        );
+        -- Every word with the row it is in, so the vocabulary can be kept to one
+        -- language (search_correct_terms()); it replaces the per-column search_terms
+        DROP TABLE IF EXISTS search_terms;
+        CREATE VIRTUAL TABLE IF NOT EXISTS search_vocab USING fts5vocab(search_index, 'instance');
+
+        -- 'stale' ('1' until built) and 'files' (see search_files_signature())
+        CREATE TABLE IF NOT EXISTS search_meta (
+            name  TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+    ");
+    foreach (['attractions', 'beaches', 'place_translations', 'events', 'event_translations', 'transport_options'] as $table) {
+        foreach (['INSERT', 'UPDATE', 'DELETE'] as $change) {
+            $db->exec("
+                CREATE TRIGGER IF NOT EXISTS search_stale_{$table}_" . strtolower($change) . " AFTER $change ON $table
+                BEGIN
+                    INSERT OR REPLACE INTO search_meta (name, value) VALUES ('stale', '1');
+                END
+            ");
+        }
+    }
+
     // ── Seed: Attractions ─────────────────────────────────────────────────────
     $count = $db->query("SELECT COUNT(*) FROM attractions")->fetchColumn();
     if ($count == 0) {
@@ -132,4 +397,373 @@ function init_database(): void {
             $stmt->execute(compact('name', 'region', 'description', 'tags', 'activities', 'image', 'featured'));
         }
     }
+
+    // ── Seed: Seasons, transport and packages for the cost estimate ───────────
+    $count = $db->query("SELECT COUNT(*) FROM seasons")->fetchColumn();
+    if ($count == 0) {
+        $seasons = [
+            ['peak',     'Peak Season',     [11, 12, 1, 2], 'Perfect weather with temperatures between 20-30°C. Ideal for beach activities and sightseeing. Expect higher prices and crowds.',   'Best Weather', 'High Prices',  3500, 1.3],
+            ['shoulder', 'Shoulder Season', [3, 4, 5, 10],  'Warmer days and fewer tourists either side of the peak. Good balance between weather and affordability. Great time for festivals.', 'Good Deals',   'Slightly Hot', 2500, 1.0],
+            ['off',      'Off Season',      [6, 7, 8, 9],   'Lush green landscapes and dramatic scenery. Lower prices but beach activities limited. Experience authentic local life.',           'Best Prices',  'Heavy Rains',  1500, 0.8],
+        ];
+
+        $stmt = $db->prepare("
+            INSERT INTO seasons (slug, name, months, description, pro, con, stay_per_night, price_factor, sort_order)
+            VALUES (:slug, :name, :months, :description, :pro, :con, :stay, :factor, :sort)
+        ");
+        foreach ($seasons as $i => [$slug, $name, $months, $description, $pro, $con, $stay, $factor]) {
+            $stmt->execute([
+                ':slug' => $slug, ':name' => $name, ':months' => json_encode($months), ':description' => $description,
+                ':pro' => $pro, ':con' => $con, ':stay' => $stay, ':factor' => $factor, ':sort' => $i,
+            ]);
+        }
+    }
+
+    $count = $db->query("SELECT COUNT(*) FROM transport_options")->fetchColumn();
+    if ($count == 0) {
+        $transport = [
+            ['taxi',       'Taxi/Cab',    'Convenient door-to-door service', 3000, 'vehicle', 4],
+            ['bike',       'Bike Rental', 'Explore at your own pace',         500, 'vehicle', 2],
+            ['bus',        'Public Bus',  'Budget-friendly option',           150, 'person',  1],
+            ['self-drive', 'Self Drive',  'Freedom to explore',              2200, 'vehicle', 5],
+        ];
+
+        $stmt = $db->prepare("
+            INSERT INTO transport_options (slug, name, description, daily_cost, per, capacity, sort_order)
+            VALUES (:slug, :name, :description, :daily_cost, :per, :capacity, :sort_order)
+        ");
+        foreach ($transport as $sort_order => [$slug, $name, $description, $daily_cost, $per, $capacity]) {
+            $stmt->execute(compact('slug', 'name', 'description', 'daily_cost', 'per', 'capacity', 'sort_order'));
+        }
+    }
+
+    $count = $db->query("SELECT COUNT(*) FROM packages")->fetchColumn();
+    if ($count == 0) {
+        $packages = [
+            ['beach-sunset', 'Beach Sunset Escape',  'Beach sunset package with water sports',            3, 14000, ['beaches', 'adventure'],              'pictures/beaches.png'],
+            ['heritage',     'Heritage Trail',       'Heritage tour package with colonial architecture',  5, 22000, ['culture', 'food'],                    'pictures/Temple.png'],
+            ['adventure',    'Coast & Jungle Week',  'Adventure package with water activities',           7, 34000, ['adventure', 'beaches', 'nightlife'], 'pictures/Culture3.png'],
+        ];
+
+        $stmt = $db->prepare("
+            INSERT INTO packages (slug, name, description, days, price_per_person, interests, image, sort_order)
+            VALUES (:slug, :name, :description, :days, :price, :interests, :image, :sort)
+        ");
+        foreach ($packages as $i => [$slug, $name, $description, $days, $price, $interests, $image]) {
+            $stmt->execute([
+                ':slug' => $slug, ':name' => $name, ':description' => $description, ':days' => $days,
+                ':price' => $price, ':interests' => json_encode($interests), ':image' => $image, ':sort' => $i,
+            ]);
+        }
+    }
+
+    // ── Seed: Festival calendar ───────────────────────────────────────────────
+    $count = $db->query("SELECT COUNT(*) FROM events")->fetchColumn();
+    if ($count == 0) {
+        // [slug, name, type, location, [recurrence, …its columns], duration_days, description]
+        $events = [
+            ['three-kings',           'Feast of the Three Kings',             'religious', 'Reis Magos, Cansaulim and Chandor', ['yearly', 1, 6],        1, 'On Epiphany three boys chosen from the village ride to church as the Magi.'],
+            ['carnival',              'Goa Carnival',                         'festival',  'Panaji, Margao, Mapusa and Vasco',  ['easter', -50],         4, 'Four days of floats, brass bands and street dancing led by King Momo before Lent begins.'],
+            ['shigmo',                'Shigmo',                               'festival',  'Panaji, Ponda, Mapusa and Margao',  ['dates'],               1, 'Goa\'s spring festival: parades of giant floats, folk dancers and drummers in every town.'],
+            ['statehood-day',         'Goa Statehood Day',                    'heritage',  'Panaji',                            ['yearly', 5, 30],       1, 'The day Goa became a state of India in 1987, marked with official functions in Panaji.'],
+            ['sao-joao',              'São João',                             'festival',  'Siolim and villages across Goa',    ['yearly', 6, 24],       1, 'The monsoon feast of St John the Baptist: young men wearing crowns of leaves and fruit leap into wells and streams.'],
+            ['bonderam',              'Bonderam',                             'festival',  'Divar Island',                      ['weekday', 8, 4, 6],    1, 'Flag-waving parades and colourful floats on Divar Island, recalling old quarrels over village boundaries.'],
+            ['ganesh-chaturthi',      'Ganesh Chaturthi (Chavath)',           'religious', 'Across Goa',                        ['dates'],               1, 'Goa\'s biggest Hindu festival: clay idols of Ganesh are worshipped at home, then immersed in rivers and the sea.'],
+            ['narkasur',              'Narkasur Night',                       'festival',  'Across Goa',                        ['dates'],               1, 'On the eve of Diwali, towering effigies of the demon Narkasur parade through villages and are burnt at dawn.'],
+            ['st-francis-xavier',     'Feast of St Francis Xavier',           'religious', 'Old Goa',                           ['yearly', 12, 3],       1, 'Pilgrims gather at the Basilica of Bom Jesus for Goa\'s patron saint after a nine-day novena.'],
+            ['immaculate-conception', 'Feast of Our Lady of the Immaculate Conception', 'religious', 'Panaji',                  ['yearly', 12, 8],       1, 'Panaji\'s church feast, with a fair spreading out below the whitewashed zig-zag staircase.'],
+            ['liberation-day',        'Goa Liberation Day',                   'heritage',  'Panaji',                            ['yearly', 12, 19],      1, 'Parades and fireworks in Panaji marking the end of Portuguese rule in 1961.'],
+            ['christmas',             'Christmas',                            'religious', 'Across Goa',                        ['yearly', 12, 25],      1, 'Midnight masses, star lanterns and homemade sweets such as bebinca and neureos.'],
+        ];
+
+        $stmt = $db->prepare("
+            INSERT INTO events (slug, name, type, location, description, recurrence, month, day, weekday, easter_offset, duration_days)
+            VALUES (:slug, :name, :type, :location, :description, :recurrence, :month, :day, :weekday, :offset, :duration)
+        ");
+        foreach ($events as [$slug, $name, $type, $location, $rule, $duration, $description]) {
+            $recurrence = $rule[0];
+            $stmt->execute([
+                ':slug' => $slug, ':name' => $name, ':type' => $type, ':location' => $location, ':description' => $description,
+                ':recurrence' => $recurrence,
+                ':month'      => in_array($recurrence, ['yearly', 'weekday'], true) ? $rule[1] : null,
+                ':day'        => in_array($recurrence, ['yearly', 'weekday'], true) ? $rule[2] : null,
+                ':weekday'    => $recurrence === 'weekday' ? $rule[3] : null,
+                ':offset'     => $recurrence === 'easter' ? $rule[1] : null,
+                ':duration'   => $duration,
+            ]);
+        }
+    }
+
+    // Festivals on the Hindu calendar move every year; add each year's dates
+    // here once they are announced (fills in rows that don't exist yet)
+    $eventDates = [
+        'shigmo'           => [['2026-03-03', '2026-03-17'], ['2027-03-22', '2027-04-05']],
+        'ganesh-chaturthi' => [['2026-09-14', '2026-09-18'], ['2027-09-04', '2027-09-08']],
+        'narkasur'         => [['2026-11-07', '2026-11-08'], ['2027-10-27', '2027-10-28']],
+    ];
+
+    $stmt = $db->prepare("
+        INSERT OR IGNORE INTO event_dates (event_id, start_date, end_date)
+        SELECT id, :start, :end FROM events WHERE slug = :slug
+    ");
+    foreach ($eventDates as $slug => $ranges) {
+        foreach ($ranges as [$start, $end]) {
+            $stmt->execute([':slug' => $slug, ':start' => $start, ':end' => $end]);
+        }
+    }
+
+    // ── Seed: Detail-page copy (fills rows that don't have it yet) ───────────
+    $longDescriptions = [
+        'attractions' => [
+            'Basilica of Bom Jesus' => 'Completed in 1605, the Basilica of Bom Jesus is one of the finest examples of Baroque architecture in India and part of the Churches and Convents of Goa UNESCO World Heritage Site. It holds the mortal remains of St. Francis Xavier in an ornate silver casket, displayed to the public once every decade during the Exposition. The unplastered laterite facade, gilded altars and the adjoining art gallery make it the centrepiece of any visit to Old Goa.',
+            'Aguada Fort'           => 'Built by the Portuguese in 1612 to guard the mouth of the Mandovi River against the Dutch and the Marathas, Aguada Fort takes its name from the freshwater spring that supplied passing ships. Its four-storey lighthouse, dating from 1864, was among the first of its kind in Asia. Visit late in the afternoon for sweeping views over Sinquerim and Candolim beaches at sunset.',
+            'Shri Mangeshi Temple'  => 'Set among the green hills of Priol in Ponda taluka, the Shri Mangeshi Temple is one of the largest and most visited temples in Goa. Its seven-storey lamp tower, pillared hall and tank blend Hindu, Christian and Islamic influences. The deity was moved here from Cortalim in the 16th century to protect it during the Portuguese Inquisition. Dress modestly and remove footwear before entering.',
+            'Se Cathedral'          => 'Se Cathedral was commissioned in 1562 to commemorate the Portuguese victory over the Bijapur sultanate and took almost ninety years to complete. Dedicated to St. Catherine of Alexandria, it is one of the largest churches in Asia. Its Tuscan exterior and Corinthian interior frame fourteen altars, and its tower houses the Golden Bell, famous for its rich tone.',
+            'Chapora Fort'          => 'The red laterite ramparts of Chapora Fort crown a hill above the Chapora River, with wide views over Vagator and Morjim beaches. The present fort was built by the Portuguese in 1717 on the site of an earlier Adil Shahi structure. Little remains inside the walls today, but the short climb is rewarded with one of the best sunsets in North Goa.',
+            'Ancestral Goa'         => 'Ancestral Goa, also known as Big Foot, is an open-air museum in Loutolim that recreates a Goan village of a century ago. Life-size displays show potters, fishermen, toddy tappers and other traditional trades. The site also features a record-breaking laterite sculpture of the poet-saint Mirabai and a trail through spice and herb gardens.',
+            'Dudhsagar Waterfalls'  => 'Dudhsagar, the "sea of milk", plunges 310 metres over four tiers on the Mandovi River inside Bhagwan Mahaveer Wildlife Sanctuary. The falls are at their fullest during and just after the monsoon, when the railway viaduct crossing the cascade makes for a famous view. Jeep safaris run from Mollem between October and May; the trail is closed at the height of the rains.',
+            'Church of Our Lady'    => 'The Church of Our Lady of the Immaculate Conception stands at the top of a zig-zag staircase overlooking Panaji\'s main square. First built in 1541 as a chapel for sailors arriving from Lisbon, it was rebuilt in 1619 in its current Portuguese Baroque style. Its bell, brought from the ruined Church of St. Augustine in Old Goa, is the second largest in the state.',
+            'Reis Magos Fort'       => 'Reis Magos Fort was built in 1551 on the north bank of the Mandovi and later served as a prison until 1993. After careful restoration it reopened as a cultural centre with exhibitions on Goan history and art. The walls look across the river to Panaji, and the neighbouring Reis Magos Church hosts the colourful Feast of the Three Kings each January.',
+        ],
+        'beaches' => [
+            'Baga Beach'      => 'Baga is the liveliest stretch of the North Goa coast, lined with beach shacks, water-sports operators and clubs. Parasailing, jet-skiing and banana-boat rides run from morning until late afternoon, and Tito\'s Lane keeps the area busy well after dark. The northern end, where the Baga creek meets the sea, is quieter and good for sunset walks.',
+            'Palolem Beach'   => 'Palolem is a sheltered crescent of sand framed by headlands and coconut palms in Canacona, South Goa. The calm, shallow water is ideal for swimming and kayaking, and boats leave from the beach for dolphin spotting and Butterfly Beach. In the evening, many cafés host silent-disco nights so the bay itself stays peaceful.',
+            'Anjuna Beach'    => 'Anjuna is known for its rocky red cliffs, its bohemian history and the Wednesday flea market that has run since the 1970s. The beach is better for lounging and photography than swimming, as currents can be strong. Cafés on the clifftops are a favourite spot for watching the sun set over the Arabian Sea.',
+            'Keri Beach'      => 'Keri, also called Querim, sits at the northernmost tip of Goa where the Tiracol River meets the sea. Casuarina trees back a long, uncrowded beach that is popular with birdwatchers. A short ferry ride across the river leads to the 17th-century Tiracol Fort.',
+            'Sinquerim Beach' => 'Sinquerim lies in the shadow of Aguada Fort at the southern end of the Candolim strip. Its clean sand and gentle slope make it a good choice for families, and early mornings are especially calm. The rocks near the fort are a popular spot for snorkelling when the sea is clear.',
+        ],
+    ];
+
+    foreach ($longDescriptions as $table => $descriptions) {
+        $stmt = $db->prepare("UPDATE $table SET long_description = :text WHERE name = :name AND long_description IS NULL");
+        foreach ($descriptions as $name => $text) {
+            $stmt->execute([':text' => $text, ':name' => $name]);
+        }
+    }
+
+    // ── Seed: Map coordinates (fills rows that don't have them yet) ──────────
+    $coordinates = [
+        'attractions' => [
+            'Basilica of Bom Jesus' => [15.5009, 73.9116],
+            'Aguada Fort'           => [15.4925, 73.7732],
+            'Shri Mangeshi Temple'  => [15.4443, 73.9681],
+            'Se Cathedral'          => [15.5039, 73.9125],
+            'Chapora Fort'          => [15.6060, 73.7363],
+            'Ancestral Goa'         => [15.3380, 73.9830],
+            'Dudhsagar Waterfalls'  => [15.3144, 74.3143],
+            'Church of Our Lady'    => [15.4989, 73.8278],
+            'Reis Magos Fort'       => [15.4976, 73.8095],
+        ],
+        'beaches' => [
+            'Baga Beach'      => [15.5553, 73.7517],
+            'Palolem Beach'   => [15.0100, 74.0232],
+            'Anjuna Beach'    => [15.5733, 73.7407],
+            'Keri Beach'      => [15.7170, 73.6960],
+            'Sinquerim Beach' => [15.4990, 73.7680],
+        ],
+    ];
+
+    foreach ($coordinates as $table => $places) {
+        $stmt = $db->prepare("UPDATE $table SET latitude = :lat, longitude = :lng WHERE name = :name AND latitude IS NULL");
+        foreach ($places as $name => [$lat, $lng]) {
+            $stmt->execute([':lat' => $lat, ':lng' => $lng, ':name' => $name]);
+        }
+    }
+
+    // ── Seed: Opening hours, used by the itinerary builder ───────────────────
+    $openingHours = [
+        'attractions' => [
+            'Basilica of Bom Jesus' => ['09:00', '18:30', []],
+            'Aguada Fort'           => ['09:30', '18:00', []],
+            'Shri Mangeshi Temple'  => ['06:00', '22:00', []],
+            'Se Cathedral'          => ['07:30', '18:00', []],
+            'Chapora Fort'          => ['09:00', '18:30', []],
+            'Ancestral Goa'         => ['09:00', '18:00', []],
+            'Dudhsagar Waterfalls'  => ['07:00', '17:00', []],
+            'Church of Our Lady'    => ['09:00', '19:30', []],
+            'Reis Magos Fort'       => ['09:30', '17:00', ['Mon']],
+        ],
+        'beaches' => [
+            'Baga Beach'      => [null, null, []],
+            'Palolem Beach'   => [null, null, []],
+            'Anjuna Beach'    => [null, null, []],
+            'Keri Beach'      => ['06:00', '19:00', []],
+            'Sinquerim Beach' => ['06:00', '19:30', []],
+        ],
+    ];
+
+    foreach ($openingHours as $table => $places) {
+        $stmt = $db->prepare("
+            UPDATE $table SET opens_at = :opens, closes_at = :closes, closed_days = :closed
+             WHERE name = :name AND opens_at IS NULL AND closes_at IS NULL AND closed_days = '[]'
+        ");
+        foreach ($places as $name => [$opens, $closes, $closedDays]) {
+            $stmt->execute([':opens' => $opens, ':closes' => $closes, ':closed' => json_encode($closedDays), ':name' => $name]);
+        }
+    }
+
+    // ── Seed: Translated descriptions (rows that aren't translated yet) ──────
+    $translations = [
+        'attraction' => [
+            'Basilica of Bom Jesus' => [
+                'hi'  => 'यूनेस्को विश्व धरोहर स्थल, जहाँ संत फ्रांसिस ज़ेवियर के पार्थिव अवशेष रखे हैं।',
+                'kok' => 'युनेस्को जागतीक वारसो थळ, हांगा सां फ्रांसिस झेवियराचे अवशेश दवरल्यात.',
+                'pt'  => 'Património Mundial da UNESCO que guarda os restos mortais de São Francisco Xavier.',
+            ],
+            'Aguada Fort' => [
+                'hi'  => 'प्रकाशस्तंभ और समुद्र के शानदार दृश्यों वाला 17वीं सदी का पुर्तगाली किला।',
+                'kok' => 'दीपगृह आनी दर्याचे सुंदर दृश्य आशिल्लो 17 व्या शेंकड्यांतलो पुर्तुगेज कोट.',
+                'pt'  => 'Forte português do século XVII com farol e vistas deslumbrantes sobre o mar.',
+            ],
+            'Shri Mangeshi Temple' => [
+                'hi'  => 'भगवान शिव को समर्पित प्राचीन हिंदू मंदिर, अपनी सुंदर वास्तुकला के लिए प्रसिद्ध।',
+                'kok' => 'भगवान शिवाक समर्पीत आशिल्लें पुर्विल्लें हिंदू देवूळ, ताचे सुंदर बांदावळीखातीर नामनेचें.',
+                'pt'  => 'Antigo templo hindu dedicado ao Senhor Shiva, com uma arquitetura belíssima.',
+            ],
+            'Se Cathedral' => [
+                'hi'  => 'पुर्तगाली-गोथिक वास्तुकला वाला, एशिया के सबसे बड़े गिरजाघरों में से एक।',
+                'kok' => 'पुर्तुगेज-गॉथिक बांदावळीचें, आशियांतल्या सगळ्यांत व्हडल्या इगर्जांतलें एक.',
+                'pt'  => 'Uma das maiores igrejas da Ásia, em estilo gótico-português.',
+            ],
+            'Chapora Fort' => [
+                'hi'  => 'पहाड़ी पर बना मनोरम किला, जहाँ से वागातोर बीच का विहंगम दृश्य दिखता है।',
+                'kok' => 'दोंगराचेर आशिल्लो सुंदर कोट, हांगाच्यान वागातोर दर्यादेगेचें पुराय दृश्य दिसता.',
+                'pt'  => 'Forte pitoresco no alto de uma colina, com vistas panorâmicas sobre a praia de Vagator.',
+            ],
+            'Ancestral Goa' => [
+                'hi'  => 'पारंपरिक गोवा के ग्रामीण जीवन और संस्कृति को दर्शाने वाला खुला संग्रहालय।',
+                'kok' => 'पारंपारीक गोंयकार गांवगिरेस्तकाय आनी संस्कृताय दाखोवपी उक्तें वस्तुसंग्रहालय.',
+                'pt'  => 'Museu ao ar livre que mostra a vida rural e a cultura tradicionais de Goa.',
+            ],
+            'Dudhsagar Waterfalls' => [
+                'hi'  => 'गोवा-कर्नाटक सीमा पर चार स्तरों वाला शानदार झरना, भारत के सबसे ऊँचे झरनों में से एक।',
+                'kok' => 'गोंय-कर्नाटक शिमेर चार पांवड्यांचो भव्य धबधबो, भारतांतल्या सगळ्यांत उंच धबधब्यांतलो एक.',
+                'pt'  => 'Espetacular cascata de quatro níveis na fronteira entre Goa e Karnataka, uma das mais altas da Índia.',
+            ],
+            'Church of Our Lady' => [
+                'hi'  => 'राजधानी के बीचोंबीच मांडवी नदी को निहारता सुंदर बारोक गिरजाघर।',
+                'kok' => 'राजधानीच्या मदीं मांडवी न्हंयेकडेन पळोवपी सुंदर बारोक इगर्ज.',
+                'pt'  => 'Bela igreja barroca com vista para o rio Mandovi, no coração da capital.',
+            ],
+            'Reis Magos Fort' => [
+                'hi'  => 'गोवा के सबसे पुराने किलों में से एक, हाल ही में जीर्णोद्धार के बाद जिसमें समकालीन कला दीर्घा है।',
+                'kok' => 'गोंयच्या सगळ्यांत पोरन्या कोटांतलो एक, नुकतोच नवो केल्लो आनी हांगा आयच्या काळाची कला दालन आसा.',
+                'pt'  => 'Um dos fortes mais antigos de Goa, recentemente restaurado e com uma galeria de arte contemporânea.',
+            ],
+        ],
+        'beach' => [
+            'Baga Beach' => [
+                'hi'  => 'वाटर स्पोर्ट्स, नाइटलाइफ़ और समुद्र तट की झोपड़ियों के लिए मशहूर गोवा के सबसे लोकप्रिय तटों में से एक।',
+                'kok' => 'उदकांतले खेळ, रातचें जिवीत आनी दर्यादेगेवयल्या शॅकांखातीर नामनेची गोंयची एक लोकप्रिय दर्यादेग.',
+                'pt'  => 'Uma das praias mais populares de Goa, conhecida pelos desportos aquáticos, vida noturna e barracas de praia.',
+            ],
+            'Palolem Beach' => [
+                'hi'  => 'शांत पानी, ताड़ के पेड़ों से घिरे किनारों और सुकून भरे माहौल वाला अर्धचंद्राकार स्वर्ग।',
+                'kok' => 'शांत उदक, माडांनी भरिल्ली देग आनी सुशेग वातावरण आशिल्लें अर्धचंद्राच्या आकाराचें सुर्ग.',
+                'pt'  => 'Paraíso em forma de meia-lua, com águas calmas, margens ladeadas de palmeiras e um ambiente descontraído.',
+            ],
+            'Anjuna Beach' => [
+                'hi'  => 'अपनी लाल चट्टानों, पिस्सू बाज़ार और ट्रांस पार्टियों के लिए प्रसिद्ध।',
+                'kok' => 'तांबड्या कड्यांखातीर, फ्ली मार्केटाखातीर आनी ट्रान्स पार्ट्यांखातीर नामनेची.',
+                'pt'  => 'Famosa pelas falésias vermelhas, pelo mercado da pulga e pelas festas de música trance.',
+            ],
+            'Keri Beach' => [
+                'hi'  => 'गोवा के उत्तरी छोर पर एकांत और अनछुआ छिपा रत्न, शांति चाहने वालों के लिए आदर्श।',
+                'kok' => 'गोंयच्या उत्तरेकडल्या तोंकार आशिल्लें पयसुल्लें आनी निवळ लिपिल्लें रत्न, सुशेग सोदपी लोकांखातीर खास.',
+                'pt'  => 'Recanto remoto e intocado no extremo norte de Goa, perfeito para quem procura sossego.',
+            ],
+            'Sinquerim Beach' => [
+                'hi'  => 'अगुआडा किले की छाँव में शांत और साफ़ समुद्र तट, परिवारों और सुबह की सैर के लिए आदर्श।',
+                'kok' => 'आग्वाद कोटाच्या सावळेंत आशिल्ली शांत आनी निवळ दर्यादेग, कुटुंबांखातीर आनी सकाळच्या भोंवडेखातीर बरी.',
+                'pt'  => 'Praia tranquila e limpa à sombra do Forte Aguada, ideal para famílias e caminhadas matinais.',
+            ],
+        ],
+    ];
+
+    foreach ($translations as $type => $places) {
+        $table = $type === 'beach' ? 'beaches' : 'attractions';
+        $stmt  = $db->prepare("
+            INSERT OR IGNORE INTO place_translations (place_type, place_id, locale, description)
+            SELECT :type, id, :locale, :description FROM $table WHERE name = :name
+        ");
+        foreach ($places as $name => $descriptions) {
+            foreach ($descriptions as $locale => $description) {
+                $stmt->execute([':type' => $type, ':locale' => $locale, ':description' => $description, ':name' => $name]);
+            }
+        }
+    }
+
+    // ── Seed: Event names and descriptions in other languages ────────────────
+    $eventTranslations = [
+        'three-kings' => [
+            'hi'  => ['तीन राजाओं का पर्व', 'एपिफ़नी के दिन गाँव से चुने गए तीन लड़के मागी बनकर घोड़े पर चर्च आते हैं।'],
+            'kok' => ['तीन राजांचें फेस्त', 'एपिफनीच्या दिसा गांवांतले तीन वेंचून काडिल्ले भुरगे मागी जावन घोड्यार बसून इगर्जेंत येतात.'],
+            'pt'  => ['Festa dos Reis', 'No dia de Reis, três rapazes escolhidos na aldeia chegam a cavalo à igreja como os Reis Magos.'],
+        ],
+        'carnival' => [
+            'hi'  => ['गोवा कार्निवल', 'लेंट से पहले किंग मोमो की अगुवाई में चार दिन तक झाँकियाँ, ब्रास बैंड और सड़कों पर नाच।'],
+            'kok' => ['गोंय कार्निव्हल', 'लेंटा आदीं किंग मोमोच्या फुडारपणाखाल चार दीस चित्ररथ, ब्रास बँड आनी रस्त्यांचेर नाच.'],
+            'pt'  => ['Carnaval de Goa', 'Quatro dias de carros alegóricos, bandas e dança nas ruas, liderados pelo Rei Momo, antes da Quaresma.'],
+        ],
+        'shigmo' => [
+            'hi'  => ['शिगमो', 'गोवा का वसंत उत्सव: हर शहर में विशाल झाँकियों, लोक नर्तकों और ढोल वादकों की परेड।'],
+            'kok' => ['शिगमो', 'गोंयचो वसंत उत्सव: दर शारांत व्हडले चित्ररथ, लोकनर्तक आनी ढोलवाल्यांची मिरवणूक.'],
+            'pt'  => ['Shigmo', 'A festa da primavera de Goa: desfiles de carros gigantes, dançarinos folclóricos e tambores em todas as cidades.'],
+        ],
+        'statehood-day' => [
+            'hi'  => ['गोवा राज्य दिवस', '1987 में गोवा के भारत का राज्य बनने का दिन, पणजी में सरकारी समारोहों के साथ।'],
+            'kok' => ['गोंय घटक राज्य दीस', '1987 त गोंय भारताचें घटक राज्य जालें तो दीस, पणजेंत सरकारी कार्यक्रमां सयत.'],
+            'pt'  => ['Dia do Estado de Goa', 'O dia em que Goa se tornou um estado da Índia, em 1987, com cerimónias oficiais em Pangim.'],
+        ],
+        'sao-joao' => [
+            'hi'  => ['साओ जोआओ', 'संत जॉन बैपटिस्ट का मानसूनी पर्व: पत्तों और फलों के मुकुट पहने युवक कुओं और नालों में छलांग लगाते हैं।'],
+            'kok' => ['सांव जांव', 'संत जुआंव बातिस्ताचें पावसाळी फेस्त: पानां-फळांचे कोपेल घालून तरणाटे बांयांनी आनी व्हाळांनी उडयो मारतात.'],
+            'pt'  => ['São João', 'A festa de São João Baptista nas monções: rapazes com coroas de folhas e frutos saltam para poços e ribeiros.'],
+        ],
+        'bonderam' => [
+            'hi'  => ['बोंदेराम', 'दिवार द्वीप पर झंडों वाली परेड और रंगीन झाँकियाँ, जो गाँव की सीमाओं के पुराने झगड़ों की याद दिलाती हैं।'],
+            'kok' => ['बोंदेरां', 'दिवाडी जुंव्यार बावटे घेवन मिरवणूक आनी रंगीत चित्ररथ, गांवांच्या शिमेवयल्या पोन्या झगड्यांची याद.'],
+            'pt'  => ['Bonderam', 'Desfiles de bandeiras e carros coloridos na ilha de Divar, em memória de antigas disputas sobre os limites das aldeias.'],
+        ],
+        'ganesh-chaturthi' => [
+            'hi'  => ['गणेश चतुर्थी (चवथ)', 'गोवा का सबसे बड़ा हिंदू त्योहार: घरों में गणेश की मिट्टी की मूर्तियों की पूजा होती है, फिर उन्हें नदियों और समुद्र में विसर्जित किया जाता है।'],
+            'kok' => ['चवथ', 'गोंयचें सगळ्यांत व्हडलें हिंदू परब: घरांनी गणपतीच्या मातयेच्या मूर्तींची पुजा जाता आनी उपरांत न्हंयांनी आनी दर्यांत विसर्जन जाता.'],
+            'pt'  => ['Ganesh Chaturthi (Chavath)', 'A maior festa hindu de Goa: ídolos de barro de Ganesh são venerados em casa e depois imersos nos rios e no mar.'],
+        ],
+        'narkasur' => [
+            'hi'  => ['नरकासुर की रात', 'दिवाली की पूर्व संध्या पर नरकासुर के विशाल पुतले गाँवों में घुमाए जाते हैं और भोर में जलाए जाते हैं।'],
+            'kok' => ['नरकासुर रात', 'दिवाळेच्या आदल्या राती नरकासुराचे व्हडले पुतळे गांवांनी भोंवडायतात आनी फांतोडेर लासतात.'],
+            'pt'  => ['Noite de Narkasur', 'Na véspera do Diwali, enormes efígies do demónio Narkasur desfilam pelas aldeias e são queimadas de madrugada.'],
+        ],
+        'st-francis-xavier' => [
+            'hi'  => ['संत फ्रांसिस ज़ेवियर का पर्व', 'नौ दिनों की नोवेना के बाद गोवा के संरक्षक संत के लिए श्रद्धालु बॉम जीसस बेसिलिका में इकट्ठा होते हैं।'],
+            'kok' => ['सांत फ्रान्सिस शाव्हेराचें फेस्त', 'णव दिसांच्या नोव्हेना उपरांत गोंयच्या राखणदार संताखातीर भावीक बॉम जेजूच्या बासिलिकेंत एकठांय जातात.'],
+            'pt'  => ['Festa de São Francisco Xavier', 'Depois de uma novena de nove dias, os peregrinos reúnem-se na Basílica do Bom Jesus pelo padroeiro de Goa.'],
+        ],
+        'immaculate-conception' => [
+            'hi'  => ['निष्कलंक गर्भधारण की माता का पर्व', 'पणजी के चर्च का पर्व, सफ़ेद टेढ़ी-मेढ़ी सीढ़ियों के नीचे लगने वाले मेले के साथ।'],
+            'kok' => ['निष्कलंक गर्भाच्या सायबिणीचें फेस्त', 'पणजेच्या इगर्जेचें फेस्त, धव्या नागमोडी पायऱ्यां सकयल भरपी फेस्ताच्या बाजारा सयत.'],
+            'pt'  => ['Festa de Nossa Senhora da Imaculada Conceição', 'A festa da igreja de Pangim, com uma feira ao pé da escadaria branca em ziguezague.'],
+        ],
+        'liberation-day' => [
+            'hi'  => ['गोवा मुक्ति दिवस', '1961 में पुर्तगाली शासन के अंत की याद में पणजी में परेड और आतिशबाज़ी।'],
+            'kok' => ['गोंय मुक्ती दीस', '1961 त पुर्तुगेज राजवटीचो शेवट जाल्ल्याची याद म्हूण पणजेंत परेड आनी फोगेरी.'],
+            'pt'  => ['Dia da Libertação de Goa', 'Desfiles e fogo de artifício em Pangim, assinalando o fim do domínio português em 1961.'],
+        ],
+        'christmas' => [
+            'hi'  => ['क्रिसमस', 'आधी रात की मिस्सा, तारे वाली कंदीलें और बेबिंका व न्यूरियो जैसी घर की बनी मिठाइयाँ।'],
+            'kok' => ['नाताळ', 'मध्यानराचें मीस, नखेत्रांचे कंदील आनी बेबिंका, नेवऱ्यो सारकीं घरांनी केल्लीं गोडशें.'],
+            'pt'  => ['Natal', 'Missas do galo, lanternas em forma de estrela e doces caseiros como a bebinca e os neureos.'],
+        ],
+    ];
+
+    $stmt = $db->prepare("
+        INSERT OR IGNORE INTO event_translations (event_id, locale, name, description)
+        SELECT id, :locale, :name, :description FROM events WHERE slug = :slug
+    ");
+    foreach ($eventTranslations as $slug => $locales) {
+        foreach ($locales as $locale => [$name, $description]) {
+            $stmt->execute([':slug' => $slug, ':locale' => $locale, ':name' => $name, ':description' => $description]);
+        }
+    }
 }
@@ -0,0 +1,220 @@
+<?php
+/**
+ * includes/events.php
+ * Goa's festivals and feasts, for the calendar on culture.html
+ * (GET /api/events) and the trip planner, which offers the ones during a
+ * stay and puts the chosen ones in the itinerary. An event either recurs by
+ * a rule (a fixed date, the nth weekday of a month or a day counted from
+ * Easter) or is held on the dates listed for it in event_dates; see the
+ * events table in includes/db.php.
+ */
+
+require_once __DIR__ . '/db.php';
+require_once __DIR__ . '/i18n.php';
+require_once __DIR__ . '/validator.php';
+
+// Label for each kind of event
+const EVENT_TYPES = [
+    'festival'  => 'Festival',
+    'religious' => 'Religious feast',
+    'heritage'  => 'Heritage day',
+];
+
+// The longest range GET /api/events answers for, and the default from ?from=
+const EVENT_MAX_RANGE_DAYS     = 731;
+const EVENT_DEFAULT_RANGE_DAYS = 365;
+
+/**
+ * Check the calendar options: from/to (inclusive; by default today and
+ * EVENT_DEFAULT_RANGE_DAYS days on) and an optional type from EVENT_TYPES.
+ * Returns [$filters, $errors], errors keyed by field in the request's
+ * language.
+ */
+function events_filters(array $input): array {
+    $filters = ['type' => is_string($input['type'] ?? null) ? trim($input['type']) : ''];
+    $errors  = [];
+
+    if ($filters['type'] !== '' && !isset(EVENT_TYPES[$filters['type']])) {
+        $errors['type'] = t('api.eventsType', 'Unknown event type.');
+    }
+
+    foreach (['from', 'to'] as $field) {
+        $date = is_string($input[$field] ?? null) ? trim($input[$field]) : '';
+        if ($date !== '' && !validate_date($date)) {
+            $errors[$field] = t('api.eventsDate', "'{field}' must be a date like 2026-12-01.", ['field' => $field]);
+        }
+        $filters[$field] = $date;
+    }
+    if ($errors) return [$filters, $errors];
+
+    if ($filters['from'] === '') $filters['from'] = date('Y-m-d');
+    if ($filters['to'] === '') {
+        $filters['to'] = (new DateTime($filters['from']))->modify('+' . (EVENT_DEFAULT_RANGE_DAYS - 1) . ' days')->format('Y-m-d');
+    }
+
+    $days = (new DateTime($filters['from']))->diff(new DateTime($filters['to']))->days + 1;
+    if ($filters['to'] < $filters['from']) {
+        $errors['to'] = t('api.eventsOrder', "'to' must not be before 'from'.");
+    } elseif ($days > EVENT_MAX_RANGE_DAYS) {
+        $errors['to'] = t('api.eventsRange', 'Ask for at most {max} days at a time.', ['max' => EVENT_MAX_RANGE_DAYS]);
+    }
+
+    return [$filters, $errors];
+}
+
+/**
+ * Easter Sunday in the Gregorian calendar (the anonymous algorithm), so
+ * moveable feasts don't depend on PHP's calendar extension.
+ */
+function easter_sunday(int $year): DateTimeImmutable {
+    $a = $year % 19;
+    $b = intdiv($year, 100);
+    $c = $year % 100;
+    $d = intdiv($b, 4);
+    $e = $b % 4;
+    $f = intdiv($b + 8, 25);
+    $g = intdiv($b - $f + 1, 3);
+    $h = (19 * $a + $b - $d - $g + 15) % 30;
+    $i = intdiv($c, 4);
+    $k = $c % 4;
+    $l = (32 + 2 * $e + 2 * $i - $h - $k) % 7;
+    $m = intdiv($a + 11 * $h + 22 * $l, 451);
+
+    $month = intdiv($h + $l - 7 * $m + 114, 31);
+    $day   = ($h + $l - 7 * $m + 114) % 31 + 1;
+
+    return new DateTimeImmutable(sprintf('%04d-%02d-%02d', $year, $month, $day));
+}
+
+/**
+ * The first day of an event's rule in a year, or null if it has none that
+ * year (29 February, or a fifth weekday the month doesn't have).
+ */
+function event_rule_start(array $event, int $year): ?DateTimeImmutable {
+    $month = (int)$event['month'];
+    $day   = (int)$event['day'];
+
+    switch ($event['recurrence']) {
+        case 'yearly':
+            return checkdate($month, $day, $year) ? new DateTimeImmutable(sprintf('%04d-%02d-%02d', $year, $month, $day)) : null;
+
+        case 'weekday': {
+            $weekday = (int)$event['weekday'];
+            if ($day === -1) {
+                $last = new DateTimeImmutable(sprintf('%04d-%02d-01', $year, $month));
+                $last = $last->modify('last day of this month');
+                return $last->modify('-' . (((int)$last->format('N') - $weekday + 7) % 7) . ' days');
+            }
+            $first = new DateTimeImmutable(sprintf('%04d-%02d-01', $year, $month));
+            $date  = $first->modify('+' . ((($weekday - (int)$first->format('N') + 7) % 7) + ($day - 1) * 7) . ' days');
+            return (int)$date->format('n') === $month ? $date : null;
+        }
+
+        case 'easter':
+            return easter_sunday($year)->modify(sprintf('%+d days', (int)$event['easter_offset']));
+    }
+
+    return null;
+}
+
+/**
+ * Every occurrence of the published events that overlaps from–to
+ * (inclusive, YYYY-MM-DD), earliest first. Each is the event's row
+ * (localised) with start_date and end_date; an event held twice in the range
+ * appears twice. $type narrows them to one of EVENT_TYPES.
+ */
+function event_occurrences(PDO $db, string $from, string $to, string $type = ''): array {
+    $sql    = 'SELECT id, slug, name, type, description, location, recurrence, month, day, weekday, easter_offset, duration_days
+                 FROM events WHERE published = 1';
+    $params = [];
+    if ($type !== '') {
+        $sql .= ' AND type = :type';
+        $params[':type'] = $type;
+    }
+    $stmt = $db->prepare($sql);
+    $stmt->execute($params);
+    $events = localise_events($db, $stmt->fetchAll());
+
+    $listed = $db->prepare('
+        SELECT start_date, end_date FROM event_dates
+         WHERE event_id = :id AND end_date >= :from AND start_date <= :to
+    ');
+
+    $occurrences = [];
+    foreach ($events as $event) {
+        $ranges = [];
+
+        if ($event['recurrence'] === 'dates') {
+            $listed->execute([':id' => $event['id'], ':from' => $from, ':to' => $to]);
+            $ranges = array_map(fn($row) => [$row['start_date'], $row['end_date']], $listed->fetchAll());
+        } else {
+            // From the year before, for an occurrence that runs over New Year
+            for ($year = (int)substr($from, 0, 4) - 1; $year <= (int)substr($to, 0, 4); $year++) {
+                $start = event_rule_start($event, $year);
+                if ($start === null) continue;
+                $end = $start->modify('+' . (max(1, (int)$event['duration_days']) - 1) . ' days');
+                if ($end->format('Y-m-d') >= $from && $start->format('Y-m-d') <= $to) {
+                    $ranges[] = [$start->format('Y-m-d'), $end->format('Y-m-d')];
+                }
+            }
+        }
+
+        foreach ($ranges as [$start, $end]) {
+            $occurrences[] = [
+                'id'          => (int)$event['id'],
+                'slug'        => $event['slug'],
+                'name'        => $event['name'],
+                'type'        => $event['type'],
+                'description' => $event['description'],
+                'location'    => $event['location'],
+                'recurrence'  => $event['recurrence'],
+                'start_date'  => $start,
+                'end_date'    => $end,
+            ];
+        }
+    }
+
+    usort($occurrences, fn($a, $b) => [$a['start_date'], $a['name']] <=> [$b['start_date'], $b['name']]);
+    return $occurrences;
+}
+
+/**
+ * The events on during a stay: those overlapping the nights from check-in
+ * to the night before check-out, i.e. the itinerary's days. $ids keeps only
+ * those events (the trip form's 'events').
+ */
+function stay_events(PDO $db, string $checkinDate, string $checkoutDate, ?array $ids = null): array {
+    $lastNight   = (new DateTime($checkoutDate))->modify('-1 day')->format('Y-m-d');
+    $occurrences = event_occurrences($db, $checkinDate, $lastNight);
+
+    return $ids === null ? $occurrences : array_values(array_filter($occurrences, fn($event) => in_array($event['id'], $ids, true)));
+}
+
+/**
+ * Swaps in names and descriptions for the request's language where
+ * event_translations has them, as localise_places() does for places.
+ */
+function localise_events(PDO $db, array $rows): array {
+    $locale = request_locale();
+    if ($locale === DEFAULT_LOCALE || !$rows) return $rows;
+
+    $ids  = array_map(fn($row) => (int)$row['id'], $rows);
+    $stmt = $db->prepare('
+        SELECT event_id, name, description FROM event_translations
+         WHERE locale = ? AND event_id IN (' . implode(',', array_fill(0, count($ids), '?')) . ')
+    ');
+    $stmt->execute([$locale, ...$ids]);
+
+    $translations = [];
+    foreach ($stmt->fetchAll() as $translation) {
+        $translations[(int)$translation['event_id']] = $translation;
+    }
+
+    foreach ($rows as &$row) {
+        foreach (['name', 'description'] as $field) {
+            $text = $translations[(int)$row['id']][$field] ?? null;
+            if ($text !== null) $row[$field] = $text;
+        }
+    }
+    return $rows;
+}
@@ -0,0 +1,97 @@
+<?php
+/**
+ * includes/i18n.php
+ * Language negotiation and translated strings for the API.
+ *
+ * The catalogues are the same locales/<code>.json files the frontend uses,
+ * and all have the same keys. The English of each API message is both in
+ * en.json, for translators, and at the call (or in TRIP_SCHEMA,
+ * includes/validator.php, for "trip.*" keys) as the fallback.
+ */
+
+const SUPPORTED_LOCALES = ['en', 'hi', 'kok', 'pt'];
+const DEFAULT_LOCALE    = 'en';
+
+/**
+ * The best supported language from the Accept-Language header, e.g.
+ * "pt-PT,pt;q=0.9,en;q=0.5" → 'pt'. Only the primary subtag is compared.
+ */
+function request_locale(): string {
+    static $locale = null;
+    if ($locale !== null) return $locale;
+
+    $ranked = [];
+    foreach (explode(',', $_SERVER['HTTP_ACCEPT_LANGUAGE'] ?? '') as $position => $part) {
+        $pieces = explode(';', trim($part));
+        $code   = strtolower(explode('-', trim($pieces[0]))[0]);
+        $q      = 1.0;
+        foreach (array_slice($pieces, 1) as $param) {
+            if (preg_match('/^\s*q=([0-9.]+)\s*$/', $param, $m)) $q = (float)$m[1];
+        }
+        if ($q > 0 && in_array($code, SUPPORTED_LOCALES, true)) {
+            // Equal weights keep the order the client sent them in
+            $ranked[] = [$q, -$position, $code];
+        }
+    }
+
+    rsort($ranked);
+    return $locale = $ranked[0][2] ?? DEFAULT_LOCALE;
+}
+
+/**
+ * Message `$key` in the request's language, or `$fallback` when that
+ * catalogue doesn't have it. {name} placeholders are filled from $params.
+ */
+function t(string $key, string $fallback, array $params = []): string {
+    $message = locale_messages(request_locale())[$key] ?? $fallback;
+    if (!is_string($message)) $message = $fallback;
+
+    return preg_replace_callback('/\{(\w+)\}/', fn($m) => (string)($params[$m[1]] ?? $m[0]), $message);
+}
+
+function locale_messages(string $locale): array {
+    static $catalogues = [];
+
+    if (!isset($catalogues[$locale])) {
+        $file = __DIR__ . "/../locales/$locale.json";
+        $catalogues[$locale] = is_file($file) ? (json_decode(file_get_contents($file), true) ?: []) : [];
+    }
+    return $catalogues[$locale];
+}
+
+/**
+ * Swaps in translated descriptions for the request's language where
+ * place_translations has them; untranslated places keep their English.
+ *
+ * @param string $type 'attraction' or 'beach'
+ * @param array  $rows rows from the attractions/beaches table (need 'id')
+ */
+function localise_places(PDO $db, string $type, array $rows): array {
+    $locale = request_locale();
+    if ($locale === DEFAULT_LOCALE || !$rows) return $rows;
+
+    $ids  = array_map(fn($row) => (int)$row['id'], $rows);
+    $stmt = $db->prepare('
+        SELECT place_id, description, long_description FROM place_translations
+         WHERE place_type = ? AND locale = ? AND place_id IN (' . implode(',', array_fill(0, count($ids), '?')) . ')
+    ');
+    $stmt->execute([$type, $locale, ...$ids]);
+
+    $translations = [];
+    foreach ($stmt->fetchAll() as $translation) {
+        $translations[(int)$translation['place_id']] = $translation;
+    }
+
+    foreach ($rows as &$row) {
+        $translation = $translations[(int)$row['id']] ?? null;
+        if (!$translation) continue;
+
+        if ($translation['description'] !== null) {
+            $row['description'] = $translation['description'];
+        }
+        if ($translation['long_description'] !== null && array_key_exists('long_description', $row)) {
+            $row['long_description'] = $translation['long_description'];
+        }
+    }
+    return $rows;
+}
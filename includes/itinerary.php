@@ -0,0 +1,315 @@
+<?php
+/**
+ * includes/itinerary.php
+ * Builds a day-by-day itinerary from the attractions and beaches tables.
+ * Used when a trip is created (POST /api/trip/create-itinerary) and when a
+ * saved trip is changed (PUT /api/trip/{token}).
+ */
+
+require_once __DIR__ . '/db.php';
+
+// Time slots a day is split into; a place fits a slot if it is open for all of it
+const ITINERARY_SLOTS = [
+    'morning'   => ['10:00', '13:00'],
+    'afternoon' => ['14:00', '17:00'],
+    'evening'   => ['18:00', '21:00'],
+];
+
+// Each place belongs to the area whose centre is nearest; one area per day
+const ITINERARY_AREAS = [
+    'north'   => ['label' => 'North Goa',               'lat' => 15.58, 'lng' => 73.75],
+    'central' => ['label' => 'Panaji, Old Goa & Ponda', 'lat' => 15.47, 'lng' => 73.90],
+    'east'    => ['label' => 'Dudhsagar & the Ghats',   'lat' => 15.35, 'lng' => 74.25],
+    'south'   => ['label' => 'South Goa',               'lat' => 15.15, 'lng' => 74.00],
+];
+
+// Places further than this from the day's first stop are not worth the drive
+const ITINERARY_MAX_DETOUR_KM = 25;
+
+/**
+ * Schedule one place per slot, day by day, without repeating a place.
+ * Each day stays in one area where it can; once every matching place has
+ * been visited the remaining days are left free.
+ *
+ * $mustSee lists place keys ("beach:2") that are scheduled whatever the
+ * interests, as long as there is a slot for each (see itinerary_pin_must_see()).
+ *
+ * $events are the chosen occurrences from stay_events(); each is listed on
+ * every day it is on, alongside that day's places.
+ */
+function build_itinerary(PDO $db, array $interests, string $checkinDate, int $nights, array $mustSee = [], array $events = []): array {
+    $remaining = itinerary_candidates($db, $interests, $mustSee);
+    $pinned    = itinerary_pin_must_see(array_intersect_key($remaining, array_flip($mustSee)), $checkinDate, $nights);
+    $date      = new DateTime($checkinDate);
+    $days      = [];
+
+    foreach ($pinned as $slots) {
+        foreach ($slots as $place) unset($remaining[$place['key']]);
+    }
+
+    for ($day = 1; $day <= $nights; $day++) {
+        $weekday  = $date->format('D');
+        $openToday = array_filter($remaining, fn($place) => !in_array($weekday, $place['closed_days'], true));
+        $schedule = [];
+        // A day with must-see places is built around the first of them
+        $anchor   = isset($pinned[$day]) ? reset($pinned[$day]) : null;
+
+        foreach (ITINERARY_SLOTS as $slot => [$start, $end]) {
+            if (isset($pinned[$day][$slot])) {
+                $schedule[] = itinerary_activity($pinned[$day][$slot], $slot) + ['mustSee' => true];
+                continue;
+            }
+
+            $best = null;
+            $bestRank = null;
+
+            foreach ($openToday as $key => $place) {
+                if (!place_open_during($place, $start, $end)) continue;
+
+                if ($anchor === null) {
+                    $rank = [0, -$place['score']];
+                } else {
+                    $distance = distance_km($anchor, $place);
+                    if ($place['area'] !== $anchor['area'] && $distance > ITINERARY_MAX_DETOUR_KM) continue;
+                    // Same area first, then the highest-scoring, then the closest
+                    $rank = [$place['area'] === $anchor['area'] ? 0 : 1, -$place['score'], $distance];
+                }
+
+                if ($bestRank === null || $rank < $bestRank) {
+                    $best = $key;
+                    $bestRank = $rank;
+                }
+            }
+
+            if ($best === null) continue;
+
+            $place = $openToday[$best];
+            $anchor ??= $place;
+            $schedule[] = itinerary_activity($place, $slot);
+            unset($openToday[$best], $remaining[$best]);
+        }
+
+        $ymd      = $date->format('Y-m-d');
+        $onToday  = array_values(array_filter($events, fn($event) => $event['start_date'] <= $ymd && $event['end_date'] >= $ymd));
+        $area     = $anchor ? ITINERARY_AREAS[$anchor['area']]['label'] : null;
+        $dayTitle = $area ?? ($onToday ? $onToday[0]['name'] : 'Free day');
+        $days[] = [
+            'day'        => $day,
+            'date'       => $ymd,
+            'title'      => "Day $day · $dayTitle",
+            'area'       => $area,
+            'areaKey'    => $anchor['area'] ?? null,   // for translated titles on the client
+            'activities' => $schedule,
+            'events'     => array_map(fn($event) => [
+                'id'        => $event['id'],
+                'name'      => $event['name'],
+                'type'      => $event['type'],
+                'location'  => $event['location'],
+                'startDate' => $event['start_date'],
+                'endDate'   => $event['end_date'],
+            ], $onToday),
+        ];
+
+        $date->modify('+1 day');
+    }
+
+    return ['nights' => $nights, 'days' => $days];
+}
+
+function itinerary_activity(array $place, string $slot): array {
+    [$start, $end] = ITINERARY_SLOTS[$slot];
+    return [
+        'id'    => $place['id'],
+        'type'  => $place['type'],
+        'name'  => $place['name'],
+        'slot'  => $slot,
+        'start' => $start,
+        'end'   => $end,
+    ];
+}
+
+/**
+ * Give every must-see place its own day and slot before the rest of the trip
+ * is filled in. Places are matched to slots they are open for the whole of
+ * (moving earlier ones along when that makes room), preferring days that
+ * already have a must-see in the same area, then empty days. A place with no
+ * such slot left goes on a day it isn't closed, and failing that on any free
+ * slot, so all of them are scheduled whenever there are enough slots; the trip
+ * form allows no more than that ('perNight' in TRIP_SCHEMA).
+ *
+ * Returns [day number => [slot => place]], slots in ITINERARY_SLOTS order.
+ */
+function itinerary_pin_must_see(array $places, string $checkinDate, int $nights): array {
+    $weekdays = [];
+    $date     = new DateTime($checkinDate);
+    for ($day = 1; $day <= $nights; $day++) {
+        $weekdays[$day] = $date->format('D');
+        $date->modify('+1 day');
+    }
+
+    $owner  = [];   // "day|slot" => place key
+    $strict = [];   // place key => 2 whole slot open, 1 open that day, 0 anywhere
+
+    // The cells a place may take at its strictness, the ones it prefers first
+    $cellsFor = function (string $key) use ($places, $weekdays, &$owner, &$strict): array {
+        $place = $places[$key];
+        $ranked = [];
+        foreach ($weekdays as $day => $weekday) {
+            if ($strict[$key] > 0 && in_array($weekday, $place['closed_days'], true)) continue;
+
+            $areas = [];
+            foreach ($owner as $cell => $other) {
+                if ((int)$cell === $day && $other !== $key) $areas[] = $places[$other]['area'];
+            }
+            $preference = in_array($place['area'], $areas, true) ? 0 : ($areas ? 2 : 1);
+
+            foreach (ITINERARY_SLOTS as $slot => [$start, $end]) {
+                if ($strict[$key] > 1 && !place_open_during($place, $start, $end)) continue;
+                $ranked[] = [$preference, $day, array_search($slot, array_keys(ITINERARY_SLOTS), true), "$day|$slot"];
+            }
+        }
+        sort($ranked);
+        return array_column($ranked, 3);
+    };
+
+    // Take the best free cell; with none left, one whose owner can move elsewhere
+    $assign = function (string $key, array &$seen) use (&$assign, $cellsFor, &$owner): bool {
+        $cells = array_filter($cellsFor($key), fn($cell) => !isset($seen[$cell]));
+        foreach ($cells as $cell) {
+            if (!isset($owner[$cell])) {
+                $owner[$cell] = $key;
+                return true;
+            }
+        }
+        foreach ($cells as $cell) {
+            if (isset($seen[$cell])) continue;
+            $seen[$cell] = true;
+            if ($assign($owner[$cell], $seen)) {
+                $owner[$cell] = $key;
+                return true;
+            }
+        }
+        return false;
+    };
+
+    // Grouped by area so neighbours end up sharing days
+    $waiting = array_keys($places);
+    usort($waiting, fn($a, $b) => [$places[$a]['area'], -$places[$a]['score']] <=> [$places[$b]['area'], -$places[$b]['score']]);
+
+    foreach ([2, 1, 0] as $level) {
+        foreach ($waiting as $i => $key) {
+            $strict[$key] = $level;
+            $seen = [];
+            if ($assign($key, $seen)) unset($waiting[$i]);
+        }
+    }
+
+    $pinned = [];
+    foreach ($weekdays as $day => $weekday) {
+        foreach (array_keys(ITINERARY_SLOTS) as $slot) {
+            if (isset($owner["$day|$slot"])) $pinned[$day][$slot] = $places[$owner["$day|$slot"]];
+        }
+    }
+    return $pinned;
+}
+
+/**
+ * Published attractions and beaches matching the chosen interests, plus the
+ * must-see places, keyed "type:id". A place's score is the number of interests it
+ * matches plus its rating, so places that suit several interests are
+ * scheduled first.
+ */
+function itinerary_candidates(PDO $db, array $interests, array $mustSee = []): array {
+    $attractionCategories = [
+        'culture'   => ['church', 'temple', 'museum', 'fort'],
+        'adventure' => ['nature', 'fort'],
+    ];
+    // null matches every beach
+    $beachMatches = [
+        'beaches'   => null,
+        'adventure' => ['activities' => ['Parasailing', 'Jet Skiing', 'Kayaking']],
+        'nightlife' => ['tags' => ['Nightlife']],
+        'food'      => ['tags' => ['Markets', 'Nightlife']],
+    ];
+
+    $places = [];
+
+    $rows = $db->query('SELECT id, name, category, rating, latitude, longitude, opens_at, closes_at, closed_days FROM attractions WHERE published = 1')->fetchAll();
+    foreach ($rows as $row) {
+        $matches = 0;
+        foreach ($interests as $interest) {
+            if (in_array($row['category'], $attractionCategories[$interest] ?? [], true)) $matches++;
+        }
+        if ($matches > 0 || in_array('attraction:' . $row['id'], $mustSee, true)) {
+            $places['attraction:' . $row['id']] = itinerary_place($row, 'attraction', $matches + $row['rating'] / 5);
+        }
+    }
+
+    $rows = $db->query('SELECT id, name, tags, activities, featured, latitude, longitude, opens_at, closes_at, closed_days FROM beaches WHERE published = 1')->fetchAll();
+    foreach ($rows as $row) {
+        $values = [
+            'tags'       => json_decode($row['tags'], true) ?: [],
+            'activities' => json_decode($row['activities'], true) ?: [],
+        ];
+        $matches = 0;
+        foreach ($interests as $interest) {
+            if (!array_key_exists($interest, $beachMatches)) continue;
+            $rule = $beachMatches[$interest];
+            if ($rule === null) {
+                $matches++;
+                continue;
+            }
+            foreach ($rule as $column => $wanted) {
+                if (array_intersect($wanted, $values[$column])) {
+                    $matches++;
+                    break;
+                }
+            }
+        }
+        if ($matches > 0 || in_array('beach:' . $row['id'], $mustSee, true)) {
+            $places['beach:' . $row['id']] = itinerary_place($row, 'beach', $matches + ($row['featured'] ? 0.9 : 0.8));
+        }
+    }
+
+    uasort($places, fn($a, $b) => $b['score'] <=> $a['score']);
+    return $places;
+}
+
+function itinerary_place(array $row, string $type, float $score): array {
+    $place = [
+        'key'         => "$type:{$row['id']}",
+        'id'          => (int)$row['id'],
+        'type'        => $type,
+        'name'        => $row['name'],
+        'score'       => $score,
+        'lat'         => (float)$row['latitude'],
+        'lng'         => (float)$row['longitude'],
+        'opens_at'    => $row['opens_at'],
+        'closes_at'   => $row['closes_at'],
+        'closed_days' => json_decode($row['closed_days'] ?? '[]', true) ?: [],
+    ];
+
+    $nearest = null;
+    foreach (ITINERARY_AREAS as $key => $area) {
+        $distance = distance_km($place, $area);
+        if ($nearest === null || $distance < $nearest) {
+            $nearest = $distance;
+            $place['area'] = $key;
+        }
+    }
+
+    return $place;
+}
+
+function place_open_during(array $place, string $start, string $end): bool {
+    if ($place['opens_at'] === null || $place['closes_at'] === null) return true;
+    return $place['opens_at'] <= $start && $place['closes_at'] >= $end;
+}
+
+// Great-circle distance between two ['lat' => .., 'lng' => ..] points
+function distance_km(array $a, array $b): float {
+    $dLat = deg2rad($b['lat'] - $a['lat']);
+    $dLng = deg2rad($b['lng'] - $a['lng']);
+    $h = sin($dLat / 2) ** 2 + cos(deg2rad($a['lat'])) * cos(deg2rad($b['lat'])) * sin($dLng / 2) ** 2;
+    return 6371 * 2 * asin(sqrt($h));
+}
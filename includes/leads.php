@@ -0,0 +1,232 @@
+<?php
+/**
+ * includes/leads.php
+ * The sales workflow for trip requests ("leads"): status, the agent a request
+ * is assigned to, internal notes, and a history of every change in
+ * trip_events. Used by admin/index.php (the list) and admin/trip.php (one
+ * request); trip.php and trip_detail.php log the traveller's own changes.
+ */
+
+require_once __DIR__ . '/db.php';
+require_once __DIR__ . '/validator.php';
+
+// Label for each status, in workflow order
+const LEAD_STATUSES = [
+    'new'       => 'New',
+    'contacted' => 'Contacted',
+    'quoted'    => 'Quoted',
+    'booked'    => 'Booked',
+    'cancelled' => 'Cancelled',
+];
+
+// The statuses each one may move to; a cancelled request can be reopened
+const LEAD_TRANSITIONS = [
+    'new'       => ['contacted', 'quoted', 'cancelled'],
+    'contacted' => ['quoted', 'cancelled'],
+    'quoted'    => ['contacted', 'booked', 'cancelled'],
+    'booked'    => ['cancelled'],
+    'cancelled' => ['new'],
+];
+
+// trip_events.actor for changes the traveller makes through the trip API
+const LEAD_TRAVELLER = 'traveller';
+
+const LEAD_PAGE_SIZE = 25;
+
+// Whitelisted ORDER BY clauses — the raw parameter never reaches the SQL
+const LEAD_SORTS = [
+    'submitted' => 'created_at',
+    'checkin'   => 'checkin_date',
+    'email'     => 'email COLLATE NOCASE',
+    'status'    => "CASE status WHEN 'new' THEN 0 WHEN 'contacted' THEN 1 WHEN 'quoted' THEN 2 WHEN 'booked' THEN 3 ELSE 4 END",
+];
+
+/**
+ * The list's filters from the query string, cleaned:
+ * q (part of an email), status, agent ('' = anyone, 'none' = unassigned),
+ * interest, from/to (the stay overlaps these dates), sort, dir, page.
+ */
+function lead_filters(array $query): array {
+    // A repeated parameter (?status[]=x) arrives as an array and counts as unset
+    $text   = fn($key) => is_string($query[$key] ?? null) ? $query[$key] : '';
+    $date   = fn($value) => validate_date($value) ? $value : '';
+    $status = $text('status');
+    $agent  = $text('agent');
+    $sort   = $text('sort');
+
+    return [
+        'q'        => trim($text('q')),
+        'status'   => isset(LEAD_STATUSES[$status]) ? $status : '',
+        'agent'    => $agent === 'none' || isset(LEAD_AGENTS[$agent]) ? $agent : '',
+        'interest' => in_array($text('interest'), TRIP_SCHEMA['interests']['options'], true) ? $text('interest') : '',
+        'from'     => $date($text('from')),
+        'to'       => $date($text('to')),
+        'sort'     => isset(LEAD_SORTS[$sort]) ? $sort : 'submitted',
+        'dir'      => ($query['dir'] ?? '') === 'asc' ? 'asc' : 'desc',
+        'page'     => max(1, (int)($query['page'] ?? 1)),
+    ];
+}
+
+/**
+ * One page of trip requests matching lead_filters() output.
+ * Returns ['rows' => […], 'total' => n, 'pages' => n]; each row also has
+ * `changed_by_traveller`, true when the traveller edited the trip after the
+ * team last touched it, and `mail_failed`, true when an email about it
+ * could not be sent (includes/mailer.php).
+ */
+function lead_search(PDO $db, array $filters): array {
+    $where  = [];
+    $params = [];
+
+    if ($filters['q'] !== '') {
+        $where[] = "email LIKE :q ESCAPE '\\'";
+        $params[':q'] = '%' . addcslashes($filters['q'], '%_\\') . '%';
+    }
+    if ($filters['status'] !== '') {
+        $where[] = 'status = :status';
+        $params[':status'] = $filters['status'];
+    }
+    if ($filters['agent'] === 'none') {
+        $where[] = 'assigned_to IS NULL';
+    } elseif ($filters['agent'] !== '') {
+        $where[] = 'assigned_to = :agent';
+        $params[':agent'] = $filters['agent'];
+    }
+    if ($filters['interest'] !== '') {
+        $where[] = 'EXISTS (SELECT 1 FROM json_each(trip_requests.interests) WHERE json_each.value = :interest)';
+        $params[':interest'] = $filters['interest'];
+    }
+    // Trips whose stay overlaps the range, so "December" finds a 28 Nov – 3 Dec trip
+    if ($filters['from'] !== '') {
+        $where[] = 'checkout_date >= :from';
+        $params[':from'] = $filters['from'];
+    }
+    if ($filters['to'] !== '') {
+        $where[] = 'checkin_date <= :to';
+        $params[':to'] = $filters['to'];
+    }
+
+    $whereSql = $where ? ' WHERE ' . implode(' AND ', $where) : '';
+
+    $stmt = $db->prepare('SELECT COUNT(*) FROM trip_requests' . $whereSql);
+    $stmt->execute($params);
+    $total = (int)$stmt->fetchColumn();
+    $pages = max(1, (int)ceil($total / LEAD_PAGE_SIZE));
+
+    $orderBy = LEAD_SORTS[$filters['sort']] . ' ' . strtoupper($filters['dir']) . ', id ' . strtoupper($filters['dir']);
+    $offset  = (min($filters['page'], $pages) - 1) * LEAD_PAGE_SIZE;
+
+    $stmt = $db->prepare("
+        SELECT trip_requests.*,
+               updated_at > COALESCE((SELECT MAX(created_at) FROM trip_events
+                                       WHERE trip_id = trip_requests.id AND actor != :traveller), '') AS changed_by_traveller,
+               EXISTS (SELECT 1 FROM mail_queue WHERE trip_id = trip_requests.id AND status = 'failed') AS mail_failed
+          FROM trip_requests $whereSql
+         ORDER BY $orderBy
+         LIMIT " . LEAD_PAGE_SIZE . " OFFSET $offset
+    ");
+    $stmt->execute([...$params, ':traveller' => LEAD_TRAVELLER]);
+
+    return ['rows' => $stmt->fetchAll(), 'total' => $total, 'pages' => $pages];
+}
+
+// Number of requests in each status, every status present
+function lead_status_counts(PDO $db): array {
+    $counts = array_fill_keys(array_keys(LEAD_STATUSES), 0);
+    foreach ($db->query('SELECT status, COUNT(*) AS n FROM trip_requests GROUP BY status') as $row) {
+        if (isset($counts[$row['status']])) $counts[$row['status']] = (int)$row['n'];
+    }
+    return $counts;
+}
+
+function find_lead(PDO $db, int $id): ?array {
+    $stmt = $db->prepare('SELECT * FROM trip_requests WHERE id = :id');
+    $stmt->execute([':id' => $id]);
+    return $stmt->fetch() ?: null;
+}
+
+/** The request's history, oldest first. */
+function lead_history(PDO $db, int $tripId): array {
+    $stmt = $db->prepare('SELECT * FROM trip_events WHERE trip_id = :id ORDER BY created_at, id');
+    $stmt->execute([':id' => $tripId]);
+    return $stmt->fetchAll();
+}
+
+/**
+ * Record one entry in a request's history. $type is created, updated (by the
+ * traveller), status, assigned or note; $from/$to are the old and new values.
+ */
+function lead_log(PDO $db, int $tripId, string $actor, string $type, ?string $from = null, ?string $to = null, ?string $note = null): void {
+    $db->prepare('
+        INSERT INTO trip_events (trip_id, actor, type, old_value, new_value, note)
+        VALUES (:trip, :actor, :type, :from, :to, :note)
+    ')->execute([
+        ':trip'  => $tripId,
+        ':actor' => $actor,
+        ':type'  => $type,
+        ':from'  => $from,
+        ':to'    => $to,
+        ':note'  => $note === '' ? null : $note,
+    ]);
+}
+
+/**
+ * Move a request to $status, with an optional note kept in the history.
+ * Returns an error message, or null on success.
+ */
+function lead_set_status(PDO $db, array $lead, string $status, string $actor, string $note = ''): ?string {
+    if (!in_array($status, LEAD_TRANSITIONS[$lead['status']] ?? array_keys(LEAD_STATUSES), true)) {
+        $from = LEAD_STATUSES[$lead['status']] ?? $lead['status'];
+        return "A request can't go from $from to " . (LEAD_STATUSES[$status] ?? $status) . '.';
+    }
+
+    $db->beginTransaction();
+    $db->prepare('UPDATE trip_requests SET status = :status WHERE id = :id')
+       ->execute([':status' => $status, ':id' => $lead['id']]);
+    lead_log($db, (int)$lead['id'], $actor, 'status', $lead['status'], $status, $note);
+    $db->commit();
+    return null;
+}
+
+/** Assign a request to an agent from LEAD_AGENTS ('' = nobody). Returns an error message or null. */
+function lead_assign(PDO $db, array $lead, string $agent, string $actor): ?string {
+    if ($agent !== '' && !isset(LEAD_AGENTS[$agent])) {
+        return 'Choose an agent from the list.';
+    }
+    if ($agent === (string)$lead['assigned_to']) {
+        return null;
+    }
+
+    $db->beginTransaction();
+    $db->prepare('UPDATE trip_requests SET assigned_to = :agent WHERE id = :id')
+       ->execute([':agent' => $agent === '' ? null : $agent, ':id' => $lead['id']]);
+    lead_log($db, (int)$lead['id'], $actor, 'assigned', $lead['assigned_to'], $agent === '' ? null : $agent);
+    $db->commit();
+    return null;
+}
+
+/** Add an internal note. Returns an error message or null. */
+function lead_add_note(PDO $db, array $lead, string $note, string $actor): ?string {
+    $note = trim($note);
+    if ($note === '') return 'Write a note first.';
+    if (mb_strlen($note) > 2000) return 'Notes must be 2000 characters or fewer.';
+
+    lead_log($db, (int)$lead['id'], $actor, 'note', null, null, $note);
+    return null;
+}
+
+// Display name for an agent key, or the key itself if the agent has left LEAD_AGENTS
+function lead_agent_name(?string $agent): string {
+    if ($agent === null || $agent === '') return 'Unassigned';
+    return LEAD_AGENTS[$agent]['name'] ?? $agent;
+}
+
+/**
+ * Query string for the list with $filters, changed by $changes, leaving out
+ * defaults: lead_query_string($filters, ['page' => 2]) → "?status=new&page=2".
+ */
+function lead_query_string(array $filters, array $changes = []): string {
+    $defaults = lead_filters([]);
+    $query    = array_filter([...$filters, ...$changes], fn($value, $key) => $value !== $defaults[$key], ARRAY_FILTER_USE_BOTH);
+    return $query ? '?' . http_build_query($query) : '?';
+}
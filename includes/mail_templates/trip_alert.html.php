@@ -0,0 +1,43 @@
+<?php
+/**
+ * To the sales team (MAIL_TEAM_TO) for each new trip request. English only,
+ * like the admin panel. Variables: $trip, $places (must-see places by key),
+ * $adminUrl, $planUrl.
+ */
+$e       = fn($text) => htmlspecialchars((string)$text, ENT_QUOTES, 'UTF-8');
+$nights  = count($trip['itinerary']['days'] ?? []);
+$subject = "New trip request #{$trip['id']}: {$trip['email']}, {$trip['checkin_date']} ($nights nights)";
+$rows    = [
+    'Email'            => $trip['email'],
+    'Dates'            => "{$trip['checkin_date']} → {$trip['checkout_date']} ($nights nights)",
+    'Travelers'        => $trip['travelers'],
+    'Interests'        => implode(', ', $trip['interests']),
+    'Must-see'         => implode(', ', array_map(fn($key) => $places[$key]['name'] ?? $key, $trip['must_see'])) ?: '—',
+    'Transport'        => $trip['transport'] ? ucfirst($trip['transport']) : '—',
+    'Estimate'         => $trip['estimate'] ? mail_money($trip['estimate']['group'], $trip['estimate']['currency']) . ' for the group' : '—',
+    'Special requests' => $trip['special_requests'] ?: '—',
+];
+?>
+<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title><?= $e($subject) ?></title></head>
+<body style="margin:0;padding:24px;background:#f4f6fb;font-family:Arial,Helvetica,sans-serif;color:#2d3748;font-size:14px;">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:10px;">
+    <tr><td style="padding:20px 24px;">
+        <h1 style="margin:0 0 16px;font-size:18px;">New trip request #<?= (int)$trip['id'] ?></h1>
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+        <?php foreach ($rows as $label => $value): ?>
+            <tr>
+                <td width="140" style="padding:5px 0;color:#718096;vertical-align:top;"><?= $e($label) ?></td>
+                <td style="padding:5px 0;vertical-align:top;"><?= nl2br($e($value)) ?></td>
+            </tr>
+        <?php endforeach; ?>
+        </table>
+        <p style="margin:20px 0 0;">
+            <a href="<?= $e($adminUrl) ?>" style="display:inline-block;background:#e8560a;color:#ffffff;text-decoration:none;padding:8px 16px;border-radius:6px;font-weight:bold;">Open in the admin panel</a>
+            &nbsp; <a href="<?= $e($planUrl) ?>" style="color:#e8560a;">Traveller's plan</a>
+        </p>
+    </td></tr>
+</table>
+</body>
+</html>
@@ -0,0 +1,27 @@
+<?php
+/** Plain-text alternative of trip_alert.html.php. */
+$nights = count($trip['itinerary']['days'] ?? []);
+?>
+New trip request #<?= (int)$trip['id'] ?>
+
+
+Email:            <?= $trip['email'] ?>
+
+Dates:            <?= $trip['checkin_date'] ?> → <?= $trip['checkout_date'] ?> (<?= $nights ?> nights)
+Travelers:        <?= $trip['travelers'] ?>
+
+Interests:        <?= implode(', ', $trip['interests']) ?>
+
+Must-see:         <?= implode(', ', array_map(fn($key) => $places[$key]['name'] ?? $key, $trip['must_see'])) ?: '—' ?>
+
+Transport:        <?= $trip['transport'] ? ucfirst($trip['transport']) : '—' ?>
+
+Estimate:         <?= $trip['estimate'] ? mail_money($trip['estimate']['group'], $trip['estimate']['currency']) . ' for the group' : '—' ?>
+
+Special requests: <?= $trip['special_requests'] ?: '—' ?>
+
+
+Open in the admin panel: <?= $adminUrl ?>
+
+Traveller's plan:        <?= $planUrl ?>
+
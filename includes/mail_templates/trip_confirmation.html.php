@@ -0,0 +1,84 @@
+<?php
+/**
+ * To the traveller when they submit a trip: the itinerary, the estimate and
+ * their private link. Styles are inline because most mail clients drop <style>.
+ * Variables: $trip (the trip_requests row, JSON columns decoded), $planUrl, $printUrl.
+ */
+$e       = fn($text) => htmlspecialchars((string)$text, ENT_QUOTES, 'UTF-8');
+$checkin = mail_date($trip['checkin_date']);
+$subject = t('email.subject', 'Your Goa itinerary: {checkin} to {checkout}', [
+    'checkin'  => $trip['checkin_date'],
+    'checkout' => $trip['checkout_date'],
+]);
+?>
+<!DOCTYPE html>
+<html lang="<?= $e(request_locale()) ?>">
+<head><meta charset="UTF-8"><title><?= $e($subject) ?></title></head>
+<body style="margin:0;padding:0;background:#f4f6fb;font-family:Arial,Helvetica,sans-serif;color:#2d3748;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f6fb;padding:24px 0;">
+<tr><td align="center">
+<table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:10px;overflow:hidden;">
+    <tr><td style="background:#ff6b35;color:#ffffff;padding:20px 28px;font-size:22px;font-weight:bold;">🏖️ <?= $e(MAIL_FROM_NAME) ?></td></tr>
+    <tr><td style="padding:28px;font-size:15px;line-height:1.5;">
+        <p style="margin:0 0 12px;"><?= $e(t('email.greeting', 'Hello,')) ?></p>
+        <p style="margin:0 0 20px;"><?= $e(t('email.intro', 'Thank you for planning your trip to Goa with us. Here is the itinerary we made for your stay from {checkin} to {checkout}.', [
+            'checkin'  => $checkin,
+            'checkout' => mail_date($trip['checkout_date']),
+        ])) ?></p>
+
+        <p style="margin:0 0 24px;">
+            <a href="<?= $e($planUrl) ?>" style="display:inline-block;background:#ff6b35;color:#ffffff;text-decoration:none;padding:10px 20px;border-radius:999px;font-weight:bold;"><?= $e(t('email.openPlan', 'View or change your trip')) ?></a>
+            &nbsp; <a href="<?= $e($printUrl) ?>" style="color:#e55a2b;"><?= $e(t('itinerary.print', 'Print or save as PDF')) ?></a>
+        </p>
+
+        <?php foreach ($trip['itinerary']['days'] ?? [] as $day): ?>
+            <h2 style="margin:20px 0 4px;font-size:17px;"><?= $e(mail_day_title($day)) ?></h2>
+            <p style="margin:0 0 8px;color:#718096;font-size:13px;"><?= $e(mail_date($day['date'])) ?></p>
+            <?php foreach ($day['events'] ?? [] as $event): ?>
+                <p style="margin:0 0 8px;font-size:14px;">
+                    <span style="color:#c2410c;">🎉 <?= $e(t('itinerary.event', 'Festival')) ?>:</span>
+                    <?= $e($event['name']) ?> <span style="color:#718096;">· <?= $e($event['location']) ?></span>
+                </p>
+            <?php endforeach; ?>
+            <?php if (empty($day['activities']) && empty($day['events'])): ?>
+                <p style="margin:0;font-style:italic;color:#4a5568;"><?= $e(t('itinerary.freeDay', 'Nothing planned: relax, shop, or go back to a favourite spot.')) ?></p>
+            <?php elseif (!empty($day['activities'])): ?>
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:14px;">
+                <?php foreach ($day['activities'] as $activity): ?>
+                    <tr>
+                        <td width="120" style="padding:6px 0;border-top:1px solid #e0e4ed;color:#718096;vertical-align:top;">
+                            <?= $e(t("itinerary.slot.{$activity['slot']}", ucfirst($activity['slot']))) ?><br>
+                            <span style="font-size:12px;"><?= $e($activity['start']) ?>–<?= $e($activity['end']) ?></span>
+                        </td>
+                        <td style="padding:6px 0;border-top:1px solid #e0e4ed;vertical-align:top;">
+                            <?= $e($activity['name']) ?>
+                            <?php if (!empty($activity['mustSee'])): ?>
+                                <span style="color:#c2410c;font-size:12px;">★ <?= $e(t('itinerary.mustSee', 'Must-see')) ?></span>
+                            <?php endif; ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+                </table>
+            <?php endif; ?>
+        <?php endforeach; ?>
+
+        <?php if ($trip['estimate']): ?>
+            <p style="margin:24px 0 4px;font-weight:bold;"><?= $e(t('estimate.announce', 'Estimated cost: {perPerson} per person, {group} in total.', [
+                'perPerson' => mail_money($trip['estimate']['perPerson'], $trip['estimate']['currency']),
+                'group'     => mail_money($trip['estimate']['group'], $trip['estimate']['currency']),
+            ])) ?></p>
+            <p style="margin:0;color:#718096;font-size:13px;"><?= $e(t('estimate.note', 'Estimated in Indian rupees for the season of your stay, excluding flights. Final prices may vary.')) ?></p>
+        <?php endif; ?>
+
+        <p style="margin:24px 0 4px;"><?= $e(t('email.followUp', 'Someone from our team will be in touch soon to help you book it. Just reply to this email if you have any questions.')) ?></p>
+        <p style="margin:0;"><?= $e(t('email.signature', 'The Goa Tourism team')) ?></p>
+    </td></tr>
+    <tr><td style="padding:16px 28px;background:#f7f9fc;color:#718096;font-size:12px;">
+        <?= $e(t('itinerary.privateLink', 'Come back to view or change this trip at your private link:')) ?><br>
+        <a href="<?= $e($planUrl) ?>" style="color:#718096;word-break:break-all;"><?= $e($planUrl) ?></a>
+    </td></tr>
+</table>
+</td></tr>
+</table>
+</body>
+</html>
@@ -0,0 +1,48 @@
+<?php
+/** Plain-text alternative of trip_confirmation.html.php. */
+?>
+<?= t('email.greeting', 'Hello,') ?>
+
+
+<?= t('email.intro', 'Thank you for planning your trip to Goa with us. Here is the itinerary we made for your stay from {checkin} to {checkout}.', [
+    'checkin'  => mail_date($trip['checkin_date']),
+    'checkout' => mail_date($trip['checkout_date']),
+]) ?>
+
+
+<?= t('email.openPlan', 'View or change your trip') ?>: <?= $planUrl ?>
+
+<?= t('itinerary.print', 'Print or save as PDF') ?>: <?= $printUrl ?>
+
+<?php foreach ($trip['itinerary']['days'] ?? [] as $day): ?>
+
+<?= mail_day_title($day) ?> (<?= mail_date($day['date']) ?>)
+<?php foreach ($day['events'] ?? [] as $event): ?>
+  <?= t('itinerary.event', 'Festival') ?>: <?= $event['name'] ?> · <?= $event['location'] ?>
+
+<?php endforeach; ?>
+<?php if (empty($day['activities']) && empty($day['events'])): ?>
+  <?= t('itinerary.freeDay', 'Nothing planned: relax, shop, or go back to a favourite spot.') ?>
+
+<?php endif; ?>
+<?php foreach ($day['activities'] as $activity): ?>
+  <?= $activity['start'] ?>–<?= $activity['end'] ?>  <?= $activity['name'] ?><?= !empty($activity['mustSee']) ? ' ★' : '' ?>
+
+<?php endforeach; ?>
+<?php endforeach; ?>
+<?php if ($trip['estimate']): ?>
+
+<?= t('estimate.announce', 'Estimated cost: {perPerson} per person, {group} in total.', [
+    'perPerson' => mail_money($trip['estimate']['perPerson'], $trip['estimate']['currency']),
+    'group'     => mail_money($trip['estimate']['group'], $trip['estimate']['currency']),
+]) ?>
+
+<?= t('estimate.note', 'Estimated in Indian rupees for the season of your stay, excluding flights. Final prices may vary.') ?>
+
+<?php endif; ?>
+
+<?= t('email.followUp', 'Someone from our team will be in touch soon to help you book it. Just reply to this email if you have any questions.') ?>
+
+
+<?= t('email.signature', 'The Goa Tourism team') ?>
+
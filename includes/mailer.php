@@ -0,0 +1,345 @@
+<?php
+/**
+ * includes/mailer.php
+ * Outgoing email. Messages are rendered from includes/mail_templates/ when
+ * they are queued (so the traveller's email is in the language they used
+ * on the site), stored in mail_queue against their trip request, and sent
+ * later by mail_worker.php through MAIL_TRANSPORT. A failed send is retried
+ * with a growing delay until MAIL_RETRY_DELAYS runs out.
+ */
+
+require_once __DIR__ . '/db.php';
+require_once __DIR__ . '/i18n.php';
+require_once __DIR__ . '/places.php';
+
+const MAIL_TEMPLATE_DIR = __DIR__ . '/mail_templates';
+
+// Labels for the admin panel
+const MAIL_TEMPLATES = [
+    'trip_confirmation' => 'Confirmation to the traveller',
+    'trip_alert'        => 'New request alert to the team',
+];
+
+// Seconds to wait after the 1st, 2nd, … failed attempt; once they run out the message is 'failed'
+const MAIL_RETRY_DELAYS = [60, 300, 1800, 7200];
+
+// A message locked longer than this belongs to a worker that died; it is picked up again
+const MAIL_LOCK_TIMEOUT = 600;
+
+/**
+ * Render $template with $vars. The .html.php template sets $subject; the
+ * .text.php one is the plain-text alternative.
+ * Returns ['subject' => …, 'html' => …, 'text' => …].
+ */
+function mail_render(string $template, array $vars): array {
+    $render = function (string $file) use ($vars): array {
+        extract($vars);
+        ob_start();
+        include $file;
+        return [ob_get_clean(), $subject ?? null];
+    };
+
+    [$html, $subject] = $render(MAIL_TEMPLATE_DIR . "/$template.html.php");
+    [$text]           = $render(MAIL_TEMPLATE_DIR . "/$template.text.php");
+
+    return ['subject' => $subject ?? $template, 'html' => $html, 'text' => trim($text) . "\n"];
+}
+
+// A date in the reader's language where PHP has intl, e.g. "Monday 1 December 2026"
+function mail_date(string $date): string {
+    if (class_exists('IntlDateFormatter')) {
+        $formatter = new IntlDateFormatter(request_locale(), IntlDateFormatter::FULL, IntlDateFormatter::NONE, 'UTC');
+        $formatted = $formatter->format(new DateTime($date, new DateTimeZone('UTC')));
+        if ($formatted !== false) return $formatted;
+    }
+    return (new DateTime($date))->format('l j F Y');
+}
+
+// "Day 2 · South Goa" in the reader's language, as plan.html titles the day
+function mail_day_title(array $day): string {
+    if (empty($day['areaKey']) && !empty($day['events'])) {
+        return t('itinerary.dayTitle', 'Day {day} · {area}', ['day' => $day['day'], 'area' => $day['events'][0]['name']]);
+    }
+    if (empty($day['areaKey'])) {
+        return t('itinerary.dayTitleFree', 'Day {day} · Free day', ['day' => $day['day']]);
+    }
+    return t('itinerary.dayTitle', 'Day {day} · {area}', [
+        'day'  => $day['day'],
+        'area' => t("itinerary.area.{$day['areaKey']}", (string)$day['area']),
+    ]);
+}
+
+// An amount from an estimate, e.g. "₹23,773"
+function mail_money(int|float $amount, string $currency = 'INR'): string {
+    return ($currency === 'INR' ? '₹' : "$currency ") . number_format($amount);
+}
+
+/** Render $template and queue it for $to. Returns the mail_queue id. */
+function mail_queue(PDO $db, ?int $tripId, string $template, string $to, array $vars): int {
+    $message = mail_render($template, $vars);
+
+    $db->prepare('
+        INSERT INTO mail_queue (trip_id, template, recipient, subject, body_html, body_text)
+        VALUES (:trip, :template, :to, :subject, :html, :text)
+    ')->execute([
+        ':trip'     => $tripId,
+        ':template' => $template,
+        ':to'       => $to,
+        ':subject'  => $message['subject'],
+        ':html'     => $message['html'],
+        ':text'     => $message['text'],
+    ]);
+    return (int)$db->lastInsertId();
+}
+
+/**
+ * Queue the emails for a newly submitted trip request ($row from
+ * trip_requests): the itinerary to the traveller, and an alert to each
+ * address in MAIL_TEAM_TO.
+ */
+function mail_queue_trip_submitted(PDO $db, array $row): void {
+    $trip = [
+        ...$row,
+        'interests' => json_decode($row['interests'] ?? '[]', true) ?? [],
+        'must_see'  => json_decode($row['must_see'] ?? '[]', true) ?? [],
+        'itinerary' => json_decode($row['itinerary'] ?? 'null', true),
+        'estimate'  => json_decode($row['estimate'] ?? 'null', true),
+    ];
+    $vars = [
+        'trip'     => $trip,
+        'places'   => find_places($db, $trip['must_see'], includeDrafts: true),
+        'planUrl'  => SITE_URL . '/plan.html?trip=' . urlencode($row['access_token']),
+        'printUrl' => SITE_URL . '/api/trip/' . urlencode($row['access_token']) . '/print',
+        'adminUrl' => SITE_URL . '/admin/trip.php?id=' . (int)$row['id'],
+    ];
+
+    mail_queue($db, (int)$row['id'], 'trip_confirmation', $row['email'], $vars);
+    foreach (MAIL_TEAM_TO as $address) {
+        mail_queue($db, (int)$row['id'], 'trip_alert', $address, $vars);
+    }
+}
+
+/** A trip request's emails, newest first. */
+function mail_for_trip(PDO $db, int $tripId): array {
+    $stmt = $db->prepare('SELECT * FROM mail_queue WHERE trip_id = :id ORDER BY created_at DESC, id DESC');
+    $stmt->execute([':id' => $tripId]);
+    return $stmt->fetchAll();
+}
+
+/**
+ * Send a failed message again: back to the queue, due now, with a fresh set
+ * of attempts. A sent one is copied instead, so the record of it stays.
+ * Returns an error message or null.
+ */
+function mail_retry(PDO $db, int $id, int $tripId): ?string {
+    $stmt = $db->prepare('SELECT * FROM mail_queue WHERE id = :id AND trip_id = :trip');
+    $stmt->execute([':id' => $id, ':trip' => $tripId]);
+    $message = $stmt->fetch();
+
+    if (!$message) return 'That email was not found.';
+
+    if ($message['status'] === 'failed') {
+        $db->prepare("
+            UPDATE mail_queue SET status = 'queued', attempts = 0, last_error = NULL, next_attempt_at = CURRENT_TIMESTAMP
+             WHERE id = :id
+        ")->execute([':id' => $id]);
+    } elseif ($message['status'] === 'sent') {
+        $db->prepare('
+            INSERT INTO mail_queue (trip_id, template, recipient, subject, body_html, body_text)
+            SELECT trip_id, template, recipient, subject, body_html, body_text FROM mail_queue WHERE id = :id
+        ')->execute([':id' => $id]);
+    } else {
+        return 'That email is already waiting to be sent.';
+    }
+    return null;
+}
+
+// ── Sending ──────────────────────────────────────────────────────────────────
+
+/**
+ * Send up to $limit messages that are due. $report is called after each
+ * one with the row, true/false and the error message. Several workers can
+ * run at once: a row is locked before it is sent.
+ * Returns ['sent' => n, 'failed' => n] (failed includes ones to be retried).
+ */
+function mail_process_queue(PDO $db, int $limit = 50, ?callable $report = null): array {
+    $db->prepare("UPDATE mail_queue SET status = 'queued', locked_at = NULL WHERE status = 'sending' AND locked_at < datetime('now', :age)")
+       ->execute([':age' => '-' . MAIL_LOCK_TIMEOUT . ' seconds']);
+
+    $due = $db->prepare("SELECT * FROM mail_queue WHERE status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP ORDER BY next_attempt_at, id LIMIT :limit");
+    $due->bindValue(':limit', $limit, PDO::PARAM_INT);
+    $due->execute();
+
+    $lock   = $db->prepare("UPDATE mail_queue SET status = 'sending', locked_at = CURRENT_TIMESTAMP WHERE id = :id AND status = 'queued'");
+    $counts = ['sent' => 0, 'failed' => 0];
+
+    foreach ($due->fetchAll() as $message) {
+        $lock->execute([':id' => $message['id']]);
+        if ($lock->rowCount() === 0) continue;   // another worker has it
+
+        $error = null;
+        try {
+            mail_send($message);
+        } catch (Throwable $e) {
+            $error = $e->getMessage();
+        }
+        mail_record_attempt($db, $message, $error);
+
+        $counts[$error === null ? 'sent' : 'failed']++;
+        if ($report) $report($message, $error === null, $error);
+    }
+    return $counts;
+}
+
+// Mark a message sent, or schedule its retry (or give up) after $error
+function mail_record_attempt(PDO $db, array $message, ?string $error): void {
+    $attempts = (int)$message['attempts'] + 1;
+
+    if ($error === null) {
+        $db->prepare("
+            UPDATE mail_queue SET status = 'sent', attempts = :attempts, last_error = NULL, transport = :transport,
+                   sent_at = CURRENT_TIMESTAMP, locked_at = NULL
+             WHERE id = :id
+        ")->execute([':attempts' => $attempts, ':transport' => MAIL_TRANSPORT, ':id' => $message['id']]);
+        return;
+    }
+
+    $delay = MAIL_RETRY_DELAYS[$attempts - 1] ?? null;
+    $db->prepare("
+        UPDATE mail_queue SET status = :status, attempts = :attempts, last_error = :error, locked_at = NULL,
+               next_attempt_at = datetime('now', :delay)
+         WHERE id = :id
+    ")->execute([
+        ':status'   => $delay === null ? 'failed' : 'queued',
+        ':attempts' => $attempts,
+        ':error'    => mb_substr($error, 0, 1000),
+        ':delay'    => '+' . ($delay ?? 0) . ' seconds',
+        ':id'       => $message['id'],
+    ]);
+}
+
+/** Send one mail_queue row through MAIL_TRANSPORT; throws RuntimeException on failure. */
+function mail_send(array $message): void {
+    $mime = mail_mime($message);
+
+    match (MAIL_TRANSPORT) {
+        'smtp'   => smtp_send(MAIL_FROM, $message['recipient'], $mime),
+        'outbox' => mail_outbox_write($message, $mime),
+        default  => throw new RuntimeException('Unknown MAIL_TRANSPORT "' . MAIL_TRANSPORT . '".'),
+    };
+}
+
+/**
+ * The message as RFC 5322 text: multipart/alternative with the plain-text
+ * and HTML bodies, both quoted-printable UTF-8. Lines end in CRLF.
+ */
+function mail_mime(array $message): string {
+    $boundary = 'goa-' . bin2hex(random_bytes(12));
+    $domain   = substr(strrchr(MAIL_FROM, '@'), 1) ?: 'localhost';
+    $crlf     = fn(string $text) => preg_replace('/\r\n|\r|\n/', "\r\n", $text);
+
+    $headers = [
+        'Date: '         . date(DATE_RFC2822),
+        'From: '         . mail_header_encode(MAIL_FROM_NAME) . ' <' . MAIL_FROM . '>',
+        'To: '           . $message['recipient'],
+        'Subject: '      . mail_header_encode($message['subject']),
+        'Message-ID: <mail-' . $message['id'] . '.' . bin2hex(random_bytes(8)) . "@$domain>",
+        'MIME-Version: 1.0',
+        "Content-Type: multipart/alternative; boundary=\"$boundary\"",
+    ];
+
+    $parts = '';
+    foreach (['text/plain' => $message['body_text'], 'text/html' => $message['body_html']] as $type => $body) {
+        $parts .= "--$boundary\r\n"
+                . "Content-Type: $type; charset=UTF-8\r\n"
+                . "Content-Transfer-Encoding: quoted-printable\r\n\r\n"
+                . quoted_printable_encode($crlf($body)) . "\r\n";
+    }
+
+    return implode("\r\n", $headers) . "\r\n\r\n" . $parts . "--$boundary--\r\n";
+}
+
+// RFC 2047 encoding for headers that may hold non-ASCII text
+function mail_header_encode(string $text): string {
+    return preg_match('/[^\x20-\x7E]/', $text) ? '=?UTF-8?B?' . base64_encode($text) . '?=' : $text;
+}
+
+// The 'outbox' transport: one .eml file per message, which any mail client can open
+function mail_outbox_write(array $message, string $mime): void {
+    if (!is_dir(MAIL_OUTBOX_DIR) && !mkdir(MAIL_OUTBOX_DIR, 0755, true) && !is_dir(MAIL_OUTBOX_DIR)) {
+        throw new RuntimeException('Could not create ' . MAIL_OUTBOX_DIR . '.');
+    }
+    $file = MAIL_OUTBOX_DIR . '/' . date('Ymd-His') . "-{$message['id']}-{$message['template']}.eml";
+    if (file_put_contents($file, $mime) === false) {
+        throw new RuntimeException("Could not write $file.");
+    }
+}
+
+// ── SMTP ─────────────────────────────────────────────────────────────────────
+
+/** Send $mime to one recipient through SMTP_HOST; throws RuntimeException on any error. */
+function smtp_send(string $from, string $to, string $mime): void {
+    $host   = (SMTP_ENCRYPTION === 'ssl' ? 'ssl://' : 'tcp://') . SMTP_HOST . ':' . SMTP_PORT;
+    $socket = @stream_socket_client($host, $errno, $errstr, SMTP_TIMEOUT);
+    if (!$socket) {
+        throw new RuntimeException("Could not connect to $host: $errstr ($errno)");
+    }
+    stream_set_timeout($socket, SMTP_TIMEOUT);
+
+    try {
+        $hostname = gethostname() ?: 'localhost';
+        smtp_expect($socket, 220);
+        smtp_command($socket, "EHLO $hostname", 250);
+
+        if (SMTP_ENCRYPTION === 'tls') {
+            smtp_command($socket, 'STARTTLS', 220);
+            if (!stream_socket_enable_crypto($socket, true, STREAM_CRYPTO_METHOD_TLSv1_2_CLIENT | STREAM_CRYPTO_METHOD_TLSv1_3_CLIENT)) {
+                throw new RuntimeException('STARTTLS failed.');
+            }
+            smtp_command($socket, "EHLO $hostname", 250);
+        }
+
+        if (SMTP_USERNAME !== '') {
+            smtp_command($socket, 'AUTH LOGIN', 334);
+            smtp_command($socket, base64_encode(SMTP_USERNAME), 334, 'AUTH LOGIN (username)');
+            smtp_command($socket, base64_encode(SMTP_PASSWORD), 235, 'AUTH LOGIN (password)');
+        }
+
+        smtp_command($socket, "MAIL FROM:<$from>", 250);
+        smtp_command($socket, "RCPT TO:<$to>", [250, 251]);
+        smtp_command($socket, 'DATA', 354);
+        // A line starting with "." gets a second one, so it can't end the message early
+        smtp_command($socket, preg_replace('/^\./m', '..', rtrim($mime, "\r\n")) . "\r\n.", 250, 'message body');
+        smtp_command($socket, 'QUIT', 221);
+    } finally {
+        fclose($socket);
+    }
+}
+
+/**
+ * Send one command and check the reply code. $label replaces the command
+ * in error messages, so credentials and bodies never end up in last_error.
+ */
+function smtp_command($socket, string $command, int|array $expect, ?string $label = null): void {
+    fwrite($socket, $command . "\r\n");
+    smtp_expect($socket, $expect, $label ?? $command);
+}
+
+// Read a (possibly multi-line) reply; throw unless its code is one of $expect
+function smtp_expect($socket, int|array $expect, string $after = 'connecting'): string {
+    $reply = '';
+    while (($line = fgets($socket, 515)) !== false) {
+        $reply .= $line;
+        // "250-…" continues, "250 …" is the last line
+        if (strlen($line) < 4 || $line[3] === ' ') break;
+    }
+    if ($reply === '') {
+        throw new RuntimeException("No reply from the SMTP server after $after.");
+    }
+
+    $code = (int)substr($reply, 0, 3);
+    if (!in_array($code, (array)$expect, true)) {
+        throw new RuntimeException("SMTP server answered $after with: " . trim($reply));
+    }
+    return $reply;
+}
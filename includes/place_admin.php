@@ -0,0 +1,235 @@
+<?php
+/**
+ * includes/place_admin.php
+ * Creating, editing and deleting attractions and beaches from the admin panel
+ * (api/handlers/admin_places.php). Request bodies use the table's column
+ * names, so a place reads back exactly as it is sent.
+ */
+
+require_once __DIR__ . '/db.php';
+require_once __DIR__ . '/places.php';
+require_once __DIR__ . '/validator.php';
+
+const PLACE_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Places must sit on the map drawn by main.js (GoaMap.bounds)
+const PLACE_LATITUDE  = ['min' => 14.87, 'max' => 15.82];
+const PLACE_LONGITUDE = ['min' => 73.65, 'max' => 74.36];
+
+/**
+ * The editable columns of each place type. Rule types: 'text', 'choice'
+ * (one of 'options'), 'number' ('min'/'max'), 'time' ('HH:MM'), 'days' (list
+ * of PLACE_WEEKDAYS), 'labels' (free-text list such as tags; 'maxItems',
+ * each at most 'maxLength'), 'image' (a file in pictures/) and 'bool'.
+ * Messages are built from 'label'; the admin panel is English only.
+ */
+const PLACE_SCHEMAS = [
+    'attraction' => [
+        'name'             => ['label' => 'Name',             'type' => 'text',   'required' => true, 'maxLength' => 120],
+        'location'         => ['label' => 'Location',         'type' => 'text',   'required' => true, 'maxLength' => 120],
+        'category'         => ['label' => 'Category',         'type' => 'choice', 'required' => true, 'options' => ['church', 'fort', 'temple', 'museum', 'nature']],
+        'description'      => ['label' => 'Description',      'type' => 'text',   'required' => true, 'maxLength' => 500],
+        'long_description' => ['label' => 'Full description', 'type' => 'text',   'maxLength' => 5000],
+        'rating'           => ['label' => 'Rating',           'type' => 'number', 'min' => 0, 'max' => 5],
+        'image'            => ['label' => 'Image',            'type' => 'image'],
+        'latitude'         => ['label' => 'Latitude',         'type' => 'number', 'required' => true, ...PLACE_LATITUDE],
+        'longitude'        => ['label' => 'Longitude',        'type' => 'number', 'required' => true, ...PLACE_LONGITUDE],
+        'opens_at'         => ['label' => 'Opening time',     'type' => 'time'],
+        'closes_at'        => ['label' => 'Closing time',     'type' => 'time'],
+        'closed_days'      => ['label' => 'Closed days',      'type' => 'days'],
+        'published'        => ['label' => 'Published',        'type' => 'bool'],
+    ],
+    'beach' => [
+        'name'             => ['label' => 'Name',             'type' => 'text',   'required' => true, 'maxLength' => 120],
+        'region'           => ['label' => 'Region',           'type' => 'choice', 'required' => true, 'options' => ['north-goa', 'south-goa']],
+        'description'      => ['label' => 'Description',      'type' => 'text',   'required' => true, 'maxLength' => 500],
+        'long_description' => ['label' => 'Full description', 'type' => 'text',   'maxLength' => 5000],
+        'tags'             => ['label' => 'Tags',             'type' => 'labels', 'maxItems' => 12, 'maxLength' => 40],
+        'activities'       => ['label' => 'Activities',       'type' => 'labels', 'maxItems' => 12, 'maxLength' => 40],
+        'image'            => ['label' => 'Image',            'type' => 'image'],
+        'featured'         => ['label' => 'Featured',         'type' => 'bool'],
+        'latitude'         => ['label' => 'Latitude',         'type' => 'number', 'required' => true, ...PLACE_LATITUDE],
+        'longitude'        => ['label' => 'Longitude',        'type' => 'number', 'required' => true, ...PLACE_LONGITUDE],
+        'opens_at'         => ['label' => 'Opening time',     'type' => 'time'],
+        'closes_at'        => ['label' => 'Closing time',     'type' => 'time'],
+        'closed_days'      => ['label' => 'Closed days',      'type' => 'days'],
+        'published'        => ['label' => 'Published',        'type' => 'bool'],
+    ],
+];
+
+// Columns stored as JSON arrays
+const PLACE_JSON_COLUMNS = ['tags', 'activities', 'closed_days'];
+
+/**
+ * Validate a place body for $type ('attraction' or 'beach'). $id is the place
+ * being edited, so it doesn't clash with its own name. Returns [$place, $errors]:
+ * $place holds every schema column, cleaned and typed; $errors is keyed by
+ * column (one message each).
+ */
+function validate_place(PDO $db, string $type, array $body, ?int $id = null): array {
+    $place  = [];
+    $errors = [];
+
+    foreach (PLACE_SCHEMAS[$type] as $column => $rule) {
+        [$place[$column], $error] = place_field_value($rule, $body[$column] ?? null);
+        if ($error !== null) $errors[$column] = $error;
+    }
+
+    if (!isset($errors['opens_at']) && !isset($errors['closes_at'])) {
+        if (($place['opens_at'] === null) !== ($place['closes_at'] === null)) {
+            $errors['closes_at'] = 'Give both an opening and a closing time, or neither.';
+        } elseif ($place['opens_at'] !== null && $place['closes_at'] <= $place['opens_at']) {
+            $errors['closes_at'] = 'Closing time must be after the opening time.';
+        }
+    }
+
+    // Names identify places in the seed data and in imports, so keep them unique
+    if (!isset($errors['name'])) {
+        $table = PLACE_TABLES[$type];
+        $stmt  = $db->prepare("SELECT COUNT(*) FROM $table WHERE name = :name COLLATE NOCASE AND id != :id");
+        $stmt->execute([':name' => $place['name'], ':id' => $id ?? 0]);
+        if ($stmt->fetchColumn() > 0) {
+            $errors['name'] = "Another $type is already called \"{$place['name']}\".";
+        }
+    }
+
+    return [$place, $errors];
+}
+
+/**
+ * Clean one value against its PLACE_SCHEMAS rule.
+ * Returns [$value, $error]; $error is null when the value is acceptable.
+ */
+function place_field_value(array $rule, mixed $raw): array {
+    $label = $rule['label'];
+
+    switch ($rule['type']) {
+        case 'bool':
+            return [in_array($raw, [true, 1, '1', 'true', 'on'], true), null];
+
+        case 'days':
+        case 'labels':
+            if ($raw !== null && !is_array($raw)) return [[], "$label must be a list."];
+            $items = array_values(array_unique(array_filter(
+                array_map(fn($item) => is_scalar($item) ? sanitise_string((string)$item, 1000) : '', $raw ?? []),
+                fn($item) => $item !== ''
+            )));
+            if ($rule['type'] === 'days') {
+                $invalid = array_diff($items, PLACE_WEEKDAYS);
+                // Keep the week in order whatever order the days were ticked in
+                $items = array_values(array_intersect(PLACE_WEEKDAYS, $items));
+                return [$items, $invalid ? "$label must be among " . implode(', ', PLACE_WEEKDAYS) . '.' : null];
+            }
+            if (count($items) > $rule['maxItems']) return [$items, "Give at most {$rule['maxItems']} " . strtolower($label) . '.'];
+            foreach ($items as $item) {
+                if (mb_strlen($item) > $rule['maxLength']) {
+                    return [$items, "Each of the " . strtolower($label) . " must be {$rule['maxLength']} characters or fewer."];
+                }
+            }
+            return [$items, null];
+    }
+
+    $value = is_scalar($raw) ? sanitise_string((string)$raw, 10000) : '';
+    if ($value === '') {
+        return [null, empty($rule['required']) ? null : "$label is required."];
+    }
+
+    switch ($rule['type']) {
+        case 'text':
+            return [$value, mb_strlen($value) > $rule['maxLength'] ? "$label must be {$rule['maxLength']} characters or fewer." : null];
+
+        case 'choice':
+            return [$value, in_array($value, $rule['options'], true) ? null : "$label must be one of " . implode(', ', $rule['options']) . '.'];
+
+        case 'number':
+            if (!is_numeric($value)) return [null, "$label must be a number."];
+            $number = (float)$value;
+            if ($number < $rule['min'] || $number > $rule['max']) {
+                return [$number, "$label must be between {$rule['min']} and {$rule['max']}."];
+            }
+            return [$number, null];
+
+        case 'time':
+            return [$value, preg_match('/^([01]\d|2[0-3]):[0-5]\d$/', $value) ? null : "$label must be a 24-hour time like 09:30."];
+
+        case 'image':
+            // Anything uploaded through POST /api/admin/uploads, or already in pictures/
+            $valid = preg_match('#^pictures/[^/\\\\]+\.(png|jpe?g|webp)$#i', $value)
+                && is_file(UPLOAD_DIR . '/' . basename($value));
+            return [$value, $valid ? null : "$label must be a PNG, JPEG or WebP file in pictures/."];
+    }
+
+    return [$value, null];
+}
+
+/** One place row as the admin API returns it: JSON columns decoded, numbers and flags typed. */
+function place_admin_response(string $type, array $row): array {
+    foreach (PLACE_JSON_COLUMNS as $column) {
+        if (array_key_exists($column, $row)) $row[$column] = json_decode($row[$column] ?? '[]', true) ?? [];
+    }
+    foreach (['rating', 'latitude', 'longitude'] as $column) {
+        if (isset($row[$column])) $row[$column] = (float)$row[$column];
+    }
+    foreach (['published', 'featured'] as $column) {
+        if (array_key_exists($column, $row)) $row[$column] = (bool)$row[$column];
+    }
+    $row['id'] = (int)$row['id'];
+    return ['key' => "$type:{$row['id']}", 'type' => $type, ...$row];
+}
+
+function find_place_row(PDO $db, string $type, int $id): ?array {
+    $table = PLACE_TABLES[$type];
+    $stmt  = $db->prepare("SELECT * FROM $table WHERE id = :id");
+    $stmt->execute([':id' => $id]);
+    return $stmt->fetch() ?: null;
+}
+
+/**
+ * Insert a validated place (from validate_place()), or overwrite place $id.
+ * Returns the place's id.
+ */
+function save_place(PDO $db, string $type, array $place, ?int $id = null): int {
+    $table  = PLACE_TABLES[$type];
+    $params = [];
+    foreach ($place as $column => $value) {
+        $params[":$column"] = match (true) {
+            in_array($column, PLACE_JSON_COLUMNS, true) => json_encode($value),
+            is_bool($value)                             => (int)$value,
+            default                                     => $value,
+        };
+    }
+    // Rating isn't required; an empty one is stored as the column default
+    if (array_key_exists(':rating', $params)) $params[':rating'] ??= 0;
+
+    $columns = array_keys($place);
+    if ($id === null) {
+        $db->prepare("INSERT INTO $table (" . implode(', ', $columns) . ') VALUES (' . implode(', ', array_keys($params)) . ')')
+           ->execute($params);
+        return (int)$db->lastInsertId();
+    }
+
+    $assignments = implode(', ', array_map(fn($column) => "$column = :$column", $columns));
+    $db->prepare("UPDATE $table SET $assignments, updated_at = CURRENT_TIMESTAMP WHERE id = :id")
+       ->execute([...$params, ':id' => $id]);
+    return $id;
+}
+
+/**
+ * Delete a place with its translations and reviews. Shortlists and saved trips keep the
+ * place key; find_places() leaves it out from then on. Returns false if the
+ * place didn't exist.
+ */
+function delete_place(PDO $db, string $type, int $id): bool {
+    $table = PLACE_TABLES[$type];
+
+    $db->beginTransaction();
+    $stmt = $db->prepare("DELETE FROM $table WHERE id = :id");
+    $stmt->execute([':id' => $id]);
+    $db->prepare('DELETE FROM place_translations WHERE place_type = :type AND place_id = :id')
+       ->execute([':type' => $type, ':id' => $id]);
+    $db->prepare('DELETE FROM reviews WHERE place_type = :type AND place_id = :id')
+       ->execute([':type' => $type, ':id' => $id]);
+    $db->commit();
+
+    return $stmt->rowCount() > 0;
+}
@@ -0,0 +1,61 @@
+<?php
+/**
+ * includes/places.php
+ * Attractions and beaches referred to by one "place key" ("attraction:3",
+ * "beach:2"), since the two tables number their rows separately. Used by the
+ * shortlist and by the trip form's must-see places.
+ */
+
+require_once __DIR__ . '/db.php';
+
+const PLACE_KEY_PATTERN = '/^(attraction|beach):([1-9]\d{0,9})$/';
+
+// The table behind each place type
+const PLACE_TABLES = [
+    'attraction' => 'attractions',
+    'beach'      => 'beaches',
+];
+
+/** ['type' => 'beach', 'id' => 2] for "beach:2", or null if it isn't a place key. */
+function parse_place_key(mixed $key): ?array {
+    if (!is_string($key) || !preg_match(PLACE_KEY_PATTERN, $key, $m)) return null;
+    return ['type' => $m[1], 'id' => (int)$m[2]];
+}
+
+/**
+ * The places that exist among $keys, keyed and ordered like $keys:
+ * ['attraction:3' => ['key' => …, 'type' => …, 'id' => …, 'name' => …, 'image' => …]].
+ * Malformed and unknown keys are left out, and so are unpublished places
+ * unless $includeDrafts is set (the admin panel's view).
+ */
+function find_places(PDO $db, array $keys, bool $includeDrafts = false): array {
+    $ids = array_fill_keys(array_keys(PLACE_TABLES), []);
+    foreach ($keys as $key) {
+        $place = parse_place_key($key);
+        if ($place) $ids[$place['type']][] = $place['id'];
+    }
+
+    $found = [];
+    foreach (PLACE_TABLES as $type => $table) {
+        if (!$ids[$type]) continue;
+
+        $stmt = $db->prepare("SELECT id, name, image FROM $table WHERE id IN (" . implode(',', array_fill(0, count($ids[$type]), '?')) . ')'
+            . ($includeDrafts ? '' : ' AND published = 1'));
+        $stmt->execute($ids[$type]);
+        foreach ($stmt->fetchAll() as $row) {
+            $found["$type:{$row['id']}"] = [
+                'key'   => "$type:{$row['id']}",
+                'type'  => $type,
+                'id'    => (int)$row['id'],
+                'name'  => $row['name'],
+                'image' => $row['image'],
+            ];
+        }
+    }
+
+    $places = [];
+    foreach ($keys as $key) {
+        if (is_string($key) && isset($found[$key])) $places[$key] = $found[$key];
+    }
+    return $places;
+}
@@ -21,8 +21,9 @@ function get_client_ip(): string {
 /**
  * Check rate limit for the current request.
  * Calls json_error() and exits if the limit is exceeded.
+ * $limit overrides RATE_LIMIT_REQUESTS for endpoints called more often.
  */
-function check_rate_limit(string $endpoint): void {
+function check_rate_limit(string $endpoint, int $limit = RATE_LIMIT_REQUESTS): void {
     $db         = get_db();
     $ip         = get_client_ip();
     $now        = time();
@@ -41,7 +42,7 @@ function check_rate_limit(string $endpoint): void {
     $countStmt->execute([$ip, $endpoint, $windowStart]);
     $count = (int) $countStmt->fetchColumn();
 
-    if ($count >= RATE_LIMIT_REQUESTS) {
+    if ($count >= $limit) {
         header('Retry-After: ' . RATE_LIMIT_WINDOW);
         json_error('Too many requests. Please wait before trying again.', 429);
     }
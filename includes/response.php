@@ -9,8 +9,10 @@ require_once __DIR__ . '/../config.php';
 function send_cors_headers(): void {
     header('Content-Type: application/json; charset=utf-8');
     header('Access-Control-Allow-Origin: ' . ALLOWED_ORIGIN);
-    header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
-    header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token');
+    header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+    header('Access-Control-Allow-Headers: Content-Type, X-CSRF-Token, X-Shortlist-Token, Accept-Language');
+    // Place descriptions and validation messages depend on Accept-Language
+    header('Vary: Accept-Language');
 
     // Handle pre-flight OPTIONS request
     if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
@@ -0,0 +1,301 @@
+<?php
+/**
+ * includes/reviews.php
+ * Visitor reviews of attractions and beaches. Every review waits in the
+ * admin panel's moderation queue (admin/reviews.php) until it is approved;
+ * only approved reviews are shown, and their average becomes the place's
+ * rating (review_count / review_rating on the place's row). Used by
+ * api/handlers/reviews.php and the place list and detail handlers.
+ */
+
+require_once __DIR__ . '/db.php';
+require_once __DIR__ . '/i18n.php';
+require_once __DIR__ . '/places.php';
+require_once __DIR__ . '/validator.php';
+
+// Label for each moderation status
+const REVIEW_STATUSES = [
+    'pending'  => 'Pending',
+    'approved' => 'Approved',
+    'rejected' => 'Rejected',
+];
+
+const REVIEW_NAME_MAX  = 60;
+const REVIEW_TITLE_MAX = 100;
+const REVIEW_BODY_MIN  = 20;
+const REVIEW_BODY_MAX  = 2000;
+
+// Reviews per page on the site (GET …/reviews) and in the admin queue
+const REVIEW_PAGE_SIZE       = 5;
+const REVIEW_ADMIN_PAGE_SIZE = 25;
+
+// The form field only bots fill in; it is hidden from people by CSS
+const REVIEW_HONEYPOT = 'website';
+
+// One review per place from an IP address in this many seconds
+const REVIEW_IP_WINDOW = 86400;
+
+// Words that keep a review off the site, matched as whole words (plus common
+// endings, so "shitty" is caught and "Scunthorpe" isn't) after undoing
+// look-alike characters such as "sh1t". Extend it for the site's audience.
+const REVIEW_BLOCKED_WORDS = [
+    'arse', 'arsehole', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit', 'cunt',
+    'dick', 'fuck', 'motherfucker', 'piss', 'shit', 'slut', 'twat', 'wanker', 'whore',
+    // Hindi and Konkani, as they are usually typed in Latin letters
+    'behenchod', 'bhenchod', 'bhosdike', 'chutiya', 'gandu', 'harami', 'madarchod', 'randi',
+];
+
+/**
+ * Check a review from the site. Returns [$review, $errors]: the cleaned
+ * fields (name, email, rating, title, body) and messages keyed by field, in
+ * the request's language.
+ */
+function validate_review(array $body): array {
+    $text = fn(string $field) => is_string($body[$field] ?? null) ? trim(strip_tags($body[$field])) : '';
+
+    $review = [
+        'name'   => preg_replace('/\s+/u', ' ', $text('name')),
+        'email'  => $text('email'),
+        'rating' => $body['rating'] ?? null,
+        'title'  => preg_replace('/\s+/u', ' ', $text('title')),
+        'body'   => preg_replace("/\n{3,}/", "\n\n", str_replace("\r\n", "\n", $text('body'))),
+    ];
+    $errors = [];
+
+    if ($review['name'] === '') {
+        $errors['name'] = t('review.name.required', 'Please tell us your name.');
+    } elseif (mb_strlen($review['name']) > REVIEW_NAME_MAX) {
+        $errors['name'] = t('review.name.maxLength', 'Your name can be at most {max} characters.', ['max' => REVIEW_NAME_MAX]);
+    }
+
+    if (!validate_email($review['email']) || mb_strlen($review['email']) > 254) {
+        $errors['email'] = t('trip.email.invalid', 'Please provide a valid email address.');
+    }
+
+    // Whole stars; a form may send them as "4"
+    if (is_string($review['rating']) && ctype_digit($review['rating'])) $review['rating'] = (int)$review['rating'];
+    if (!is_int($review['rating']) || $review['rating'] < 1 || $review['rating'] > 5) {
+        $errors['rating'] = t('review.rating.invalid', 'Please choose from 1 to 5 stars.');
+    }
+
+    if (mb_strlen($review['title']) > REVIEW_TITLE_MAX) {
+        $errors['title'] = t('review.title.maxLength', 'The title can be at most {max} characters.', ['max' => REVIEW_TITLE_MAX]);
+    }
+
+    $length = mb_strlen($review['body']);
+    if ($length < REVIEW_BODY_MIN) {
+        $errors['body'] = t('review.body.minLength', 'Please write at least {min} characters about your visit.', ['min' => REVIEW_BODY_MIN]);
+    } elseif ($length > REVIEW_BODY_MAX) {
+        $errors['body'] = t('review.body.maxLength', 'Your review can be at most {max} characters.', ['max' => REVIEW_BODY_MAX]);
+    }
+
+    // Not the name: some of the words are also first names ("Dick", "Randi"),
+    // and a name only shows once the review is approved
+    foreach (['title', 'body'] as $field) {
+        if (!isset($errors[$field]) && review_has_blocked_word($review[$field])) {
+            $errors[$field] = t('review.profanity', 'Please reword this without offensive language.');
+        }
+    }
+
+    return [$review, $errors];
+}
+
+function review_has_blocked_word(string $text): bool {
+    static $pattern = null;
+    $pattern ??= '/(?<!\p{L})(?:' . implode('|', array_map('preg_quote', REVIEW_BLOCKED_WORDS)) . ')(?:s|es|ed|er|ers|ing|in|y|ty)?(?!\p{L})/u';
+
+    // "Sh1t", "$hit" and "s.h.i.t" read as "shit"
+    $plain = strtr(mb_strtolower($text), ['0' => 'o', '1' => 'i', '3' => 'e', '4' => 'a', '5' => 's', '7' => 't', '@' => 'a', '$' => 's']);
+    $plain = preg_replace('/(?<=\p{L})[.\-_*](?=\p{L})/u', '', $plain);
+
+    return (bool)preg_match($pattern, $plain);
+}
+
+/**
+ * Why this review looks like a repeat, or null. The same email may review a
+ * place once (a rejected review doesn't count), one IP address may review
+ * it once a day, and the same text may not be sent twice from either.
+ */
+function review_duplicate_reason(PDO $db, string $type, int $placeId, array $review, string $ip): ?string {
+    $stmt = $db->prepare("
+        SELECT 1 FROM reviews
+         WHERE place_type = :type AND place_id = :id AND email = :email COLLATE NOCASE AND status != 'rejected'
+    ");
+    $stmt->execute([':type' => $type, ':id' => $placeId, ':email' => $review['email']]);
+    if ($stmt->fetchColumn()) {
+        return t('api.reviewDuplicate', 'You have already reviewed this place. Thank you!');
+    }
+
+    $stmt = $db->prepare("
+        SELECT 1 FROM reviews
+         WHERE place_type = :type AND place_id = :id AND ip_address = :ip AND created_at >= datetime('now', :window)
+    ");
+    $stmt->execute([':type' => $type, ':id' => $placeId, ':ip' => $ip, ':window' => '-' . REVIEW_IP_WINDOW . ' seconds']);
+    if ($stmt->fetchColumn()) {
+        return t('api.reviewDuplicate', 'You have already reviewed this place. Thank you!');
+    }
+
+    $stmt = $db->prepare('
+        SELECT 1 FROM reviews
+         WHERE body = :body AND (email = :email COLLATE NOCASE OR ip_address = :ip)
+    ');
+    $stmt->execute([':body' => $review['body'], ':email' => $review['email'], ':ip' => $ip]);
+    if ($stmt->fetchColumn()) {
+        return t('api.reviewRepeated', 'This review has already been sent.');
+    }
+
+    return null;
+}
+
+/** Save a validated review for moderation; returns its id. */
+function review_create(PDO $db, string $type, int $placeId, array $review, string $ip): int {
+    $db->prepare('
+        INSERT INTO reviews (place_type, place_id, name, email, rating, title, body, locale, ip_address)
+        VALUES (:type, :id, :name, :email, :rating, :title, :body, :locale, :ip)
+    ')->execute([
+        ':type'   => $type,
+        ':id'     => $placeId,
+        ':name'   => $review['name'],
+        ':email'  => $review['email'],
+        ':rating' => $review['rating'],
+        ':title'  => $review['title'] !== '' ? $review['title'] : null,
+        ':body'   => $review['body'],
+        ':locale' => request_locale(),
+        ':ip'     => $ip,
+    ]);
+    return (int)$db->lastInsertId();
+}
+
+/**
+ * One page of a place's approved reviews, newest first, as the site shows
+ * them: ['reviews' => [[id, name, rating, title, body, created_at]…], 'total' => n].
+ */
+function place_reviews(PDO $db, string $type, int $placeId, int $limit = REVIEW_PAGE_SIZE, int $offset = 0): array {
+    $stmt = $db->prepare("
+        SELECT id, name, rating, title, body, created_at FROM reviews
+         WHERE place_type = :type AND place_id = :id AND status = 'approved'
+         ORDER BY created_at DESC, id DESC
+         LIMIT $limit OFFSET $offset
+    ");
+    $stmt->execute([':type' => $type, ':id' => $placeId]);
+    $reviews = array_map(fn($row) => ['id' => (int)$row['id'], 'rating' => (int)$row['rating']] + $row, $stmt->fetchAll());
+
+    $count = $db->prepare("SELECT COUNT(*) FROM reviews WHERE place_type = :type AND place_id = :id AND status = 'approved'");
+    $count->execute([':type' => $type, ':id' => $placeId]);
+
+    return ['reviews' => $reviews, 'total' => (int)$count->fetchColumn()];
+}
+
+/**
+ * The rating a place row shows on the site: the average of its approved
+ * reviews, or null until one is approved. An attraction's editor rating from
+ * the admin panel is never shown as if visitors had given it; it only orders
+ * unreviewed places. Replaces review_rating with `rating`, and adds `review_count`.
+ */
+function place_public_rating(string $type, array $row): array {
+    $average = $row['review_rating'] ?? null;
+    unset($row['review_rating']);
+
+    $row['rating']       = $average !== null ? (float)$average : null;
+    $row['review_count'] = (int)($row['review_count'] ?? 0);
+    return $row;
+}
+
+/** Store a place's approved review count and average on its row. */
+function review_refresh_rating(PDO $db, string $type, int $placeId): void {
+    $table = PLACE_TABLES[$type];
+    $db->prepare("
+        UPDATE $table SET
+            review_count  = (SELECT COUNT(*)             FROM reviews WHERE place_type = :type AND place_id = :id AND status = 'approved'),
+            review_rating = (SELECT ROUND(AVG(rating), 1) FROM reviews WHERE place_type = :type AND place_id = :id AND status = 'approved')
+         WHERE id = :id
+    ")->execute([':type' => $type, ':id' => $placeId]);
+}
+
+// ── Moderation (admin/reviews.php) ───────────────────────────────────────────
+
+/** Status filter and page from the moderation queue's query string. */
+function review_filters(array $input): array {
+    $status = is_string($input['status'] ?? null) ? $input['status'] : 'pending';
+    return [
+        'status' => $status === '' || isset(REVIEW_STATUSES[$status]) ? $status : 'pending',
+        'page'   => max(1, (int)($input['page'] ?? 1)),
+    ];
+}
+
+/**
+ * One page of reviews in a status ('' for all), oldest pending first and
+ * otherwise newest first, each with its place's name:
+ * ['rows' => […], 'total' => n, 'pages' => n].
+ */
+function review_search(PDO $db, array $filters): array {
+    $where  = $filters['status'] !== '' ? 'WHERE r.status = :status' : '';
+    $params = $filters['status'] !== '' ? [':status' => $filters['status']] : [];
+
+    $count = $db->prepare("SELECT COUNT(*) FROM reviews r $where");
+    $count->execute($params);
+    $total = (int)$count->fetchColumn();
+
+    $order  = $filters['status'] === 'pending' ? 'r.created_at ASC, r.id ASC' : 'r.created_at DESC, r.id DESC';
+    $offset = ($filters['page'] - 1) * REVIEW_ADMIN_PAGE_SIZE;
+
+    $stmt = $db->prepare("
+        SELECT r.*, COALESCE(a.name, b.name) AS place_name
+          FROM reviews r
+          LEFT JOIN attractions a ON r.place_type = 'attraction' AND a.id = r.place_id
+          LEFT JOIN beaches     b ON r.place_type = 'beach'      AND b.id = r.place_id
+          $where
+         ORDER BY $order
+         LIMIT " . REVIEW_ADMIN_PAGE_SIZE . " OFFSET $offset
+    ");
+    $stmt->execute($params);
+
+    return ['rows' => $stmt->fetchAll(), 'total' => $total, 'pages' => max(1, (int)ceil($total / REVIEW_ADMIN_PAGE_SIZE))];
+}
+
+/** Number of reviews in each status, for the queue's tabs. */
+function review_status_counts(PDO $db): array {
+    $counts = array_fill_keys(array_keys(REVIEW_STATUSES), 0);
+    foreach ($db->query('SELECT status, COUNT(*) AS n FROM reviews GROUP BY status') as $row) {
+        $counts[$row['status']] = (int)$row['n'];
+    }
+    return $counts;
+}
+
+/**
+ * Approve or reject a review and update its place's rating. Returns an
+ * error message, or null when done.
+ */
+function review_moderate(PDO $db, int $id, string $status, string $actor): ?string {
+    if (!in_array($status, ['approved', 'rejected'], true)) return 'Unknown status.';
+
+    $review = review_find($db, $id);
+    if (!$review) return 'That review was not found.';
+
+    $db->beginTransaction();
+    $db->prepare('UPDATE reviews SET status = :status, moderated_by = :actor, moderated_at = CURRENT_TIMESTAMP WHERE id = :id')
+       ->execute([':status' => $status, ':actor' => $actor, ':id' => $id]);
+    review_refresh_rating($db, $review['place_type'], (int)$review['place_id']);
+    $db->commit();
+
+    return null;
+}
+
+/** Delete a review for good and update its place's rating. */
+function review_delete(PDO $db, int $id): ?string {
+    $review = review_find($db, $id);
+    if (!$review) return 'That review was not found.';
+
+    $db->beginTransaction();
+    $db->prepare('DELETE FROM reviews WHERE id = :id')->execute([':id' => $id]);
+    review_refresh_rating($db, $review['place_type'], (int)$review['place_id']);
+    $db->commit();
+
+    return null;
+}
+
+function review_find(PDO $db, int $id): ?array {
+    $stmt = $db->prepare('SELECT * FROM reviews WHERE id = :id');
+    $stmt->execute([':id' => $id]);
+    return $stmt->fetch() ?: null;
+}
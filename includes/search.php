@@ -0,0 +1,447 @@
+<?php
+/**
+ * includes/search.php
+ * Site-wide search for the box in the navigation bar (GET /api/search).
+ * Attractions, beaches, festivals, ways of getting around and the page
+ * sections marked data-search share one SQLite FTS5 index, search_index, with
+ * a row per item and language. Triggers on the source tables mark the index
+ * stale (search_meta, see includes/db.php) and the next search rebuilds it, as
+ * it does when an indexed page or catalogue file has changed.
+ */
+
+require_once __DIR__ . '/db.php';
+require_once __DIR__ . '/i18n.php';
+require_once __DIR__ . '/places.php';
+require_once __DIR__ . '/events.php';
+
+// The kinds of result; each has its own group
+const SEARCH_TYPES = ['attraction', 'beach', 'event', 'page'];
+
+// Pages whose [data-search] sections are indexed. Each section needs an id to
+// link to; its first heading is the title, and data-search names the
+// catalogue key of the part of the page it is in (shown under the title).
+const SEARCH_PAGES = ['culture.html', 'plan.html'];
+
+const SEARCH_MIN_LENGTH  = 2;
+const SEARCH_MAX_LENGTH  = 100;
+const SEARCH_MAX_TERMS   = 8;
+const SEARCH_GROUP_LIMIT = 5;    // results per type
+const SEARCH_CANDIDATES  = 50;   // best matches looked at before grouping
+
+// Around matches in highlight()/snippet(); HTML-escaped text can't contain them
+const SEARCH_MARK_OPEN  = "\x02";
+const SEARCH_MARK_CLOSE = "\x03";
+
+/**
+ * The words of a query, lower-cased, at most SEARCH_MAX_TERMS of them. Only
+ * letters, digits and combining marks count, so nothing reaches FTS5's query
+ * syntax.
+ */
+function search_terms(string $query): array {
+    preg_match_all('/[\p{L}\p{N}\p{M}]+/u', mb_strtolower($query), $m);
+    return array_slice($m[0], 0, SEARCH_MAX_TERMS);
+}
+
+/**
+ * Check ?q=. Returns [$terms, $errors], errors keyed by field in the
+ * request's language.
+ */
+function search_filters(array $input): array {
+    $query = is_string($input['q'] ?? null) ? trim($input['q']) : '';
+    $terms = search_terms($query);
+
+    if (mb_strlen($query) > SEARCH_MAX_LENGTH) {
+        return [[], ['q' => t('api.searchLong', 'Search for at most {max} characters.', ['max' => SEARCH_MAX_LENGTH])]];
+    }
+    if (mb_strlen(implode('', $terms)) < SEARCH_MIN_LENGTH) {
+        return [[], ['q' => t('api.searchShort', 'Type at least {min} letters to search.', ['min' => SEARCH_MIN_LENGTH])]];
+    }
+    return [$terms, []];
+}
+
+/**
+ * Search the index in $locale. Every word must match; the last one may be
+ * the start of a word, as the box searches while the visitor types. When
+ * nothing matches and a word looks like a misspelling of a word in the index,
+ * the results are for the corrected query, given as 'suggestion'.
+ *
+ * @return array ['suggestion' => ?string, 'groups' => [['type' => …, 'results' => […]], …], 'count' => int]
+ */
+function site_search(PDO $db, array $terms, string $locale): array {
+    search_ensure_index($db);
+
+    $suggestion = null;
+    $rows       = search_matches($db, $terms, $locale);
+    if (!$rows) {
+        $corrected = search_correct_terms($db, $terms, $locale);
+        if ($corrected !== $terms) {
+            $rows = search_matches($db, $corrected, $locale);
+            if ($rows) $suggestion = implode(' ', $corrected);
+        }
+    }
+
+    // Best type first; within a type, best match first
+    $groups = [];
+    foreach ($rows as $row) {
+        $type = $row['type'];
+        if (count($groups[$type] ?? []) < SEARCH_GROUP_LIMIT) {
+            $groups[$type][] = $row;
+        }
+    }
+
+    $eventDates = isset($groups['event']) ? search_next_event_dates($db) : [];
+
+    $result = [];
+    foreach ($groups as $type => $matches) {
+        $result[] = [
+            'type'    => $type,
+            'results' => array_map(fn($row) => search_result($row, $eventDates), $matches),
+        ];
+    }
+
+    return [
+        'suggestion' => $suggestion,
+        'groups'     => $result,
+        'count'      => array_sum(array_map(fn($group) => count($group['results']), $result)),
+    ];
+}
+
+/** The best SEARCH_CANDIDATES rows for $terms, best first; names weigh ten times the rest. */
+function search_matches(PDO $db, array $terms, string $locale): array {
+    $quoted = array_map(fn($term) => '"' . $term . '"', $terms);
+    $quoted[count($quoted) - 1] .= '*';
+
+    $stmt = $db->prepare("
+        SELECT type, ref, url, meta,
+               highlight(search_index, 0, :open, :close) AS title,
+               snippet(search_index, 1, :open, :close, '…', 16) AS snippet
+          FROM search_index
+         WHERE search_index MATCH :match AND locale = :locale
+         ORDER BY bm25(search_index, 10.0, 1.0)
+         LIMIT " . SEARCH_CANDIDATES
+    );
+    $stmt->execute([
+        ':open'   => SEARCH_MARK_OPEN,
+        ':close'  => SEARCH_MARK_CLOSE,
+        ':match'  => implode(' ', $quoted),
+        ':locale' => $locale,
+    ]);
+    return $stmt->fetchAll();
+}
+
+/**
+ * $terms with each word the $locale index doesn't have (the last one: that no
+ * indexed word starts with) swapped for the closest one that it does, e.g.
+ * "dudsagar" → "dudhsagar". Words in names are preferred to words in
+ * descriptions. Short words are left alone, and a word may be one letter off
+ * (two from eight letters on), letters being characters, not bytes.
+ */
+function search_correct_terms(PDO $db, array $terms, string $locale): array {
+    $stmt = $db->prepare("
+        SELECT v.term, MAX(v.col = 'title') AS in_title, COUNT(DISTINCT v.doc) AS docs
+          FROM search_vocab v
+          JOIN search_index i ON i.rowid = v.doc
+         WHERE i.locale = :locale
+         GROUP BY v.term
+    ");
+    $stmt->execute([':locale' => $locale]);
+    $vocabulary = $stmt->fetchAll();
+
+    $known = array_fill_keys(array_column($vocabulary, 'term'), true);
+    $last  = count($terms) - 1;
+
+    foreach ($terms as $i => $term) {
+        if (isset($known[$term])) continue;
+        if ($i === $last && search_has_prefix($db, $term, $locale)) continue;
+        $length = mb_strlen($term);
+        if ($length < 4) continue;
+
+        $maxDistance = $length >= 8 ? 2 : 1;
+        $best        = null;
+        foreach ($vocabulary as $word) {
+            if (abs(mb_strlen($word['term']) - $length) > $maxDistance) continue;
+            $distance = search_distance($term, $word['term']);
+            if ($distance > $maxDistance) continue;
+
+            $rank = [$distance, -(int)$word['in_title'], -(int)$word['docs']];
+            if ($best === null || $rank < $best[0]) $best = [$rank, $word['term']];
+        }
+        if ($best !== null) $terms[$i] = $best[1];
+    }
+
+    return $terms;
+}
+
+function search_has_prefix(PDO $db, string $term, string $locale): bool {
+    $stmt = $db->prepare('SELECT 1 FROM search_index WHERE search_index MATCH ? AND locale = ? LIMIT 1');
+    $stmt->execute(['"' . $term . '"*', $locale]);
+    return (bool)$stmt->fetchColumn();
+}
+
+// Levenshtein distance counted in characters: PHP's levenshtein() counts
+// bytes, so two Devanagari letters (three bytes each) could look one apart
+function search_distance(string $a, string $b): int {
+    $a = mb_str_split($a);
+    $b = mb_str_split($b);
+
+    $previous = range(0, count($b));
+    foreach ($a as $i => $charA) {
+        $current = [$i + 1];
+        foreach ($b as $j => $charB) {
+            $current[] = min(
+                $previous[$j + 1] + 1,
+                $current[$j] + 1,
+                $previous[$j] + ($charA === $charB ? 0 : 1)
+            );
+        }
+        $previous = $current;
+    }
+    return $previous[count($b)];
+}
+
+/** A row as the API returns it: title and snippet as HTML with <mark>ed matches. */
+function search_result(array $row, array $eventDates): array {
+    $result = [
+        'type'    => $row['type'],
+        'id'      => $row['type'] === 'page' ? null : (int)$row['ref'],
+        'title'   => search_highlight($row['title']),
+        'snippet' => search_highlight($row['snippet']),
+        'meta'    => $row['meta'],
+        'url'     => $row['url'],
+        'date'    => null,
+    ];
+
+    // Festivals link to their next date in the culture page's calendar
+    $next = $eventDates[(int)$row['ref']] ?? null;
+    if ($row['type'] === 'event' && $next) {
+        $result['date'] = $next['start_date'];
+        $result['url']  = 'culture.html?month=' . substr($next['start_date'], 0, 7)
+                        . '#event-' . $next['slug'] . '-' . $next['start_date'];
+    }
+
+    return $result;
+}
+
+// Escape text from highlight()/snippet() and turn its markers into <mark>
+function search_highlight(string $text): string {
+    return strtr(htmlspecialchars($text, ENT_QUOTES, 'UTF-8'), [
+        SEARCH_MARK_OPEN  => '<mark>',
+        SEARCH_MARK_CLOSE => '</mark>',
+    ]);
+}
+
+// Event id → its first occurrence in the coming year
+function search_next_event_dates(PDO $db): array {
+    $from  = date('Y-m-d');
+    $to    = (new DateTime($from))->modify('+' . (EVENT_DEFAULT_RANGE_DAYS - 1) . ' days')->format('Y-m-d');
+    $dates = [];
+    foreach (event_occurrences($db, $from, $to) as $occurrence) {
+        $dates[$occurrence['id']] ??= $occurrence;
+    }
+    return $dates;
+}
+
+// ── The index ────────────────────────────────────────────────────────────────
+
+/**
+ * Rebuild search_index if a trigger has marked it stale or an indexed page or
+ * catalogue has changed since it was built.
+ */
+function search_ensure_index(PDO $db): void {
+    $meta  = $db->query('SELECT name, value FROM search_meta')->fetchAll(PDO::FETCH_KEY_PAIR);
+    $files = search_files_signature();
+
+    if (($meta['stale'] ?? '1') === '0' && ($meta['files'] ?? '') === $files) return;
+
+    $db->beginTransaction();
+    try {
+        $db->exec('DELETE FROM search_index');
+        $insert = $db->prepare('
+            INSERT INTO search_index (title, body, type, ref, locale, url, meta)
+            VALUES (:title, :body, :type, :ref, :locale, :url, :meta)
+        ');
+        foreach (SUPPORTED_LOCALES as $locale) {
+            foreach (search_documents($db, $locale) as $document) {
+                $insert->execute([
+                    ':title'  => $document['title'],
+                    ':body'   => $document['body'],
+                    ':type'   => $document['type'],
+                    ':ref'    => $document['ref'],
+                    ':locale' => $locale,
+                    ':url'    => $document['url'],
+                    ':meta'   => $document['meta'],
+                ]);
+            }
+        }
+        $db->exec("INSERT OR REPLACE INTO search_meta (name, value) VALUES ('stale', '0')");
+        $db->prepare("INSERT OR REPLACE INTO search_meta (name, value) VALUES ('files', ?)")->execute([$files]);
+        $db->commit();
+    } catch (Throwable $e) {
+        $db->rollBack();
+        throw $e;
+    }
+}
+
+// Changes whenever an indexed page or a catalogue file does
+function search_files_signature(): string {
+    $files = [
+        ...array_map(fn($page) => __DIR__ . "/../$page", SEARCH_PAGES),
+        ...array_map(fn($locale) => __DIR__ . "/../locales/$locale.json", SUPPORTED_LOCALES),
+    ];
+    return md5(implode('|', array_map(fn($file) => is_file($file) ? filemtime($file) . ':' . filesize($file) : '-', $files)));
+}
+
+/**
+ * Everything there is to find in $locale, as ['type', 'ref', 'title', 'body',
+ * 'url', 'meta']. Text without a translation is indexed in English, and
+ * translated names keep their English one in the body, so a name can be typed
+ * the same way in any language.
+ */
+function search_documents(PDO $db, string $locale): array {
+    $label = fn(string $key, string $fallback) => search_message($locale, $key, $fallback);
+
+    $translations = [];
+    $stmt = $db->prepare('SELECT place_type, place_id, description, long_description FROM place_translations WHERE locale = ?');
+    $stmt->execute([$locale]);
+    foreach ($stmt->fetchAll() as $row) {
+        $translations[$row['place_type']][(int)$row['place_id']] = $row;
+    }
+
+    $documents = [];
+    foreach (PLACE_TABLES as $type => $table) {
+        foreach ($db->query("SELECT * FROM $table WHERE published = 1")->fetchAll() as $place) {
+            $translated = $translations[$type][(int)$place['id']] ?? [];
+            $where = $type === 'beach'
+                ? $label("region.{$place['region']}", $place['region'])
+                : $place['location'];
+            $about = $type === 'beach'
+                ? [
+                    ...array_map(fn($tag) => $label("tag.$tag", $tag), json_decode($place['tags'], true) ?: []),
+                    ...array_map(fn($activity) => $label("activity.$activity", $activity), json_decode($place['activities'], true) ?: []),
+                ]
+                : [$label("category.{$place['category']}", $place['category'])];
+
+            $documents[] = [
+                'type'  => $type,
+                'ref'   => $place['id'],
+                'title' => $place['name'],
+                'body'  => implode("\n", array_filter([
+                    $translated['description'] ?? $place['description'],
+                    $translated['long_description'] ?? $place['long_description'],
+                    $where,
+                    implode(', ', $about),
+                ])),
+                'url'   => ($type === 'beach' ? 'beaches.html' : 'attractions.html') . '?id=' . (int)$place['id'],
+                'meta'  => $where,
+            ];
+        }
+    }
+
+    $stmt = $db->prepare('
+        SELECT e.id, e.location, e.name AS english_name, COALESCE(tr.name, e.name) AS name,
+               COALESCE(tr.description, e.description) AS description
+          FROM events e
+          LEFT JOIN event_translations tr ON tr.event_id = e.id AND tr.locale = ?
+         WHERE e.published = 1
+    ');
+    $stmt->execute([$locale]);
+    foreach ($stmt->fetchAll() as $event) {
+        $documents[] = [
+            'type'  => 'event',
+            'ref'   => $event['id'],
+            'title' => $event['name'],
+            'body'  => implode("\n", array_filter([
+                $event['description'],
+                $event['location'],
+                $event['name'] !== $event['english_name'] ? $event['english_name'] : null,
+            ])),
+            'url'   => 'culture.html#festivals',
+            'meta'  => $event['location'],
+        ];
+    }
+
+    // Getting around is rebuilt on plan.html from transport_options, so it is indexed from there
+    $gettingAround = $label('plan.gettingAround', 'Getting Around');
+    foreach ($db->query('SELECT slug, name, description FROM transport_options ORDER BY sort_order')->fetchAll() as $option) {
+        $name = $label("travel.transport.{$option['slug']}.name", $option['name']);
+        $documents[] = [
+            'type'  => 'page',
+            'ref'   => "transport-{$option['slug']}",
+            'title' => $name,
+            'body'  => implode("\n", array_filter([
+                $label("travel.transport.{$option['slug']}.description", $option['description']),
+                $name !== $option['name'] ? $option['name'] : null,
+            ])),
+            'url'   => "plan.html#transport-{$option['slug']}",
+            'meta'  => $gettingAround,
+        ];
+    }
+
+    foreach (SEARCH_PAGES as $page) {
+        array_push($documents, ...search_page_sections($page, $locale));
+    }
+
+    return $documents;
+}
+
+/**
+ * The [data-search] sections of a page as documents. data-i18n text is taken
+ * from the $locale catalogue; the rest of the copy is English on every page.
+ */
+function search_page_sections(string $page, string $locale): array {
+    $html = @file_get_contents(__DIR__ . "/../$page");
+    if ($html === false) return [];
+
+    $dom = new DOMDocument();
+    $previous = libxml_use_internal_errors(true);
+    $dom->loadHTML('<?xml encoding="UTF-8">' . $html);
+    libxml_clear_errors();
+    libxml_use_internal_errors($previous);
+
+    $xpath     = new DOMXPath($dom);
+    $documents = [];
+    foreach ($xpath->query('//*[@data-search][@id]') as $section) {
+        $heading = $xpath->query('.//h2 | .//h3 | .//h4', $section)->item(0);
+        if (!$heading) continue;
+
+        $title = search_node_text($heading, $locale);
+        $heading->parentNode->removeChild($heading);
+
+        $documents[] = [
+            'type'  => 'page',
+            'ref'   => $section->getAttribute('id'),
+            'title' => $title,
+            'body'  => search_node_text($section, $locale),
+            'url'   => $page . '#' . $section->getAttribute('id'),
+            'meta'  => search_message($locale, $section->getAttribute('data-search'), ''),
+        ];
+    }
+    return $documents;
+}
+
+// The visible text under $node, on one line
+function search_node_text(DOMNode $node, string $locale): string {
+    if ($node instanceof DOMElement) {
+        if (in_array(strtolower($node->tagName), ['script', 'style', 'svg', 'template'], true)) return '';
+        if ($node->getAttribute('aria-hidden') === 'true' || $node->hasAttribute('hidden')) return '';
+        if ($node->hasAttribute('data-i18n')) {
+            return search_message($locale, $node->getAttribute('data-i18n'), trim($node->textContent));
+        }
+    }
+    if ($node instanceof DOMText) {
+        return trim(preg_replace('/\s+/u', ' ', $node->data));
+    }
+
+    $parts = [];
+    foreach ($node->childNodes as $child) {
+        $text = search_node_text($child, $locale);
+        if ($text !== '') $parts[] = $text;
+    }
+    return implode(' ', $parts);
+}
+
+// A catalogue message in $locale, else in English, else $fallback
+function search_message(string $locale, string $key, string $fallback): string {
+    $message = locale_messages($locale)[$key] ?? locale_messages(DEFAULT_LOCALE)[$key] ?? $fallback;
+    return is_string($message) ? $message : $fallback;
+}
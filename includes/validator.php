@@ -4,6 +4,10 @@
  * Reusable input sanitisation and validation helpers.
  */
 
+require_once __DIR__ . '/i18n.php';
+require_once __DIR__ . '/places.php';
+require_once __DIR__ . '/events.php';
+
 function validate_email(string $email): bool {
     return (bool) filter_var(trim($email), FILTER_VALIDATE_EMAIL);
 }
@@ -14,19 +18,240 @@ function validate_date(string $date): bool {
     return checkdate((int)$m, (int)$d, (int)$y);
 }
 
-function validate_travelers(string $value): bool {
-    return in_array($value, ['1', '3', '5', '8'], strict: true);
+/**
+ * Rules for the trip form, keyed by JSON body field. validate_trip_request()
+ * applies them here and GET /api/trip/schema sends the same array to plan.html,
+ * which checks each field inline, so the two sides can't drift apart.
+ *
+ * 'messages' holds the text for each rule a value can break: 'required',
+ * 'invalid' (wrong format / not one of 'options'), 'maxLength' (characters),
+ * 'maxItems' (list entries), 'notPast' (a date before today), 'after' (a date
+ * not after another field), 'maxNights' (a date more than that many nights
+ * after the 'after' field), 'perNight' (more places than the stay has room
+ * for) and 'unknown' (a place key with no place behind it, or an event that
+ * isn't on during the stay; server-side only).
+ * Travelers options are the lower bound of each party size on the form.
+ * The messages here are English; use trip_schema() for the request's language.
+ */
+const TRIP_SCHEMA = [
+    'email' => [
+        'type'      => 'email',
+        'required'  => true,
+        'maxLength' => 254,
+        'messages'  => [
+            'required'  => 'Please enter your email address.',
+            'invalid'   => 'Please provide a valid email address.',
+            'maxLength' => 'Email address must be 254 characters or fewer.',
+        ],
+    ],
+    'checkinDate' => [
+        'type'     => 'date',
+        'required' => true,
+        'notPast'  => true,
+        'messages' => [
+            'required' => 'Please choose a check-in date.',
+            'invalid'  => 'Check-in date is invalid.',
+            'notPast'  => 'Check-in date cannot be in the past.',
+        ],
+    ],
+    'checkoutDate' => [
+        'type'     => 'date',
+        'required' => true,
+        'after'     => 'checkinDate',
+        // Every night becomes an itinerary day and is priced, so the stay is bounded
+        'maxNights' => 30,
+        'messages'  => [
+            'required'  => 'Please choose a check-out date.',
+            'invalid'   => 'Check-out date is invalid.',
+            'after'     => 'Check-out date must be after check-in date.',
+            'maxNights' => 'A stay can be at most 30 nights. Please choose an earlier check-out date.',
+        ],
+    ],
+    'travelers' => [
+        'type'     => 'choice',
+        'required' => true,
+        'options'  => ['1', '3', '5', '7'],
+        'messages' => [
+            'required' => 'Please select the number of travelers.',
+            'invalid'  => 'Please select a valid number of travelers.',
+        ],
+    ],
+    // How the travellers will get around, for the cost estimate; the options
+    // are the slugs of the transport_options table (see includes/costs.php)
+    'transport' => [
+        'type'     => 'choice',
+        'required' => false,
+        'options'  => ['taxi', 'bike', 'bus', 'self-drive'],
+        'messages' => [
+            'invalid' => 'Please choose one of the listed ways of getting around.',
+        ],
+    ],
+    'interests' => [
+        'type'     => 'list',
+        'required' => true,
+        'options'  => ['adventure', 'culture', 'beaches', 'food', 'nightlife'],
+        'messages' => [
+            'required' => 'Please select at least one travel interest.',
+            'invalid'  => 'Please choose only from the listed travel interests.',
+        ],
+    ],
+    // Place keys from the shortlist ("attraction:3", see includes/places.php);
+    // build_itinerary() schedules every one, so there can be no more than one
+    // per time slot of the stay
+    'mustSee' => [
+        'type'     => 'places',
+        'required' => false,
+        'maxItems' => 10,
+        'perNight' => 3,
+        'messages' => [
+            'invalid'  => 'Must-see places must be attractions or beaches from this site.',
+            'maxItems' => 'Choose at most 10 must-see places.',
+            'perNight' => 'Your stay has room for 3 must-see places a night. Remove some or add nights.',
+            'unknown'  => 'One of your must-see places is no longer listed. Please remove it.',
+        ],
+    ],
+    // Ids of events on during the stay (GET /api/events) to put in the
+    // itinerary; build_itinerary() adds each to the days it is on
+    'events' => [
+        'type'     => 'events',
+        'required' => false,
+        'maxItems' => 10,
+        'messages' => [
+            'invalid'  => 'Events must be chosen from the list for your dates.',
+            'maxItems' => 'Choose at most 10 events.',
+            'unknown'  => 'One of your events is not on during your stay. Please remove it or change your dates.',
+        ],
+    ],
+    'specialRequests' => [
+        'type'      => 'text',
+        'required'  => false,
+        'maxLength' => 500,
+        'messages'  => [
+            'maxLength' => 'Special requests must be 500 characters or fewer.',
+        ],
+    ],
+];
+
+/**
+ * TRIP_SCHEMA with its messages in the request's language. The catalogue key
+ * for a message is "trip.<field>.<rule>", e.g. "trip.email.required".
+ */
+function trip_schema(): array {
+    $schema = TRIP_SCHEMA;
+    foreach ($schema as $field => &$rule) {
+        foreach ($rule['messages'] as $broken => &$message) {
+            $message = t("trip.$field.$broken", $message);
+        }
+    }
+    return $schema;
 }
 
-$VALID_INTERESTS = ['adventure', 'culture', 'beaches', 'food', 'nightlife'];
+/**
+ * Validate a trip form body (shared by creating and updating a trip).
+ * Returns [$trip, $errors]; $trip holds the sanitised fields and $errors is
+ * keyed by body field name (one message per field, from trip_schema()).
+ */
+function validate_trip_request(array $body): array {
+    $schema = trip_schema();
 
-function validate_interests(array $interests): bool {
-    global $VALID_INTERESTS;
-    if (empty($interests)) return false;
-    foreach ($interests as $i) {
-        if (!in_array($i, $VALID_INTERESTS, strict: true)) return false;
+    $trip = [];
+    foreach ($schema as $field => $rule) {
+        $raw = $body[$field] ?? null;
+        // Sanitised but not truncated, so over-long values fail 'maxLength'
+        $trip[$field] = in_array($rule['type'], ['list', 'places', 'events'], true)
+            ? (is_array($raw) ? array_values($raw) : [])
+            : sanitise_string(is_scalar($raw) ? (string)$raw : '', 10000);
     }
-    return true;
+
+    $errors = [];
+    foreach ($schema as $field => $rule) {
+        $broken = trip_field_error($rule, $trip[$field], $trip);
+        if ($broken !== null) {
+            $errors[$field] = $rule['messages'][$broken];
+        }
+    }
+
+    // Well-formed place keys must also name a place that exists
+    if (!isset($errors['mustSee'])) {
+        $trip['mustSee'] = array_values(array_unique($trip['mustSee']));
+        if (count(find_places(get_db(), $trip['mustSee'])) < count($trip['mustSee'])) {
+            $errors['mustSee'] = $schema['mustSee']['messages']['unknown'];
+        }
+    }
+
+    // Event ids must be of events held during the stay
+    if (!isset($errors['events'])) {
+        $trip['events'] = array_values(array_unique(array_map('intval', $trip['events'])));
+        if ($trip['events'] && !isset($errors['checkinDate']) && !isset($errors['checkoutDate'])
+            && count(array_unique(array_column(stay_events(get_db(), $trip['checkinDate'], $trip['checkoutDate'], $trip['events']), 'id'))) < count($trip['events'])) {
+            $errors['events'] = $schema['events']['messages']['unknown'];
+        }
+    }
+
+    return [$trip, $errors];
+}
+
+/**
+ * Check one value against its TRIP_SCHEMA rule. $trip is the whole body, for
+ * rules that compare fields. Returns the name of the first rule the value
+ * breaks, or null if it passes. main.js (PlanTripPage.fieldError) mirrors this.
+ */
+function trip_field_error(array $rule, string|array $value, array $trip): ?string {
+    if ($value === '' || $value === []) {
+        return empty($rule['required']) ? null : 'required';
+    }
+
+    if (isset($rule['maxLength']) && is_string($value) && mb_strlen($value) > $rule['maxLength']) {
+        return 'maxLength';
+    }
+
+    if (isset($rule['maxItems']) && is_array($value) && count($value) > $rule['maxItems']) {
+        return 'maxItems';
+    }
+
+    switch ($rule['type']) {
+        case 'email':
+            return validate_email($value) ? null : 'invalid';
+
+        case 'date':
+            if (!validate_date($value)) return 'invalid';
+            if (!empty($rule['notPast']) && $value < date('Y-m-d')) return 'notPast';
+            $other = $trip[$rule['after'] ?? ''] ?? '';
+            if (!is_string($other) || !validate_date($other)) return null;
+            if ($value <= $other) return 'after';
+            if (isset($rule['maxNights']) && (new DateTime($other))->diff(new DateTime($value))->days > $rule['maxNights']) return 'maxNights';
+            return null;
+
+        case 'choice':
+            return in_array($value, $rule['options'], strict: true) ? null : 'invalid';
+
+        case 'list':
+            foreach ($value as $item) {
+                if (!in_array($item, $rule['options'], strict: true)) return 'invalid';
+            }
+            return null;
+
+        case 'places':
+            foreach ($value as $item) {
+                if (parse_place_key($item) === null) return 'invalid';
+            }
+            $checkin  = $trip['checkinDate'] ?? '';
+            $checkout = $trip['checkoutDate'] ?? '';
+            if (isset($rule['perNight']) && is_string($checkin) && is_string($checkout)
+                && validate_date($checkin) && validate_date($checkout) && $checkout > $checkin) {
+                $nights = (new DateTime($checkin))->diff(new DateTime($checkout))->days;
+                if (count(array_unique($value)) > $rule['perNight'] * $nights) return 'perNight';
+            }
+            return null;
+
+        case 'events':
+            foreach ($value as $item) {
+                if (!(is_int($item) && $item > 0) && !(is_string($item) && preg_match('/^[1-9]\d{0,9}$/', $item))) return 'invalid';
+            }
+            return null;
+    }
+
+    return null;
 }
 
 /**
@@ -37,6 +262,16 @@ function sanitise_string(string $value, int $max_length = 1000): string {
     return substr(strip_tags(trim($value)), 0, $max_length);
 }
 
+/**
+ * Split a comma-separated query parameter ("Peaceful,Water Sports") into a
+ * list of sanitised, de-duplicated values. Caps the count to keep queries small.
+ */
+function parse_list_param(string $raw, int $max_items = 10): array {
+    $values = array_map(fn($v) => sanitise_string($v, 50), explode(',', $raw));
+    $values = array_values(array_unique(array_filter($values, fn($v) => $v !== '')));
+    return array_slice($values, 0, $max_items);
+}
+
 /**
  * Get + sanitise the raw JSON body.
  * Returns null if the body is missing or not valid JSON.
@@ -0,0 +1,55 @@
+#!/usr/bin/env php
+<?php
+/**
+ * mail_worker.php  —  Sends the queued emails (includes/mailer.php).
+ *
+ * Usage:
+ *   php mail_worker.php                 send what is due, then exit (run it from cron every minute)
+ *   php mail_worker.php --watch         keep running, checking the queue every --sleep seconds
+ *   php mail_worker.php --limit=50      at most this many messages per pass (default 50)
+ *   php mail_worker.php --sleep=30      seconds between passes with --watch (default 30)
+ *
+ * Crontab:
+ *   * * * * * php /path/to/goa-tourism/mail_worker.php >> /path/to/logs/mail.log 2>&1
+ */
+
+if (PHP_SAPI !== 'cli') {
+    http_response_code(404);
+    exit;
+}
+
+// Parse CLI args
+$watch = false;
+$limit = 50;
+$sleep = 30;
+foreach (array_slice($argv, 1) as $arg) {
+    if ($arg === '--watch') {
+        $watch = true;
+    } elseif (str_starts_with($arg, '--limit=')) {
+        $limit = max(1, (int)substr($arg, strlen('--limit=')));
+    } elseif (str_starts_with($arg, '--sleep=')) {
+        $sleep = max(1, (int)substr($arg, strlen('--sleep=')));
+    } else {
+        fwrite(STDERR, "Unknown option $arg. Usage: php mail_worker.php [--watch] [--limit=N] [--sleep=N]\n");
+        exit(2);
+    }
+}
+
+require_once __DIR__ . '/config.php';
+require_once __DIR__ . '/includes/mailer.php';
+
+$db = get_db();
+
+$report = function (array $message, bool $sent, ?string $error): void {
+    $line = date('Y-m-d H:i:s') . " #{$message['id']} {$message['template']} → {$message['recipient']}";
+    echo $sent ? "✓ $line\n" : "✗ $line: $error\n";
+};
+
+do {
+    $counts = mail_process_queue($db, $limit, $report);
+    if ($counts['sent'] || $counts['failed']) {
+        echo date('Y-m-d H:i:s') . " Sent {$counts['sent']}, failed {$counts['failed']} (via " . MAIL_TRANSPORT . ")\n";
+    }
+    // A full batch means more may be waiting; otherwise rest before the next pass
+    if ($watch && $counts['sent'] + $counts['failed'] < $limit) sleep($sleep);
+} while ($watch || $counts['sent'] + $counts['failed'] >= $limit);
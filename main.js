@@ -45,28 +45,284 @@ const Utils = {
         notification.setAttribute('role', 'alert');
         notification.setAttribute('aria-live', 'polite');
         notification.textContent = message;
-        notification.style.cssText = `
-            position: fixed;
-            top: 100px;
-            right: 20px;
-            padding: 1rem 1.5rem;
-            border-radius: 8px;
-            box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-            z-index: 9999;
-            animation: slideIn 0.3s ease;
-            font-weight: 500;
-            max-width: 400px;
-            ${type === 'success' ? 'background: #28a745; color: white;' : ''}
-            ${type === 'error' ? 'background: #dc3545; color: white;' : ''}
-            ${type === 'info' ? 'background: #17a2b8; color: white;' : ''}
-        `;
-        
         document.body.appendChild(notification);
-        
+
+        // .notification-leaving plays the slide-out before it is removed
         setTimeout(() => {
-            notification.style.animation = 'slideOut 0.3s ease';
+            notification.classList.add('notification-leaving');
             setTimeout(() => notification.remove(), 300);
         }, 4000);
+    },
+
+    // Fill a role="status" element with a loading, empty or error message
+    // (pass no state to hide it). An onRetry callback adds a "Try again" button.
+    renderStatus(status, state, message = '', onRetry = null) {
+        if (!status) return;
+
+        if (!state) {
+            status.hidden = true;
+            status.textContent = '';
+            return;
+        }
+
+        status.hidden = false;
+        status.className = `grid-status grid-status-${state}`;
+        status.textContent = message;
+
+        if (onRetry) {
+            const retryBtn = document.createElement('button');
+            retryBtn.type = 'button';
+            retryBtn.className = 'grid-status-retry';
+            retryBtn.textContent = I18n.t('common.tryAgain');
+            retryBtn.addEventListener('click', onRetry);
+            status.appendChild(retryBtn);
+        }
+    },
+
+    // Bring a rendered card into view and briefly highlight it
+    revealCard(card) {
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('card-highlight');
+        setTimeout(() => card.classList.remove('card-highlight'), 2000);
+        card.querySelector('.card-detail-link')?.focus({ preventScroll: true });
+    },
+
+    // JSON in localStorage; storage can be full or disabled (private mode), so never throw
+    readStorage(key, fallback = null) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            return fallback;
+        }
+    },
+
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    removeStorage(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Nothing stored, nothing to remove
+        }
+    },
+
+    // '2026-11-02' → 'Mon 2 Nov' in the current language (parsed as a local date, not UTC midnight)
+    formatDate(isoDate) {
+        const [year, month, day] = String(isoDate).split('-').map(Number);
+        return I18n.formatDate(new Date(year, month - 1, day), {
+            weekday: 'short', day: 'numeric', month: 'short'
+        });
+    },
+
+    // Escape a value for safe interpolation into HTML (html`…` templates do this for you)
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+};
+
+// ==========================================
+// HTML TEMPLATES (used by every renderer)
+// ==========================================
+
+// Markup is written as html`<p class="summary">${text}</p>`: every value put
+// into a template is escaped, so names, descriptions and reviews from the
+// database can't add tags or attributes to the page. Only two kinds of value
+// go in as markup:
+// - the result of another html`…` template, so renderers nest and a method
+//   returning one is a reusable component (Shortlist.renderToggle, …);
+// - a string wrapped in Template.trusted(), for HTML that was built and
+//   escaped somewhere else (the search highlights from the server).
+// Arrays are joined, so ${items.map(item => html`…`)} needs no .join(''),
+// and null or undefined renders nothing. Styling belongs in styles.css:
+// templates set classes, not style attributes.
+const TEMPLATE_MARKUP = Symbol('markup');
+
+const Template = {
+    html(strings, ...values) {
+        return Template.trusted(strings.reduce((markup, string, i) => markup + Template.toMarkup(values[i - 1]) + string));
+    },
+
+    trusted(markup) {
+        return Object.freeze({ [TEMPLATE_MARKUP]: String(markup ?? ''), toString() { return this[TEMPLATE_MARKUP]; } });
+    },
+
+    toMarkup(value) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) return value.map(item => Template.toMarkup(item)).join('');
+        if (typeof value === 'object' && TEMPLATE_MARKUP in value) return value[TEMPLATE_MARKUP];
+        return Utils.escapeHTML(value);
+    },
+
+    // Replace an element's content; a plain string is shown as text
+    render(element, fragment) {
+        element.innerHTML = Template.toMarkup(fragment);
+    },
+
+    append(element, fragment) {
+        element.insertAdjacentHTML('beforeend', Template.toMarkup(fragment));
+    }
+};
+
+const html = Template.html;
+
+// ==========================================
+// I18N (translations and locale-aware formatting)
+// ==========================================
+
+// Catalogues are locales/<code>.json with flat "section.name" keys. English is
+// always loaded too, as the fallback for keys a catalogue doesn't have yet.
+// Static copy is marked up with data-i18n="key" (text content) and
+// data-i18n-attr="attribute:key, attribute:key"; apply() fills both in.
+const I18n = {
+    locales: {
+        en:  { name: 'English',   intl: 'en-GB' },
+        hi:  { name: 'हिन्दी',     intl: 'hi-IN' },
+        kok: { name: 'कोंकणी',     intl: 'kok-IN' },
+        pt:  { name: 'Português', intl: 'pt-PT' }
+    },
+    defaultLocale: 'en',
+    storageKey: 'goa-locale',
+    locale: 'en',
+    messages: {},
+    fallback: {},
+
+    async init() {
+        this.fallback = await this.loadCatalogue(this.defaultLocale);
+        await this.setLocale(this.detectLocale(), { persist: false });
+        this.initSwitcher();
+    },
+
+    // The saved choice, then the browser's languages, then English
+    detectLocale() {
+        const saved = Utils.readStorage(this.storageKey);
+        if (this.locales[saved]) return saved;
+
+        const languages = navigator.languages?.length ? navigator.languages : [navigator.language || ''];
+        return languages
+            .map(tag => tag.toLowerCase().split('-')[0])
+            .find(code => this.locales[code]) || this.defaultLocale;
+    },
+
+    async loadCatalogue(locale) {
+        try {
+            const response = await fetch(`locales/${locale}.json`);
+            return response.ok ? await response.json() : {};
+        } catch (error) {
+            console.error(`Could not load the ${locale} translations:`, error);
+            return {};
+        }
+    },
+
+    // Switches language and tells the pages (a 'localechange' event on
+    // document) so they can re-render what they built from JavaScript
+    async setLocale(locale, { persist = true } = {}) {
+        if (!this.locales[locale]) locale = this.defaultLocale;
+
+        this.messages = locale === this.defaultLocale ? this.fallback : await this.loadCatalogue(locale);
+        this.locale   = locale;
+        if (persist) Utils.writeStorage(this.storageKey, locale);
+
+        document.documentElement.lang = locale;
+        this.apply();
+
+        const select = document.getElementById('language-select');
+        if (select) select.value = locale;
+
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+    },
+
+    // A language picker at the end of the main navigation
+    initSwitcher() {
+        const navbar = document.querySelector('.navbar');
+        if (!navbar || document.getElementById('language-select')) return;
+
+        const switcher = document.createElement('div');
+        switcher.className = 'language-switcher';
+        Template.render(switcher, html`
+            <label for="language-select" class="sr-only" data-i18n="common.language">${this.t('common.language')}</label>
+            <select id="language-select" class="language-select">
+                ${Object.entries(this.locales).map(([code, { name }]) => html`
+                    <option value="${code}" lang="${code}"${code === this.locale ? html` selected` : ''}>${name}</option>
+                `)}
+            </select>
+        `);
+        navbar.appendChild(switcher);
+
+        switcher.querySelector('select').addEventListener('change', (e) => this.setLocale(e.target.value));
+    },
+
+    // Fill in every data-i18n / data-i18n-attr element under root
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.getAttribute('data-i18n'));
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.getAttribute('data-i18n-attr').split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                element.setAttribute(attribute, this.t(key));
+            });
+        });
+    },
+
+    /**
+     * The message for `key` in the current language, with {name} placeholders
+     * filled from params (numbers are formatted for the locale). A message may
+     * be { "one": …, "other": … }, chosen by params.count. Unknown keys come
+     * back as the key itself so they are easy to spot.
+     */
+    t(key, params = {}) {
+        let message = this.messages[key] ?? this.fallback[key] ?? key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.intlLocale()).select(params.count ?? 0);
+            message = message[form] ?? message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            return typeof params[name] === 'number' ? this.formatNumber(params[name]) : params[name];
+        });
+    },
+
+    has(key) {
+        return key in this.messages || key in this.fallback;
+    },
+
+    // Translated label for a value from the database (a tag, region…), or the
+    // value itself when the catalogue has no entry for it
+    label(prefix, value) {
+        return this.has(`${prefix}.${value}`) ? this.t(`${prefix}.${value}`) : value;
+    },
+
+    intlLocale() {
+        return this.locales[this.locale]?.intl || this.locales[this.defaultLocale].intl;
+    },
+
+    formatDate(date, options = {}) {
+        return new Intl.DateTimeFormat(this.intlLocale(), options).format(date);
+    },
+
+    formatNumber(number, options = {}) {
+        return new Intl.NumberFormat(this.intlLocale(), options).format(number);
+    },
+
+    // Whole amounts, e.g. "₹14,000"
+    formatCurrency(amount, currency = 'INR') {
+        return this.formatNumber(amount, { style: 'currency', currency, maximumFractionDigits: 0 });
     }
 };
 
@@ -192,9 +448,9 @@ const SharedFeatures = {
         });
     },
 
-    // Lazy Loading Images
-    initLazyLoading() {
-        const images = document.querySelectorAll('img[loading="lazy"]');
+    // Lazy Loading Images (pass a root to observe images rendered later)
+    initLazyLoading(root = document) {
+        const images = root.querySelectorAll('img[loading="lazy"]');
         
         if ('IntersectionObserver' in window) {
             const imageObserver = new IntersectionObserver((entries) => {
@@ -213,10 +469,10 @@ const SharedFeatures = {
         }
     },
 
-    // Accessibility Enhancements
-    enhanceAccessibility() {
+    // Accessibility Enhancements (pass a root to enhance cards rendered later)
+    enhanceAccessibility(root = document) {
         // Make cards keyboard accessible
-        const cards = document.querySelectorAll(
+        const cards = root.querySelectorAll(
             '.feature-card, .attraction-card, .beach-card, .season-card, ' +
             '.transport-card, .package-card, .timeline-item, .heritage-card'
         );
@@ -235,6 +491,31 @@ const SharedFeatures = {
         });
     },
 
+    // Fade elements in as they scroll into view (.reveal in styles.css).
+    // Elements that come into view together follow each other by `stagger` ms.
+    initRevealOnScroll(elements, { from = 'below', stagger = 100, threshold = 0.1 } = {}) {
+        if (!elements.length || !('IntersectionObserver' in window)) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry, index) => {
+                if (entry.isIntersecting) {
+                    setTimeout(() => entry.target.classList.add('is-revealed'), index * stagger);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, { threshold });
+
+        elements.forEach(element => {
+            element.classList.add('reveal', `reveal-from-${from}`);
+            observer.observe(element);
+        });
+    },
+
+    // Search box in the navigation bar, before the language picker (see SiteSearch)
+    initSiteSearch() {
+        SiteSearch.init(document.querySelector('.navbar'));
+    },
+
     // Performance Logging
     logPerformance() {
         if ('performance' in window) {
@@ -253,328 +534,2991 @@ const SharedFeatures = {
 };
 
 // ==========================================
-// ATTRACTIONS PAGE FEATURES
+// SITE SEARCH (all pages)
 // ==========================================
 
-const AttractionsPage = {
-    init() {
-        this.initSearch();
-        this.initFilters();
-        this.applyURLFilter();
-        this.initLoadMore();
-    },
+// A combobox in the navigation bar that searches as the visitor types
+// (GET /api/search): results are grouped by type, picked with the arrow keys
+// and Enter, and open the place, festival or page section they are about.
+// The titles and snippets come from the server as HTML with the matches in
+// <mark>; everything else in them is escaped there.
+const SiteSearch = {
+    minLength: 2,        // same as SEARCH_MIN_LENGTH in includes/search.php
+    requestId: 0,        // answers to an older query are dropped
+    cache: new Map(),    // 'locale:query' → answer, for backspacing and retyping
+    form: null,
+    input: null,
+    panel: null,
+    activeIndex: -1,
 
-    applyURLFilter() {
-        const urlParams = new URLSearchParams(window.location.search);
-        const filterCategory = urlParams.get('filter');
-        
-        if (filterCategory) {
-            const targetButton = document.querySelector(`.filter-tab[data-category="${filterCategory}"]`);
-            
-            if (targetButton) {
-                targetButton.click();
-                
-                setTimeout(() => {
-                    const attractionsSection = document.querySelector('.attractions-grid');
-                    if (attractionsSection) {
-                        const headerOffset = 100;
-                        const elementPosition = attractionsSection.getBoundingClientRect().top;
-                        const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-                        
-                        window.scrollTo({
-                            top: offsetPosition,
-                            behavior: 'smooth'
-                        });
-                    }
-                }, 100);
-            }
-        }
-    },
-    
-    initLoadMore() {
-        const loadMoreBtn = document.getElementById('load-more-btn');
-        if (!loadMoreBtn) return;
-        
-        loadMoreBtn.addEventListener('click', () => {
-            loadMoreBtn.style.display = 'none';
-            
-            const messageDiv = document.createElement('div');
-            messageDiv.className = 'no-more-message';
-            messageDiv.innerHTML = `
-                <div class="message-icon">🏖️</div>
-                <h3 class="message-title">You've Seen It All!</h3>
-                <p class="message-text">
-                    We're currently updating our attractions database with more amazing places to visit in Goa. 
-                    Check back soon for new discoveries!
-                </p>
-                <div class="message-badge">Coming Soon</div>
-            `;
-            
-            const wrapper = loadMoreBtn.parentElement;
-            wrapper.appendChild(messageDiv);
-            
-            setTimeout(() => {
-                messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            }, 100);
-        });
-    },
+    init(navbar) {
+        if (!navbar || document.querySelector('.site-search')) return;
 
-    initSearch() {
-        const searchInput = document.getElementById('attraction-search');
-        if (!searchInput) return;
+        this.form = document.createElement('form');
+        this.form.className = 'site-search';
+        this.form.setAttribute('role', 'search');
+        Template.render(this.form, html`
+            <label for="site-search-input" class="sr-only" data-i18n="search.label">${I18n.t('search.label')}</label>
+            <input type="search" id="site-search-input" class="site-search-input" autocomplete="off" spellcheck="false"
+                   role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="site-search-results"
+                   data-i18n-attr="placeholder: search.placeholder" placeholder="${I18n.t('search.placeholder')}">
+            <div class="site-search-panel" hidden>
+                <p class="site-search-note" role="status"></p>
+                <div class="site-search-results" id="site-search-results" role="listbox"
+                     data-i18n-attr="aria-label: search.results" aria-label="${I18n.t('search.results')}"></div>
+            </div>
+        `);
+        navbar.insertBefore(this.form, navbar.querySelector('.language-switcher'));
 
-        const searchAttractions = () => {
-            const searchTerm = searchInput.value.toLowerCase().trim();
-            const attractions = document.querySelectorAll('.attraction-card');
-            let visibleCount = 0;
+        this.input = this.form.querySelector('.site-search-input');
+        this.panel = this.form.querySelector('.site-search-panel');
 
-            attractions.forEach(card => {
-                const title = card.querySelector('.card-title')?.textContent.toLowerCase() || '';
-                const description = card.querySelector('.card-description')?.textContent.toLowerCase() || '';
-                const location = card.querySelector('.card-location')?.textContent.toLowerCase() || '';
+        this.input.addEventListener('input', Utils.debounce(() => this.search(), 250));
+        this.input.addEventListener('focus', () => {
+            if (this.options().length || this.form.querySelector('.site-search-note').textContent) this.open();
+        });
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
 
-                const matches = title.includes(searchTerm) || 
-                               description.includes(searchTerm) || 
-                               location.includes(searchTerm);
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const option = this.options()[Math.max(this.activeIndex, 0)];
+            if (option) this.go(option);
+        });
 
-                if (matches || searchTerm === '') {
-                    card.style.display = '';
-                    visibleCount++;
-                } else {
-                    card.style.display = 'none';
-                }
-            });
+        // Keep focus in the box while an option is clicked
+        this.panel.addEventListener('mousedown', (e) => e.preventDefault());
+        this.panel.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.go(option);
+                return;
+            }
+            const suggestion = e.target.closest('.site-search-suggestion');
+            if (suggestion) {
+                this.input.value = suggestion.getAttribute('data-query');
+                this.search();
+            }
+        });
+        this.panel.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.setActive(this.options().indexOf(option), { scroll: false });
+        });
 
-            this.announceResults(visibleCount, attractions.length);
-        };
+        this.form.addEventListener('focusout', (e) => {
+            if (!this.form.contains(e.relatedTarget)) this.close();
+        });
 
-        searchInput.addEventListener('input', Utils.debounce(searchAttractions, 300));
+        // Results come back in the page's language
+        document.addEventListener('localechange', () => {
+            this.cache.clear();
+            if (!this.panel.hidden) this.search();
+        });
     },
 
-    initFilters() {
-        const filterButtons = document.querySelectorAll('.filter-tab');
-        if (!filterButtons.length) return;
+    options() {
+        return [...this.panel.querySelectorAll('[role="option"]')];
+    },
 
-        filterButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const category = button.getAttribute('data-category');
-                
-                filterButtons.forEach(btn => btn.classList.remove('active'));
-                button.classList.add('active');
-                
-                const attractions = document.querySelectorAll('.attraction-card');
-                let visibleCount = 0;
+    async search() {
+        const query     = this.input.value.trim();
+        const requestId = ++this.requestId;
 
-                attractions.forEach(card => {
-                    const cardCategory = card.getAttribute('data-category');
-                    
-                    if (category === 'all' || cardCategory === category) {
-                        card.style.display = '';
-                        visibleCount++;
-                    } else {
-                        card.style.display = 'none';
-                    }
-                });
+        if (query.length < this.minLength) {
+            this.render(null);
+            this.close();
+            return;
+        }
 
-                this.announceResults(visibleCount, attractions.length);
-            });
-        });
+        const key = `${I18n.locale}:${query}`;
+        let answer = this.cache.get(key);
+        if (!answer) {
+            answer = await API.search(query);
+            if (answer.success) this.cache.set(key, answer);
+        }
+        if (requestId !== this.requestId) return;
+
+        this.render(answer);
+        this.open();
     },
 
-    announceResults(visible, total) {
-        const announcement = `Showing ${visible} of ${total} attractions`;
-        const announcer = document.getElementById('search-announcer');
-        
-        if (announcer) {
-            announcer.textContent = announcement;
-        } else {
-            const div = document.createElement('div');
-            div.id = 'search-announcer';
-            div.className = 'sr-only';
-            div.setAttribute('aria-live', 'polite');
-            div.textContent = announcement;
-            document.body.appendChild(div);
+    render(answer) {
+        const note    = this.form.querySelector('.site-search-note');
+        const results = this.form.querySelector('.site-search-results');
+        this.activeIndex = -1;
+        this.input.removeAttribute('aria-activedescendant');
+
+        if (!answer?.success) {
+            results.textContent = '';
+            note.textContent    = answer ? answer.error || I18n.t('common.somethingWrong') : '';
+            return;
         }
-    }
-};
 
-// ==========================================
-// BEACHES PAGE FEATURES
-// ==========================================
+        if (!answer.count) {
+            note.textContent = I18n.t('search.noResults', { query: this.input.value.trim() });
+        } else if (answer.suggestion) {
+            Template.render(note, html`
+                <button type="button" class="site-search-suggestion" data-query="${answer.suggestion}">
+                    ${I18n.t('search.didYouMean', { suggestion: answer.suggestion })}
+                </button>
+            `);
+        } else {
+            note.textContent = I18n.t('search.count', { count: answer.count });
+        }
 
-const BeachesPage = {
-    init() {
-        this.initRegionFiltering();
+        // Titles and snippets are the server's highlighted HTML, the only markup trusted here
+        let index = 0;
+        Template.render(results, answer.groups.map(group => html`
+            <div class="site-search-group" role="group" aria-labelledby="site-search-group-${group.type}">
+                <div class="site-search-group-title" id="site-search-group-${group.type}" role="presentation">${I18n.t(`search.group.${group.type}`)}</div>
+                ${group.results.map(result => html`
+                    <div class="site-search-option" role="option" id="site-search-option-${index++}" aria-selected="false"
+                         data-url="${result.url}" data-type="${result.type}" data-id="${result.id}">
+                        <span class="site-search-title">${Template.trusted(result.title)}</span>
+                        <span class="site-search-meta">${[result.date ? Utils.formatDate(result.date) : '', result.meta].filter(Boolean).join(' · ')}</span>
+                        <span class="site-search-snippet">${Template.trusted(result.snippet)}</span>
+                    </div>
+                `)}
+            </div>
+        `));
     },
 
-    initRegionFiltering() {
-        const regionCards = document.querySelectorAll('.region-card');
-        if (!regionCards.length) return;
-
-        regionCards.forEach(card => {
-            card.addEventListener('click', () => {
-                const region = card.getAttribute('data-region');
-                this.filterBeaches(region);
-            });
+    handleKey(e) {
+        const options = this.options();
 
-            card.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (!options.length) return;
+                e.preventDefault();
+                this.open();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                // From the box, Down goes to the first result and Up to the last
+                const next = this.activeIndex === -1
+                    ? (step === 1 ? 0 : options.length - 1)
+                    : (this.activeIndex + step + options.length) % options.length;
+                this.setActive(next);
+                break;
+            }
+            case 'Escape':
+                if (!this.panel.hidden) {
                     e.preventDefault();
-                    card.click();
+                    e.stopPropagation();
+                    this.close();
+                } else if (this.input.value) {
+                    e.preventDefault();
+                    this.input.value = '';
+                    this.search();
                 }
-            });
-        });
+                break;
+            case 'Tab':
+                this.close();
+                break;
+        }
     },
 
-    filterBeaches(region) {
-        const beaches = document.querySelectorAll('.beach-card');
-        let visibleCount = 0;
-
-        beaches.forEach(beach => {
-            const beachRegion = beach.getAttribute('data-region');
-            
-            if (region === 'all' || beachRegion === region) {
-                beach.style.display = '';
-                visibleCount++;
-            } else {
-                beach.style.display = 'none';
-            }
+    setActive(index, { scroll = true } = {}) {
+        const options = this.options();
+        options.forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+            option.classList.toggle('is-active', i === index);
         });
 
-        const beachesSection = document.querySelector('.featured-beaches');
-        if (beachesSection) {
-            const headerOffset = 100;
-            const elementPosition = beachesSection.getBoundingClientRect().top;
-            const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-            
-            window.scrollTo({
-                top: offsetPosition,
-                behavior: 'smooth'
-            });
+        this.activeIndex = index;
+        const option = options[index];
+        if (!option) {
+            this.input.removeAttribute('aria-activedescendant');
+            return;
         }
+        this.input.setAttribute('aria-activedescendant', option.id);
+        if (scroll) option.scrollIntoView({ block: 'nearest' });
+    },
 
-        const announcement = `Showing ${visibleCount} beaches in ${region === 'all' ? 'all regions' : region}`;
-        const announcer = document.getElementById('filter-announcer');
-        
-        if (announcer) {
-            announcer.textContent = announcement;
-        } else {
-            const div = document.createElement('div');
-            div.id = 'filter-announcer';
-            div.className = 'sr-only';
-            div.setAttribute('aria-live', 'polite');
-            div.textContent = announcement;
-            document.body.appendChild(div);
+    open() {
+        if (this.input.value.trim().length < this.minLength) return;
+        this.panel.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+    },
+
+    close() {
+        this.panel.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.setActive(-1);
+    },
+
+    // Places of the kind this page lists open in its detail view, like the shortlist's links
+    go(option) {
+        const type = option.getAttribute('data-type');
+        this.close();
+
+        if (DetailView.dialog && DetailView.type === type) {
+            DetailView.open(option.getAttribute('data-id'));
+            return;
         }
+        window.location.href = option.getAttribute('data-url');
     }
 };
 
 // ==========================================
-// CULTURE PAGE FEATURES
+// SHORTLIST (all pages)
 // ==========================================
 
-const CulturePage = {
+// Attractions and beaches saved with the heart button on cards and in the
+// detail view. Kept in localStorage, listed in a drawer opened from the
+// navigation bar and offered as must-see places on plan.html. A copy can be
+// kept on the server under an email (GET/PUT /api/shortlist) to carry it to
+// another device, together with the code the server hands out on the first save.
+const Shortlist = {
+    storageKey: 'goa-shortlist',
+    emailKey: 'goa-shortlist-email',
+    tokenKey: 'goa-shortlist-token',
+    items: [],            // [{ key: 'beach:2', type, id, name, image }], oldest first
+    drawer: null,
+
     init() {
-        this.initTimelineAnimations();
-        this.initCardAnimations();
-    },
+        this.items = Utils.readStorage(this.storageKey, []);
+        this.createButton();
+        this.createDrawer();
 
-    initTimelineAnimations() {
-        const timelineItems = document.querySelectorAll('.timeline-item');
-        if (!timelineItems.length) return;
-        
-        if ('IntersectionObserver' in window) {
-            const observer = new IntersectionObserver((entries) => {
-                entries.forEach((entry, index) => {
-                    if (entry.isIntersecting) {
-                        setTimeout(() => {
-                            entry.target.style.opacity = '1';
-                            entry.target.style.transform = 'translateX(0)';
-                        }, index * 100);
-                        observer.unobserve(entry.target);
-                    }
-                });
-            }, {
-                threshold: 0.2
-            });
-            
-            timelineItems.forEach(item => {
-                item.style.opacity = '0';
-                item.style.transform = 'translateX(-30px)';
-                item.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-                observer.observe(item);
+        // Cards are rendered after this runs, so their buttons are handled here
+        document.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.save-toggle');
+            if (!toggle) return;
+            e.preventDefault();
+            this.toggle({
+                key:   toggle.getAttribute('data-place-key'),
+                name:  toggle.getAttribute('data-place-name'),
+                image: toggle.getAttribute('data-place-image')
             });
+        });
+
+        // Saved or removed in another tab
+        window.addEventListener('storage', (e) => {
+            if (e.key !== this.storageKey) return;
+            this.items = Utils.readStorage(this.storageKey, []);
+            this.changed({ persist: false });
+        });
+
+        document.addEventListener('localechange', () => this.render());
+        this.render();
+    },
+
+    has(key) {
+        return this.items.some(item => item.key === key);
+    },
+
+    toggle(place) {
+        if (this.has(place.key)) {
+            this.remove(place.key);
+        } else {
+            this.add(place);
+        }
+    },
+
+    add(place) {
+        const [type, id] = place.key.split(':');
+        this.items.push({ key: place.key, type, id: Number(id), name: place.name, image: place.image || null });
+        this.changed();
+        Utils.showNotification(I18n.t('shortlist.added', { name: place.name }), 'success');
+    },
+
+    remove(key) {
+        const item = this.items.find(entry => entry.key === key);
+        if (!item) return;
+        this.items = this.items.filter(entry => entry.key !== key);
+        this.changed();
+        Utils.showNotification(I18n.t('shortlist.removed', { name: item.name }), 'info');
+    },
+
+    // Saves the list and tells the pages (a 'shortlistchange' event on document)
+    changed({ persist = true } = {}) {
+        if (persist) Utils.writeStorage(this.storageKey, this.items);
+        this.render();
+        document.dispatchEvent(new CustomEvent('shortlistchange', { detail: { items: this.items } }));
+    },
+
+    // The heart button for a card (icon only) or the detail view (with text);
+    // render() keeps its state in step with the list
+    renderToggle(type, place, { withText = false } = {}) {
+        const key   = `${type}:${place.id}`;
+        const saved = this.has(key);
+
+        return html`
+            <button type="button" class="save-toggle${withText ? ' save-toggle-text' : ''}"
+                    data-place-key="${key}" data-place-name="${place.name}" data-place-image="${place.image || ''}"
+                    aria-pressed="${saved}" aria-label="${I18n.t(saved ? 'shortlist.unsave' : 'shortlist.save', { name: place.name })}">
+                <svg width="20" height="20" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <path d="M20.8 4.6a5.5 5.5 0 0 0-7.8 0L12 5.7l-1-1.1a5.5 5.5 0 0 0-7.8 7.8l1 1.1L12 21l7.8-7.5 1-1.1a5.5 5.5 0 0 0 0-7.8z"></path>
+                </svg>
+                ${withText ? html`<span class="save-toggle-label">${I18n.t(saved ? 'shortlist.savedShort' : 'shortlist.saveShort')}</span>` : ''}
+            </button>
+        `;
+    },
+
+    // A heart with the number of saved places, next to the language picker
+    createButton() {
+        const navbar = document.querySelector('.navbar');
+        if (!navbar || document.querySelector('.shortlist-button')) return;
+
+        const button = document.createElement('button');
+        button.type      = 'button';
+        button.className = 'shortlist-button';
+        button.setAttribute('aria-haspopup', 'dialog');
+        Template.render(button, html`
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                <path d="M20.8 4.6a5.5 5.5 0 0 0-7.8 0L12 5.7l-1-1.1a5.5 5.5 0 0 0-7.8 7.8l1 1.1L12 21l7.8-7.5 1-1.1a5.5 5.5 0 0 0 0-7.8z"></path>
+            </svg>
+            <span class="shortlist-count" aria-hidden="true"></span>
+        `);
+        navbar.appendChild(button);
+
+        button.addEventListener('click', () => this.open());
+    },
+
+    createDrawer() {
+        this.drawer = document.createElement('dialog');
+        this.drawer.className = 'shortlist-drawer';
+        this.drawer.setAttribute('aria-labelledby', 'shortlist-title');
+        Template.render(this.drawer, html`
+            <div class="shortlist-header">
+                <h2 id="shortlist-title" class="shortlist-title" data-i18n="shortlist.title">${I18n.t('shortlist.title')}</h2>
+                <button type="button" class="shortlist-close" data-i18n-attr="aria-label: shortlist.close" aria-label="${I18n.t('shortlist.close')}">&times;</button>
+            </div>
+            <p class="shortlist-empty" data-i18n="shortlist.empty">${I18n.t('shortlist.empty')}</p>
+            <ul class="shortlist-items"></ul>
+            <div class="shortlist-actions">
+                <a href="plan.html#must-see" class="shortlist-plan" data-i18n="shortlist.plan">${I18n.t('shortlist.plan')}</a>
+                <button type="button" class="shortlist-clear" data-i18n="shortlist.clear">${I18n.t('shortlist.clear')}</button>
+            </div>
+            <form class="shortlist-sync" novalidate>
+                <h3 class="shortlist-sync-title" data-i18n="shortlist.syncTitle">${I18n.t('shortlist.syncTitle')}</h3>
+                <p class="shortlist-sync-help" id="shortlist-sync-help" data-i18n="shortlist.syncHelp">${I18n.t('shortlist.syncHelp')}</p>
+                <label for="shortlist-email" class="sr-only" data-i18n="shortlist.email">${I18n.t('shortlist.email')}</label>
+                <input type="email" id="shortlist-email" class="form-input" autocomplete="email" required
+                       aria-describedby="shortlist-sync-help shortlist-sync-status"
+                       data-i18n-attr="placeholder: shortlist.email" placeholder="${I18n.t('shortlist.email')}">
+                <label for="shortlist-token" class="sr-only" data-i18n="shortlist.token">${I18n.t('shortlist.token')}</label>
+                <input type="text" id="shortlist-token" class="form-input shortlist-token" autocomplete="off" spellcheck="false"
+                       aria-describedby="shortlist-sync-help"
+                       data-i18n-attr="placeholder: shortlist.token" placeholder="${I18n.t('shortlist.token')}">
+                <div class="shortlist-sync-buttons">
+                    <button type="button" class="shortlist-sync-save" data-i18n="shortlist.saveCopy">${I18n.t('shortlist.saveCopy')}</button>
+                    <button type="button" class="shortlist-sync-load" data-i18n="shortlist.loadCopy">${I18n.t('shortlist.loadCopy')}</button>
+                </div>
+                <p class="shortlist-sync-status" id="shortlist-sync-status" role="status"></p>
+            </form>
+        `);
+        document.body.appendChild(this.drawer);
+
+        const emailInput = this.drawer.querySelector('#shortlist-email');
+        emailInput.value = Utils.readStorage(this.emailKey, '');
+        this.drawer.querySelector('#shortlist-token').value = Utils.readStorage(this.tokenKey, '');
+
+        this.drawer.querySelector('.shortlist-close').addEventListener('click', () => this.drawer.close());
+        this.drawer.querySelector('.shortlist-clear').addEventListener('click', () => {
+            this.items = [];
+            this.changed();
+        });
+        this.drawer.querySelector('.shortlist-sync-save').addEventListener('click', () => this.saveCopy());
+        this.drawer.querySelector('.shortlist-sync-load').addEventListener('click', () => this.loadCopy());
+
+        this.drawer.addEventListener('click', (e) => {
+            // Clicks on the backdrop land on the <dialog> element itself
+            if (e.target === this.drawer) {
+                this.drawer.close();
+                return;
+            }
+
+            const removeBtn = e.target.closest('.shortlist-remove');
+            if (removeBtn) {
+                this.remove(removeBtn.getAttribute('data-place-key'));
+                return;
+            }
+
+            // Places of the kind this page lists open in its detail view
+            const link = e.target.closest('.shortlist-link');
+            if (link && DetailView.dialog && DetailView.type === link.getAttribute('data-type')) {
+                e.preventDefault();
+                this.drawer.close();
+                DetailView.open(link.getAttribute('data-id'));
+                return;
+            }
+
+            if (e.target.closest('.shortlist-plan')) {
+                this.drawer.close();
+            }
+        });
+    },
+
+    open() {
+        if (!this.drawer.open) this.drawer.showModal();
+    },
+
+    // Save buttons, the navigation count and the drawer's list
+    render() {
+        document.querySelectorAll('.save-toggle').forEach(toggle => {
+            const saved = this.has(toggle.getAttribute('data-place-key'));
+            const name  = toggle.getAttribute('data-place-name');
+            toggle.setAttribute('aria-pressed', String(saved));
+            toggle.setAttribute('aria-label', I18n.t(saved ? 'shortlist.unsave' : 'shortlist.save', { name }));
+            const label = toggle.querySelector('.save-toggle-label');
+            if (label) label.textContent = I18n.t(saved ? 'shortlist.savedShort' : 'shortlist.saveShort');
+        });
+
+        const button = document.querySelector('.shortlist-button');
+        if (button) {
+            const count = this.items.length;
+            button.setAttribute('aria-label', I18n.t('shortlist.open', { count }));
+            button.querySelector('.shortlist-count').textContent = count ? I18n.formatNumber(count) : '';
+        }
+
+        if (!this.drawer) return;
+
+        this.drawer.querySelector('.shortlist-empty').hidden   = this.items.length > 0;
+        this.drawer.querySelector('.shortlist-actions').hidden = this.items.length === 0;
+        Template.render(this.drawer.querySelector('.shortlist-items'), this.items.map(item => {
+            const page = item.type === 'beach' ? 'beaches.html' : 'attractions.html';
+            return html`
+                <li class="shortlist-item">
+                    <img src="${item.image || 'pictures/Tourismlogo.png'}" alt="" width="64" height="48" loading="lazy">
+                    <a href="${page}?id=${item.id}" class="shortlist-link" data-type="${item.type}" data-id="${item.id}">
+                        <span class="shortlist-item-name">${item.name}</span>
+                        <small class="shortlist-item-type">${I18n.t(`shortlist.type.${item.type}`)}</small>
+                    </a>
+                    <button type="button" class="shortlist-remove" data-place-key="${item.key}"
+                            aria-label="${I18n.t('shortlist.unsave', { name: item.name })}">&times;</button>
+                </li>
+            `;
+        }));
+    },
+
+    // ── Server copy ───────────────────────────────────────────────────────────
+
+    // The email to save under or load from, or null (with a message) if it isn't valid
+    syncEmail() {
+        const input = this.drawer.querySelector('#shortlist-email');
+        const email = input.value.trim();
+        if (!input.checkValidity() || !email) {
+            this.setSyncStatus(I18n.t('shortlist.emailInvalid'), 'error');
+            input.focus();
+            return null;
+        }
+        Utils.writeStorage(this.emailKey, email);
+        return email;
+    },
+
+    // The code from the first save; remembered so later saves on this device can replace the copy
+    syncToken() {
+        return this.drawer.querySelector('#shortlist-token').value.trim();
+    },
+
+    setSyncToken(token) {
+        this.drawer.querySelector('#shortlist-token').value = token;
+        Utils.writeStorage(this.tokenKey, token);
+    },
+
+    setSyncStatus(message, state = '') {
+        const status = this.drawer.querySelector('.shortlist-sync-status');
+        status.textContent = message;
+        status.className   = `shortlist-sync-status${state ? ` is-${state}` : ''}`;
+    },
+
+    // Replaces the server copy with this list
+    async saveCopy() {
+        const email = this.syncEmail();
+        if (!email) return;
+
+        this.setSyncStatus(I18n.t('shortlist.saving'));
+        const result = await API.saveShortlist(email, this.syncToken(), this.items.map(item => item.key));
+        if (!result.success) {
+            this.setSyncStatus(Object.values(result.fieldErrors || {})[0] || result.error, 'error');
+            return;
+        }
+
+        this.setSyncToken(result.token);
+
+        // Places that have since been taken off the site are dropped by the server
+        this.items = result.places;
+        this.changed();
+        this.setSyncStatus(result.message, 'success');
+    },
+
+    // Adds the places from the server copy to this list
+    async loadCopy() {
+        const email = this.syncEmail();
+        if (!email) return;
+
+        this.setSyncStatus(I18n.t('shortlist.loading'));
+        const token = this.syncToken();
+        const result = await API.fetchShortlist(email, token);
+        if (!result.success) {
+            this.setSyncStatus(result.error, 'error');
+            return;
+        }
+
+        this.setSyncToken(token);
+
+        const added = result.places.filter(place => !this.has(place.key));
+        this.items.push(...added);
+        this.changed();
+        this.setSyncStatus(I18n.t('shortlist.loaded', { count: added.length }), 'success');
+    }
+};
+
+// ==========================================
+// ATTRACTIONS PAGE FEATURES
+// ==========================================
+
+const AttractionsPage = {
+    attractions: [],
+    total: 0,
+    pageSize: 6,
+    state: { search: '', category: 'all', sort: 'rating' },
+    requestId: 0,
+
+    sortOptions: ['rating', 'name', 'location'],
+
+    // Old links used plural filter names; the API speaks singular categories
+    categoryAliases: {
+        churches: 'church',
+        temples:  'temple',
+        forts:    'fort',
+        museums:  'museum'
+    },
+
+    init() {
+        this.readStateFromURL();
+        this.syncControls();
+        this.initSearch();
+        this.initFilters();
+        this.initSort();
+        this.initHistory();
+        this.initLoadMore();
+        this.initDetailLinks();
+        GoaMap.init(document.getElementById('attractions-map'), (id) => this.showPlace(id));
+        this.loadAttractions();
+        this.scrollToFilteredGrid();
+        DetailView.init('attraction');
+
+        // Descriptions come back translated from the API
+        document.addEventListener('localechange', () => this.loadAttractions());
+    },
+
+    // Map pin: jump to the card if it's loaded, otherwise open its detail view
+    showPlace(id) {
+        const card = document.querySelector(`#attractions-grid .attraction-card[data-id="${CSS.escape(id)}"]`);
+        if (card) {
+            Utils.revealCard(card);
+        } else {
+            DetailView.open(id);
+        }
+    },
+
+    // Clicking (or pressing Enter on) a rendered card opens its detail view
+    initDetailLinks() {
+        const grid = document.getElementById('attractions-grid');
+        if (!grid) return;
+
+        grid.addEventListener('click', (e) => {
+            const card = e.target.closest('.attraction-card[data-id]');
+            if (!card) return;
+
+            e.preventDefault();
+            DetailView.open(card.getAttribute('data-id'));
+        });
+    },
+
+    // Search, category and sort live in the query string so views can be shared
+    readStateFromURL() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const requested = urlParams.get('category') || urlParams.get('filter') || 'all';
+        const category  = this.categoryAliases[requested] || requested;
+        const sort      = urlParams.get('sort');
+        const knownTab  = document.querySelector(`.filter-tab[data-category="${CSS.escape(category)}"]`);
+
+        this.state = {
+            search:   (urlParams.get('search') || '').trim(),
+            category: knownTab ? category : 'all',
+            sort:     this.sortOptions.includes(sort) ? sort : 'rating'
+        };
+    },
+
+    writeStateToURL() {
+        const urlParams = new URLSearchParams();
+        if (this.state.search)             urlParams.set('search', this.state.search);
+        if (this.state.category !== 'all') urlParams.set('category', this.state.category);
+        if (this.state.sort !== 'rating')  urlParams.set('sort', this.state.sort);
+
+        const query = urlParams.toString();
+        const url   = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            history.pushState({ ...this.state }, '', url);
+        }
+    },
+
+    setState(changes) {
+        this.state = { ...this.state, ...changes };
+        this.writeStateToURL();
+        this.loadAttractions();
+    },
+
+    // Reflect the current state in the search box, tabs and sort select
+    syncControls() {
+        const searchInput = document.getElementById('attraction-search');
+        if (searchInput) searchInput.value = this.state.search;
+
+        document.querySelectorAll('.filter-tab').forEach(btn => {
+            const isActive = btn.getAttribute('data-category') === this.state.category;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-selected', String(isActive));
+        });
+
+        const sortSelect = document.getElementById('attraction-sort');
+        if (sortSelect) sortSelect.value = this.state.sort;
+    },
+
+    initHistory() {
+        window.addEventListener('popstate', () => {
+            const previous = JSON.stringify(this.state);
+            this.readStateFromURL();
+
+            // Back/forward over a detail view (?id=) leaves the results alone
+            if (JSON.stringify(this.state) !== previous) {
+                this.syncControls();
+                this.loadAttractions();
+            }
+        });
+    },
+
+    // Deep links such as ?category=fort jump straight to the results
+    scrollToFilteredGrid() {
+        if (this.state.category === 'all' && !this.state.search) return;
+
+        setTimeout(() => {
+            const attractionsSection = document.querySelector('.attractions-grid');
+            if (attractionsSection) {
+                const headerOffset = 100;
+                const elementPosition = attractionsSection.getBoundingClientRect().top;
+                const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
+                
+                window.scrollTo({
+                    top: offsetPosition,
+                    behavior: 'smooth'
+                });
+            }
+        }, 100);
+    },
+
+    // Fetch one page of results for the current search, category and sort
+    fetchPage(offset) {
+        const { search, category, sort } = this.state;
+        return API.fetchAttractions({
+            search,
+            category: category === 'all' ? '' : category,
+            sort,
+            limit: this.pageSize,
+            offset
+        });
+    },
+
+    // Query the API for the current state and replace the grid with the first page
+    async loadAttractions() {
+        const grid = document.getElementById('attractions-grid');
+        if (!grid) return;
+
+        const requestId = ++this.requestId;
+        grid.setAttribute('aria-busy', 'true');
+        this.setStatus('loading', I18n.t('attractions.loading'));
+
+        const data = await this.fetchPage(0);
+
+        // A newer query was issued while this one was in flight
+        if (requestId !== this.requestId) return;
+        grid.setAttribute('aria-busy', 'false');
+
+        if (!data.success) {
+            // Leave the current cards in place so the page is still useful
+            this.setStatus('error', data.status === 429
+                ? data.error
+                : I18n.t('attractions.loadError'), () => this.loadAttractions());
+            return;
+        }
+
+        this.attractions = data.attractions;
+        this.total       = data.total;
+        this.hideEndOfList();
+        this.updateLoadMore(data.hasMore);
+        GoaMap.render(this.attractions);
+
+        if (!this.attractions.length) {
+            grid.replaceChildren();
+            const isFiltered = this.state.search !== '' || this.state.category !== 'all';
+            this.setStatus('empty', I18n.t(isFiltered ? 'attractions.noMatches' : 'attractions.none'));
+            this.announceResults(0, 0);
+            return;
+        }
+
+        grid.replaceChildren();
+        this.appendCards(this.attractions);
+        this.setStatus(null);
+        this.announceResults(this.attractions.length, this.total);
+    },
+
+    // Fetch the next page and add it below the existing cards
+    async loadMore() {
+        const grid        = document.getElementById('attractions-grid');
+        const loadMoreBtn = document.getElementById('load-more-btn');
+        if (!grid || !loadMoreBtn) return;
+
+        const requestId    = this.requestId;
+        const originalText = loadMoreBtn.textContent;
+        loadMoreBtn.disabled    = true;
+        loadMoreBtn.textContent = I18n.t('common.loading');
+        grid.setAttribute('aria-busy', 'true');
+
+        const data = await this.fetchPage(this.attractions.length);
+
+        loadMoreBtn.disabled    = false;
+        loadMoreBtn.textContent = originalText;
+
+        // The search changed underneath us; that query owns the grid now
+        if (requestId !== this.requestId) return;
+        grid.setAttribute('aria-busy', 'false');
+
+        if (!data.success) {
+            Utils.showNotification(I18n.t('attractions.loadMoreError'), 'error');
+            return;
+        }
+
+        this.attractions = this.attractions.concat(data.attractions);
+        this.total       = data.total;
+
+        // The map shows the places with cards, so it grows with the grid
+        const newCards = this.appendCards(data.attractions);
+        GoaMap.render(this.attractions);
+        newCards[0]?.focus();
+
+        this.updateLoadMore(data.hasMore);
+        if (!data.hasMore) this.showEndOfList();
+
+        this.announceResults(this.attractions.length, this.total);
+    },
+
+    // Render cards into the grid and return the new elements
+    appendCards(attractions) {
+        const grid     = document.getElementById('attractions-grid');
+        const template = document.createElement('template');
+        Template.render(template, attractions.map(attraction => this.renderCard(attraction)));
+
+        const newCards = [...template.content.children];
+        SharedFeatures.enhanceAccessibility(template.content);
+        grid.appendChild(template.content);
+        SharedFeatures.initLazyLoading(grid);
+
+        return newCards;
+    },
+
+    renderCard(attraction) {
+        const category = attraction.category;
+
+        return html`
+            <article class="attraction-card hreview" data-category="${category}" data-id="${attraction.id}" role="listitem">
+                <div class="card-image-wrapper">
+                    <img src="${attraction.image || 'pictures/Tourismlogo.png'}"
+                         alt="${attraction.name}"
+                         class="card-image"
+                         loading="lazy"
+                         width="400"
+                         height="300">
+                    ${Shortlist.renderToggle('attraction', attraction)}
+                </div>
+                <div class="card-content">
+                    <h3 class="card-title item">
+                        <a href="attractions.html?id=${attraction.id}" class="card-detail-link fn">${attraction.name}</a>
+                    </h3>
+                    <div class="card-location">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+                            <circle cx="12" cy="10" r="3"></circle>
+                        </svg>
+                        <span>${attraction.location}</span>
+                    </div>
+                    <p class="card-description summary">${attraction.description}</p>
+                    <div class="card-footer">
+                        ${Reviews.renderCardRating(attraction)}
+                        <span class="category-badge ${category}">${I18n.t(`category.${category}`)}</span>
+                    </div>
+                </div>
+            </article>
+        `;
+    },
+
+    // Show a loading, empty or error message above the grid (pass no state to hide it)
+    setStatus(state, message = '', onRetry = null) {
+        Utils.renderStatus(document.getElementById('attractions-status'), state, message, onRetry);
+    },
+    
+    initLoadMore() {
+        const loadMoreBtn = document.getElementById('load-more-btn');
+        if (!loadMoreBtn) return;
+
+        // Hidden until the first API response says there is more to show
+        loadMoreBtn.hidden = true;
+        loadMoreBtn.addEventListener('click', () => this.loadMore());
+    },
+
+    updateLoadMore(hasMore) {
+        const loadMoreBtn = document.getElementById('load-more-btn');
+        if (loadMoreBtn) loadMoreBtn.hidden = !hasMore;
+    },
+
+    // Shown only once the server reports there are no more rows
+    showEndOfList() {
+        const loadMoreBtn = document.getElementById('load-more-btn');
+        if (!loadMoreBtn || document.querySelector('.no-more-message')) return;
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'no-more-message';
+        Template.render(messageDiv, html`
+            <div class="message-icon">🏖️</div>
+            <h3 class="message-title">${I18n.t('attractions.endTitle')}</h3>
+            <p class="message-text">${I18n.t('attractions.endText')}</p>
+            <div class="message-badge">${I18n.t('attractions.count', { count: this.total })}</div>
+        `);
+
+        loadMoreBtn.parentElement.appendChild(messageDiv);
+    },
+
+    hideEndOfList() {
+        document.querySelector('.no-more-message')?.remove();
+    },
+
+    initSearch() {
+        const searchInput = document.getElementById('attraction-search');
+        if (!searchInput) return;
+
+        searchInput.addEventListener('input', Utils.debounce(() => {
+            const search = searchInput.value.trim();
+            if (search !== this.state.search) this.setState({ search });
+        }, 300));
+    },
+
+    initFilters() {
+        const filterButtons = document.querySelectorAll('.filter-tab');
+        if (!filterButtons.length) return;
+
+        filterButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const category = button.getAttribute('data-category');
+                if (category === this.state.category) return;
+
+                this.setState({ category });
+                this.syncControls();
+            });
+        });
+    },
+
+    initSort() {
+        const sortSelect = document.getElementById('attraction-sort');
+        if (!sortSelect) return;
+
+        sortSelect.addEventListener('change', () => {
+            this.setState({ sort: sortSelect.value });
+        });
+    },
+
+    announceResults(visible, total) {
+        const announcement = I18n.t('attractions.announce', { visible, total, count: total });
+        const announcer = document.getElementById('search-announcer');
+        
+        if (announcer) {
+            announcer.textContent = announcement;
+        } else {
+            const div = document.createElement('div');
+            div.id = 'search-announcer';
+            div.className = 'sr-only';
+            div.setAttribute('aria-live', 'polite');
+            div.textContent = announcement;
+            document.body.appendChild(div);
+        }
+    }
+};
+
+// ==========================================
+// BEACHES PAGE FEATURES
+// ==========================================
+
+const BeachesPage = {
+    beaches: [],
+    facets: { tags: [], activities: [] },
+    filters: { region: 'all', featured: false, tags: [], activities: [] },
+    requestId: 0,
+
+    init() {
+        this.initRegionFiltering();
+        this.initFacets();
+        this.initDetailLinks();
+        GoaMap.init(document.getElementById('beaches-map'), (id) => this.showPlace(id));
+        this.loadBeaches();
+        DetailView.init('beach');
+
+        // Descriptions come back translated from the API
+        document.addEventListener('localechange', () => this.loadBeaches());
+    },
+
+    // Map pin: jump to the beach's card, or open its detail view if it isn't listed
+    showPlace(id) {
+        const card = document.querySelector(`#beaches-list .beach-card[data-id="${CSS.escape(id)}"]`);
+        if (card) {
+            Utils.revealCard(card);
+        } else {
+            DetailView.open(id);
+        }
+    },
+
+    // Clicking (or pressing Enter on) a rendered card opens its detail view
+    initDetailLinks() {
+        const list = document.getElementById('beaches-list');
+        if (!list) return;
+
+        list.addEventListener('click', (e) => {
+            const card = e.target.closest('.beach-card[data-id]');
+            if (!card) return;
+
+            e.preventDefault();
+            DetailView.open(card.getAttribute('data-id'));
+        });
+    },
+
+    // The region cards are quick filters: a region, the featured flag or a tag
+    initRegionFiltering() {
+        const regionCards = document.querySelectorAll('.region-card');
+        if (!regionCards.length) return;
+
+        regionCards.forEach(card => {
+            card.setAttribute('role', 'button');
+            card.setAttribute('tabindex', '0');
+            card.setAttribute('aria-pressed', 'false');
+
+            card.addEventListener('click', () => {
+                const isActive = card.getAttribute('aria-pressed') === 'true';
+
+                // Clicking the active card again clears the quick filter
+                this.filterBeaches(isActive ? {} : {
+                    region:   card.getAttribute('data-region') || 'all',
+                    featured: card.getAttribute('data-featured') === '1',
+                    tags:     card.hasAttribute('data-tag') ? [card.getAttribute('data-tag')] : []
+                });
+            });
+
+            card.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    card.click();
+                }
+            });
+        });
+    },
+
+    initFacets() {
+        const facetsEl = document.getElementById('beach-facets');
+        if (!facetsEl) return;
+
+        facetsEl.addEventListener('click', (e) => {
+            const chip = e.target.closest('.facet-chip');
+            if (chip) {
+                const facet = chip.getAttribute('data-facet');
+                const value = chip.getAttribute('data-value');
+                const selected = this.filters[facet];
+
+                this.filters[facet] = selected.includes(value)
+                    ? selected.filter(v => v !== value)
+                    : [...selected, value];
+                this.loadBeaches();
+                return;
+            }
+
+            if (e.target.closest('.facet-clear')) {
+                this.filterBeaches({});
+            }
+        });
+    },
+
+    // Replace all filters at once and scroll to the results
+    filterBeaches({ region = 'all', featured = false, tags = [], activities = [] }) {
+        this.filters = { region, featured, tags, activities };
+        this.loadBeaches();
+
+        const beachesSection = document.querySelector('.featured-beaches');
+        if (beachesSection) {
+            const headerOffset = 100;
+            const elementPosition = beachesSection.getBoundingClientRect().top;
+            const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
+            
+            window.scrollTo({
+                top: offsetPosition,
+                behavior: 'smooth'
+            });
+        }
+    },
+
+    async loadBeaches() {
+        const list = document.getElementById('beaches-list');
+        if (!list) return;
+
+        const requestId = ++this.requestId;
+        list.setAttribute('aria-busy', 'true');
+        this.syncRegionCards();
+        this.setStatus('loading', I18n.t('beaches.loading'));
+
+        const { region, featured, tags, activities } = this.filters;
+        const data = await API.fetchBeaches({
+            region:     region === 'all' ? '' : region,
+            featured:   featured ? '1' : '',
+            tags:       tags.join(','),
+            activities: activities.join(',')
+        });
+
+        // A newer filter was applied while this one was in flight
+        if (requestId !== this.requestId) return;
+        list.setAttribute('aria-busy', 'false');
+
+        if (!data.success) {
+            // Leave the current cards in place so the page is still useful
+            this.setStatus('error', data.status === 429
+                ? data.error
+                : I18n.t('beaches.loadError'), () => this.loadBeaches());
+            return;
+        }
+
+        this.beaches = data.beaches;
+        this.facets  = data.facets || this.facets;
+        this.renderFacets();
+
+        GoaMap.render(this.beaches.map(beach => ({ ...beach, category: 'beach' })));
+
+        if (!this.beaches.length) {
+            list.replaceChildren();
+            this.setStatus('empty', I18n.t('beaches.noMatches'));
+        } else {
+            Template.render(list, this.beaches.map(beach => this.renderCard(beach)));
+            SharedFeatures.enhanceAccessibility(list);
+            SharedFeatures.initLazyLoading(list);
+            this.setStatus(null);
+        }
+
+        this.announceResults(this.beaches.length);
+    },
+
+    renderCard(beach) {
+        const tagColours  = ['tag-blue', 'tag-purple', 'tag-green'];
+        const regionLabel = I18n.label('region', beach.region);
+
+        return html`
+            <article class="beach-card hreview" data-region="${beach.region}" data-id="${beach.id}">
+                <div class="beach-image-wrapper">
+                    <img src="${beach.image || 'pictures/beaches.png'}"
+                         alt="${beach.name}"
+                         class="beach-image"
+                         loading="lazy"
+                         width="600"
+                         height="400">
+                    ${Shortlist.renderToggle('beach', beach)}
+                </div>
+                <div class="beach-content">
+                    <h3 class="beach-name item">
+                        <a href="beaches.html?id=${beach.id}" class="card-detail-link fn">${beach.name}</a>
+                    </h3>
+                    <div class="beach-location">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+                            <circle cx="12" cy="10" r="3"></circle>
+                        </svg>
+                        <span>${regionLabel}</span>
+                    </div>
+                    <div class="beach-tags">
+                        ${beach.tags.map((tag, i) => html`<span class="tag ${tagColours[i % tagColours.length]}">${I18n.label('tag', tag)}</span>`)}
+                    </div>
+                    <p class="beach-description summary">${beach.description}</p>
+                    <div class="beach-activities">
+                        ${beach.activities.map(activity => html`
+                            <div class="activity">
+                                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                                    <circle cx="12" cy="12" r="10"/>
+                                </svg>
+                                <span>${I18n.label('activity', activity)}</span>
+                            </div>
+                        `)}
+                    </div>
+                    ${Reviews.renderCardRating(beach)}
+                </div>
+            </article>
+        `;
+    },
+
+    // Toggle chips for every tag and activity the API knows about
+    renderFacets() {
+        const facetsEl = document.getElementById('beach-facets');
+        if (!facetsEl) return;
+
+        const labelPrefix = { tags: 'tag', activities: 'activity' };
+        const group = (facet, title) => html`
+            <div class="facet-group" role="group" aria-label="${title}">
+                <span class="facet-title">${title}</span>
+                ${this.facets[facet].map(({ value, count }) => {
+                    const pressed = this.filters[facet].includes(value);
+                    return html`
+                        <button type="button" class="facet-chip${pressed ? ' active' : ''}"
+                                data-facet="${facet}" data-value="${value}" aria-pressed="${pressed}">
+                            ${I18n.label(labelPrefix[facet], value)} <span class="facet-count">(${I18n.formatNumber(count)})</span>
+                        </button>
+                    `;
+                })}
+            </div>
+        `;
+
+        const { region, featured, tags, activities } = this.filters;
+        const hasFilters = region !== 'all' || featured || tags.length || activities.length;
+
+        // Re-rendering replaces the chips, so keep keyboard focus on the one just toggled
+        const focused = facetsEl.contains(document.activeElement) ? document.activeElement : null;
+
+        Template.render(facetsEl, html`
+            ${group('tags', I18n.t('beaches.facetTags'))}
+            ${group('activities', I18n.t('beaches.facetActivities'))}
+            ${hasFilters ? html`<button type="button" class="facet-clear">${I18n.t('beaches.clearFilters')}</button>` : ''}
+        `);
+        facetsEl.hidden = false;
+
+        if (focused?.classList.contains('facet-chip')) {
+            const { facet, value } = focused.dataset;
+            facetsEl.querySelector(`.facet-chip[data-facet="${facet}"][data-value="${CSS.escape(value)}"]`)?.focus();
+        }
+    },
+
+    // Highlight the quick-filter card matching the current filters, if any
+    syncRegionCards() {
+        const { region, featured, tags, activities } = this.filters;
+
+        document.querySelectorAll('.region-card').forEach(card => {
+            const cardTag = card.getAttribute('data-tag');
+            const isActive = !activities.length && (
+                (card.hasAttribute('data-region') && region === card.getAttribute('data-region') && !featured && !tags.length) ||
+                (card.hasAttribute('data-featured') && featured && region === 'all' && !tags.length) ||
+                (cardTag !== null && region === 'all' && !featured && tags.length === 1 && tags[0] === cardTag)
+            );
+            card.classList.toggle('active', isActive);
+            card.setAttribute('aria-pressed', String(isActive));
+        });
+    },
+
+    setStatus(state, message = '', onRetry = null) {
+        Utils.renderStatus(document.getElementById('beaches-status'), state, message, onRetry);
+    },
+
+    announceResults(visibleCount) {
+        const { region, featured, tags, activities } = this.filters;
+        const parts = [];
+        if (region !== 'all') parts.push(I18n.t('beaches.announceRegion', { region: I18n.label('region', region) }));
+        if (featured) parts.push(I18n.t('beaches.announceFeatured'));
+        if (tags.length || activities.length) {
+            const labels = [...tags.map(tag => I18n.label('tag', tag)), ...activities.map(activity => I18n.label('activity', activity))];
+            parts.push(I18n.t('beaches.announceTagged', { tags: labels.join(', ') }));
+        }
+
+        const announcement = I18n.t('beaches.announce', {
+            count:   visibleCount,
+            filters: parts.length ? parts.join(' ') : I18n.t('beaches.announceAllRegions')
+        });
+        const announcer = document.getElementById('filter-announcer');
+        
+        if (announcer) {
+            announcer.textContent = announcement;
+        } else {
+            const div = document.createElement('div');
+            div.id = 'filter-announcer';
+            div.className = 'sr-only';
+            div.setAttribute('aria-live', 'polite');
+            div.textContent = announcement;
+            document.body.appendChild(div);
+        }
+    }
+};
+
+// ==========================================
+// DETAIL VIEW (Attractions & Beaches)
+// ==========================================
+
+// One place in a modal dialog, deep-linkable as attractions.html?id=3 / beaches.html?id=2
+const DetailView = {
+    type: null,           // 'attraction' | 'beach'
+    dialog: null,
+    currentId: null,
+    pushedHistory: false, // true when opening added a history entry we can step back over
+    pageTitle: document.title,
+
+    init(type) {
+        this.type = type;
+        this.pageTitle = document.title;
+        this.createDialog();
+
+        window.addEventListener('popstate', () => this.syncWithURL());
+        this.syncWithURL();
+
+        // The title to restore on close is now in the new language; an open
+        // place is reloaded for its translated description
+        document.addEventListener('localechange', () => {
+            const titleKey = document.querySelector('title[data-i18n]')?.getAttribute('data-i18n');
+            this.pageTitle = titleKey ? I18n.t(titleKey) : document.title;
+            if (this.dialog.open) this.show(this.currentId);
+        });
+    },
+
+    createDialog() {
+        this.dialog = document.createElement('dialog');
+        this.dialog.className = 'detail-dialog';
+        this.dialog.setAttribute('aria-labelledby', 'detail-title');
+        Template.render(this.dialog, html`
+            <button type="button" class="detail-close" data-i18n-attr="aria-label: detail.close" aria-label="${I18n.t('detail.close')}">&times;</button>
+            <div class="detail-body"></div>
+        `);
+        document.body.appendChild(this.dialog);
+
+        this.dialog.querySelector('.detail-close').addEventListener('click', () => this.close());
+
+        // Clicks on the backdrop land on the <dialog> element itself
+        this.dialog.addEventListener('click', (e) => {
+            if (e.target === this.dialog) this.close();
+        });
+
+        // Escape closes the dialog natively; keep the URL in step
+        this.dialog.addEventListener('cancel', (e) => {
+            e.preventDefault();
+            this.close();
+        });
+
+        this.dialog.addEventListener('click', (e) => {
+            const relatedLink = e.target.closest('.detail-related-link');
+            if (relatedLink) {
+                e.preventDefault();
+                this.open(relatedLink.getAttribute('data-id'));
+                return;
+            }
+
+            if (e.target.closest('.detail-copy-link')) {
+                this.copyLink();
+                return;
+            }
+
+            const moreReviews = e.target.closest('.review-more');
+            if (moreReviews) {
+                Reviews.loadMore(moreReviews, this.type, this.currentId);
+            }
+        });
+
+        this.dialog.addEventListener('submit', (e) => {
+            if (!e.target.matches('.review-form')) return;
+            e.preventDefault();
+            Reviews.submit(e.target, this.type, this.currentId);
+        });
+    },
+
+    // Open a place and record it in the URL so the link can be shared.
+    // Moving between places inside an open dialog replaces the entry, so
+    // one Back (or close) always returns to the list.
+    open(id) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('id', id);
+
+        if (this.dialog.open) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState(history.state, '', url);
+            this.pushedHistory = true;
+        }
+
+        this.show(id);
+    },
+
+    close() {
+        if (!this.dialog?.open) return;
+
+        this.hide();
+
+        if (this.pushedHistory) {
+            this.pushedHistory = false;
+            history.back();
+        } else {
+            // Arrived via a deep link: drop ?id= without leaving the page
+            const url = new URL(window.location.href);
+            url.searchParams.delete('id');
+            history.replaceState(history.state, '', url);
+        }
+    },
+
+    // Open or close the dialog to match ?id= (initial load and back/forward)
+    syncWithURL() {
+        const id = new URLSearchParams(window.location.search).get('id');
+
+        if (id && id !== this.currentId) {
+            this.show(id);
+        } else if (!id && this.dialog?.open) {
+            this.pushedHistory = false;
+            this.hide();
+        }
+    },
+
+    async show(id) {
+        this.currentId = String(id);
+        const body = this.dialog.querySelector('.detail-body');
+
+        if (!this.dialog.open) {
+            this.lastFocus = document.activeElement;
+            this.dialog.showModal();
+        }
+
+        Template.render(body, html`<div class="grid-status grid-status-loading" role="status">${I18n.t('detail.loading')}</div>`);
+
+        const data = this.type === 'beach'
+            ? await API.fetchBeach(id)
+            : await API.fetchAttraction(id);
+
+        // Another place was opened while this one loaded
+        if (this.currentId !== String(id)) return;
+
+        if (!data.success) {
+            Template.render(body, html`
+                <div class="grid-status grid-status-error" role="alert">
+                    ${I18n.t(data.status === 404 ? 'detail.notFound' : 'detail.loadError')}
+                </div>
+            `);
+            return;
+        }
+
+        const record = data[this.type];
+        Template.render(body, this.render(record, data.related));
+        document.title = I18n.t('detail.pageTitle', { name: record.name });
+        this.dialog.querySelector('.detail-title')?.focus();
+    },
+
+    hide() {
+        this.currentId = null;
+        this.dialog.close();
+        document.title = this.pageTitle;
+        this.lastFocus?.focus?.();
+    },
+
+    render(record, related = []) {
+        const isBeach = this.type === 'beach';
+        const where = isBeach ? I18n.label('region', record.region) : record.location;
+        const rating = record.rating == null ? '' : Reviews.formatRating(record.rating);
+        const ratingLabel = record.review_count
+            ? I18n.t('review.ratingCount', { rating, count: record.review_count })
+            : I18n.t('card.rating', { rating });
+        const page  = isBeach ? 'beaches.html' : 'attractions.html';
+
+        const badges = isBeach
+            ? record.tags.map(tag => html`<span class="tag tag-blue">${I18n.label('tag', tag)}</span>`)
+            : html`<span class="category-badge ${record.category}">${I18n.t(`category.${record.category}`)}</span>`;
+
+        return html`
+            <img src="${record.image || 'pictures/Tourismlogo.png'}" alt="${record.name}" class="detail-image" width="800" height="450">
+            <div class="detail-content">
+                <div class="detail-badges">${badges}</div>
+                <h2 id="detail-title" class="detail-title" tabindex="-1">${record.name}</h2>
+                <p class="detail-location">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                        <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+                        <circle cx="12" cy="10" r="3"></circle>
+                    </svg>
+                    ${where}
+                    ${rating ? html`<a href="#detail-reviews-title" class="detail-rating" aria-label="${ratingLabel}">★ ${rating}${record.review_count ? ` (${I18n.formatNumber(record.review_count)})` : ''}</a>` : ''}
+                </p>
+                <p class="detail-description">${record.long_description || record.description}</p>
+                ${isBeach && record.activities.length ? html`
+                    <h3 class="detail-subheading">${I18n.t('detail.thingsToDo')}</h3>
+                    <ul class="detail-activities">
+                        ${record.activities.map(activity => html`<li>${I18n.label('activity', activity)}</li>`)}
+                    </ul>
+                ` : ''}
+                <div class="detail-actions">
+                    ${Shortlist.renderToggle(this.type, record, { withText: true })}
+                    <button type="button" class="detail-copy-link">${I18n.t('detail.copyLink')}</button>
+                </div>
+                ${Reviews.renderSection(record)}
+                ${related.length ? html`
+                    <h3 class="detail-subheading">${I18n.t(isBeach ? 'detail.moreBeaches' : 'detail.alsoLike')}</h3>
+                    <ul class="detail-related">
+                        ${related.map(place => html`
+                            <li>
+                                <a href="${page}?id=${place.id}" class="detail-related-link" data-id="${place.id}">
+                                    <img src="${place.image || 'pictures/Tourismlogo.png'}" alt="" width="64" height="48" loading="lazy">
+                                    <span>${place.name}</span>
+                                </a>
+                            </li>
+                        `)}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    async copyLink() {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            Utils.showNotification(I18n.t('detail.linkCopied'), 'success');
+        } catch (error) {
+            Utils.showNotification(I18n.t('common.copyFailed'), 'error');
+        }
+    }
+};
+
+// ==========================================
+// REVIEWS (cards and the detail view)
+// ==========================================
+
+// Visitor reviews: the rating on each card, and in the detail view the
+// approved reviews with a form for sending one. New reviews are checked in
+// admin/reviews.php before they appear (see includes/reviews.php).
+const Reviews = {
+    pageSize: 5,        // REVIEW_PAGE_SIZE in includes/reviews.php
+    bodyMax: 2000,      // REVIEW_BODY_MAX
+
+    formatRating(rating) {
+        return I18n.formatNumber(Number(rating), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    },
+
+    // "★ 4.3 (12)"; nothing for a place without a rating (a beach nobody has reviewed)
+    renderCardRating(place) {
+        if (place.rating == null) return '';
+
+        const rating = this.formatRating(place.rating);
+        const label  = place.review_count
+            ? I18n.t('review.ratingCount', { rating, count: place.review_count })
+            : I18n.t('card.rating', { rating });
+
+        return html`
+            <div class="rating" aria-label="${label}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                    <polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon>
+                </svg>
+                <span class="value">${rating}</span>
+                ${place.review_count ? html`<span class="rating-count" aria-hidden="true">(${I18n.formatNumber(place.review_count)})</span>` : ''}
+            </div>
+        `;
+    },
+
+    // The reviews part of the detail view; record.reviews is the first page
+    renderSection(record) {
+        const reviews = record.reviews || [];
+        const count   = record.review_count || 0;
+        const summary = count
+            ? I18n.t('review.summary', { rating: this.formatRating(record.rating), count })
+            : I18n.t('review.none');
+
+        return html`
+            <section class="detail-reviews" aria-labelledby="detail-reviews-title">
+                <h3 id="detail-reviews-title" class="detail-subheading">${I18n.t('review.heading')}</h3>
+                <p class="review-summary">${summary}</p>
+                <ul class="review-list">${reviews.map(review => this.renderReview(review))}</ul>
+                ${reviews.length < count ? html`<button type="button" class="review-more">${I18n.t('review.more')}</button>` : ''}
+                ${this.renderForm()}
+            </section>
+        `;
+    },
+
+    // One review, marked up as an hReview
+    renderReview(review) {
+        const stars   = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+        const written = new Date(`${review.created_at.replace(' ', 'T')}Z`);
+
+        return html`
+            <li class="review-item hreview">
+                <div class="review-head">
+                    <abbr class="rating review-stars" title="${review.rating}" aria-label="${I18n.t('card.rating', { rating: review.rating })}">${stars}</abbr>
+                    ${review.title ? html`<strong class="summary review-title">${review.title}</strong>` : ''}
+                </div>
+                <p class="description review-body">${review.body}</p>
+                <p class="review-meta">
+                    <span class="reviewer vcard"><span class="fn">${review.name}</span></span>
+                    · <time class="dtreviewed" datetime="${written.toISOString()}">${I18n.formatDate(written, { dateStyle: 'medium' })}</time>
+                </p>
+            </li>
+        `;
+    },
+
+    renderForm() {
+        const t = key => I18n.t(key);
+
+        return html`
+            <form class="review-form" novalidate>
+                <h4 class="review-form-title">${t('review.write')}</h4>
+                <p class="review-form-help" id="review-form-help">${t('review.help')}</p>
+                <fieldset class="review-field review-rating-input" data-field="rating">
+                    <legend class="form-label">${t('review.rating')}</legend>
+                    <div class="review-star-options">
+                        ${[5, 4, 3, 2, 1].map(n => html`
+                            <input type="radio" name="rating" id="review-rating-${n}" value="${n}">
+                            <label for="review-rating-${n}" title="${I18n.t('review.stars', { count: n })}">
+                                <span aria-hidden="true">★</span><span class="sr-only">${I18n.t('review.stars', { count: n })}</span>
+                            </label>
+                        `)}
+                    </div>
+                </fieldset>
+                <div class="review-field" data-field="name">
+                    <label for="review-name" class="form-label">${t('review.name')}</label>
+                    <input type="text" id="review-name" name="name" class="form-input" autocomplete="name" maxlength="60" required>
+                </div>
+                <div class="review-field" data-field="email">
+                    <label for="review-email" class="form-label">${t('review.email')}</label>
+                    <input type="email" id="review-email" name="email" class="form-input" autocomplete="email" required aria-describedby="review-form-help">
+                </div>
+                <div class="review-field" data-field="title">
+                    <label for="review-title" class="form-label">${t('review.title')}</label>
+                    <input type="text" id="review-title" name="title" class="form-input" maxlength="100">
+                </div>
+                <div class="review-field" data-field="body">
+                    <label for="review-body" class="form-label">${t('review.body')}</label>
+                    <textarea id="review-body" name="body" class="form-textarea" rows="4" maxlength="${this.bodyMax}" required></textarea>
+                </div>
+                <div class="review-hp" aria-hidden="true">
+                    <label for="review-website">Website</label>
+                    <input type="text" id="review-website" name="website" tabindex="-1" autocomplete="off">
+                </div>
+                <button type="submit" class="review-submit">${t('review.send')}</button>
+                <p class="review-form-status" role="status"></p>
+            </form>
+        `;
+    },
+
+    // Adds the next page of reviews under the ones shown
+    async loadMore(button, type, id) {
+        const list = button.parentElement.querySelector('.review-list');
+        button.disabled = true;
+
+        const result = await API.fetchReviews(type, id, { limit: this.pageSize, offset: list.children.length });
+        if (!button.isConnected) return;
+
+        if (!result.success) {
+            button.disabled = false;
+            Utils.showNotification(result.error, 'error');
+            return;
+        }
+
+        Template.append(list, result.reviews.map(review => this.renderReview(review)));
+        if (result.hasMore) {
+            button.disabled = false;
+        } else {
+            button.remove();
+        }
+    },
+
+    async submit(form, type, id) {
+        const button = form.querySelector('.review-submit');
+        const review = Object.fromEntries(new FormData(form));
+        review.rating = Number(review.rating || 0);
+
+        this.clearErrors(form);
+        this.setStatus(form, I18n.t('review.sending'));
+        button.disabled = true;
+
+        const result = await API.submitReview(type, id, review);
+        button.disabled = false;
+
+        if (!result.success) {
+            const fieldErrors = result.fieldErrors || {};
+            this.showErrors(form, fieldErrors);
+            this.setStatus(form, Object.keys(fieldErrors).length ? I18n.t('review.fixErrors') : result.error, 'error');
+            return;
+        }
+
+        form.reset();
+        this.setStatus(form, result.message, 'success');
+    },
+
+    // Each server message under its field; the first such field gets focus
+    showErrors(form, fieldErrors) {
+        Object.entries(fieldErrors).forEach(([field, message]) => {
+            const wrapper = form.querySelector(`[data-field="${field}"]`);
+            if (!wrapper) return;
+
+            const error = document.createElement('p');
+            error.className = 'field-error';
+            error.textContent = message;
+            wrapper.classList.add('has-error');
+            wrapper.appendChild(error);
+
+            const input = wrapper.querySelector('input, textarea');
+            input.setAttribute('aria-invalid', 'true');
+        });
+
+        form.querySelector('[aria-invalid]')?.focus();
+    },
+
+    clearErrors(form) {
+        form.querySelectorAll('.field-error').forEach(error => error.remove());
+        form.querySelectorAll('.has-error').forEach(wrapper => wrapper.classList.remove('has-error'));
+        form.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+    },
+
+    setStatus(form, message, state = '') {
+        const status = form.querySelector('.review-form-status');
+        status.textContent = message;
+        status.className   = `review-form-status${state ? ` is-${state}` : ''}`;
+    }
+};
+
+// ==========================================
+// GOA MAP (Attractions & Beaches)
+// ==========================================
+
+// Pins over the self-hosted outline in pictures/goa-map.svg — no tile server needed
+const GoaMap = {
+    // Must match the projection limits of pictures/goa-map.svg
+    bounds: { north: 15.82, south: 14.87, west: 73.65, east: 74.36 },
+    container: null,
+    onSelect: null,
+
+    init(container, onSelect) {
+        if (!container) return;
+
+        this.container = container;
+        this.onSelect  = onSelect;
+
+        Template.render(container, html`
+            <div class="goa-map-canvas">
+                <img src="pictures/goa-map.svg" alt="" class="goa-map-outline" width="411" height="570">
+                <div class="goa-map-pins"></div>
+            </div>
+            <ul class="goa-map-legend" data-i18n-attr="aria-label: map.key" aria-label="${I18n.t('map.key')}"></ul>
+        `);
+        container.hidden = false;
+
+        container.querySelector('.goa-map-pins').addEventListener('click', (e) => {
+            const pin = e.target.closest('.map-pin');
+            if (pin) this.onSelect?.(pin.getAttribute('data-id'));
+        });
+    },
+
+    // places: [{ id, name, category, latitude, longitude }]
+    render(places) {
+        if (!this.container) return;
+
+        const layer = this.container.querySelector('.goa-map-pins');
+        const { north, south, west, east } = this.bounds;
+        const fragment = document.createDocumentFragment();
+        const categories = new Set();
+
+        places.forEach(place => {
+            if (place.latitude === null || place.longitude === null) return;
+
+            const pin = document.createElement('button');
+            pin.type = 'button';
+            pin.className = `map-pin map-pin-${place.category}`;
+            pin.setAttribute('data-id', place.id);
+            pin.setAttribute('aria-label', I18n.t('map.pinLabel', { name: place.name, category: I18n.label('map.category', place.category) }));
+            pin.title = place.name;
+            pin.style.left = `${((place.longitude - west) / (east - west)) * 100}%`;
+            pin.style.top  = `${((north - place.latitude) / (north - south)) * 100}%`;
+
+            fragment.appendChild(pin);
+            categories.add(place.category);
+        });
+
+        layer.replaceChildren(fragment);
+
+        Template.render(this.container.querySelector('.goa-map-legend'), [...categories].map(category => html`
+            <li><span class="map-pin map-pin-${category}" aria-hidden="true"></span>${I18n.label('map.category', category)}</li>
+        `));
+    }
+};
+
+// ==========================================
+// CULTURE PAGE FEATURES
+// ==========================================
+
+const CulturePage = {
+    init() {
+        this.initTimelineAnimations();
+        this.initCardAnimations();
+        EventCalendar.init();
+    },
+
+    initTimelineAnimations() {
+        SharedFeatures.initRevealOnScroll(document.querySelectorAll('.timeline-item'), { from: 'left', threshold: 0.2 });
+    },
+
+    initCardAnimations() {
+        SharedFeatures.initRevealOnScroll(document.querySelectorAll('.highlight-card, .heritage-card'), { stagger: 80 });
+    }
+};
+
+// ==========================================
+// EVENT CALENDAR (culture page, from /api/events)
+// ==========================================
+
+const EventCalendar = {
+    view: 'month',     // 'month' | 'list'
+    month: null,       // first day of the month shown; the list view starts there
+    type: '',          // '' = every type, else one of EVENT_TYPES in includes/events.php
+    listMonths: 12,    // how far ahead the list view reaches
+    loadId: 0,         // answers to an older load() are dropped
+    linkedEntry: null, // entry id from the URL, brought into view once it is rendered
+
+    init() {
+        const calendar = document.getElementById('event-calendar');
+        if (!calendar) return;
+
+        // Search results link to culture.html?month=2026-12#event-<slug>-2026-12-03
+        const today  = new Date();
+        const linked = new URLSearchParams(window.location.search).get('month')?.match(/^(\d{4})-(\d{2})$/);
+        this.month = linked
+            ? new Date(Number(linked[1]), Number(linked[2]) - 1, 1)
+            : new Date(today.getFullYear(), today.getMonth(), 1);
+        if (window.location.hash.startsWith('#event-')) this.linkedEntry = window.location.hash.slice(1);
+
+        calendar.querySelectorAll('.event-nav').forEach(button => button.addEventListener('click', () => {
+            this.month = new Date(this.month.getFullYear(), this.month.getMonth() + Number(button.dataset.step), 1);
+            this.load();
+        }));
+
+        calendar.querySelectorAll('.event-view').forEach(button => button.addEventListener('click', () => {
+            this.view = button.dataset.view;
+            calendar.querySelectorAll('.event-view').forEach(other => other.setAttribute('aria-pressed', String(other === button)));
+            this.load();
+        }));
+
+        document.getElementById('event-type').addEventListener('change', (e) => {
+            this.type = e.target.value;
+            this.load();
+        });
+
+        // Event names and descriptions come from the API in the page's language
+        document.addEventListener('localechange', () => this.load());
+
+        this.load();
+    },
+
+    // A local date as 'YYYY-MM-DD'
+    isoDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    // The days shown: the month, or listMonths months from it
+    range() {
+        const months = this.view === 'list' ? this.listMonths : 1;
+        const last   = new Date(this.month.getFullYear(), this.month.getMonth() + months, 0);
+        return { from: this.isoDate(this.month), to: this.isoDate(last), last };
+    },
+
+    async load() {
+        const body   = document.getElementById('event-calendar-body');
+        const status = document.getElementById('event-status');
+        const range  = this.range();
+        const loadId = ++this.loadId;
+
+        this.renderPeriod(range.last);
+        Utils.renderStatus(status, 'loading', I18n.t('common.loading'));
+
+        const result = await API.fetchEvents({ from: range.from, to: range.to, type: this.type });
+        if (loadId !== this.loadId) return;
+
+        if (!result.success) {
+            body.replaceChildren();
+            Utils.renderStatus(status, 'error', result.error || I18n.t('common.somethingWrong'), () => this.load());
+            return;
+        }
+
+        Utils.renderStatus(status, result.events.length ? null : 'empty',
+            I18n.t(this.view === 'list' ? 'events.noneList' : 'events.noneMonth'));
+        Template.render(body, this.view === 'month'
+            ? [this.renderMonth(result.events), this.renderList(result.events)]
+            : this.renderList(result.events, true));
+
+        const entry = this.linkedEntry && document.getElementById(this.linkedEntry);
+        if (entry) {
+            this.linkedEntry = null;
+            entry.classList.add('is-linked');
+            entry.scrollIntoView({ block: 'start' });
+        }
+    },
+
+    // "November 2026", or "Nov 2026 – Oct 2027" for the list
+    renderPeriod(last) {
+        const period = document.getElementById('event-period');
+        period.textContent = this.view === 'month'
+            ? I18n.formatDate(this.month, { month: 'long', year: 'numeric' })
+            : `${I18n.formatDate(this.month, { month: 'short', year: 'numeric' })} – ${I18n.formatDate(last, { month: 'short', year: 'numeric' })}`;
+    },
+
+    // Monday-first grid of the month; each event on a day links to its entry below
+    renderMonth(events) {
+        const year  = this.month.getFullYear();
+        const month = this.month.getMonth();
+        const today = this.isoDate(new Date());
+        // 1 January 2024 was a Monday
+        const weekdays = Array.from({ length: 7 }, (_, i) => new Date(2024, 0, 1 + i));
+
+        const cells = [
+            ...Array((this.month.getDay() + 6) % 7).fill(null),
+            ...Array.from({ length: new Date(year, month + 1, 0).getDate() }, (_, i) => new Date(year, month, i + 1))
+        ];
+        while (cells.length % 7) cells.push(null);
+
+        const weeks = [];
+        for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+
+        const renderDay = date => {
+            if (!date) return html`<td class="event-day is-outside"></td>`;
+            const iso   = this.isoDate(date);
+            const onDay = events.filter(event => event.start_date <= iso && event.end_date >= iso);
+            return html`
+                <td class="event-day${onDay.length ? ' has-events' : ''}"${iso === today ? html` aria-current="date"` : ''}>
+                    <span class="event-day-number">${I18n.formatNumber(date.getDate())}</span>
+                    ${onDay.map(event => html`
+                        <a href="#${this.entryId(event)}" class="event-chip event-type-${event.type}">${event.name}</a>
+                    `)}
+                </td>
+            `;
+        };
+
+        return html`
+            <table class="event-month">
+                <thead>
+                    <tr>
+                        ${weekdays.map(day => html`
+                            <th scope="col" abbr="${I18n.formatDate(day, { weekday: 'long' })}">${I18n.formatDate(day, { weekday: 'short' })}</th>
+                        `)}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${weeks.map(week => html`<tr>${week.map(renderDay)}</tr>`)}
+                </tbody>
+            </table>
+        `;
+    },
+
+    // The events in date order; the list view puts them under month headings
+    renderList(events, byMonth = false) {
+        if (!events.length) return '';
+        if (!byMonth) {
+            return html`<ol class="event-list">${events.map(event => this.renderEntry(event))}</ol>`;
+        }
+
+        const months = new Map();
+        events.forEach(event => {
+            const key = event.start_date.slice(0, 7);
+            months.set(key, [...(months.get(key) || []), event]);
+        });
+
+        return [...months].map(([key, monthEvents]) => {
+            const [year, month] = key.split('-').map(Number);
+            return html`
+                <h4 class="event-list-month">${I18n.formatDate(new Date(year, month - 1, 1), { month: 'long', year: 'numeric' })}</h4>
+                <ol class="event-list">${monthEvents.map(event => this.renderEntry(event))}</ol>
+            `;
+        });
+    },
+
+    // One occurrence, marked up as an hCalendar vevent
+    renderEntry(event) {
+        const start = html`<time class="dtstart" datetime="${event.start_date}">${Utils.formatDate(event.start_date)}</time>`;
+        const dates = event.start_date === event.end_date
+            ? start
+            : html`${start} – <time class="dtend" datetime="${event.end_date}">${Utils.formatDate(event.end_date)}</time>`;
+
+        return html`
+            <li class="event-entry vevent event-type-${event.type}" id="${this.entryId(event)}">
+                <p class="event-dates">${dates}</p>
+                <div class="event-details">
+                    <h5 class="event-name summary">${event.name}</h5>
+                    <p class="event-meta">
+                        <span class="event-badge">${I18n.label('events.type', event.type)}</span>
+                        <span class="location">${event.location}</span>
+                    </p>
+                    <p class="event-description description">${event.description}</p>
+                </div>
+            </li>
+        `;
+    },
+
+    entryId(event) {
+        return `event-${event.slug}-${event.start_date}`;
+    }
+};
+
+// ==========================================
+// PLAN TRIP PAGE FEATURES
+// ==========================================
+
+const PlanTripPage = {
+    selectedInterests: [],
+    selectedMustSee: [],  // place keys, see initMustSee()
+    placeNames: {},       // place key → name, for must-see places no longer on the shortlist
+    selectedEvents: [],   // event ids, see initStayEvents()
+    stayEvents: [],       // events on during the chosen dates, from /api/events
+    stayEventsLoad: 0,    // answers to an older loadStayEvents() are dropped
+    tripToken: null,      // set once the trip is saved; the form then updates it
+
+    draftSaveTimer: null,
+    flushingQueue: false,
+    queueKey: 'goa-trip-queue',
+
+    schema: null,         // TRIP_SCHEMA from the API, see initValidation()
+    schemaKey: 'goa-trip-schema',
+
+    travelInfo: null,     // prices from the API, see initCostEstimate()
+    travelInfoKey: 'goa-travel-info',
+    travelInfoFailed: false,
+    estimateKey: null,    // what the estimate panel shows, to skip needless redraws
+    tripEstimate: null,   // the server's estimate for the saved itinerary
+    touchedFields: new Set(),
+
+    init() {
+        this.initInterestTags();
+        this.initMustSee();
+        this.initStayEvents();
+        this.initCostEstimate();
+        this.initDateValidation();
+        this.initValidation();
+        this.initFormSubmission();
+        this.initOfflineQueue();
+        document.addEventListener('localechange', () => this.handleLocaleChange());
+        // The draft prompt and trips sent in the background wait for a saved
+        // trip to load, so they are matched against the right one
+        this.loadSavedTrip().then(() => {
+            this.initDraft();
+            OfflineSupport.claimSyncedTrips();
+        });
+    },
+
+    // plan.html?trip=<token> reopens a saved trip for viewing and editing
+    async loadSavedTrip() {
+        const token = new URLSearchParams(window.location.search).get('trip');
+        if (!token || !document.getElementById('trip-form')) return;
+
+        const data = await API.fetchTrip(token);
+        if (!data.success) {
+            Utils.showNotification(I18n.t(data.status === 404 ? 'plan.tripNotFound' : 'plan.tripLoadError'), 'error');
+            return;
+        }
+
+        this.rememberPlaceNames(data.itinerary);
+        this.fillForm(data.trip);
+        this.setTripToken(data.trip.token);
+        if (data.itinerary) {
+            this.renderItinerary(data.itinerary, data.trip.checkinDate, { estimate: data.estimate });
+        }
+    },
+
+    fillForm(trip) {
+        const fields = {
+            'email':            trip.email,
+            'checkin-date':     trip.checkinDate,
+            'checkout-date':    trip.checkoutDate,
+            'travelers':        trip.travelers,
+            'transport':        trip.transport,
+            'special-requests': trip.specialRequests
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value ?? '';
+        });
+
+        this.selectedInterests = [...trip.interests];
+        document.querySelectorAll('.interest-tag').forEach(tag => {
+            tag.classList.toggle('active', this.selectedInterests.includes(tag.getAttribute('data-interest')));
+        });
+
+        this.selectedMustSee = [...(trip.mustSee || [])];
+        this.renderMustSee();
+
+        this.selectedEvents = [...(trip.events || [])];
+        this.loadStayEvents();
+
+        Object.keys(this.fieldInputs).forEach(field => this.clearFieldError(field));
+        this.updateCharCounter();
+        this.updateEstimate();
+    },
+
+    // From now on the form updates this trip; keep its link in the address bar
+    setTripToken(token) {
+        this.tripToken = token;
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('trip', token);
+        history.replaceState(history.state, '', url);
+
+        const submitBtn = document.querySelector('#trip-form .submit-btn');
+        if (submitBtn) submitBtn.textContent = this.submitLabel();
+    },
+
+    submitLabel() {
+        return I18n.t(this.tripToken ? 'plan.submitUpdate' : 'plan.submit');
+    },
+
+    // Everything built here from JavaScript is redrawn in the new language;
+    // the validation messages come from the schema, which the API translates
+    handleLocaleChange() {
+        const submitBtn = document.querySelector('#trip-form .submit-btn');
+        if (submitBtn && !submitBtn.disabled) submitBtn.textContent = this.submitLabel();
+
+        this.loadSchema().then(() => {
+            Object.keys(this.fieldInputs).forEach(field => {
+                const element = document.getElementById(this.fieldInputs[field]);
+                if (element?.getAttribute('aria-invalid') === 'true') this.validateField(field);
+            });
+        });
+        this.updateCharCounter();
+        this.renderMustSee();
+        this.loadStayEvents();
+        this.renderTravelInfo();
+        this.updateEstimate();
+
+        if (this.itinerary && document.getElementById('itinerary-result')) {
+            this.renderItinerary(this.itinerary, this.checkinDate, { scroll: false, estimate: this.tripEstimate });
+        }
+    },
+
+    // Current form values, in the shape the API expects
+    collectForm() {
+        const value = id => document.getElementById(id)?.value ?? '';
+        return {
+            email:           value('email'),
+            checkinDate:     value('checkin-date'),
+            checkoutDate:    value('checkout-date'),
+            travelers:       value('travelers'),
+            transport:       value('transport'),
+            interests:       [...this.selectedInterests],
+            mustSee:         [...this.selectedMustSee],
+            events:          [...this.selectedEvents],
+            specialRequests: value('special-requests')
+        };
+    },
+
+    // ── Field validation ──────────────────────────────────────────────────────
+
+    // API field → the element its error is shown against
+    fieldInputs: {
+        email:           'email',
+        checkinDate:     'checkin-date',
+        checkoutDate:    'checkout-date',
+        travelers:       'travelers',
+        transport:       'transport',
+        interests:       'travel-interests',
+        mustSee:         'must-see',
+        events:          'trip-events',
+        specialRequests: 'special-requests'
+    },
+
+    // The rules come from the server (GET /api/trip/schema). The last copy is
+    // kept in localStorage so the form is still checked when offline; with no
+    // copy at all the server's 422 response is the only check.
+    initValidation() {
+        const form = document.getElementById('trip-form');
+        if (!form) return;
+
+        this.loadSchema();
+
+        Object.keys(this.fieldInputs).forEach(field => this.createErrorElement(field));
+        this.createCharCounter();
+
+        Object.entries(this.fieldInputs).forEach(([field, id]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+
+            // Check when the user leaves a field they've changed (the interest
+            // group as a whole), so tabbing through an empty form stays quiet
+            element.addEventListener('focusout', (e) => {
+                if (this.touchedFields.has(field) && !element.contains(e.relatedTarget)) {
+                    this.validateField(field);
+                }
+            });
+
+            // Once a field shows an error, re-check as it's corrected
+            ['input', 'change', 'click'].forEach(type => element.addEventListener(type, () => {
+                this.touchedFields.add(field);
+                if (element.getAttribute('aria-invalid') === 'true') this.validateField(field);
+            }));
+        });
+
+        // Moving check-in can fix (or break) an already-entered check-out
+        document.getElementById('checkin-date')?.addEventListener('change', () => {
+            if (document.getElementById('checkout-date')?.value) this.validateField('checkoutDate');
+        });
+    },
+
+    // The messages are in the current language, so each language has its own copy
+    async loadSchema() {
+        const key = `${this.schemaKey}:${I18n.locale}`;
+        this.schema = Utils.readStorage(key) || this.schema;
+
+        const data = await API.fetchTripSchema();
+        if (!data.success) return;
+        this.schema = data.fields;
+        Utils.writeStorage(key, data.fields);
+        this.updateCharCounter();
+    },
+
+    // <p class="field-error"> after the field, linked through aria-describedby
+    createErrorElement(field) {
+        const element = document.getElementById(this.fieldInputs[field]);
+        if (!element || document.getElementById(`${element.id}-error`)) return;
+
+        const error = document.createElement('p');
+        error.id        = `${element.id}-error`;
+        error.className = 'field-error';
+        error.hidden    = true;
+        element.closest('.form-group').appendChild(error);
+
+        this.addDescribedBy(element, error.id);
+    },
+
+    createCharCounter() {
+        const textarea = document.getElementById('special-requests');
+        if (!textarea) return;
+
+        const counter = document.createElement('small');
+        counter.id        = 'special-requests-counter';
+        counter.className = 'char-counter';
+        textarea.insertAdjacentElement('afterend', counter);
+
+        this.addDescribedBy(textarea, counter.id);
+        textarea.addEventListener('input', () => this.updateCharCounter());
+        this.updateCharCounter();
+    },
+
+    updateCharCounter() {
+        const textarea = document.getElementById('special-requests');
+        const counter  = document.getElementById('special-requests-counter');
+        const max      = this.schema?.specialRequests?.maxLength;
+        if (!textarea || !counter) return;
+
+        counter.hidden = !max;
+        if (!max) return;
+
+        const length = this.textLength(textarea.value);
+        counter.textContent = I18n.t('plan.charCount', { length, max, count: max });
+        counter.classList.toggle('is-near', length <= max && length > max * 0.9);
+        counter.classList.toggle('is-over', length > max);
+
+        // Only announce the count when it matters, not on every keystroke
+        counter.setAttribute('aria-live', length > max * 0.9 ? 'polite' : 'off');
+    },
+
+    addDescribedBy(element, id) {
+        const ids = (element.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+        if (!ids.includes(id)) element.setAttribute('aria-describedby', [...ids, id].join(' '));
+    },
+
+    // Characters as the server counts them (mb_strlen after trim)
+    textLength(value) {
+        return [...value.trim()].length;
+    },
+
+    // Local date, matching the server's date('Y-m-d')
+    todayISO() {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Client copy of trip_field_error() in includes/validator.php: returns the
+     * schema message for the first rule `field` breaks, or null if it passes.
+     */
+    fieldError(field, trip) {
+        const rule = this.schema?.[field];
+        if (!rule) return null;
+
+        const value = Array.isArray(trip[field]) ? trip[field] : String(trip[field] ?? '').trim();
+        const fail  = broken => rule.messages[broken];
+
+        if (value === '' || value.length === 0) {
+            return rule.required ? fail('required') : null;
+        }
+
+        if (rule.maxLength && typeof value === 'string' && this.textLength(value) > rule.maxLength) {
+            return fail('maxLength');
+        }
+
+        if (rule.maxItems && Array.isArray(value) && value.length > rule.maxItems) {
+            return fail('maxItems');
+        }
+
+        switch (rule.type) {
+            case 'email':
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : fail('invalid');
+
+            case 'date': {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) return fail('invalid');
+                if (rule.notPast && value < this.todayISO()) return fail('notPast');
+                const other = String(trip[rule.after] ?? '').trim();
+                if (!rule.after || !/^\d{4}-\d{2}-\d{2}$/.test(other)) return null;
+                if (value <= other) return fail('after');
+                if (rule.maxNights && (Date.parse(value) - Date.parse(other)) / 86400000 > rule.maxNights) return fail('maxNights');
+                return null;
+            }
+
+            case 'choice':
+                return rule.options.includes(value) ? null : fail('invalid');
+
+            case 'list':
+                return value.every(item => rule.options.includes(item)) ? null : fail('invalid');
+
+            case 'places': {
+                if (!value.every(item => /^(attraction|beach):[1-9]\d{0,9}$/.test(item))) return fail('invalid');
+                const nights = (Date.parse(trip.checkoutDate) - Date.parse(trip.checkinDate)) / 86400000;
+                if (rule.perNight && nights > 0 && new Set(value).size > rule.perNight * nights) return fail('perNight');
+                return null;
+            }
+
+            case 'events':
+                return value.every(item => /^[1-9]\d{0,9}$/.test(String(item))) ? null : fail('invalid');
+        }
+
+        return null;
+    },
+
+    validateField(field, trip = this.collectForm()) {
+        const message = this.fieldError(field, trip);
+        if (message) {
+            this.showFieldError(field, message);
+        } else {
+            this.clearFieldError(field);
+        }
+        return !message;
+    },
+
+    // Checks every field and focuses the first one with a problem
+    validateForm(trip) {
+        const invalid = Object.keys(this.fieldInputs).filter(field => !this.validateField(field, trip));
+        this.focusField(invalid[0]);
+        return invalid.length === 0;
+    },
+
+    showFieldError(field, message) {
+        const element = document.getElementById(this.fieldInputs[field]);
+        const error   = element && document.getElementById(`${element.id}-error`);
+        if (!error) return;
+
+        error.textContent = message;
+        error.hidden      = false;
+        element.setAttribute('aria-invalid', 'true');
+        element.closest('.form-group').classList.add('has-error');
+    },
+
+    clearFieldError(field) {
+        const element = document.getElementById(this.fieldInputs[field]);
+        const error   = element && document.getElementById(`${element.id}-error`);
+        if (!error) return;
+
+        error.textContent = '';
+        error.hidden      = true;
+        element.removeAttribute('aria-invalid');
+        element.closest('.form-group').classList.remove('has-error');
+    },
+
+    focusField(field) {
+        const element = field && document.getElementById(this.fieldInputs[field]);
+        if (!element) return;
+        // The interest and must-see groups aren't focusable; their first control is
+        (element.matches('input, select, textarea') ? element : element.querySelector('button, input'))?.focus();
+    },
+
+    /**
+     * Puts a 422 response's errors on their fields. Uses `fieldErrors` and
+     * falls back to matching each `errors[]` message against the schema.
+     * Returns the messages that don't belong to any field.
+     */
+    showServerErrors(result) {
+        const fieldErrors = { ...result.fieldErrors };
+        const unmatched   = [];
+
+        (result.errors || []).forEach(message => {
+            if (Object.values(fieldErrors).includes(message)) return;
+            const field = Object.keys(this.schema || {})
+                .find(name => Object.values(this.schema[name].messages).includes(message));
+            if (field) fieldErrors[field] = message;
+            else unmatched.push(message);
+        });
+
+        Object.entries(fieldErrors).forEach(([field, message]) => this.showFieldError(field, message));
+        this.focusField(Object.keys(this.fieldInputs).find(field => field in fieldErrors));
+        return unmatched;
+    },
+
+    // ── Draft autosave (localStorage) ─────────────────────────────────────────
+
+    // One draft per trip: unsaved new trips and each saved trip link are kept apart
+    draftKey() {
+        return `goa-trip-draft:${this.tripToken || 'new'}`;
+    },
+
+    initDraft() {
+        const form = document.getElementById('trip-form');
+        if (!form) return;
+
+        const draft = Utils.readStorage(this.draftKey());
+        const current = JSON.stringify(this.collectForm());
+        if (draft && this.hasContent(draft.trip) && JSON.stringify(draft.trip) !== current) {
+            this.showDraftPrompt(draft);
+        }
+
+        form.addEventListener('input',  () => this.scheduleDraftSave());
+        form.addEventListener('change', () => this.scheduleDraftSave());
+    },
+
+    hasContent(trip) {
+        return ['email', 'checkinDate', 'checkoutDate', 'travelers', 'transport', 'specialRequests']
+            .some(field => String(trip[field] || '').trim() !== '') || trip.interests?.length > 0;
+    },
+
+    scheduleDraftSave() {
+        // Editing the form before answering the prompt starts a fresh draft
+        document.getElementById('draft-prompt')?.remove();
+
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = setTimeout(() => {
+            Utils.writeStorage(this.draftKey(), { trip: this.collectForm(), savedAt: Date.now() });
+        }, 400);
+    },
+
+    clearDraft() {
+        clearTimeout(this.draftSaveTimer);
+        Utils.removeStorage(this.draftKey());
+        document.getElementById('draft-prompt')?.remove();
+    },
+
+    showDraftPrompt(draft) {
+        const form = document.getElementById('trip-form');
+        const savedAt = I18n.formatDate(new Date(draft.savedAt), {
+            day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+        });
+
+        const prompt = document.createElement('div');
+        prompt.id        = 'draft-prompt';
+        prompt.className = 'draft-prompt';
+        prompt.setAttribute('role', 'region');
+        prompt.setAttribute('aria-label', I18n.t('draft.label'));
+        Template.render(prompt, html`
+            <p>${I18n.t('draft.prompt', { savedAt })}</p>
+            <div class="draft-prompt-actions">
+                <button type="button" class="draft-restore">${I18n.t('draft.restore')}</button>
+                <button type="button" class="draft-discard">${I18n.t('draft.discard')}</button>
+            </div>
+        `);
+
+        prompt.querySelector('.draft-restore').addEventListener('click', () => {
+            this.fillForm(draft.trip);
+            prompt.remove();
+            Utils.showNotification(I18n.t('draft.restored'), 'success');
+            document.getElementById('email')?.focus();
+        });
+
+        prompt.querySelector('.draft-discard').addEventListener('click', () => {
+            this.clearDraft();
+            prompt.remove();
+        });
+
+        form.prepend(prompt);
+    },
+
+    // ── Offline queue ─────────────────────────────────────────────────────────
+
+    // A submission that couldn't reach the server is handed to the service
+    // worker, which sends it with Background Sync even if the page is closed
+    // (see sw.js). Browsers without Background Sync keep it here instead
+    // (latest one wins) and send it as soon as they are back online.
+    initOfflineQueue() {
+        window.addEventListener('online', () => this.flushQueue());
+        this.flushQueue();
+    },
+
+    queueSubmission(payload) {
+        const entry = { payload, tripToken: this.tripToken, queuedAt: Date.now() };
+
+        if (OfflineSupport.canBackgroundSync()) {
+            OfflineSupport.queueTrip(entry);
+            Utils.showNotification(I18n.t('offline.queuedBackground'), 'info');
+            return;
+        }
+
+        Utils.writeStorage(this.queueKey, entry);
+        Utils.showNotification(I18n.t('offline.queued'), 'info');
+    },
+
+    async flushQueue() {
+        const queued = Utils.readStorage(this.queueKey);
+        if (!queued || !navigator.onLine || this.flushingQueue) return;
+
+        this.flushingQueue = true;
+        const result = await API.submitTripPlan(queued.payload, queued.tripToken);
+        this.flushingQueue = false;
+
+        // Not taken yet (unreachable, rate limited or failing, the cases sw.js
+        // sendTrip() retries too): keep it queued for the next 'online' event
+        // or page load, or until the rate limit runs out
+        if (result.networkError || result.status === 429 || result.status >= 500) {
+            if (result.retryAfter) setTimeout(() => this.flushQueue(), result.retryAfter * 1000);
+            return;
+        }
+
+        // The server answered, so don't send it again even if it was rejected.
+        // A timed-out request may have been saved too, and sending a new trip
+        // again would store it (and email about it) twice.
+        Utils.removeStorage(this.queueKey);
+        if (result.timedOut) {
+            Utils.showNotification(I18n.t('offline.queuedTimedOut'), 'error');
+            return;
+        }
+        this.showSyncedTrip({ entry: queued, result });
+    },
+
+    // A queued trip that has been sent, by the service worker in the background
+    // (collected through OfflineSupport once this page is open) or by
+    // flushQueue(): { entry, result }. Only shown in the form it was queued from.
+    showSyncedTrip({ entry, result }) {
+        if ((entry.tripToken || null) === this.tripToken) {
+            this.handleTripResponse(result, entry.payload, { queued: true });
+            return;
+        }
+
+        // The form now shows a different trip; just report back
+        if (result.success) {
+            Utils.removeStorage(`goa-trip-draft:${entry.tripToken || 'new'}`);
+            Utils.showNotification(`${I18n.t('offline.queuedSent')} ${result.message}`, 'success');
+        } else {
+            Utils.showNotification(`${I18n.t('offline.queuedFailed')} ${result.error || I18n.t('offline.submitAgain')}`, 'error');
+        }
+    },
+
+    // `queued` marks a submission sent later from the offline queue, so the
+    // traveller knows which trip the message is about
+    handleTripResponse(result, payload, { queued = false } = {}) {
+        const prefix = queued ? `${I18n.t('offline.queuedFailed')} ` : '';
+
+        if (result.status === 422) {
+            const unmatched = this.showServerErrors(result);
+            Utils.showNotification(prefix + (unmatched.join(' ') || I18n.t('plan.fixFields')), 'error');
+            return;
+        }
+
+        if (!result.success) {
+            Utils.showNotification(prefix + (result.error || I18n.t('common.somethingWrong')), 'error');
+            return;
+        }
+
+        // The trip is now stored server-side: 201 for a new trip, 200 for an update
+        if (result.status === 201 || (result.status === 200 && this.tripToken)) {
+            this.clearDraft();
+        }
+
+        // Show success and render the itinerary. The form stays filled in so
+        // the traveller can tweak the trip and regenerate.
+        Utils.showNotification(queued ? `${I18n.t('offline.queuedSent')} ${result.message}` : result.message, 'success');
+        if (result.token) {
+            this.setTripToken(result.token);
+        }
+
+        if (result.itinerary) {
+            this.renderItinerary(result.itinerary, payload.checkinDate, { estimate: result.estimate });
+        }
+    },
+
+    initInterestTags() {
+        const interestTags = document.querySelectorAll('.interest-tag');
+        if (!interestTags.length) return;
+        
+        interestTags.forEach(tag => {
+            tag.addEventListener('click', () => {
+                const interest = tag.getAttribute('data-interest');
+                
+                tag.classList.toggle('active');
+                
+                if (this.selectedInterests.includes(interest)) {
+                    this.selectedInterests = this.selectedInterests.filter(i => i !== interest);
+                } else {
+                    this.selectedInterests.push(interest);
+                }
+                
+                this.scheduleDraftSave();
+                this.updateEstimate();
+            });
+            
+            tag.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    tag.click();
+                }
+            });
+        });
+    },
+
+    // ── Must-see places ───────────────────────────────────────────────────────
+
+    // A checkbox per shortlisted place. Everything on the shortlist starts
+    // ticked, as do places saved while this page is open; a saved trip or a
+    // restored draft brings its own choice.
+    initMustSee() {
+        const group = document.getElementById('must-see');
+        if (!group) return;
+
+        this.selectedMustSee = Shortlist.items.map(item => item.key);
+        this.renderMustSee();
+
+        document.addEventListener('shortlistchange', () => {
+            const shown = [...group.querySelectorAll('input')].map(input => input.value);
+            Shortlist.items
+                .filter(item => !shown.includes(item.key) && !this.selectedMustSee.includes(item.key))
+                .forEach(item => this.selectedMustSee.push(item.key));
+            this.renderMustSee();
+        });
+
+        group.addEventListener('change', (e) => {
+            if (!e.target.matches('input[type="checkbox"]')) return;
+            const key = e.target.value;
+            this.selectedMustSee = e.target.checked
+                ? [...this.selectedMustSee, key]
+                : this.selectedMustSee.filter(selected => selected !== key);
+        });
+    },
+
+    // Shortlisted places plus any ticked ones that have since left the
+    // shortlist. A ticked place whose name isn't known can't be shown, so it
+    // is dropped rather than sent unseen.
+    renderMustSee() {
+        const group = document.getElementById('must-see');
+        if (!group) return;
+
+        Shortlist.items.forEach(item => { this.placeNames[item.key] = item.name; });
+        this.selectedMustSee = this.selectedMustSee.filter(key => key in this.placeNames);
+
+        const keys = [...new Set([...Shortlist.items.map(item => item.key), ...this.selectedMustSee])];
+
+        Template.render(group, keys.length
+            ? keys.map(key => html`
+                <label class="must-see-option">
+                    <input type="checkbox" value="${key}"${this.selectedMustSee.includes(key) ? html` checked` : ''}>
+                    <span>${this.placeNames[key]}</span>
+                </label>
+            `)
+            : html`
+                <p class="must-see-empty">
+                    ${I18n.t('plan.mustSeeEmpty')}
+                    <button type="button" class="must-see-open">${I18n.t('plan.mustSeeOpen')}</button>
+                </p>
+            `);
+
+        group.querySelector('.must-see-open')?.addEventListener('click', () => Shortlist.open());
+    },
+
+    // Must-see places are always in the itinerary, so their names can be found there
+    rememberPlaceNames(itinerary) {
+        itinerary?.days.forEach(day => day.activities.forEach(activity => {
+            this.placeNames[`${activity.type}:${activity.id}`] = activity.name;
+        }));
+    },
+
+    // ── Events during the stay ────────────────────────────────────────────────
+
+    // Once both dates are set, the festivals on during the stay are offered
+    // as tick boxes; ticked ones go into the itinerary on the days they're on
+    initStayEvents() {
+        const group = document.getElementById('trip-events');
+        if (!group) return;
+
+        ['checkin-date', 'checkout-date'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.loadStayEvents());
+        });
+
+        group.addEventListener('change', (e) => {
+            if (!e.target.matches('input[type="checkbox"]')) return;
+            const id = Number(e.target.value);
+            this.selectedEvents = e.target.checked
+                ? [...this.selectedEvents, id]
+                : this.selectedEvents.filter(selected => selected !== id);
+        });
+
+        this.loadStayEvents();
+    },
+
+    // The nights of the stay, as the itinerary's days: check-in to the night
+    // before check-out (stay_events() in includes/events.php)
+    async loadStayEvents() {
+        if (!document.getElementById('trip-events')) return;
+
+        const { checkinDate, checkoutDate } = this.collectForm();
+        const loadId = ++this.stayEventsLoad;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(checkinDate) || !/^\d{4}-\d{2}-\d{2}$/.test(checkoutDate) || checkoutDate <= checkinDate) {
+            this.stayEvents = [];
+            this.renderStayEvents();
+            return;
+        }
+
+        const [year, month, day] = checkoutDate.split('-').map(Number);
+        const result = await API.fetchEvents({ from: checkinDate, to: EventCalendar.isoDate(new Date(year, month - 1, day - 1)) });
+        // Offline the choice is kept as it is; the server checks it on sending
+        if (loadId !== this.stayEventsLoad || !result.success) return;
+
+        this.stayEvents = result.events;
+        this.renderStayEvents();
+    },
+
+    // One tick box per event, even if it is on twice during the stay. A
+    // ticked event that isn't on any more is dropped rather than sent unseen.
+    renderStayEvents() {
+        const group = document.getElementById('trip-events');
+        if (!group) return;
+
+        const events = this.stayEvents.filter((event, index, all) => all.findIndex(other => other.id === event.id) === index);
+        const dates  = event => event.start_date === event.end_date
+            ? Utils.formatDate(event.start_date)
+            : `${Utils.formatDate(event.start_date)} – ${Utils.formatDate(event.end_date)}`;
+
+        this.selectedEvents = this.selectedEvents.filter(id => events.some(event => event.id === id));
+        group.closest('.form-group').hidden = events.length === 0;
+        Template.render(group, events.map(event => html`
+            <label class="must-see-option">
+                <input type="checkbox" value="${event.id}"${this.selectedEvents.includes(event.id) ? html` checked` : ''}>
+                <span>${event.name} <small class="trip-event-dates">${dates(event)}</small></span>
+            </label>
+        `));
+    },
+
+    // ── Cost estimate ─────────────────────────────────────────────────────────
+
+    // Prices come from GET /api/travel-info; the last copy is kept in
+    // localStorage, like the schema, so the estimate still works offline.
+    // It is worked out here on every change rather than fetched, which would
+    // soon run into the API's rate limit.
+    initCostEstimate() {
+        const form = document.getElementById('trip-form');
+        if (!form) return;
+
+        this.travelInfo = Utils.readStorage(this.travelInfoKey);
+        this.renderTravelInfo();
+        this.updateEstimate();
+
+        form.addEventListener('input',  () => this.updateEstimate());
+        form.addEventListener('change', () => this.updateEstimate());
+
+        API.fetchTravelInfo().then(data => {
+            if (!data.success) {
+                this.travelInfoFailed = true;
+                this.updateEstimate({ force: true });
+                return;
+            }
+            const { success, status, ...info } = data;
+            this.travelInfo = info;
+            Utils.writeStorage(this.travelInfoKey, info);
+            this.renderTravelInfo();
+            this.updateEstimate({ force: true });
+        });
+    },
+
+    /**
+     * Client copy of estimate_trip_cost() in includes/costs.php, using the
+     * figures from GET /api/travel-info. Returns the same shape, or null
+     * until the dates and party size are filled in.
+     */
+    estimateCost(info, trip) {
+        const isDate    = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+        const travelers = parseInt(trip.travelers, 10);
+        if (!info || !isDate(trip.checkinDate) || !isDate(trip.checkoutDate) || !(travelers >= 1)) return null;
+
+        // Date-only ISO strings parse as midnight UTC, so whole days apart
+        const start  = Date.parse(trip.checkinDate);
+        const nights = Math.round((Date.parse(trip.checkoutDate) - start) / 86400000);
+        if (nights < 1) return null;
+
+        const option = this.transportOption(info, trip.transport);
+        const rates  = Object.entries(info.rates.interestPerDay)
+            .filter(([interest]) => trip.interests.includes(interest))
+            .map(([, rate]) => rate);
+        const activityPerDay = rates.length ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : 0;
+
+        let stay = 0;
+        let activities = 0;
+        const nightsBySeason = new Map();
+
+        for (let night = 0; night < nights; night++) {
+            const season = this.seasonFor(info, new Date(start + night * 86400000).getUTCMonth() + 1);
+            stay       += season.stayPerNight;
+            activities += activityPerDay * season.priceFactor;
+            nightsBySeason.set(season.slug, (nightsBySeason.get(season.slug) || 0) + 1);
         }
+
+        const vehicles     = option.per === 'person' ? travelers : Math.ceil(travelers / option.capacity);
+        const transportSum = vehicles * option.dailyCost * nights;
+        const item = (key, perPerson) => ({ key, perPerson, group: perPerson * travelers });
+
+        const items = [
+            item('stay', stay),
+            item('food', info.rates.foodPerDay * nights),
+            item('activities', Math.round(activities)),
+            { key: 'transport', perPerson: Math.round(transportSum / travelers), group: transportSum }
+        ];
+
+        return {
+            currency:  info.currency,
+            nights,
+            travelers,
+            transport: option.slug,
+            seasons:   [...nightsBySeason].map(([slug, count]) => ({ slug, nights: count })),
+            items,
+            perPerson: items.reduce((sum, entry) => sum + entry.perPerson, 0),
+            group:     items.reduce((sum, entry) => sum + entry.group, 0),
+            package:   this.packageFor(info, trip, start, nights, travelers)
+        };
+    },
+
+    seasonFor(info, month) {
+        return info.seasons.find(season => season.months.includes(month)) || info.seasons[0];
+    },
+
+    transportOption(info, slug) {
+        return info.transport.find(option => option.slug === slug)
+            || info.transport.find(option => option.slug === info.rates.defaultTransport)
+            || info.transport[0];
+    },
+
+    // Mirrors cost_package_for(): most shared interests, then the longest
+    // package that fits the stay, priced by the check-in season
+    packageFor(info, trip, start, nights, travelers) {
+        let best = null;
+        let bestShared = 0;
+
+        info.packages.forEach(candidate => {
+            const shared = candidate.interests.filter(interest => trip.interests.includes(interest)).length;
+            if (shared === 0 || candidate.days > nights + 1) return;
+            if (shared > bestShared || (shared === bestShared && candidate.days > best.days)) {
+                best = candidate;
+                bestShared = shared;
+            }
+        });
+
+        if (!best) return null;
+
+        const season    = this.seasonFor(info, new Date(start).getUTCMonth() + 1);
+        const perPerson = Math.round(best.pricePerPerson * season.priceFactor);
+        return { slug: best.slug, days: best.days, perPerson, group: perPerson * travelers };
     },
 
-    initCardAnimations() {
-        const cards = document.querySelectorAll('.highlight-card, .heritage-card');
-        if (!cards.length) return;
-        
-        if ('IntersectionObserver' in window) {
-            const observer = new IntersectionObserver((entries) => {
-                entries.forEach((entry, index) => {
-                    if (entry.isIntersecting) {
-                        setTimeout(() => {
-                            entry.target.style.opacity = '1';
-                            entry.target.style.transform = 'translateY(0)';
-                        }, index * 80);
-                        observer.unobserve(entry.target);
-                    }
-                });
-            }, {
-                threshold: 0.1
-            });
-            
-            cards.forEach(card => {
-                card.style.opacity = '0';
-                card.style.transform = 'translateY(30px)';
-                card.style.transition = 'opacity 0.5s ease, transform 0.5s ease';
-                observer.observe(card);
+    // Redraws the estimate beside the form; the total is announced separately
+    // (#cost-estimate-status) so screen readers don't hear the whole table
+    updateEstimate({ force = false } = {}) {
+        const body   = document.getElementById('cost-estimate-body');
+        const status = document.getElementById('cost-estimate-status');
+        if (!body) return;
+
+        const estimate = this.estimateCost(this.travelInfo, this.collectForm());
+        const key      = `${I18n.locale}:${JSON.stringify(estimate)}`;
+        if (key === this.estimateKey && !force) return;
+        this.estimateKey = key;
+
+        if (!estimate) {
+            const message = !this.travelInfo && this.travelInfoFailed ? 'estimate.unavailable' : 'estimate.empty';
+            Template.render(body, html`<p class="cost-estimate-empty">${I18n.t(message)}</p>`);
+            if (status) status.textContent = '';
+            return;
+        }
+
+        Template.render(body, this.renderCostTable(estimate));
+        if (status) {
+            status.textContent = I18n.t('estimate.announce', {
+                perPerson: I18n.formatCurrency(estimate.perPerson, estimate.currency),
+                group:     I18n.formatCurrency(estimate.group, estimate.currency)
             });
         }
-    }
-};
+    },
 
-// ==========================================
-// PLAN TRIP PAGE FEATURES
-// ==========================================
+    // Itemised table for an estimate from estimateCost() or from the server
+    renderCostTable(estimate) {
+        const money = amount => I18n.formatCurrency(amount, estimate.currency);
+        const pkg   = estimate.package;
 
-const PlanTripPage = {
-    selectedInterests: [],
+        return html`
+            <table class="cost-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${I18n.t('estimate.cost')}</th>
+                        <th scope="col">${I18n.t('estimate.perPerson')}</th>
+                        <th scope="col">${I18n.t('estimate.group', { count: estimate.travelers })}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${estimate.items.map(item => html`
+                        <tr>
+                            <th scope="row">
+                                ${I18n.label('estimate.item', item.key)}
+                                <small>${this.costItemDetail(item, estimate)}</small>
+                            </th>
+                            <td>${money(item.perPerson)}</td>
+                            <td>${money(item.group)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th scope="row">${I18n.t('estimate.total')}</th>
+                        <td>${money(estimate.perPerson)}</td>
+                        <td>${money(estimate.group)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+            ${pkg ? html`
+                <p class="cost-estimate-package">
+                    ${I18n.t('estimate.package', {
+                        name:  this.travelText('package', pkg.slug, 'name'),
+                        count: pkg.days,
+                        price: I18n.formatCurrency(pkg.perPerson, estimate.currency)
+                    })}
+                </p>
+            ` : ''}
+            <p class="cost-estimate-note">${I18n.t('estimate.note')}</p>
+        `;
+    },
 
-    init() {
-        this.initInterestTags();
-        this.initDateValidation();
-        this.initFormSubmission();
+    costItemDetail(item, estimate) {
+        switch (item.key) {
+            case 'stay':
+                return estimate.seasons
+                    .map(season => I18n.t('estimate.seasonNights', { count: season.nights, season: this.travelText('season', season.slug, 'name') }))
+                    .join(', ');
+            case 'food':
+                return I18n.t('estimate.foodDetail', { count: estimate.nights });
+            case 'activities':
+                return I18n.t('estimate.activitiesDetail');
+            case 'transport':
+                return this.travelText('transport', estimate.transport, 'name');
+        }
+        return '';
     },
 
-    initInterestTags() {
-        const interestTags = document.querySelectorAll('.interest-tag');
-        if (!interestTags.length) return;
-        
-        interestTags.forEach(tag => {
-            tag.addEventListener('click', () => {
-                const interest = tag.getAttribute('data-interest');
-                
-                tag.classList.toggle('active');
-                
-                if (this.selectedInterests.includes(interest)) {
-                    this.selectedInterests = this.selectedInterests.filter(i => i !== interest);
-                } else {
-                    this.selectedInterests.push(interest);
-                }
-                
-                console.log('Selected interests:', this.selectedInterests);
-            });
-            
-            tag.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    tag.click();
-                }
-            });
+    /**
+     * A season's, transport option's or package's text in the current
+     * language: "travel.<kind>.<slug>.<field>" from the catalogue, else the
+     * English from the database, else the slug.
+     */
+    travelText(kind, slug, field) {
+        const key = `travel.${kind}.${slug}.${field}`;
+        if (I18n.has(key)) return I18n.t(key);
+        const list = { season: 'seasons', transport: 'transport', package: 'packages' }[kind];
+        return this.travelInfo?.[list].find(record => record.slug === slug)?.[field] ?? slug;
+    },
+
+    // ── When to Visit / Getting Around / Popular Packages ────────────────────
+
+    // Icons for the transport cards; options added later get the taxi's
+    transportIcons: {
+        'taxi': html`<path d="M5 17h14v2a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2v-2z"/><path d="M5 17H3a2 2 0 0 1-2-2V9a2 2 0 0 1 2-2h18a2 2 0 0 1 2 2v6a2 2 0 0 1-2 2h-2"/><circle cx="7" cy="17" r="2"/><circle cx="17" cy="17" r="2"/>`,
+        'bike': html`<circle cx="18.5" cy="17.5" r="3.5"/><circle cx="5.5" cy="17.5" r="3.5"/><circle cx="15" cy="5" r="1"/><path d="M12 17V6l3-3"/><path d="M6 17l3-8 4 2"/>`,
+        'bus': html`<path d="M5 11h14M5 11v6a2 2 0 0 0 2 2h10a2 2 0 0 0 2-2v-6M5 11V6a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2v5"/><circle cx="8" cy="16" r="1"/><circle cx="16" cy="16" r="1"/>`,
+        'self-drive': html`<path d="M5 17h14v2a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2v-2z"/><path d="M16 3h2a2 2 0 0 1 2 2v12"/><path d="M4 17V5a2 2 0 0 1 2-2h2"/><circle cx="7" cy="17" r="2"/><circle cx="17" cy="17" r="2"/>`
+    },
+
+    // Replaces the static cards in plan.html with the ones from the database,
+    // and the transport select's options with the same list
+    renderTravelInfo() {
+        const info = this.travelInfo;
+        if (!info) return;
+
+        const money = amount => I18n.formatCurrency(amount, info.currency);
+
+        const seasonGrid = document.getElementById('season-grid');
+        if (seasonGrid) {
+            Template.render(seasonGrid, info.seasons.map(season => html`
+                <article class="season-card">
+                    <div class="season-header">
+                        <h3 class="season-name">${this.travelText('season', season.slug, 'name')}</h3>
+                        <span class="season-period">${this.seasonPeriod(season.months)}</span>
+                    </div>
+                    <p class="season-description">${this.travelText('season', season.slug, 'description')}</p>
+                    <p class="season-price">${I18n.t('travel.stayFrom', { price: money(season.stayPerNight) })}</p>
+                    <div class="season-pros-cons">
+                        <div class="season-pro">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                                <polyline points="20 6 9 17 4 12"></polyline>
+                            </svg>
+                            <span>${this.travelText('season', season.slug, 'pro')}</span>
+                        </div>
+                        <div class="season-con">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                                <line x1="18" y1="6" x2="6" y2="18"></line>
+                                <line x1="6" y1="6" x2="18" y2="18"></line>
+                            </svg>
+                            <span>${this.travelText('season', season.slug, 'con')}</span>
+                        </div>
+                    </div>
+                </article>
+            `));
+        }
+
+        const transportGrid = document.getElementById('transport-grid');
+        if (transportGrid) {
+            Template.render(transportGrid, info.transport.map(option => html`
+                <article class="transport-card" id="transport-${option.slug}">
+                    <div class="transport-icon">
+                        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            ${this.transportIcons[option.slug] || this.transportIcons.taxi}
+                        </svg>
+                    </div>
+                    <h3 class="transport-name">${this.travelText('transport', option.slug, 'name')}</h3>
+                    <p class="transport-description">${this.travelText('transport', option.slug, 'description')}</p>
+                    <p class="transport-price">${option.per === 'person'
+                        ? I18n.t('travel.pricePerPerson', { price: money(option.dailyCost) })
+                        : I18n.t('travel.pricePerVehicle', { price: money(option.dailyCost), count: option.capacity })}</p>
+                </article>
+            `));
+        }
+
+        // Packages are advertised at their lowest price of the year
+        const lowestFactor = Math.min(...info.seasons.map(season => season.priceFactor));
+        const packagesGrid = document.getElementById('packages-grid');
+        if (packagesGrid) {
+            Template.render(packagesGrid, info.packages.map(pkg => html`
+                <article class="package-card">
+                    <div class="package-image-wrapper">
+                        <img src="${pkg.image}" alt="${this.travelText('package', pkg.slug, 'description')}" class="package-image" loading="lazy">
+                    </div>
+                    <div class="heritage-overlay">
+                        <h3 class="heritage-name">${this.travelText('package', pkg.slug, 'name')}</h3>
+                        <p class="heritage-subtitle">${this.travelText('package', pkg.slug, 'description')}</p>
+                        <p class="package-price">${I18n.t('travel.packageFrom', { price: money(Math.round(pkg.pricePerPerson * lowestFactor)) })}</p>
+                    </div>
+                    <div class="package-badge">${I18n.t('travel.days', { count: pkg.days })}</div>
+                </article>
+            `));
+        }
+
+        const select = document.getElementById('transport');
+        if (select) {
+            const current = select.value;
+            [...select.options].slice(1).forEach(option => option.remove());
+            info.transport.forEach(option => select.add(new Option(this.travelText('transport', option.slug, 'name'), option.slug)));
+            select.value = current;
+        }
+    },
+
+    // [11, 12, 1, 2] → "November – February"; [3, 4, 5, 10] → "March – May, October"
+    seasonPeriod(months) {
+        const runs = [];
+        [...new Set(months)].sort((a, b) => a - b).forEach(month => {
+            const run = runs[runs.length - 1];
+            if (run && month === run[run.length - 1] + 1) run.push(month);
+            else runs.push([month]);
         });
+
+        // A run ending in December carries on into January
+        if (runs.length > 1 && runs[0][0] === 1 && runs[runs.length - 1].at(-1) === 12) {
+            runs[runs.length - 1].push(...runs.shift());
+        }
+
+        const name = month => I18n.formatDate(new Date(2000, month - 1, 1), { month: 'long' });
+        return runs
+            .map(run => run.length > 1 ? I18n.t('travel.monthRange', { from: name(run[0]), to: name(run.at(-1)) }) : name(run[0]))
+            .join(', ');
     },
 
     initDateValidation() {
@@ -596,37 +3540,6 @@ const PlanTripPage = {
         });
     },
 
-    validateDates(checkinDate, checkoutDate) {
-        const checkin = new Date(checkinDate);
-        const checkout = new Date(checkoutDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        if (checkin < today) {
-            return { valid: false, message: 'Check-in date must be today or later' };
-        }
-        
-        if (checkout <= checkin) {
-            return { valid: false, message: 'Check-out date must be after check-in date' };
-        }
-        
-        return { valid: true };
-    },
-
-    validateEmail(email) {
-        if (!email || email.trim() === '') {
-            return { valid: false, message: 'Please enter your email address' };
-        }
-        
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        
-        if (!emailRegex.test(email)) {
-            return { valid: false, message: 'Please enter a valid email address' };
-        }
-        
-        return { valid: true };
-    },
-
     // ── UPDATED: now calls the real PHP backend ────────────────────────────────
     initFormSubmission() {
         const form = document.getElementById('trip-form');
@@ -636,116 +3549,237 @@ const PlanTripPage = {
             e.preventDefault();
 
             // Collect form data
-            const formData        = new FormData(form);
-            const email           = formData.get('email');
-            const checkinDate     = formData.get('checkin-date');
-            const checkoutDate    = formData.get('checkout-date');
-            const travelers       = formData.get('travelers');
-            const specialRequests = formData.get('special-requests');
-
-            // Client-side validation
-            const emailValidation = this.validateEmail(email);
-            if (!emailValidation.valid) {
-                Utils.showNotification(emailValidation.message, 'error');
-                document.getElementById('email')?.focus();
-                return;
-            }
-
-            const dateValidation = this.validateDates(checkinDate, checkoutDate);
-            if (!dateValidation.valid) {
-                Utils.showNotification(dateValidation.message, 'error');
-                return;
-            }
+            const payload = this.collectForm();
 
-            if (!travelers) {
-                Utils.showNotification('Please select number of travelers', 'error');
-                return;
-            }
+            // Errors are shown next to each field; the first one gets focus
+            if (!this.validateForm(payload)) return;
 
-            if (this.selectedInterests.length === 0) {
-                Utils.showNotification('Please select at least one travel interest', 'error');
+            if (!navigator.onLine) {
+                this.queueSubmission(payload);
                 return;
             }
 
             // Loading state
             const submitBtn    = form.querySelector('.submit-btn');
-            const originalText = submitBtn.textContent;
-            submitBtn.textContent = 'Creating Itinerary...';
+            submitBtn.textContent = I18n.t(this.tripToken ? 'plan.submitUpdating' : 'plan.submitCreating');
             submitBtn.disabled    = true;
 
-            try {
-                // Step 1: Fetch CSRF token from server
-                const csrfResponse = await fetch(`${API.baseURL}/csrf-token`);
-                if (!csrfResponse.ok) throw new Error('Could not fetch security token');
-                const { token: csrfToken } = await csrfResponse.json();
-
-                // Step 2: Submit trip plan with CSRF token in header
-                const response = await fetch(`${API.baseURL}/trip/create-itinerary`, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-Token': csrfToken,
-                    },
-                    body: JSON.stringify({
-                        email,
-                        checkinDate,
-                        checkoutDate,
-                        travelers,
-                        interests:       this.selectedInterests,
-                        specialRequests: specialRequests || '',
-                    }),
-                });
-
-                const data = await response.json();
-
-                if (!response.ok) {
-                    const msg = data.errors?.join(' ') || data.error || 'Something went wrong.';
-                    Utils.showNotification(msg, 'error');
-                    return;
-                }
-
-                // Step 3: Show success and render the itinerary
-                Utils.showNotification(data.message, 'success');
-                form.reset();
-                this.selectedInterests = [];
-                document.querySelectorAll('.interest-tag').forEach(t => t.classList.remove('active'));
+            const result = await API.submitTripPlan(payload, this.tripToken);
 
-                if (data.itinerary) {
-                    this.renderItinerary(data.itinerary);
-                }
+            submitBtn.textContent = this.submitLabel();
+            submitBtn.disabled    = false;
 
-            } catch (err) {
-                console.error('Trip form error:', err);
-                Utils.showNotification('Network error. Please check your connection and try again.', 'error');
-            } finally {
-                submitBtn.textContent = originalText;
-                submitBtn.disabled    = false;
+            if (result.networkError) {
+                this.queueSubmission(payload);
+                return;
             }
+            this.handleTripResponse(result, payload);
         });
     },
 
-    // Renders the itinerary returned by the API below the form
-    renderItinerary(itinerary) {
+    // Renders the itinerary returned by the API below the form, with the
+    // server's cost estimate for it (trips saved before estimates have none)
+    renderItinerary(itinerary, checkinDate, { scroll = true, estimate = null } = {}) {
         document.getElementById('itinerary-result')?.remove();
+        this.itinerary    = itinerary;
+        this.checkinDate  = checkinDate;
+        this.tripEstimate = estimate;
+        this.rememberPlaceNames(itinerary);
 
         const container = document.createElement('div');
-        container.id    = 'itinerary-result';
-        container.style.cssText = 'margin-top:2rem;padding:1.5rem;background:#fff8f4;border:1px solid #f4a261;border-radius:12px;';
-        container.innerHTML = `
-            <h3 style="margin-bottom:1rem;color:#e76f51;">🗺️ Your ${itinerary.nights}-Night Itinerary</h3>
-            ${itinerary.days.map(day => `
-                <div style="margin-bottom:1rem;">
-                    <strong>${day.title}</strong>
-                    <ul style="margin-top:.4rem;padding-left:1.2rem;">
-                        ${day.activities.map(a => `<li>${a}</li>`).join('')}
-                    </ul>
-                </div>
-            `).join('')}
-        `;
+        container.id        = 'itinerary-result';
+        container.className = 'itinerary-result';
+        Template.render(container, html`
+            <h3 class="itinerary-title">🗺️ ${I18n.t('itinerary.title', { count: itinerary.nights })}</h3>
+            ${itinerary.days.map(day => html`
+                <section class="itinerary-day">
+                    <strong class="itinerary-day-title">${this.dayTitle(day)}</strong>
+                    <time datetime="${day.date}" class="itinerary-day-date">${Utils.formatDate(day.date)}</time>
+                    ${day.events?.length ? html`
+                        <ul class="itinerary-events">
+                            ${day.events.map(event => html`
+                                <li>
+                                    <span class="itinerary-event">${I18n.t('itinerary.event')}</span>
+                                    ${event.name} <small>· ${event.location}</small>
+                                </li>
+                            `)}
+                        </ul>
+                    ` : ''}
+                    ${day.activities.length ? html`
+                        <ul class="itinerary-activities">
+                            ${day.activities.map(activity => this.renderActivity(activity))}
+                        </ul>
+                    ` : day.events?.length ? '' : html`
+                        <p class="itinerary-free-day">${I18n.t('itinerary.freeDay')}</p>
+                    `}
+                </section>
+            `)}
+            ${estimate ? html`
+                <section class="itinerary-estimate">
+                    <strong class="itinerary-estimate-title">${I18n.t('estimate.itineraryTitle')}</strong>
+                    ${this.renderCostTable(estimate)}
+                </section>
+            ` : ''}
+            <div class="itinerary-actions">
+                <button type="button" class="itinerary-action" data-export="ics">${I18n.t('itinerary.addToCalendar')}</button>
+                <button type="button" class="itinerary-action" data-export="print">${I18n.t('itinerary.print')}</button>
+            </div>
+            ${this.tripToken ? html`
+                <p class="itinerary-link">
+                    ${I18n.t('itinerary.privateLink')}
+                    <a href="plan.html?trip=${this.tripToken}" class="trip-link">plan.html?trip=…</a>
+                    <button type="button" class="trip-link-copy">${I18n.t('itinerary.copyLink')}</button>
+                </p>
+            ` : ''}
+        `);
+
+        container.querySelector('[data-export="ics"]').addEventListener('click', () => this.downloadCalendar());
+        container.querySelector('[data-export="print"]').addEventListener('click', () => this.printItinerary());
+
+        container.querySelector('.trip-link-copy')?.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(new URL(`plan.html?trip=${this.tripToken}`, window.location.href).href);
+                Utils.showNotification(I18n.t('itinerary.linkCopied'), 'success');
+            } catch (error) {
+                Utils.showNotification(I18n.t('common.copyFailed'), 'error');
+            }
+        });
 
         const form = document.getElementById('trip-form');
         form?.parentNode?.insertBefore(container, form.nextSibling);
-        container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (scroll) container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    // "Day 2 · North Goa" in the current language; a day with no places is
+    // named after its first event. Itineraries saved before days carried an
+    // areaKey keep their English title.
+    dayTitle(day) {
+        if (day.areaKey === undefined) return day.title;
+        if (day.areaKey) {
+            return I18n.t('itinerary.dayTitle', { day: day.day, area: I18n.label('itinerary.area', day.areaKey) });
+        }
+        return day.events?.length
+            ? I18n.t('itinerary.dayTitle', { day: day.day, area: day.events[0].name })
+            : I18n.t('itinerary.dayTitleFree', { day: day.day });
+    },
+
+    // Print only the itinerary, one day per page (see "ITINERARY PRINT" in styles.css)
+    printItinerary() {
+        document.body.classList.add('print-itinerary');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-itinerary'), { once: true });
+        window.print();
+    },
+
+    downloadCalendar() {
+        const blob = new Blob([this.buildCalendar(this.itinerary, this.checkinDate)], { type: 'text/calendar;charset=utf-8' });
+        const link = document.createElement('a');
+        link.href     = URL.createObjectURL(blob);
+        link.download = `goa-trip-${this.checkinDate}.ics`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    },
+
+    // RFC 5545 calendar, one event per activity in Goa local time and an
+    // all-day one per festival day, day 1 = check-in. Mirrors
+    // itinerary_to_ics() in includes/calendar.php.
+    buildCalendar(itinerary, checkinDate) {
+        const escape = text => String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        const [year, month, date] = checkinDate.split('-').map(Number);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Visit Goa//Trip Planner//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            'X-WR-CALNAME:My Goa trip',
+            'BEGIN:VTIMEZONE',
+            'TZID:Asia/Kolkata',
+            'BEGIN:STANDARD',
+            'DTSTART:19700101T000000',
+            'TZOFFSETFROM:+0530',
+            'TZOFFSETTO:+0530',
+            'TZNAME:IST',
+            'END:STANDARD',
+            'END:VTIMEZONE'
+        ];
+
+        itinerary.days.forEach(day => {
+            const ymd     = new Date(Date.UTC(year, month - 1, date + day.day - 1)).toISOString().slice(0, 10).replace(/-/g, '');
+            const nextYmd = new Date(Date.UTC(year, month - 1, date + day.day)).toISOString().slice(0, 10).replace(/-/g, '');
+
+            day.activities.forEach(activity => {
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${ymd}-${activity.slot}-${activity.type}-${activity.id}@visit-goa`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;TZID=Asia/Kolkata:${ymd}T${activity.start.replace(':', '')}00`,
+                    `DTEND;TZID=Asia/Kolkata:${ymd}T${activity.end.replace(':', '')}00`,
+                    `SUMMARY:${escape(activity.name)}`,
+                    `DESCRIPTION:${escape(day.title)}`,
+                    'END:VEVENT'
+                );
+            });
+
+            (day.events || []).forEach(event => {
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${ymd}-event-${event.id}@visit-goa`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${ymd}`,
+                    `DTEND;VALUE=DATE:${nextYmd}`,
+                    `SUMMARY:${escape(event.name)}`,
+                    `LOCATION:${escape(event.location)}`,
+                    'TRANSP:TRANSPARENT',
+                    'END:VEVENT'
+                );
+            });
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldCalendarLine(line)).join('\r\n') + '\r\n';
+    },
+
+    // Content lines are limited to 75 octets; continuation lines start with a space
+    foldCalendarLine(line) {
+        const encoder = new TextEncoder();
+        let folded = '';
+        let length = 0;
+
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            if (length + size > 75) {
+                folded += '\r\n ';
+                length = 1;
+            }
+            folded += char;
+            length += size;
+        }
+
+        return folded;
+    },
+
+    // Each activity links to the place's detail view on its listing page
+    renderActivity(activity) {
+        const page = activity.type === 'beach' ? 'beaches.html' : 'attractions.html';
+
+        return html`
+            <li>
+                <span class="itinerary-slot">
+                    ${I18n.label('itinerary.slot', activity.slot)}
+                    <small>${activity.start}–${activity.end}</small>
+                </span>
+                <a href="${page}?id=${activity.id}">${activity.name}</a>
+                ${activity.mustSee ? html`<span class="itinerary-must-see">${I18n.t('itinerary.mustSee')}</span>` : ''}
+            </li>
+        `;
     }
 };
 
@@ -760,31 +3794,7 @@ const HomePage = {
     },
 
     initFeatureCards() {
-        const cards = document.querySelectorAll('.feature-card');
-        if (!cards.length) return;
-        
-        if ('IntersectionObserver' in window) {
-            const observer = new IntersectionObserver((entries) => {
-                entries.forEach((entry, index) => {
-                    if (entry.isIntersecting) {
-                        setTimeout(() => {
-                            entry.target.style.opacity = '1';
-                            entry.target.style.transform = 'translateY(0)';
-                        }, index * 100);
-                        observer.unobserve(entry.target);
-                    }
-                });
-            }, {
-                threshold: 0.1
-            });
-            
-            cards.forEach(card => {
-                card.style.opacity = '0';
-                card.style.transform = 'translateY(30px)';
-                card.style.transition = 'opacity 0.5s ease, transform 0.5s ease';
-                observer.observe(card);
-            });
-        }
+        SharedFeatures.initRevealOnScroll(document.querySelectorAll('.feature-card'));
     },
 
     renderTeamMembers() {
@@ -807,45 +3817,311 @@ const HomePage = {
 // ==========================================
 
 const API = {
-    baseURL: '/Goa-Tourism-Project/api',
-    
-    async fetchAttractions() {
-        try {
-            const response = await fetch(`${this.baseURL}/attractions`);
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            return await response.json();
-        } catch (error) {
-            console.error('Failed to fetch attractions:', error);
-            return { success: false, error: error.message };
+    baseURL: null,          // resolved on first use, see resolveBaseURL()
+    timeout: 10000,         // ms before a request is aborted
+    maxRetries: 2,          // extra attempts for idempotent GETs
+    maxRetryWait: 10000,    // ms; longer Retry-After waits are reported, not slept through
+    blockedUntil: new Map(), // first path segment → time its Retry-After runs out; the server limits each endpoint separately
+    csrf: { token: null, expiresAt: 0 },
+
+    // <meta name="api-base-url" content="api"> on each page; relative values
+    // resolve against the page, so the site works from any sub-directory
+    resolveBaseURL() {
+        if (!this.baseURL) {
+            const configured = document.querySelector('meta[name="api-base-url"]')?.content || 'api';
+            this.baseURL = new URL(configured, document.baseURI).href.replace(/\/+$/, '');
         }
+        return this.baseURL;
     },
 
-    async fetchBeaches(region = 'all') {
-        try {
-            const url = region === 'all' 
-                ? `${this.baseURL}/beaches` 
-                : `${this.baseURL}/beaches/region/${region}`;
-            const response = await fetch(url);
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            return await response.json();
-        } catch (error) {
-            console.error('Failed to fetch beaches:', error);
-            return { success: false, error: error.message };
+    /**
+     * Every call to the PHP API goes through here. Never throws: resolves to
+     * the JSON body plus `status`, or on failure to
+     * { success: false, status, error, errors?, fieldErrors?, retryAfter?, networkError?, timedOut? }
+     * (status 0 = no response: offline or timed out).
+     */
+    async request(path, { method = 'GET', params = null, body = null, csrf = false, headers: extraHeaders = {} } = {}) {
+        const query = params
+            ? new URLSearchParams(Object.entries(params).filter(([, value]) => value !== '' && value != null)).toString()
+            : '';
+        const url = `${this.resolveBaseURL()}/${path.replace(/^\/+/, '')}${query ? `?${query}` : ''}`;
+        const retries = method === 'GET' ? this.maxRetries : 0;
+        // Keyed like the server's limits: 'trip/create-itinerary' and 'trip/{token}' share one
+        const limitKey = path.replace(/^\/+/, '').split(/[/?]/)[0];
+        let refreshedCsrf = false;
+
+        for (let attempt = 0; ; attempt++) {
+            const waitMs = (this.blockedUntil.get(limitKey) || 0) - Date.now();
+            if (waitMs > 0) {
+                if (method !== 'GET' || waitMs > this.maxRetryWait) {
+                    return this.rateLimitedResult(waitMs);
+                }
+                await this.sleep(waitMs);
+            }
+
+            // The API answers in the visitor's language where it can
+            const headers = { 'Accept-Language': I18n.locale, ...extraHeaders };
+            if (body !== null) headers['Content-Type'] = 'application/json';
+            if (csrf) {
+                const token = await this.getCsrfToken();
+                if (!token.success) return token;
+                headers['X-CSRF-Token'] = token.token;
+            }
+
+            let response;
+            try {
+                response = await this.fetchWithTimeout(url, {
+                    method,
+                    headers,
+                    body: body !== null ? JSON.stringify(body) : undefined
+                });
+            } catch (error) {
+                if (attempt < retries) {
+                    await this.sleep(this.backoff(attempt));
+                    continue;
+                }
+                console.error(`API ${method} ${path} failed:`, error);
+                // A timed-out write may still have reached the server, so it
+                // is reported separately from "never left the browser"
+                const timedOut = error.name === 'AbortError';
+                return {
+                    success: false,
+                    status: 0,
+                    networkError: !timedOut,
+                    timedOut,
+                    error: I18n.t(timedOut ? 'api.timeout' : 'api.networkError')
+                };
+            }
+
+            const data = await response.json().catch(() => ({}));
+
+            if (response.ok) {
+                return { ...data, status: response.status };
+            }
+
+            if (response.status === 429) {
+                const waitMs = this.parseRetryAfter(response.headers.get('Retry-After'));
+                this.blockedUntil.set(limitKey, Date.now() + waitMs);
+                if (attempt < retries && waitMs <= this.maxRetryWait) continue;
+                return this.rateLimitedResult(waitMs);
+            }
+
+            // A stale CSRF token is the only 403 the API sends; refresh it once
+            if (response.status === 403 && csrf && !refreshedCsrf) {
+                refreshedCsrf = true;
+                this.csrf.token = null;
+                continue;
+            }
+
+            if (response.status >= 500 && attempt < retries) {
+                await this.sleep(this.backoff(attempt));
+                continue;
+            }
+
+            return {
+                success: false,
+                status: response.status,
+                error: data.error || I18n.t('api.requestFailed', { status: String(response.status) }),
+                errors: data.errors || [],
+                fieldErrors: data.fieldErrors || {}
+            };
         }
     },
 
-    async submitTripPlan(tripData) {
+    async fetchWithTimeout(url, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
         try {
-            const response = await fetch(`${this.baseURL}/trip/create-itinerary`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(tripData)
-            });
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            return await response.json();
-        } catch (error) {
-            console.error('Failed to submit trip plan:', error);
-            throw error;
+            return await fetch(url, { ...options, signal: controller.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    // Cached until shortly before the server's CSRF_TOKEN_LIFETIME runs out.
+    // Resolves to { success: true, token } or the failed request's result.
+    async getCsrfToken() {
+        if (this.csrf.token && Date.now() < this.csrf.expiresAt) {
+            return { success: true, token: this.csrf.token };
+        }
+
+        const data = await this.request('csrf-token');
+        if (!data.success) return data;
+
+        this.csrf.token     = data.token;
+        this.csrf.expiresAt = Date.now() + Math.max(0, (data.expiresIn ?? 3600) - 60) * 1000;
+        return { success: true, token: data.token };
+    },
+
+    // Retry-After is either a number of seconds or an HTTP date
+    parseRetryAfter(value) {
+        if (!value) return 60000;
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+        return Math.max(0, new Date(value).getTime() - Date.now());
+    },
+
+    rateLimitedResult(waitMs) {
+        const seconds = Math.ceil(waitMs / 1000);
+        return {
+            success: false,
+            status: 429,
+            retryAfter: seconds,
+            error: I18n.t('api.rateLimited', { count: seconds })
+        };
+    },
+
+    // 500ms, 1s, 2s… with a little jitter so clients don't retry in lockstep
+    backoff(attempt) {
+        return 500 * 2 ** attempt + Math.random() * 250;
+    },
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    // params: { search, category, sort, limit, offset } — empty values are left out of the query
+    fetchAttractions(params = {}) {
+        return this.request('attractions', { params });
+    },
+
+    fetchAttraction(id) {
+        return this.request(`attractions/${encodeURIComponent(id)}`);
+    },
+
+    // params: { region, featured, tags, activities } — tags/activities are comma-separated
+    fetchBeaches(params = {}) {
+        return this.request('beaches', { params });
+    },
+
+    fetchBeach(id) {
+        return this.request(`beaches/${encodeURIComponent(id)}`);
+    },
+
+    fetchTrip(token) {
+        return this.request(`trip/${encodeURIComponent(token)}`);
+    },
+
+    // Validation rules for the trip form (TRIP_SCHEMA in includes/validator.php)
+    fetchTripSchema() {
+        return this.request('trip/schema');
+    },
+
+    // Seasons, transport and packages with their prices (includes/costs.php)
+    fetchTravelInfo() {
+        return this.request('travel-info');
+    },
+
+    // params: { from, to, type }; one entry per occurrence, earliest first
+    fetchEvents(params = {}) {
+        return this.request('events', { params });
+    },
+
+    // Attractions, beaches, festivals and guide sections matching q, grouped by type
+    search(q) {
+        return this.request('search', { params: { q } });
+    },
+
+    // Creates a trip, or updates the saved one when its access token is given
+    submitTripPlan(tripData, tripToken = null) {
+        return tripToken
+            ? this.request(`trip/${encodeURIComponent(tripToken)}`, { method: 'PUT', body: tripData, csrf: true })
+            : this.request('trip/create-itinerary', { method: 'POST', body: tripData, csrf: true });
+    },
+
+    // type: 'attraction' | 'beach'; params: { limit, offset }. Approved reviews only
+    fetchReviews(type, id, params = {}) {
+        return this.request(`${type === 'beach' ? 'beaches' : 'attractions'}/${encodeURIComponent(id)}/reviews`, { params });
+    },
+
+    // The review is held for moderation; the response says so in the visitor's language
+    submitReview(type, id, review) {
+        return this.request(`${type === 'beach' ? 'beaches' : 'attractions'}/${encodeURIComponent(id)}/reviews`, { method: 'POST', body: review, csrf: true });
+    },
+
+    // The shortlist saved under an email (404 when there is none or the token is wrong)
+    // The token goes in a header so it stays out of logs, history and cache keys
+    fetchShortlist(email, token) {
+        return this.request('shortlist', { params: { email }, headers: { 'X-Shortlist-Token': token } });
+    },
+
+    // places: place keys such as 'beach:2'; replaces the saved copy. token is
+    // the owner code from the first save, empty when there is none yet.
+    saveShortlist(email, token, places) {
+        return this.request('shortlist', { method: 'PUT', body: { email, token, places }, csrf: true });
+    }
+};
+
+// ==========================================
+// OFFLINE SUPPORT (service worker, see sw.js)
+// ==========================================
+
+const OfflineSupport = {
+    banner: null,
+
+    init() {
+        this.initBanner();
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .catch(error => console.error('Service worker registration failed:', error));
+
+        navigator.serviceWorker.addEventListener('message', (e) => this.handleMessage(e.data || {}));
+    },
+
+    initBanner() {
+        this.banner = document.createElement('div');
+        this.banner.className = 'offline-banner';
+        this.banner.setAttribute('role', 'status');
+        this.banner.hidden = true;
+        document.body.prepend(this.banner);
+
+        window.addEventListener('offline', () => this.updateBanner());
+        window.addEventListener('online', () => {
+            this.updateBanner();
+            Utils.showNotification(I18n.t('offline.backOnline'), 'success');
+        });
+        document.addEventListener('localechange', () => this.updateBanner());
+        this.updateBanner();
+    },
+
+    // The text is only set while offline so screen readers announce the change
+    updateBanner() {
+        const offline = !navigator.onLine;
+        this.banner.hidden      = !offline;
+        this.banner.textContent = offline ? I18n.t('offline.banner') : '';
+        document.body.classList.toggle('is-offline', offline);
+    },
+
+    // Background Sync needs a worker controlling this page
+    canBackgroundSync() {
+        return Boolean(navigator.serviceWorker?.controller) && 'SyncManager' in window;
+    },
+
+    queueTrip(entry) {
+        navigator.serviceWorker.controller.postMessage({
+            type:  'queue-trip',
+            entry: { ...entry, apiBase: API.resolveBaseURL(), locale: I18n.locale }
+        });
+    },
+
+    // Asks the worker for trips it has sent; the answer is a 'synced-trips'
+    // message. Only the plan page asks, since it can show the itinerary.
+    claimSyncedTrips() {
+        navigator.serviceWorker?.controller?.postMessage({ type: 'claim-synced-trips' });
+    },
+
+    handleMessage(message) {
+        if (message.type === 'trip-synced') {
+            if (PageDetector.getCurrentPage() === 'plan') {
+                this.claimSyncedTrips();
+            } else {
+                Utils.showNotification(I18n.t('offline.queuedSentElsewhere'), 'success');
+            }
+        }
+
+        if (message.type === 'synced-trips') {
+            message.trips.forEach(trip => PlanTripPage.showSyncedTrip(trip));
         }
     }
 };
@@ -854,9 +4130,12 @@ const API = {
 // MAIN INITIALIZATION
 // ==========================================
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     const currentPage = PageDetector.getCurrentPage();
     console.log(`Site.js initialized on: ${currentPage} page`);
+
+    // Translations first: everything below renders text in the chosen language
+    await I18n.init();
     
     // Initialize shared features (all pages)
     SharedFeatures.initMobileNav();
@@ -864,7 +4143,10 @@ document.addEventListener('DOMContentLoaded', () => {
     SharedFeatures.initSmoothScroll();
     SharedFeatures.initLazyLoading();
     SharedFeatures.enhanceAccessibility();
+    SharedFeatures.initSiteSearch();
     SharedFeatures.logPerformance();
+    OfflineSupport.init();
+    Shortlist.init();
     
     // Initialize page-specific features
     switch(currentPage) {
@@ -907,13 +4189,18 @@ document.addEventListener('DOMContentLoaded', () => {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         Utils,
+        I18n,
         PageDetector,
         SharedFeatures,
+        Shortlist,
         AttractionsPage,
         BeachesPage,
+        DetailView,
+        GoaMap,
         CulturePage,
         PlanTripPage,
         HomePage,
-        API
+        API,
+        OfflineSupport
     };
 }
\ No newline at end of file
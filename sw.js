@@ -0,0 +1,262 @@
+/**
+ * sw.js — Service worker for Visit Goa (registered by OfflineSupport in main.js)
+ *
+ * - Precaches the five pages, styles.css, main.js, locales/ and pictures/ on install
+ * - Pages: network first, falling back to the cached copy when offline
+ * - GET api/attractions…, api/beaches…, api/travel-info and api/events: stale-while-revalidate
+ * - Trips submitted offline are kept in IndexedDB and sent by Background Sync;
+ *   plan.html collects the results ("claim-synced-trips") to tell the traveller
+ *
+ * Bump CACHE_VERSION whenever a precached file changes so clients update.
+ */
+
+const CACHE_VERSION = 'v8';
+const STATIC_CACHE  = `visit-goa-static-${CACHE_VERSION}`;
+const API_CACHE     = `visit-goa-api-${CACHE_VERSION}`;
+const SYNC_TAG      = 'trip-outbox';
+
+const PAGES = ['index.html', 'attractions.html', 'beaches.html', 'culture.html', 'plan.html'];
+
+const PRECACHE_URLS = [
+    ...PAGES,
+    'styles.css',
+    'main.js',
+    'locales/en.json',
+    'locales/hi.json',
+    'locales/kok.json',
+    'locales/pt.json',
+    'pictures/Ancestral.png',
+    'pictures/Ancient Hindu Kingdoms.png',
+    'pictures/Anjuna.png',
+    'pictures/Baga.png',
+    'pictures/Church.png',
+    'pictures/Culture1.png',
+    'pictures/Culture2.png',
+    'pictures/Culture3.png',
+    'pictures/Culture4.png',
+    'pictures/Fort.png',
+    'pictures/Goancuisine.png',
+    'pictures/IslamicInfluence.png',
+    'pictures/Keri.jpg',
+    'pictures/ModernGoa.png',
+    'pictures/Palolem.png',
+    'pictures/Portuguese.png',
+    'pictures/Sinquerim.jpg',
+    'pictures/Temple.png',
+    'pictures/Tourismlogo.png',
+    'pictures/Waterfalls.png',
+    'pictures/beaches.png',
+    'pictures/churches.png',
+    'pictures/forts.png',
+    'pictures/goa-map.svg',
+    'pictures/vibrantculture.png',
+    'pictures/watersports.png'
+];
+
+// ==========================================
+// INSTALL / ACTIVATE
+// ==========================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches from older versions, then take over pages opened before install
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('visit-goa-') && ![STATIC_CACHE, API_CACHE].includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ==========================================
+// FETCH STRATEGIES
+// ==========================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const scopePath = new URL(self.registration.scope).pathname;
+    if (url.origin !== self.location.origin || !url.pathname.startsWith(scopePath)) return;
+
+    // Path relative to the site root, e.g. "plan.html" or "api/beaches"
+    const path = decodeURIComponent(url.pathname.slice(scopePath.length));
+    const page = path === '' ? 'index.html' : path;
+
+    if (request.mode === 'navigate' && PAGES.includes(page)) {
+        event.respondWith(networkFirst(request, page));
+    } else if (/^api\/(attractions|beaches|travel-info|events)(\/|$)/.test(path)) {
+        event.respondWith(staleWhileRevalidate(event, API_CACHE));
+    } else if (path.startsWith('pictures/')) {
+        event.respondWith(cacheFirst(request));
+    } else if (path === 'styles.css' || path === 'main.js' || path.startsWith('locales/')) {
+        event.respondWith(staleWhileRevalidate(event, STATIC_CACHE));
+    }
+    // Everything else (admin/, other API routes) goes straight to the network
+});
+
+// Fresh page when online; the precached copy (query string ignored) offline
+async function networkFirst(request, page) {
+    const cache = await caches.open(STATIC_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(page, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(page)) || Response.error();
+    }
+}
+
+// Answer from the cache at once and refresh it in the background; only
+// successful responses are stored, so a 429 or 500 never replaces good data
+async function staleWhileRevalidate(event, cacheName) {
+    const cache  = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+
+    const network = fetch(event.request).then(response => {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+async function cacheFirst(request) {
+    const cache  = await caches.open(STATIC_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+// ==========================================
+// TRIP OUTBOX (Background Sync)
+// ==========================================
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'queue-trip') {
+        // One waiting submission per trip (or for the new trip); the latest wins
+        const entry = { ...message.entry, key: message.entry.tripToken || 'new' };
+        event.waitUntil(
+            store('outbox', 'readwrite', outbox => outbox.put(entry))
+                .then(() => self.registration.sync.register(SYNC_TAG))
+        );
+    }
+
+    if (message.type === 'claim-synced-trips') {
+        event.waitUntil(
+            store('synced', 'readwrite', synced => {
+                const all = synced.getAll();
+                synced.clear();
+                return all;
+            }).then(trips => event.source.postMessage({ type: 'synced-trips', trips }))
+        );
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(flushOutbox());
+    }
+});
+
+// A rejection here makes the browser retry the sync later
+async function flushOutbox() {
+    const entries = await store('outbox', 'readonly', outbox => outbox.getAll());
+
+    for (const entry of entries) {
+        const result = await sendTrip(entry);
+
+        await store('outbox', 'readwrite', outbox => outbox.delete(entry.key));
+        await store('synced', 'readwrite', synced => synced.add({ entry, result, sentAt: Date.now() }));
+        await announce(entry, result);
+    }
+}
+
+// Same requests as API.submitTripPlan(). Throws while the server is
+// unreachable, rate limiting or failing, so the entry stays queued.
+async function sendTrip({ apiBase, payload, tripToken, locale = 'en' }) {
+    const csrf = await fetch(`${apiBase}/csrf-token`).then(response => response.json());
+    if (!csrf.success) throw new Error('Could not fetch security token');
+
+    const response = await fetch(tripToken
+        ? `${apiBase}/trip/${encodeURIComponent(tripToken)}`
+        : `${apiBase}/trip/create-itinerary`, {
+        method:  tripToken ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrf.token, 'Accept-Language': locale },
+        body:    JSON.stringify(payload)
+    });
+
+    if (response.status === 429 || response.status >= 500) {
+        throw new Error(`Trip not accepted yet (HTTP ${response.status})`);
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return { ...data, success: response.ok, status: response.status };
+}
+
+// Open pages are pinged to collect the result; with none open, a system
+// notification is shown if the traveller has already allowed them
+async function announce(entry, result) {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    windows.forEach(client => client.postMessage({ type: 'trip-synced' }));
+
+    if (!windows.length && result.success && self.Notification?.permission === 'granted') {
+        const token = result.token || result.trip?.token || entry.tripToken;
+        await self.registration.showNotification('Your Goa trip is saved', {
+            body: result.message,
+            tag:  'trip-synced',
+            data: { url: `plan.html?trip=${token}` }
+        });
+    }
+}
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(self.clients.openWindow(event.notification.data.url));
+});
+
+// ==========================================
+// INDEXEDDB
+// ==========================================
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open('visit-goa', 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore('outbox', { keyPath: 'key' });
+            request.result.createObjectStore('synced', { autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror   = () => reject(request.error);
+    });
+}
+
+// Runs `operation` on one object store and resolves with its request's result
+// once the transaction has committed
+async function store(name, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(name, mode);
+        const request     = operation(transaction.objectStore(name));
+        transaction.oncomplete = () => { db.close(); resolve(request.result); };
+        transaction.onerror    = () => { db.close(); reject(transaction.error); };
+    });
+}